@@ -0,0 +1,21 @@
+// netlify/functions/_summaryProviders.js
+// Chapter summary providers for summarize.js. A provider is
+//   { name, summarize({ bookTitle, chapterTitle, paragraphs }) -> Promise<{ summary, keywords? }> }
+// and is picked with the SUMMARY_PROVIDER environment variable. Only the
+// local extractive provider exists today; a model-backed one slots in here.
+import { summarizeParagraphs } from '../../src/utils/extractiveSummary.js';
+
+const extractive = {
+  name: 'extractive',
+  async summarize({ paragraphs }) {
+    const { summary, keywords } = summarizeParagraphs(paragraphs);
+    return { summary, keywords };
+  }
+};
+
+export const PROVIDERS = { extractive };
+export const DEFAULT_PROVIDER = 'extractive';
+
+export function getProvider(name) {
+  return PROVIDERS[String(name || DEFAULT_PROVIDER).toLowerCase()] || PROVIDERS[DEFAULT_PROVIDER];
+}
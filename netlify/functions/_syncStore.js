@@ -0,0 +1,60 @@
+// netlify/functions/_syncStore.js
+// File-backed store for sync.js: one JSON file per sync space,
+// { seq, records: { key: record } }, under SYNC_STORE_DIR, which must be
+// persistent storage shared by every instance. There is deliberately no
+// fallback: a function's temp dir belongs to one instance and is wiped on
+// cold start, so sync would look like it worked and then lose the data.
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { applyPush, recordsSince, emptySyncState } from '../../src/utils/syncMerge.js';
+
+export function syncStoreConfigured() {
+  return !!process.env.SYNC_STORE_DIR;
+}
+
+function storeDir() {
+  if (!syncStoreConfigured()) throw new Error('Sync storage is not configured (set SYNC_STORE_DIR).');
+  return process.env.SYNC_STORE_DIR;
+}
+
+// Writes to one space are serialized within this instance
+const queues = new Map();
+function serialize(space, task) {
+  const prev = queues.get(space) || Promise.resolve();
+  const next = prev.then(task, task);
+  queues.set(space, next.catch(() => {}));
+  return next;
+}
+
+const fileFor = (space) => path.join(storeDir(), `${space}.json`);
+
+async function load(space) {
+  try {
+    const state = JSON.parse(await fs.readFile(fileFor(space), 'utf8'));
+    return state && typeof state.seq === 'number' && state.records ? state : emptySyncState();
+  } catch (err) {
+    if (err.code === 'ENOENT') return emptySyncState();
+    throw err;
+  }
+}
+
+async function save(space, state) {
+  await fs.mkdir(storeDir(), { recursive: true });
+  const tmp = `${fileFor(space)}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(state));
+  await fs.rename(tmp, fileFor(space));
+}
+
+export function pushRecords(space, records) {
+  return serialize(space, async () => {
+    const state = await load(space);
+    const stored = applyPush(state, records);
+    await save(space, state);
+    return stored;
+  });
+}
+
+export async function pullRecords(space, since = 0) {
+  const state = await load(space);
+  return { records: recordsSince(state, since), cursor: state.seq };
+}
@@ -2,6 +2,7 @@
 import https from 'node:https';
 import { URL } from 'node:url';
 import { ensureUS } from './_geo.js'; // <-- you said you will add this file
+import { unique, lemmaCandidates } from '../../src/utils/lemma.js';
 
 export default async (request, context) => {
   // Geo-restrict to USA
@@ -55,26 +56,6 @@ function json(obj, status = 200, headers = {}) {
   });
 }
 
-function unique(arr) {
-  return [...new Set(arr.filter(Boolean))];
-}
-
-function lemmaCandidates(word) {
-  const out = [];
-  if (word.endsWith('ies') && word.length > 3) out.push(word.slice(0, -3) + 'y');
-  if (word.endsWith('es') && word.length > 2) out.push(word.slice(0, -2));
-  if (word.endsWith('s') && !word.endsWith('ss')) out.push(word.slice(0, -1));
-  if (word.endsWith('ing') && word.length > 4) {
-    out.push(word.slice(0, -3));
-    out.push(word.slice(0, -3) + 'e');
-  }
-  if (word.endsWith('ed') && word.length > 3) {
-    out.push(word.slice(0, -2));
-    out.push(word.slice(0, -1));
-  }
-  return unique(out);
-}
-
 function httpsGetJson(u, { timeoutMs = 6000, headers = {} } = {}) {
   const urlObj = new URL(u);
   const opts = {
@@ -1,5 +1,17 @@
 // netlify/functions/summarize.js
+// POST { bookId, chapterIndex } -> { bookId, chapterIndex, title, provider, summary, keywords, cached }
+// bookId is the Gutenberg id ("2042" or "pg-2042"); chapterIndex is 0-based.
+// The chapter comes from the static bundle in public/books (read from disk
+// under `netlify dev`, otherwise fetched from this site), and results are
+// cached per chapter for the life of the function instance.
+import fs from 'node:fs/promises';
+import path from 'node:path';
 import { ensureUS } from './_geo.js';
+import { getProvider } from './_summaryProviders.js';
+import { paragraphText } from '../../src/utils/richText.js';
+
+const CACHE_MAX = 500;
+const cache = new Map(); // `${provider}:${id}:${chapterIndex}` -> result
 
 export default async (request, context) => {
   // Geo-restrict to USA
@@ -8,26 +20,71 @@ export default async (request, context) => {
 
   try {
     if (request.method !== 'POST') {
-      return json({ error: 'Use POST with JSON: { prompt: "..." }' }, 405);
+      return json({ error: 'Use POST with JSON: { bookId, chapterIndex }' }, 405);
     }
 
-    // We’re intentionally not invoking any model for now.
-    // Return a friendly placeholder so the UI can show a message.
     const body = await request.json().catch(() => ({}));
+    const id = String(body.bookId ?? '').replace(/^pg-/i, '');
+    const chapterIndex = Number(body.chapterIndex);
+    if (!/^\d+$/.test(id) || !Number.isInteger(chapterIndex) || chapterIndex < 0) {
+      return json({ error: 'Expected { bookId, chapterIndex } with a Gutenberg id and a 0-based chapter index.' }, 400, cors());
+    }
+
+    const provider = getProvider(process.env.SUMMARY_PROVIDER);
+    const key = `${provider.name}:${id}:${chapterIndex}`;
+    if (cache.has(key)) return json({ ...cache.get(key), cached: true }, 200, cacheHeaders());
+
+    const origin = new URL(request.url).origin;
+    const manifest = await readBookJson(id, 'manifest.json', origin);
+    const entry = manifest?.chapters?.[chapterIndex];
+    if (!entry) return json({ error: `No chapter ${chapterIndex + 1} in book ${id}.` }, 404, cors());
+    const chapter = await readBookJson(id, entry.file, origin);
+    if (!Array.isArray(chapter?.paragraphs)) {
+      return json({ error: `Chapter file ${entry.file} is missing or malformed.` }, 404, cors());
+    }
 
-    return json({
-      summary: "Chapter summaries are temporarily disabled while we complete the Games section. Please check back soon!"
-    }, 200, {
-      'Cache-Control': 'no-store',
-      'Access-Control-Allow-Origin': '*'
+    const { summary, keywords = [] } = await provider.summarize({
+      bookTitle: manifest.title || '',
+      chapterTitle: entry.title || '',
+      paragraphs: chapter.paragraphs.map(paragraphText)
     });
+    const result = { bookId: id, chapterIndex, title: entry.title || '', provider: provider.name, summary, keywords };
+
+    if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value);
+    cache.set(key, result);
+    return json({ ...result, cached: false }, 200, cacheHeaders());
   } catch (err) {
-    return json({ error: err?.message || 'Server error' }, 500, {
-      'Access-Control-Allow-Origin': '*'
-    });
+    return json({ error: err?.message || 'Server error' }, 500, cors());
   }
 };
 
+/* ---------------- helpers ---------------- */
+
+// public/books/pg-<id>/<file>, from disk when the bundle is alongside the
+// function, else over HTTP from the deployed site. null when absent.
+async function readBookJson(id, file, origin) {
+  if (!/^[\w.-]+\.json$/.test(file || '')) return null;
+  const rel = path.join('public', 'books', `pg-${id}`, file);
+  const roots = [process.cwd(), process.env.LAMBDA_TASK_ROOT].filter(Boolean);
+  for (const root of roots) {
+    try {
+      return JSON.parse(await fs.readFile(path.resolve(root, rel), 'utf8'));
+    } catch { /* try the next location */ }
+  }
+  const resp = await fetch(`${origin}/books/pg-${id}/${file}`, { headers: { Accept: 'application/json' } });
+  // The SPA fallback answers unknown paths with index.html
+  if (!resp.ok || !(resp.headers.get('content-type') || '').includes('json')) return null;
+  return resp.json();
+}
+
+function cors() {
+  return { 'Access-Control-Allow-Origin': '*' };
+}
+
+function cacheHeaders() {
+  return { 'Cache-Control': 'public, max-age=86400', ...cors() };
+}
+
 function json(obj, status = 200, headers = {}) {
   return new Response(JSON.stringify(obj), {
     status,
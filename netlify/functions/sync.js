@@ -0,0 +1,43 @@
+// netlify/functions/sync.js
+// Sync backend for src/utils/syncAdapters.js (createNetlifyAdapter).
+// POST { op: 'push', space, records } -> { records }
+// POST { op: 'pull', space, since }   -> { records, cursor }
+// `space` is the SHA-256 (hex) of a reader's sync code; the code itself never leaves the device.
+import { pushRecords, pullRecords, syncStoreConfigured } from './_syncStore.js';
+
+const MAX_RECORDS = 5000;
+
+export default async (request) => {
+  try {
+    if (request.method !== 'POST') {
+      return json({ error: 'Use POST with JSON: { op, space, ... }' }, 405);
+    }
+    if (!syncStoreConfigured()) {
+      return json({ error: 'Sync is not available: the server has no storage configured (SYNC_STORE_DIR).' }, 503);
+    }
+    const body = await request.json().catch(() => null);
+    const space = String(body?.space || '');
+    if (!/^[a-f0-9]{64}$/.test(space)) return json({ error: 'Invalid sync space.' }, 400);
+
+    if (body.op === 'push') {
+      const records = Array.isArray(body.records) ? body.records : null;
+      if (!records) return json({ error: 'Missing "records" array.' }, 400);
+      if (records.length > MAX_RECORDS) return json({ error: `Too many records (max ${MAX_RECORDS}).` }, 413);
+      return json({ records: await pushRecords(space, records) });
+    }
+    if (body.op === 'pull') {
+      const since = Number.isFinite(body.since) ? body.since : 0;
+      return json(await pullRecords(space, since));
+    }
+    return json({ error: 'Unknown op (expected "push" or "pull").' }, 400);
+  } catch (err) {
+    return json({ error: err?.message || 'Server error' }, 500);
+  }
+};
+
+function json(obj, status = 200, headers = {}) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers }
+  });
+}
@@ -0,0 +1,122 @@
+// public/sw.js
+// Service worker for offline reading.
+// - Precaches the app shell (index.html + its hashed /assets), library.json and covers
+// - Serves /books/* from the per-book cache written by src/utils/offlineBooks.js
+// - Falls back to the cached shell for navigations when the network is gone
+// Paths are under the directory sw.js is served from (Vite's base), which is
+// also the scope src/utils/offlineBooks.js registers it with.
+
+const SHELL_CACHE = 'wair-shell-v1';
+const RUNTIME_CACHE = 'wair-runtime-v1';
+const COVERS_CACHE = 'wair-covers-v1';
+const BOOKS_CACHE = 'wair-books-v1'; // keep in sync with src/utils/offlineBooks.js
+
+const KEEP = new Set([SHELL_CACHE, RUNTIME_CACHE, COVERS_CACHE, BOOKS_CACHE]);
+const BASE = new URL('./', self.location).pathname;
+const INDEX_URL = `${BASE}index.html`;
+const LIBRARY_URL = `${BASE}content/library.json`;
+
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll([BASE, INDEX_URL, LIBRARY_URL]);
+
+  // Hashed bundles referenced by index.html (names change every build)
+  const html = await (await cache.match(INDEX_URL)).text();
+  const assets = [...html.matchAll(/(?:src|href)="([^"]*\/assets\/[^"]+)"/g)]
+    .map(m => new URL(m[1], self.location).pathname)
+    .filter(p => p.startsWith(`${BASE}assets/`));
+  if (assets.length) await cache.addAll(assets);
+}
+
+async function precacheCovers() {
+  try {
+    const resp = await caches.match(LIBRARY_URL);
+    const library = resp ? await resp.json() : [];
+    const cache = await caches.open(COVERS_CACHE);
+    const urls = [...new Set(library.map(b => b.coverImage || b.coverUrl).filter(Boolean))];
+    // Covers live on gutenberg.org: store opaque responses, one failure shouldn't sink the rest
+    await Promise.allSettled(urls.map(async (u) => {
+      if (await cache.match(u)) return;
+      const r = await fetch(u, { mode: 'no-cors' });
+      if (r.ok || r.type === 'opaque') await cache.put(u, r);
+    }));
+  } catch {
+    // best effort; covers will also be cached as they are viewed
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(precacheCovers).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n.startsWith('wair-') && !KEEP.has(n)).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const resp = await fetch(request);
+    if (resp.ok) cache.put(request, resp.clone());
+    return resp;
+  } catch (e) {
+    const hit = await cache.match(request);
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+async function cacheFirst(request, cacheName, { store = true } = {}) {
+  const hit = await caches.match(request, { cacheName });
+  if (hit) return hit;
+  const resp = await fetch(request);
+  if (store && (resp.ok || resp.type === 'opaque')) {
+    const cache = await caches.open(cacheName);
+    cache.put(request, resp.clone());
+  }
+  return resp;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  // Functions always go to the network
+  if (sameOrigin && (url.pathname.startsWith('/.netlify/') || url.pathname.startsWith('/api/'))) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(async () => (await caches.match(INDEX_URL, { cacheName: SHELL_CACHE })) || Response.error())
+    );
+    return;
+  }
+
+  if (sameOrigin && url.pathname === LIBRARY_URL) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+    return;
+  }
+
+  if (sameOrigin && url.pathname.startsWith(`${BASE}books/`)) {
+    // A download (offlineBooks.js asks for no-cache) must see the current files,
+    // not the copy it stored last time
+    if (request.cache === 'no-cache' || request.cache === 'reload') return;
+    // Only explicitly downloaded books are stored; everything else passes through
+    event.respondWith(cacheFirst(request, BOOKS_CACHE, { store: false }));
+    return;
+  }
+
+  if (sameOrigin && url.pathname.startsWith(`${BASE}assets/`)) {
+    event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+    return;
+  }
+
+  if (request.destination === 'image') {
+    event.respondWith(cacheFirst(request, COVERS_CACHE));
+  }
+});
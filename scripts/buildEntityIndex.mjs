@@ -0,0 +1,53 @@
+// scripts/buildEntityIndex.mjs
+// (Re)build the character and place index (entities.json) for books already
+// ingested under public/books/pg-<id>/. ingestBooks.mjs writes it for new
+// books; run this after changing src/utils/entityIndex.js.
+// Usage:
+//   node scripts/buildEntityIndex.mjs            (every book)
+//   node scripts/buildEntityIndex.mjs --id=8164
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { buildEntityIndex, ENTITY_FILE } from '../src/utils/entityIndex.js';
+
+const ROOT = process.cwd();
+const BOOKS_DIR = path.join(ROOT, 'public', 'books');
+
+function log(...a){ console.log('[entities]', ...a); }
+
+async function readJSON(file) {
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+async function bookDirs() {
+  const names = await fs.readdir(BOOKS_DIR).catch(() => []);
+  return names.filter(n => /^pg-\d+$/.test(n)).sort((a, b) => Number(a.slice(3)) - Number(b.slice(3)));
+}
+
+async function indexBook(dir) {
+  const manifestPath = path.join(BOOKS_DIR, dir, 'manifest.json');
+  const manifest = await readJSON(manifestPath).catch(() => null);
+  if (!manifest || !Array.isArray(manifest.chapters)) { log(`skip ${dir} (no manifest)`); return; }
+
+  const chapters = [];
+  for (const ch of manifest.chapters) {
+    const data = await readJSON(path.join(BOOKS_DIR, dir, ch.file)).catch(() => null);
+    chapters.push(Array.isArray(data?.paragraphs) ? data.paragraphs : []);
+  }
+  const index = buildEntityIndex(chapters);
+  await fs.writeFile(path.join(BOOKS_DIR, dir, ENTITY_FILE), JSON.stringify(index), 'utf8');
+  if (manifest.entities !== ENTITY_FILE) {
+    await fs.writeFile(manifestPath, JSON.stringify({ ...manifest, entities: ENTITY_FILE }, null, 2), 'utf8');
+  }
+  log(`✔ ${dir} — ${index.entities.length} names`);
+}
+
+async function main() {
+  const idFlag = process.argv.slice(2).find(a => a.startsWith('--id='));
+  const dirs = idFlag ? [`pg-${Number(idFlag.split('=')[1])}`] : await bookDirs();
+  for (const dir of dirs) {
+    try { await indexBook(dir); }
+    catch (err) { console.error(`✖ Failed ${dir}:`, err.message); }
+  }
+}
+
+main().catch(e => { console.error(e); process.exit(1); });
@@ -1,8 +1,11 @@
 // scripts/buildLibrary.mjs
 // Build a complete Wodehouse library.json using Gutendex (mirror of PG catalog).
 // Output: public/content/library.json (covers + best text/html links, no extra stats)
+// The search also finds other Wodehouses; the catalogue policy
+// (src/utils/catalogue.json, applied by catalogue.js) decides what stays.
 import fs from 'node:fs/promises';
 import fetch from 'node-fetch';
+import { catalogueVerdict } from '../src/utils/catalogue.js';
 
 const GUTENDEX = 'https://gutendex.com/books?search=Wodehouse&languages=en';
 const OUT = 'public/content/library.json';
@@ -34,17 +37,23 @@ function bestFormats(formats = {}) {
   };
 }
 
-// Simple canonical sort: series buckets (Jeeves, Blandings, Others), then alpha title
+// Simple canonical sort: series buckets (Jeeves, Blandings, Psmith, Ukridge, Others), then alpha title
 function seriesBucket(title) {
-  const t = (title || '').toLowerCase();
   if (/(jeeves|bertie wooster)/i.test(title)) return 'JEEVES';
-  if (/(blandings|earl of emsworth)/i.test(title)) return 'BLANDINGS';
+  if (/(blandings|earl of emsworth|something new)/i.test(title)) return 'BLANDINGS';
+  if (/(psmith|^mike$)/i.test(title)) return 'PSMITH';
+  if (/(ukridge|love among the chickens)/i.test(title)) return 'UKRIDGE';
   return 'OTHER';
 }
 
 const all = await fetchAll(GUTENDEX);
 const filtered = all
   .filter(b => b.copyright === false && (b.languages||[]).includes('en'))
+  .filter(b => {
+    const { allowed, reason } = catalogueVerdict({ id: b.id, authors: b.authors });
+    if (!allowed) console.log(`Leaving out ${b.id} "${b.title}" — ${reason}`);
+    return allowed;
+  })
   .map(b => {
     const f = bestFormats(b.formats);
     return {
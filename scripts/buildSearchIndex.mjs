@@ -0,0 +1,113 @@
+// scripts/buildSearchIndex.mjs
+// Build a sharded, positional inverted index over every ingested chapter
+// (public/books/*/ch-*.json) for cross-library search.
+// Usage:
+//   node scripts/buildSearchIndex.mjs
+//
+// Output: public/search/
+//   meta.json           { v, shardKeys, books: [{ id, title, chapters: [{ title, file, paragraphs }] }] }
+//   shards/<xx>.json    { v, terms: { term: [docDelta, nPos, posDelta..., docDelta, nPos, ...] } }
+//
+// A "doc" is one paragraph. Doc ids run book by book, chapter by chapter,
+// paragraph by paragraph in meta order, so the client recovers
+// (book, chapter, paragraph) from prefix sums of `paragraphs` counts.
+// Positions are word offsets within the paragraph; both doc ids and
+// positions are delta-encoded to keep the JSON small.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { INDEX_VERSION, tokenize, isIndexed, shardKey } from '../src/utils/searchTokens.js';
+import { paragraphText } from '../src/utils/richText.js';
+
+const ROOT = process.cwd();
+const BOOKS_DIR = path.join(ROOT, 'public', 'books');
+const LIB_PATH = path.join(ROOT, 'public', 'content', 'library.json');
+const OUT_DIR = path.join(ROOT, 'public', 'search');
+
+function log(...a){ console.log('[search-index]', ...a); }
+
+async function readJSON(file) {
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+async function bookDirs() {
+  const names = await fs.readdir(BOOKS_DIR).catch(() => []);
+  return names.filter(n => /^pg-\d+$/.test(n)).sort((a, b) => Number(a.slice(3)) - Number(b.slice(3)));
+}
+
+async function main() {
+  const library = await readJSON(LIB_PATH).catch(() => []);
+  const titleById = new Map(library.map(b => [String(b.gutenbergId), b.title]));
+
+  const books = [];
+  const postings = new Map(); // term -> flat [doc, nPos, pos..., ...] (absolute, encoded later)
+  let docId = 0;
+
+  for (const dir of await bookDirs()) {
+    const manifest = await readJSON(path.join(BOOKS_DIR, dir, 'manifest.json')).catch(() => null);
+    if (!manifest || !Array.isArray(manifest.chapters)) { log(`skip ${dir} (no manifest)`); continue; }
+
+    const id = String(manifest.id || dir.slice(3));
+    const book = { id, title: titleById.get(id) || manifest.title || dir, chapters: [] };
+
+    for (const ch of manifest.chapters) {
+      const data = await readJSON(path.join(BOOKS_DIR, dir, ch.file)).catch(() => null);
+      const paras = Array.isArray(data?.paragraphs) ? data.paragraphs : [];
+      book.chapters.push({ title: ch.title, file: ch.file, paragraphs: paras.length });
+
+      for (const para of paras) {
+        const byTerm = new Map();
+        for (const t of tokenize(paragraphText(para))) {
+          if (!isIndexed(t.term)) continue;
+          if (!byTerm.has(t.term)) byTerm.set(t.term, []);
+          byTerm.get(t.term).push(t.pos);
+        }
+        for (const [term, positions] of byTerm) {
+          if (!postings.has(term)) postings.set(term, []);
+          const list = postings.get(term);
+          list.push(docId, positions.length, ...positions);
+        }
+        docId++;
+      }
+    }
+    books.push(book);
+    log(`indexed ${dir} — ${book.title}`);
+  }
+
+  // Encode and group into shards
+  const shards = new Map();
+  for (const [term, flat] of postings) {
+    const enc = [];
+    let prevDoc = 0;
+    for (let i = 0; i < flat.length; ) {
+      const doc = flat[i], n = flat[i + 1];
+      enc.push(doc - prevDoc, n);
+      prevDoc = doc;
+      let prevPos = 0;
+      for (let k = 0; k < n; k++) {
+        const p = flat[i + 2 + k];
+        enc.push(p - prevPos);
+        prevPos = p;
+      }
+      i += 2 + n;
+    }
+    const key = shardKey(term);
+    if (!shards.has(key)) shards.set(key, {});
+    shards.get(key)[term] = enc;
+  }
+
+  await fs.rm(OUT_DIR, { recursive: true, force: true });
+  await fs.mkdir(path.join(OUT_DIR, 'shards'), { recursive: true });
+
+  let bytes = 0;
+  for (const [key, terms] of shards) {
+    const body = JSON.stringify({ v: INDEX_VERSION, terms });
+    bytes += body.length;
+    await fs.writeFile(path.join(OUT_DIR, 'shards', `${key}.json`), body, 'utf8');
+  }
+  const shardKeys = [...shards.keys()].sort();
+  await fs.writeFile(path.join(OUT_DIR, 'meta.json'), JSON.stringify({ v: INDEX_VERSION, docs: docId, shardKeys, books }), 'utf8');
+
+  log(`✔ ${books.length} books, ${docId} paragraphs, ${postings.size} terms, ${shardKeys.length} shards (${(bytes / 1024 / 1024).toFixed(1)} MB)`);
+}
+
+main().catch(e => { console.error(e); process.exit(1); });
@@ -0,0 +1,121 @@
+// scripts/buildUniverse.mjs
+// Link the characters and places that recur across the library into one
+// "Wodehouse universe": which books each appears in, and who turns up
+// alongside whom. Reads every book's entities.json (see
+// scripts/buildEntityIndex.mjs) plus the `series` buckets from library.json.
+// Usage:
+//   node scripts/buildUniverse.mjs
+//
+// Output: public/content/universe.json
+//   { v, books: [{ id, title, series }],
+//     entities: [{ name, kind, series: [..], mentions,
+//                  books: [[bookId, mentions, firstChapterIndex], ...] }],
+//     edges: [[entityA, entityB, weight], ...] }
+// Entities are linked by name. An edge's weight is the number of paragraphs,
+// across all books, that mention both ends; a and b index `entities`.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { ENTITY_FILE } from '../src/utils/entityIndex.js';
+
+const ROOT = process.cwd();
+const BOOKS_DIR = path.join(ROOT, 'public', 'books');
+const LIB_PATH = path.join(ROOT, 'public', 'content', 'library.json');
+const OUT = path.join(ROOT, 'public', 'content', 'universe.json');
+
+const UNIVERSE_VERSION = 1;
+const MIN_WORKS = 2;      // an entity must recur in at least this many works
+const MAX_ENTITIES = 300;
+const MIN_EDGE_WEIGHT = 2;
+const MAX_EDGES = 2000;
+
+function log(...a){ console.log('[universe]', ...a); }
+
+async function readJSON(file) {
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+// Reissues of one work ("Love Among the Chickens" and "...: A Story of the
+// Haps and Mishaps...") count once towards recurrence
+const workKey = (title) => String(title || '').split(/[:;]/)[0].replace(/[^a-z0-9]+/gi, ' ').trim().toLowerCase();
+
+async function main() {
+  const library = await readJSON(LIB_PATH).catch(() => []);
+  const libById = new Map(library.map(b => [String(b.gutenbergId), b]));
+
+  const books = [];
+  const indexes = [];
+  const names = await fs.readdir(BOOKS_DIR).catch(() => []);
+  for (const dir of names.filter(n => /^pg-\d+$/.test(n)).sort((a, b) => Number(a.slice(3)) - Number(b.slice(3)))) {
+    const id = dir.slice(3);
+    const index = await readJSON(path.join(BOOKS_DIR, dir, ENTITY_FILE)).catch(() => null);
+    if (!index?.entities) { log(`skip ${dir} (no ${ENTITY_FILE}; run build:entities)`); continue; }
+    const manifest = await readJSON(path.join(BOOKS_DIR, dir, 'manifest.json')).catch(() => ({}));
+    const lib = libById.get(id);
+    books.push({ id, title: lib?.title || manifest.title || dir, series: lib?.series || 'OTHER' });
+    indexes.push(index);
+  }
+
+  // Group each book's entities by name
+  const byName = new Map(); // lowercased name -> { spellings, kinds, appearances: [{ book, entity }] }
+  indexes.forEach((index, book) => {
+    for (const entity of index.entities) {
+      const key = entity.name.toLowerCase();
+      if (!byName.has(key)) byName.set(key, { spellings: new Map(), kinds: { character: 0, place: 0 }, appearances: [] });
+      const g = byName.get(key);
+      g.spellings.set(entity.name, (g.spellings.get(entity.name) || 0) + entity.count);
+      g.kinds[entity.kind] += entity.count;
+      g.appearances.push({ book, entity });
+    }
+  });
+
+  const recurring = [...byName.values()]
+    .filter(g => new Set(g.appearances.map(a => workKey(books[a.book].title))).size >= MIN_WORKS)
+    .map(g => ({ ...g, mentions: g.appearances.reduce((n, a) => n + a.entity.count, 0) }))
+    .sort((x, y) => y.appearances.length - x.appearances.length || y.mentions - x.mentions)
+    .slice(0, MAX_ENTITIES);
+
+  const entities = recurring.map(g => ({
+    name: [...g.spellings.entries()].sort((x, y) => y[1] - x[1])[0][0],
+    kind: g.kinds.place > g.kinds.character ? 'place' : 'character',
+    series: [...new Set(g.appearances.map(a => books[a.book].series))].sort(),
+    mentions: g.mentions,
+    books: g.appearances
+      .map(a => [books[a.book].id, a.entity.count, a.entity.first[0]])
+      .sort((x, y) => y[1] - x[1])
+  }));
+
+  // Co-occurrence: paragraphs of the same book that mention both entities
+  const weights = new Map(); // "a,b" -> weight
+  indexes.forEach((index, book) => {
+    const present = [];
+    recurring.forEach((g, i) => {
+      const a = g.appearances.find(x => x.book === book);
+      if (!a) return;
+      const paras = new Set();
+      for (const [ch, ps] of a.entity.mentions) ps.forEach(p => paras.add(`${ch}:${p}`));
+      present.push([i, paras]);
+    });
+    for (let x = 0; x < present.length; x++) {
+      for (let y = x + 1; y < present.length; y++) {
+        const [i, pi] = present[x];
+        const [j, pj] = present[y];
+        const [small, large] = pi.size < pj.size ? [pi, pj] : [pj, pi];
+        let shared = 0;
+        for (const p of small) if (large.has(p)) shared++;
+        if (!shared) continue;
+        const key = i < j ? `${i},${j}` : `${j},${i}`;
+        weights.set(key, (weights.get(key) || 0) + shared);
+      }
+    }
+  });
+  const edges = [...weights.entries()]
+    .filter(([, w]) => w >= MIN_EDGE_WEIGHT)
+    .sort((x, y) => y[1] - x[1])
+    .slice(0, MAX_EDGES)
+    .map(([key, w]) => [...key.split(',').map(Number), w]);
+
+  await fs.writeFile(OUT, JSON.stringify({ v: UNIVERSE_VERSION, books, entities, edges }), 'utf8');
+  log(`✔ ${entities.length} recurring names across ${books.length} books, ${edges.length} links`);
+}
+
+main().catch(e => { console.error(e); process.exit(1); });
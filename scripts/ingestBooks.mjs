@@ -1,198 +1,332 @@
 // scripts/ingestBooks.mjs
 // Ingest Gutenberg books into static per-chapter JSON under public/books/pg-<id>/
 // Usage:
-//   node scripts/ingestBooks.mjs --id 8164
+//   node scripts/ingestBooks.mjs --id=8164            (or --id=8164,2042)
 //   node scripts/ingestBooks.mjs --all
+// Options:
+//   --source=<dir>     read <dir>/pg<id>-images.html, pg<id>.html, pg<id>.txt,
+//                      <id>.html, <id>.txt or <id>-0.txt instead of the network
+//   --concurrency=N    books in flight at once (default 3)
+//   --retries=N        retries per download, with backoff (default 3)
+//   --force            re-ingest even when nothing changed
+//   --dry-run          fetch and chapterize, but write nothing
+//
+// Incremental: each manifest records its source (URL, ETag, SHA-256 of the
+// text) plus the chapterizer and normalizer versions. A book is skipped when
+// both versions are current and the source is unchanged (a 304 for its ETag,
+// or the same hash). A book is written to pg-<id>.partial/ and swapped in
+// whole, so an interrupted run leaves every book old or new, never half of
+// each, and simply re-running it resumes (putting back a book whose swap
+// was cut short).
+//
+// Books the catalogue policy (src/utils/catalogue.json) denies are skipped,
+// judged on the author their manifest would carry.
+//
+// The steps are exported for test/ingestBooks.test.js; main() only runs when
+// this file is the script being run.
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import crypto from 'node:crypto';
+import { pathToFileURL } from 'node:url';
 import fetch from 'node-fetch';
+import { JSDOM } from 'jsdom';
+import { buildEntityIndex, ENTITY_FILE } from '../src/utils/entityIndex.js';
+import { chapterize, htmlToText, sliceBetweenMarkers, CHAPTERIZER_VERSION } from '../src/utils/chapterizer.js';
+import { newReport, normalizeBook, normalizeSource, NORMALIZER_VERSION } from '../src/utils/normalizeText.js';
+import { withBackoff } from '../src/utils/backoff.js';
+import { catalogueVerdict } from '../src/utils/catalogue.js';
 
 const ROOT = process.cwd();
 const LIB_PATH = path.join(ROOT, 'public', 'content', 'library.json');
+const BOOKS_DIR = path.join(ROOT, 'public', 'books');
 
-const START_RE = /^\s*[*]{3}\s*START OF (THIS|THE) PROJECT GUTENBERG EBOOK[\s\S]*?[*]{3}\s*$/mi;
-const END_RE   = /^\s*[*]{3}\s*END OF (THIS|THE) PROJECT GUTENBERG EBOOK[\s\S]*?[*]{3}\s*$/mi;
-const FIRST_CHAPTER_RE = /\n\s*(?:CHAPTER|Chapter)\s+(?:[IVXLCDM]+|\d+)(?:\.[^\n]*)?\s*\n/;
+const FETCH_TIMEOUT_MS = 60000;
+const BACKOFF_MS = 1000;
 
 function log(...a){ console.log('[ingest]', ...a); }
 
-function sliceBetweenMarkers(str) {
-  const start = str.search(START_RE);
-  const end = str.search(END_RE);
-  if (start !== -1 && end !== -1 && end > start) {
-    const afterStart = str.slice(start);
-    const firstLineLen = (afterStart.match(/^[^\n]*\n/) || [''])[0].length;
-    return str.slice(start + firstLineLen, end).trim();
-  }
-  return str.trim();
+function isHtml(mime) {
+  const m = (mime || '').toLowerCase();
+  return m.includes('text/html') || m.includes('application/xhtml+xml');
 }
 
-function stripTagsToText(html) {
-  let s = html.replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '')
-              .replace(/<style\b[^>]*>[\s\S]*?<\/style>/gi, '');
-  s = s.replace(/<(?:br|BR)\s*\/?>/g, '\n')
-       .replace(/<\/p>/gi, '\n\n')
-       .replace(/<\/h[1-6]>/gi, '\n\n');
-  s = s.replace(/<[^>]+>/g, '');
-  const map = {'&nbsp;':' ','&amp;':'&','&lt;':'<','&gt;':'>','&quot;':'"','&#39;':"'",'&rsquo;':'’','&lsquo;':'‘','&rdquo;':'”','&ldquo;':'“','&hellip;':'…','&mdash;':'—','&ndash;':'–'};
-  s = s.replace(/&(nbsp|amp|lt|gt|quot|#39|rsquo|lsquo|rdquo|ldquo|hellip|mdash|ndash);/g, m => map[m] || m);
-  s = s.replace(/\n{3,}/g, '\n\n');
-  return s.trim();
+async function readJSON(file) {
+  return JSON.parse(await fs.readFile(file, 'utf8'));
 }
 
-function stripFrontMatterToFirstChapter(text) {
-  const idx = text.search(FIRST_CHAPTER_RE);
-  return idx !== -1 ? text.slice(idx).trim() : text.trim();
+async function writeJSON(file, obj) {
+  await fs.writeFile(file, JSON.stringify(obj, null, 2), 'utf8');
 }
 
-function chapterize(body) {
-  // 1) Strict chapters
-  const parts1 = body.split(/\n\s*(?:CHAPTER|Chapter)\s+(?:[IVXLCDM]+|\d+)(?:\.[^\n]*)?\s*\n/);
-  if (parts1.length > 1) {
-    return parts1.map((p, i) => ({ title: `Chapter ${i || 1}`, text: p.trim() }))
-                 .filter(c => c.text);
-  }
-  // 2) Story headings in ALL CAPS
-  const storySplit = body.split(/\n{1,3}([A-Z][A-Z '\-:.0-9]{4,})\n{1,3}/);
-  if (storySplit.length > 1) {
-    const chapters = [];
-    for (let i = 1; i < storySplit.length; i += 2) {
-      const t = (storySplit[i] || '').trim();
-      const c = (storySplit[i+1] || '').trim();
-      if (t && c) chapters.push({ title: t, text: c });
-    }
-    if (chapters.length) return chapters;
-  }
-  // 3) Fallback: chunk by paragraphs (~60 paras)
-  const paras = body.split(/\n{2,}/);
-  const size = 60;
-  const out = [];
-  for (let i = 0; i < paras.length; i += size) {
-    const slice = paras.slice(i, i + size).join('\n\n').trim();
-    if (slice) out.push({ title: `Part ${1 + (i/size|0)}`, text: slice });
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+/**
+ * Download the first of `urls` that exists. Resolves to { url, raw, html, etag },
+ * or { notModified: true } when `etag` still matches the first URL.
+ * `fetchImpl` and `backoff` (ms) are there for tests.
+ */
+export async function fetchRemote(urls, { etag = null, retries = 3, fetchImpl = fetch, backoff = BACKOFF_MS } = {}) {
+  const headers = { 'User-Agent': 'PGWAIReader Ingest (Script)' };
+  let lastStatus = 0;
+  for (const [i, url] of urls.entries()) {
+    const res = await withBackoff(async () => {
+      const r = await fetchImpl(url, {
+        headers: i === 0 && etag ? { ...headers, 'If-None-Match': etag } : headers,
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+      });
+      // Busy or failing: worth another try. Anything else is an answer
+      if (r.status === 429 || r.status >= 500) throw new Error(`HTTP ${r.status} for ${url}`);
+      return r;
+    }, { retries, base: backoff });
+    if (res.status === 304) return { notModified: true };
+    if (!res.ok) { lastStatus = res.status; continue; }
+    return { url, raw: await res.text(), html: isHtml(res.headers.get('content-type')), etag: res.headers.get('etag') };
   }
-  return out;
+  throw new Error(`Fetch failed ${lastStatus} for ${urls[0]}`);
 }
 
-function paragraphs(text) {
-  return text.split(/\n{2,}/).map(p => p.trim()).filter(Boolean);
+// A previously downloaded copy in `dir`, HTML first like the network
+export async function readLocal(dir, id) {
+  const names = [`pg${id}-images.html`, `pg${id}.html`, `${id}.html`, `pg${id}.txt`, `${id}.txt`, `${id}-0.txt`];
+  for (const name of names) {
+    const raw = await fs.readFile(path.join(dir, name), 'utf8').catch(() => null);
+    if (raw != null) return { url: `file:${name}`, raw, html: name.endsWith('.html'), etag: null };
+  }
+  throw new Error(`No ${names.join(' / ')} in ${dir}`);
 }
 
-function isHtml(mime) {
-  const m = (mime || '').toLowerCase();
-  return m.includes('text/html') || m.includes('application/xhtml+xml');
+async function fetchSource(id, prev, opts) {
+  if (opts.source) return readLocal(opts.source, id);
+  // HTML first: its italics, letters, verse and scene breaks survive into
+  // the chapter files (the plain text only marks some of them)
+  const urls = [
+    `https://www.gutenberg.org/cache/epub/${id}/pg${id}-images.html`,
+    `https://www.gutenberg.org/ebooks/${id}.txt.utf-8`,
+    `https://www.gutenberg.org/cache/epub/${id}/pg${id}.txt`
+  ];
+  // Ask for the URL the current files came from first, so an ETag can answer
+  const known = prev?.url && urls.includes(prev.url) ? [prev.url, ...urls.filter(u => u !== prev.url)] : urls;
+  return fetchRemote(known, { etag: prev?.etag, retries: opts.retries, fetchImpl: opts.fetchImpl, backoff: opts.backoff });
 }
 
-async function fetchBest(id) {
-  const textUtf = `https://www.gutenberg.org/ebooks/${id}.txt.utf-8`;
-  const textAlt = `https://www.gutenberg.org/cache/epub/${id}/pg${id}.txt`;
-  const htmlUrl = `https://www.gutenberg.org/cache/epub/${id}/pg${id}-images.html`;
-
-  const headers = { 'User-Agent': 'PGWAIReader Ingest (Script)' };
-  let res = await fetch(textUtf, { headers });
-  if (!res.ok) { res = await fetch(htmlUrl, { headers }); }
-  if (!res.ok) { res = await fetch(textAlt, { headers }); }
-  if (!res.ok) throw new Error(`Fetch failed ${res.status} for ${textUtf}`);
-
-  const mime = res.headers.get('content-type') || '';
-  if (isHtml(mime)) {
-    const html = await res.text();
-    const sliced = sliceBetweenMarkers(html);
-    const txt = stripTagsToText(sliced);
-    return stripFrontMatterToFirstChapter(txt);
-  } else {
-    const raw = await res.text();
-    return stripFrontMatterToFirstChapter(sliceBetweenMarkers(raw));
-  }
+/**
+ * The source a book's files were built from, when they can be kept if it
+ * hasn't changed: null when they were made by an older chapterizer or
+ * normalizer (or `force` says to rebuild anyway).
+ */
+export function reusableSource(manifest, { force = false } = {}) {
+  if (force || !manifest?.source) return null;
+  if (manifest.chapterizer !== CHAPTERIZER_VERSION || manifest.normalizer !== NORMALIZER_VERSION) return null;
+  return manifest.source;
 }
 
-async function ensureDir(dir) {
-  await fs.mkdir(dir, { recursive: true });
+/** Why a fetched source needs no re-ingest, or null when it does. */
+export function skipReason(prev, fetched, hash) {
+  if (fetched.notModified) return 'not modified (ETag)';
+  if (prev?.hash && prev.hash === hash) return 'same content hash';
+  return null;
 }
 
-async function writeJSON(file, obj) {
-  await fs.writeFile(file, JSON.stringify(obj, null, 2), 'utf8');
+// Swap pg-<id>.partial/ in for pg-<id>/, by way of pg-<id>.old/
+export async function swapIn(partial, outDir) {
+  const old = `${outDir}.old`;
+  await fs.rm(old, { recursive: true, force: true });
+  const had = await fs.rename(outDir, old).then(() => true, () => false);
+  await fs.rename(partial, outDir);
+  if (had) await fs.rm(old, { recursive: true, force: true });
 }
 
-async function ingestOne(entry) {
-  const id = entry.gutenbergId || entry.id || entry.gid;
-  if (!id) throw new Error('Missing Gutenberg ID.');
-  const title = entry.title || 'Untitled';
-  const author = entry.author || 'P. G. Wodehouse';
-
-  log(`Ingesting ${id} — ${title}`);
-
-  const text = await fetchBest(id);
-  const chaps = chapterize(text);
+/**
+ * Undo what an interrupted run left behind: pg-<id>.old/ with no pg-<id>/
+ * (stopped mid-swap) goes back in place, a spare pg-<id>.old/ or
+ * pg-<id>.partial/ goes. Returns what it did, for the log.
+ */
+export async function recoverInterrupted(outDir) {
+  const exists = (p) => fs.stat(p).then(() => true, () => false);
+  const old = `${outDir}.old`;
+  const done = [];
+  if (await exists(old)) {
+    if (await exists(outDir)) await fs.rm(old, { recursive: true, force: true });
+    else { await fs.rename(old, outDir); done.push('restored'); }
+  }
+  if (await exists(`${outDir}.partial`)) {
+    await fs.rm(`${outDir}.partial`, { recursive: true, force: true });
+    done.push('dropped partial');
+  }
+  return done;
+}
 
-  const outDir = path.join(ROOT, 'public', 'books', `pg-${id}`);
-  await ensureDir(outDir);
+/**
+ * Write a chapterized book into `dir`: a file per chapter, the entity index
+ * and the manifest, `meta` (versions, source) going into the manifest after
+ * the table of contents. Resolves to the manifest.
+ */
+export async function writeBook(dir, { id, title, author, chapters, toc }, meta = {}) {
+  await fs.mkdir(dir, { recursive: true });
 
   let totalWords = 0;
   const manifestChapters = [];
+  const chapterParas = [];
 
-  for (let i = 0; i < chaps.length; i++) {
+  for (let i = 0; i < chapters.length; i++) {
     const idx = i + 1;
     const file = `ch-${String(idx).padStart(2, '0')}.json`;
-    const paras = paragraphs(chaps[i].text);
-    const words = chaps[i].text.split(/\s+/).filter(Boolean).length;
+    const { title, paragraphs: paras, illustrations = [], words } = chapters[i];
+    chapterParas.push(paras);
     totalWords += words;
 
-    await writeJSON(path.join(outDir, file), {
+    await writeJSON(path.join(dir, file), {
       index: idx,
-      title: chaps[i].title || `Chapter ${idx}`,
-      paragraphs: paras
+      title,
+      paragraphs: paras,
+      ...(illustrations.length ? { illustrations } : {})
     });
 
     manifestChapters.push({
       index: idx,
-      title: chaps[i].title || `Chapter ${idx}`,
+      title,
       file,
       words
     });
   }
 
-  await writeJSON(path.join(outDir, 'manifest.json'), {
+  // Character and place index for the reader's "Who is this?" card
+  await fs.writeFile(path.join(dir, ENTITY_FILE), JSON.stringify(buildEntityIndex(chapterParas)), 'utf8');
+
+  const manifest = {
     id,
     title,
     author,
     wordCount: totalWords,
     chapters: manifestChapters,
+    toc,
+    ...meta,
+    entities: ENTITY_FILE,
     license: {
       termsUrl: 'https://www.gutenberg.org/policy/license.html',
       landing: `https://www.gutenberg.org/ebooks/${id}`
     }
+  };
+  await writeJSON(path.join(dir, 'manifest.json'), manifest);
+  return manifest;
+}
+
+/**
+ * Fetch, chapterize and write one book. `opts`: { source, retries, force,
+ * dryRun, booksDir, fetchImpl, backoff }. Resolves to { status, detail },
+ * status being 'added', 'updated' or 'skipped'.
+ */
+export async function ingestOne(entry, opts = {}) {
+  const id = entry.gutenbergId || entry.id || entry.gid;
+  if (!id) throw new Error('Missing Gutenberg ID.');
+  const title = entry.title || 'Untitled';
+  const author = entry.author || 'P. G. Wodehouse';
+  const outDir = path.join(opts.booksDir || BOOKS_DIR, `pg-${id}`);
+  // Judged on the author the manifest will carry, as validateBooks.mjs does
+  const verdict = catalogueVerdict({ id, authors: author });
+  if (!verdict.allowed) return { status: 'skipped', detail: verdict.reason };
+
+  if (!opts.dryRun) {
+    const recovered = await recoverInterrupted(outDir);
+    if (recovered.length) log(`  ${id}: interrupted run cleaned up (${recovered.join(', ')})`);
+  }
+  // A dry run leaves an interrupted swap alone, so look at both copies
+  const prevManifest = await readJSON(path.join(outDir, 'manifest.json'))
+    .catch(() => (opts.dryRun ? readJSON(path.join(`${outDir}.old`, 'manifest.json')) : null))
+    .catch(() => null);
+  const prev = reusableSource(prevManifest, opts);
+
+  log(`Ingesting ${id} — ${title}`);
+  const fetched = await fetchSource(id, prev, opts);
+  const hash = fetched.notModified ? null : sha256(fetched.raw);
+  const skip = skipReason(prev, fetched, hash);
+  if (skip) return { status: 'skipped', detail: skip };
+
+  const changes = newReport();
+  const raw = fetched.html ? htmlToText(sliceBetweenMarkers(fetched.raw), { window: new JSDOM('').window }) : fetched.raw;
+  const { chapters: chaps, toc } = normalizeBook(chapterize(normalizeSource(raw, changes)), changes);
+  if (!chaps.length) throw new Error('No chapters found.');
+  log(`  ${id} normalized: ${Object.entries(changes).map(([k, n]) => `${k} ${n}`).join(', ')}`);
+
+  const status = prevManifest ? 'updated' : 'added';
+  const detail = `${chaps.length} chapters from ${fetched.url}`;
+  if (opts.dryRun) return { status, detail };
+
+  const partial = `${outDir}.partial`;
+  await fs.rm(partial, { recursive: true, force: true });
+  const written = await writeBook(partial, { id, title, author, chapters: chaps, toc }, {
+    chapterizer: CHAPTERIZER_VERSION,
+    normalizer: NORMALIZER_VERSION,
+    normalized: changes,
+    source: { url: fetched.url, etag: fetched.etag, hash }
   });
+  await swapIn(partial, outDir);
+
+  log(`✔ Wrote ${written.chapters.length} chapters for ${id}`);
+  return { status, detail };
+}
+
+// Run `worker` over `items`, at most `limit` at a time; results in input order
+export async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+  return results;
+}
 
-  log(`✔ Wrote ${manifestChapters.length} chapters for ${id}`);
+function printSummary(rows, dryRun) {
+  log(dryRun ? 'Summary (dry run: nothing written)' : 'Summary');
+  const width = Math.min(48, Math.max(5, ...rows.map(r => r.title.length)));
+  log(`${'id'.padEnd(7)} ${'status'.padEnd(8)} ${'title'.padEnd(width)} detail`);
+  for (const r of rows) log(`${String(r.id).padEnd(7)} ${r.status.padEnd(8)} ${r.title.slice(0, width).padEnd(width)} ${r.detail}`);
+  const counts = ['added', 'updated', 'skipped', 'failed'].map(s => `${rows.filter(r => r.status === s).length} ${s}`);
+  log(counts.join(', '));
 }
 
 async function main() {
   const args = process.argv.slice(2);
+  const flag = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
   const all = args.includes('--all');
-  const idFlag = args.find(a => a.startsWith('--id='));
-  const id = idFlag ? Number(idFlag.split('=')[1]) : null;
+  const ids = (flag('id') || '').split(',').map(Number).filter(Boolean);
+  const opts = {
+    source: flag('source') ? path.resolve(flag('source')) : null,
+    concurrency: Math.max(1, Number(flag('concurrency')) || 3),
+    retries: Math.max(0, Number(flag('retries') ?? 3) || 0),
+    force: args.includes('--force'),
+    dryRun: args.includes('--dry-run')
+  };
 
-  if (!all && !id) {
+  if (!all && !ids.length) {
     console.log('Usage:');
     console.log('  node scripts/ingestBooks.mjs --id=8164');
-    console.log('  node scripts/ingestBooks.mjs --all');
+    console.log('  node scripts/ingestBooks.mjs --all [--source=<dir>] [--concurrency=3] [--retries=3] [--force] [--dry-run]');
     process.exit(1);
   }
 
-  let entries = [];
-  if (all) {
-    const raw = await fs.readFile(LIB_PATH, 'utf8').catch(() => '[]');
-    const lib = JSON.parse(raw);
-    entries = lib.filter(x => x.gutenbergId); // only PG items
-  } else {
-    entries = [{ gutenbergId: id, title: '(unknown)' }];
-  }
+  const raw = await fs.readFile(LIB_PATH, 'utf8').catch(() => '[]');
+  const lib = JSON.parse(raw).filter(x => x.gutenbergId); // only PG items
+  const entries = all
+    ? lib
+    : ids.map(id => lib.find(x => Number(x.gutenbergId) === id) || { gutenbergId: id, title: '(unknown)' });
 
-  for (const e of entries) {
-    try { await ingestOne(e); }
-    catch (err) { console.error(`✖ Failed ${e.gutenbergId || e.id}:`, err.message); }
-  }
+  const rows = await runPool(entries, opts.concurrency, async (e) => {
+    const row = { id: e.gutenbergId || e.id, title: e.title || 'Untitled' };
+    try { return { ...row, ...(await ingestOne(e, opts)) }; }
+    catch (err) {
+      console.error(`✖ Failed ${row.id}:`, err.message);
+      return { ...row, status: 'failed', detail: err.message };
+    }
+  });
+  printSummary(rows, opts.dryRun);
+  if (rows.some(r => r.status === 'failed')) process.exitCode = 1;
 }
 
-main().catch(e => { console.error(e); process.exit(1); });
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main().catch(e => { console.error(e); process.exit(1); });
+}
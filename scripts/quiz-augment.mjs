@@ -17,6 +17,7 @@
 import fs from "node:fs";
 import path from "node:path";
 import crypto from "node:crypto";
+import { STOPWORDS, norm, tokensWithSpans, properNounPhrases } from "../src/utils/properNouns.js";
 
 const REPO = process.cwd();
 const INPUT = path.join(REPO, "public", "content", "games", "quiz", "Quiz_Questions.txt");
@@ -32,12 +33,6 @@ const CORE_DENY = new Set([
   "bertie's","wooster's","jeeves's","psmith's","ukridge's","jeeves’","bertie’s"
 ]);
 
-const STOPWORDS = new Set(`a an the and or but so yet for nor
-of to in on at by from as with without into onto over under about after before between through during within across behind beyond near since until upon
-is am are was were be been being do does did doing have has had having will would shall should can could may might must
-that this these those there here it its it's he him his she her hers they them their theirs we us our ours you your yours i me my mine
-not no yes if than then too very just only also ever never once again`.split(/\s+/));
-
 function readTSV(p) {
   if (!fs.existsSync(p)) {
     console.error(`Input not found: ${p}`);
@@ -65,7 +60,6 @@ function readTSV(p) {
 function idFor(text) {
   return "q_" + crypto.createHash("sha1").update(text).digest("hex").slice(0, 10);
 }
-function norm(s) { return s.replace(/\s+/g, " ").trim().toLowerCase(); }
 
 function difficulty(ans) {
   const L = ans.replace(/[^A-Za-z]/g, "").length;
@@ -77,13 +71,6 @@ function fillBlank(sentence, answer) {
 }
 
 // --- parsing helpers ---
-const WORD_RE = /[A-Za-z][A-Za-z'’-]*/g;
-function tokensWithSpans(s) {
-  const out = [];
-  let m;
-  while ((m = WORD_RE.exec(s)) !== null) out.push({ w: m[0], a: m.index, b: m.index + m[0].length });
-  return out;
-}
 function isStopCandidate(w) {
   const x = w.toLowerCase();
   if (STOPWORDS.has(x)) return true;
@@ -102,32 +89,6 @@ function quotedPhrases(s) {
   }
   return out;
 }
-function properNounPhrases(s) {
-  // sequences of Capitalized Words (allow hyphen/’s)
-  const toks = tokensWithSpans(s);
-  const phrases = [];
-  for (let i = 0; i < toks.length; ) {
-    const { w, a } = toks[i];
-    if (/^[A-Z][A-Za-z’'-]*$/.test(w)) {
-      let j = i + 1;
-      let end = toks[i].b;
-      const words = [w];
-      while (j < toks.length && /^[A-Z][A-Za-z’'-]*$/.test(toks[j].w)) {
-        words.push(toks[j].w);
-        end = toks[j].b;
-        j++;
-      }
-      const txt = words.join(" ");
-      if (!CORE_DENY.has(norm(txt)) && !words.every(z => STOPWORDS.has(z.toLowerCase()))) {
-        phrases.push({ txt, a, b: end });
-      }
-      i = j;
-    } else i++;
-  }
-  // prefer 2+ words
-  phrases.sort((p, q) => (q.txt.split(" ").length - p.txt.split(" ").length) || (p.a - q.a));
-  return phrases;
-}
 function contentBigrams(s, excludeSet) {
   const toks = tokensWithSpans(s);
   const out = [];
@@ -166,7 +127,7 @@ function buildVariants(sentence, answer) {
   }
 
   // 2) proper-noun phrases
-  for (const { txt, a, b } of properNounPhrases(full)) {
+  for (const { txt, a, b } of properNounPhrases(full, { deny: CORE_DENY })) {
     const nn = norm(txt);
     if (used.has(nn) || CORE_DENY.has(nn)) continue;
     const { q, ans } = makeVariant(full, a, b, txt);
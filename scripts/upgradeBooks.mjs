@@ -0,0 +1,160 @@
+// scripts/upgradeBooks.mjs
+// Bring the books under public/books up to the current chapterizer and
+// normalizer without downloading them again.
+// Usage:
+//   node scripts/upgradeBooks.mjs              (every book)
+//   node scripts/upgradeBooks.mjs --id=2042
+//   node scripts/upgradeBooks.mjs --dry-run
+//
+// Bundles the first ingest script wrote (no `chapterizer` in the manifest)
+// cut the text at its CHAPTER lines and kept the rest as it was fetched.
+// Such a bundle is put back together into the text it was cut from, the
+// CHAPTER lines it dropped restored (their numbers follow on from the
+// heading before, or come from the book's own contents list), and run
+// through chapterize() again.
+// Bundles never normalized (no `normalizer`) then go through normalizeBook(),
+// which works on chapters already split: hard wraps, quotes and dashes.
+// Neither step gives the manifest a `source`: the text was never fetched
+// whole, so the next networked ingestBooks.mjs run replaces the book with
+// one built from Gutenberg's copy.
+// Books are swapped in whole, as ingestBooks.mjs does.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { chapterize, parseNumber, CHAPTERIZER_VERSION } from '../src/utils/chapterizer.js';
+import { newReport, normalizeBook, NORMALIZER_VERSION } from '../src/utils/normalizeText.js';
+import { swapIn, writeBook } from './ingestBooks.mjs';
+
+const ROOT = process.cwd();
+const BOOKS_DIR = path.join(ROOT, 'public', 'books');
+
+function log(...a){ console.log('[upgrade]', ...a); }
+
+async function readJSON(file) {
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+// "CHAPTER IV. A SUBTITLE" at the top of a piece: the first ingest only cut
+// at such a line when it followed a line break, so the book's first one stays
+const HEADING_RE = /^\s*(CHAPTER|Chapter)\s+([IVXLCDM]+|\d+)\b\.?[^\S\n]*([^\n]*)/;
+const PART_LINE_RE = /(?:^|\n)\s*(?:PART|BOOK|Part|Book)\s+[A-Za-z0-9]+\.?\s*$/;
+const LEGACY_TITLE_RE = /^(?:Chapter|Part) \d+$/;
+
+const key = (s) => String(s || '').toLowerCase().replace(/[^a-z]/g, '');
+
+function roman(n) {
+  const digits = [[1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'], [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+  let out = '';
+  for (const [value, numeral] of digits) for (; n >= value; n -= value) out += numeral;
+  return out;
+}
+
+/**
+ * The text a first-ingest bundle was cut from, given its chapter titles and
+ * each chapter's paragraphs joined. Throws for a bundle it can't read.
+ */
+export function legacyText(titles, texts) {
+  if (!titles.every(t => LEGACY_TITLE_RE.test(t))) throw new Error(`not a first-ingest bundle (chapters "${titles.join('", "')}")`);
+  const pieces = texts.map(t => t.replace(/\r\n?/g, '\n'));
+  // Chunked into "Part N"s, or never cut at all: nothing was dropped
+  if (!titles[0].startsWith('Chapter')) return pieces.join('\n\n');
+
+  const headings = pieces.map(p => p.match(HEADING_RE));
+  const first = headings.find(Boolean);
+  const word = first?.[1] || 'CHAPTER';
+  const label = (n) => (first && /^\d/.test(first[2]) ? String(n) : roman(n));
+  // A contents list keeps every other entry: "CHAPTER III. MR BREWSTER..."
+  // says which chapter opens "MR. BREWSTER DELIVERS SENTENCE"
+  const listed = new Map(headings.filter(h => h?.[3]).map(h => [key(h[3]), parseNumber(h[2])]));
+
+  let previous = headings[0] ? parseNumber(headings[0][2]) : 0;
+  return pieces.map((piece, i) => {
+    const text = headings[i] ? piece.replace(/^\s*(CHAPTER|Chapter)\s+/, '$1 ') : piece;
+    if (i === 0) return text;
+    const opening = key(piece.trimStart().split('\n')[0]);
+    let n = listed.get(opening);
+    if (n == null) n = PART_LINE_RE.test(pieces[i - 1]) ? 1 : previous + 1;
+    previous = headings[i] ? parseNumber(headings[i][2]) : n;
+    return `${word} ${label(n)}\n\n${text}`;
+  }).join('\n\n');
+}
+
+// A written book back as chapterize() output, its parts read off the toc
+async function readBook(outDir, manifest) {
+  const parts = [];
+  const partOf = new Map();
+  for (const entry of manifest.toc || []) {
+    if (!entry.children) continue;
+    parts.push({ title: entry.title });
+    for (const child of entry.children) partOf.set(child.chapter, parts.length - 1);
+  }
+  const chapters = [];
+  for (const [i, ch] of manifest.chapters.entries()) {
+    const { title, paragraphs, illustrations = [] } = await readJSON(path.join(outDir, ch.file));
+    chapters.push({ title, part: partOf.get(i) ?? null, paragraphs, illustrations, words: ch.words });
+  }
+  return { chapters, parts };
+}
+
+/**
+ * Upgrade the book in `dir` (pg-<id>). `opts`: { dryRun, booksDir }.
+ * Resolves to { status, detail }, status being 'upgraded' or 'skipped'.
+ */
+export async function upgradeBook(dir, { dryRun = false, booksDir = BOOKS_DIR } = {}) {
+  const outDir = path.join(booksDir, dir);
+  const manifest = await readJSON(path.join(outDir, 'manifest.json'));
+  const done = [];
+  let book = null;
+
+  if (!manifest.chapterizer) {
+    const texts = [];
+    for (const ch of manifest.chapters) texts.push((await readJSON(path.join(outDir, ch.file))).paragraphs.join('\n\n'));
+    book = chapterize(legacyText(manifest.chapters.map(c => c.title), texts));
+    if (!book.chapters.length) throw new Error('No chapters found.');
+    done.push(`${manifest.chapters.length} -> ${book.chapters.length} chapters`);
+  }
+  const changes = newReport();
+  if (!manifest.normalizer) {
+    book = normalizeBook(book || await readBook(outDir, manifest), changes);
+    done.push(`normalized: ${Object.entries(changes).map(([k, n]) => `${k} ${n}`).join(', ')}`);
+  }
+  if (!book) return { status: 'skipped', detail: `chapterizer ${manifest.chapterizer}, normalizer ${manifest.normalizer}` };
+  if (dryRun) return { status: 'upgraded', detail: done.join('; ') };
+
+  const partial = `${outDir}.partial`;
+  await fs.rm(partial, { recursive: true, force: true });
+  await writeBook(partial, { id: manifest.id, title: manifest.title, author: manifest.author, chapters: book.chapters, toc: book.toc }, {
+    chapterizer: manifest.chapterizer || CHAPTERIZER_VERSION,
+    normalizer: NORMALIZER_VERSION,
+    normalized: changes
+  });
+  await swapIn(partial, outDir);
+  return { status: 'upgraded', detail: done.join('; ') };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const idFlag = args.find(a => a.startsWith('--id='));
+  const dryRun = args.includes('--dry-run');
+  const names = await fs.readdir(BOOKS_DIR).catch(() => []);
+  const dirs = names.filter(n => /^pg-\d+$/.test(n) && (!idFlag || n === `pg-${idFlag.slice(5)}`))
+    .sort((a, b) => Number(a.slice(3)) - Number(b.slice(3)));
+
+  const counts = { upgraded: 0, skipped: 0, failed: 0 };
+  for (const dir of dirs) {
+    try {
+      const { status, detail } = await upgradeBook(dir, { dryRun });
+      counts[status]++;
+      log(`${dir.padEnd(9)} ${status.padEnd(8)} ${detail}`);
+    } catch (err) {
+      counts.failed++;
+      console.error(`✖ Failed ${dir}:`, err.message);
+    }
+  }
+  log(`${dryRun ? '(dry run) ' : ''}${Object.entries(counts).map(([k, n]) => `${n} ${k}`).join(', ')}`);
+  if (counts.failed) process.exitCode = 1;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main().catch(e => { console.error(e); process.exit(1); });
+}
@@ -0,0 +1,160 @@
+// scripts/validateBooks.mjs
+// Check every ingested book under public/books against the JSON schemas in
+// scripts/schemas/, then look for the outliers a poor chapterizer run leaves
+// behind, and score each book out of 100. A book the catalogue policy
+// (src/utils/catalogue.json) denies is an error: it must not ship. The
+// policy file itself is checked against its schema first.
+// Usage:
+//   node scripts/validateBooks.mjs
+//   node scripts/validateBooks.mjs --id=2042
+//
+// Output: reports/book-quality.json
+//   { generatedAt, books: [{ id, title, score, errors: [{ code, message }], warnings: [...] }] }
+// worst first. Exits 1 when any book has errors (schema or consistency);
+// warnings only lower the score.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import Ajv from 'ajv';
+import { catalogueVerdict, CATALOGUE_POLICY } from '../src/utils/catalogue.js';
+import { CHAPTERIZER_VERSION } from '../src/utils/chapterizer.js';
+import { NORMALIZER_VERSION } from '../src/utils/normalizeText.js';
+import { paragraphText } from '../src/utils/richText.js';
+
+const ROOT = process.cwd();
+const BOOKS_DIR = path.join(ROOT, 'public', 'books');
+const SCHEMA_DIR = path.join(ROOT, 'scripts', 'schemas');
+const OUT = path.join(ROOT, 'reports', 'book-quality.json');
+
+const MAX_CHAPTER_WORDS = 10000;
+const MAX_PARAGRAPH_WORDS = 2000;  // a chapter left as one block of text
+const WORD_TOLERANCE = 0.01;       // manifest counts may drift this much from the text
+const FRONT_MATTER_CHARS = 1500;
+const FRONT_MATTER_RE = /project gutenberg|produced by|transcriber'?s note|\bcontents\b|list of illustrations|copyright|all rights reserved|first published|^\s*page\s*$/im;
+
+// Points off per issue, and the most any one kind can cost
+const PENALTIES = {
+  'schema': [25, 50], 'missing-file': [25, 50], 'chapter-mismatch': [10, 30], 'empty-chapter': [15, 45],
+  'word-count': [5, 20], 'toc': [10, 20],
+  'long-chapter': [5, 25], 'duplicate-title': [5, 20], 'front-matter': [15, 15], 'long-paragraph': [10, 30],
+  'stale-chapterizer': [10, 10], 'stale-normalizer': [5, 5], 'denied': [100, 100]
+};
+const ERRORS = new Set(['denied', 'schema', 'missing-file', 'chapter-mismatch', 'empty-chapter', 'word-count', 'toc']);
+
+function log(...a){ console.log('[validate]', ...a); }
+
+async function readJSON(file) {
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+const countWords = (s) => s.split(/\s+/).filter(Boolean).length;
+const schemaErrors = (validate) => (validate.errors || []).map(e => `${e.instancePath || '/'} ${e.message}`).slice(0, 5).join('; ');
+
+function score(issues) {
+  const lost = new Map();
+  for (const { code } of issues) {
+    const [each, cap] = PENALTIES[code] || [5, 5];
+    lost.set(code, Math.min(cap, (lost.get(code) || 0) + each));
+  }
+  return Math.max(0, 100 - [...lost.values()].reduce((a, b) => a + b, 0));
+}
+
+async function checkBook(dir, { validateManifest, validateChapter }) {
+  const issues = [];
+  const flag = (code, message) => issues.push({ code, message });
+  const manifest = await readJSON(path.join(BOOKS_DIR, dir, 'manifest.json')).catch(e => { flag('missing-file', `manifest.json: ${e.message}`); return null; });
+  const result = (title) => ({
+    id: dir.slice(3),
+    title,
+    score: score(issues),
+    errors: issues.filter(i => ERRORS.has(i.code)),
+    warnings: issues.filter(i => !ERRORS.has(i.code))
+  });
+  const verdict = catalogueVerdict({ id: dir.slice(3), authors: manifest?.author });
+  if (!verdict.allowed) flag('denied', `the catalogue policy keeps it out (${verdict.reason})`);
+  if (!manifest) return result(dir);
+  if (!validateManifest(manifest)) {
+    flag('schema', `manifest.json: ${schemaErrors(validateManifest)}`);
+    if (!Array.isArray(manifest.chapters)) return result(manifest.title || dir);
+  }
+
+  let total = 0;
+  const seen = new Map();
+  for (const [i, entry] of manifest.chapters.entries()) {
+    const label = `${entry.file} ("${entry.title}")`;
+    seen.set(entry.title, [...(seen.get(entry.title) || []), entry.index]);
+    const chapter = await readJSON(path.join(BOOKS_DIR, dir, String(entry.file))).catch(e => { flag('missing-file', `${entry.file}: ${e.message}`); return null; });
+    if (!chapter) continue;
+    if (!validateChapter(chapter)) { flag('schema', `${entry.file}: ${schemaErrors(validateChapter)}`); continue; }
+    if (chapter.index !== entry.index || chapter.title !== entry.title) {
+      flag('chapter-mismatch', `${entry.file} is "${chapter.index}. ${chapter.title}", the manifest says "${entry.index}. ${entry.title}"`);
+    }
+
+    const texts = chapter.paragraphs.map(paragraphText);
+    const words = texts.reduce((n, t) => n + countWords(t), 0);
+    total += words;
+    if (!words) { flag('empty-chapter', `${label} has no text`); continue; }
+    if (Math.abs(words - entry.words) > Math.max(1, words * WORD_TOLERANCE)) {
+      flag('word-count', `${label}: manifest says ${entry.words} words, the text has ${words}`);
+    }
+    if (words > MAX_CHAPTER_WORDS) flag('long-chapter', `${label} has ${words} words`);
+    const longest = Math.max(...texts.map(countWords));
+    if (longest > MAX_PARAGRAPH_WORDS) flag('long-paragraph', `${label} has a paragraph of ${longest} words`);
+    if (i === 0) {
+      const opening = texts.join('\n\n').slice(0, FRONT_MATTER_CHARS);
+      const m = opening.match(FRONT_MATTER_RE);
+      if (m) flag('front-matter', `${label} opens with front matter ("${m[0].trim()}")`);
+    }
+  }
+
+  for (const [title, indexes] of seen) {
+    if (indexes.length > 1) flag('duplicate-title', `"${title}" is the title of chapters ${indexes.join(', ')}`);
+  }
+  if (Math.abs(total - manifest.wordCount) > Math.max(1, total * WORD_TOLERANCE)) {
+    flag('word-count', `wordCount is ${manifest.wordCount}, the chapters add up to ${total}`);
+  }
+  const tocChapters = (manifest.toc || []).flatMap(e => (e.children ? e.children.map(c => c.chapter) : [e.chapter]));
+  const outside = tocChapters.filter(n => !(n >= 0 && n < manifest.chapters.length));
+  if (outside.length) flag('toc', `contents point at chapters that don't exist: ${outside.join(', ')}`);
+  if ((manifest.chapterizer || 0) < CHAPTERIZER_VERSION) {
+    flag('stale-chapterizer', `chapterized by version ${manifest.chapterizer || 1}, current is ${CHAPTERIZER_VERSION}`);
+  }
+  if ((manifest.normalizer || 0) < NORMALIZER_VERSION) {
+    flag('stale-normalizer', manifest.normalizer ? `normalized by version ${manifest.normalizer}, current is ${NORMALIZER_VERSION}` : 'never normalized (entities, line endings, quotes and dashes as fetched)');
+  }
+  return result(manifest.title || dir);
+}
+
+async function main() {
+  const idFlag = process.argv.slice(2).find(a => a.startsWith('--id='));
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+  const validateManifest = ajv.compile(await readJSON(path.join(SCHEMA_DIR, 'manifest.schema.json')));
+  const validateChapter = ajv.compile(await readJSON(path.join(SCHEMA_DIR, 'chapter.schema.json')));
+  const validateCatalogue = ajv.compile(await readJSON(path.join(SCHEMA_DIR, 'catalogue.schema.json')));
+  if (!validateCatalogue(CATALOGUE_POLICY)) {
+    log(`✖ src/utils/catalogue.json: ${schemaErrors(validateCatalogue)}`);
+    process.exitCode = 1;
+  }
+
+  const names = await fs.readdir(BOOKS_DIR).catch(() => []);
+  const dirs = names.filter(n => /^pg-\d+$/.test(n) && (!idFlag || n === `pg-${idFlag.slice(5)}`))
+    .sort((a, b) => Number(a.slice(3)) - Number(b.slice(3)));
+  if (!dirs.length) { log('no books to check'); return; }
+
+  const books = [];
+  for (const dir of dirs) books.push(await checkBook(dir, { validateManifest, validateChapter }));
+  books.sort((a, b) => a.score - b.score || Number(a.id) - Number(b.id));
+
+  for (const b of books) {
+    log(`${String(b.score).padStart(3)}  pg-${b.id.padEnd(6)} ${b.title.slice(0, 48).padEnd(48)} ${b.errors.length} errors, ${b.warnings.length} warnings`);
+    for (const e of b.errors) log(`       ✖ ${e.code}: ${e.message}`);
+  }
+  await fs.mkdir(path.dirname(OUT), { recursive: true });
+  await fs.writeFile(OUT, JSON.stringify({ generatedAt: new Date().toISOString(), books }, null, 2), 'utf8');
+
+  const failing = books.filter(b => b.errors.length);
+  const mean = Math.round(books.reduce((n, b) => n + b.score, 0) / books.length);
+  log(`${failing.length ? '✖' : '✔'} ${books.length} books, mean score ${mean}, ${failing.length} with errors — report in ${path.relative(ROOT, OUT)}`);
+  if (failing.length) process.exitCode = 1;
+}
+
+main().catch(e => { console.error(e); process.exit(1); });
@@ -1,59 +1,22 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect } from 'react';
+import { Routes, Route, Navigate, useLocation, useNavigate, matchPath } from 'react-router-dom';
 import Games from "./views/Games.jsx";
-
-/* =========================
-   Phase 1 Utilities (cache, metrics, backoff)
-   ========================= */
-
-// Dictionary cache (30-day TTL)
-const DICT_CACHE_KEY = 'wair_dict_v1';
-const DICT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
-
-function readDictCache() {
-  try { return JSON.parse(localStorage.getItem(DICT_CACHE_KEY) || '{}'); }
-  catch { return {}; }
-}
-function writeDictCache(obj) {
-  localStorage.setItem(DICT_CACHE_KEY, JSON.stringify(obj));
-}
-function getCachedWord(word) {
-  const c = readDictCache()[word];
-  if (!c) return null;
-  if ((Date.now() - c.t) > DICT_TTL_MS) return null;
-  return c.v; // entries
-}
-function putCachedWord(word, entries) {
-  const c = readDictCache();
-  c[word] = { t: Date.now(), v: entries };
-  writeDictCache(c);
-}
-
-// Simple metrics (local only; used later for Games/Stats)
-const METRICS_KEY = 'wair_metrics_v1';
-function logMetric(kind, ms = 0) {
-  const m = JSON.parse(localStorage.getItem(METRICS_KEY) || '{"ok":0,"fail":0,"cache":0,"net":0,"ms":0,"n":0}');
-  if (kind === 'ok') m.ok++;
-  if (kind === 'fail') m.fail++;
-  if (kind === 'cache') m.cache++;
-  if (kind === 'net') m.net++;
-  if (ms) { m.ms += ms; m.n += 1; }
-  localStorage.setItem(METRICS_KEY, JSON.stringify(m));
-}
-
-// Backoff wrapper
-async function withBackoff(task, { retries = 3, base = 300 } = {}) {
-  let attempt = 0;
-  while (true) {
-    try { return await task(); }
-    catch (e) {
-      if (attempt >= retries) throw e;
-      const jitter = Math.random() * 100;
-      const wait = base * Math.pow(2, attempt) + jitter; // 300, ~700, ~1500ms
-      await new Promise(r => setTimeout(r, wait));
-      attempt++;
-    }
-  }
-}
+import Universe from "./views/Universe.jsx";
+import { loadBook, loadChapter, isChapterLoaded, withChapterContent } from './utils/bookLoader';
+import OfflineStoragePanel from './components/OfflineStoragePanel.jsx';
+import SyncPanel from './components/SyncPanel.jsx';
+import ProfilePanel from './components/ProfilePanel.jsx';
+import LibrarySearch from './components/LibrarySearch.jsx';
+import BookReader from './components/BookReader.jsx';
+import { loadProgress } from './utils/indexedDb';
+import { startAutoSync } from './utils/sync';
+import { summarizeChapter } from './utils/summaries';
+import { buildRecap } from './utils/recap';
+import {
+  READER_THEMES, READER_FONTS, READER_MARGINS, FONT_SIZE_RANGE, LINE_HEIGHT_RANGE, PARAGRAPH_SPACING_RANGE,
+  DEFAULT_PREFS, loadReaderPrefs, saveReaderPrefs, readerStyle, applyTheme
+} from './utils/readerPrefs';
+import { libraryPath, bookPath, bookRouteId, parseBookLocation, gamesPath, universePath } from './utils/routes';
 
 /* ----------------------
    Small UI helper components
@@ -129,34 +92,6 @@ const LegalDisclaimer = ({ open, onToggle }) => {
   );
 };
 
-/* ----------------------
-   NEW: License Modal (inline to avoid extra files)
-   ---------------------- */
-const LicenseModal = ({ open, onClose, license }) => {
-  if (!open) return null;
-  return (
-    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-4" onClick={onClose}>
-      <div className="bg-white dark:bg-neutral-900 rounded-2xl shadow-xl max-w-2xl w-full p-6" onClick={(e)=>e.stopPropagation()}>
-        <h2 className="text-xl font-semibold mb-3">About &amp; License</h2>
-        <p className="text-sm opacity-80 mb-4">
-          {license?.sentence || 'Project Gutenberg eBook license applies.'}
-        </p>
-        <div className="flex gap-4">
-          {license?.termsUrl && (
-            <a className="underline" href={license.termsUrl} target="_blank" rel="noreferrer">Full License</a>
-          )}
-          {license?.landing && (
-            <a className="underline" href={license.landing} target="_blank" rel="noreferrer">Book Landing Page</a>
-          )}
-        </div>
-        <button className="mt-6 px-4 py-2 rounded-xl bg-neutral-800 text-white" onClick={onClose}>
-          Close
-        </button>
-      </div>
-    </div>
-  );
-};
-
 /* ----------------------
    Library View (COVER-ONLY grid + Legal Disclaimer)
    ---------------------- */
@@ -164,6 +99,13 @@ const LibraryView = ({ library, onSelectBook, disclaimerOpen, onToggleDisclaimer
   <div className="container mx-auto p-4">
     <LegalDisclaimer open={disclaimerOpen} onToggle={onToggleDisclaimer} />
 
+    <LibrarySearch
+      onOpenResult={(r) => {
+        const book = library.find(b => String(b.gutenbergId) === String(r.bookId));
+        if (book) onSelectBook(book, { chapterIndex: r.chapterIndex, position: { paragraphIndex: r.paragraphIndex, offset: 0 } });
+      }}
+    />
+
     {/* Cover-only grid */}
     <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-4 md:gap-6">
       {library.map(book => (
@@ -187,571 +129,78 @@ const LibraryView = ({ library, onSelectBook, disclaimerOpen, onToggleDisclaimer
 );
 
 /* ----------------------
-   Dictionary Modal
+   Settings & AI panels
    ---------------------- */
-const DictionaryModal = ({ isOpen, word, loading, error, entries, onClose }) => {
+const SettingsPanel = ({ isOpen, onClose, prefs, onPrefsChange }) => {
   if (!isOpen) return null;
-
-  const hasEntries = Array.isArray(entries) && entries.length > 0;
-
-  return (
-    <div className="fixed inset-0 z-50 flex items-end sm:items-center justify-center bg-black/40 p-4" onClick={onClose}>
-      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-2xl p-5" onClick={(e) => e.stopPropagation()}>
-        <div className="flex items-center justify-between mb-3">
-          <h3 className="text-xl font-semibold">Definition: <span className="italic">{word}</span></h3>
-          <button onClick={onClose} className="px-2 py-1 rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">Close</button>
-        </div>
-
-        {loading && (
-          <div className="flex items-center justify-center h-24">
-            <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500"></div>
-          </div>
-        )}
-
-        {!loading && error && <p className="text-red-600">{error}</p>}
-
-        {!loading && !error && !hasEntries && (
-          <p className="text-gray-700 dark:text-gray-300">No definition found.</p>
-        )}
-
-        {!loading && !error && hasEntries && (
-          <div className="prose prose-sm dark:prose-invert max-w-none">
-            {entries.map((entry, idx) => (
-              <div key={idx} className="mb-4">
-                {entry.word && <div className="text-gray-700 dark:text-gray-300 font-semibold">{entry.word}{entry.phonetic ? ` · ${entry.phonetic}` : ''}</div>}
-                {entry.meanings?.map((m, i) => (
-                  <div key={i} className="mt-2">
-                    <div className="font-semibold">{m.partOfSpeech || 'definition'}</div>
-                    <ol className="list-decimal pl-5">
-                      {m.definitions?.slice(0, 3).map((d, j) => (
-                        <li key={j} className="mt-1">
-                          <div>{d.definition}</div>
-                          {d.example && <div className="text-gray-600 italic">“{d.example}”</div>}
-                        </li>
-                      ))}
-                    </ol>
-                  </div>
-                ))}
-              </div>
-            ))}
-          </div>
-        )}
-      </div>
-    </div>
+  const choice = (active) => `px-2 py-1 text-sm rounded border ${active ? 'bg-blue-600 text-white border-blue-600' : 'bg-white dark:bg-gray-900 border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700'}`;
+  const slider = (label, key, [min, max, step], format) => (
+    <label className="block">
+      <span className="flex justify-between text-sm font-semibold">{label}<span className="font-normal opacity-70">{format(prefs[key])}</span></span>
+      <input
+        type="range" min={min} max={max} step={step} value={prefs[key]}
+        onChange={(e) => onPrefsChange({ [key]: Number(e.target.value) })}
+        className="w-full"
+      />
+    </label>
   );
-};
-
-/* ----------------------
-   Reading View (pagination + dictionary + mobile long-press)
-   + License button (new) for PG compliance
-   ---------------------- */
-const ReadingView = ({ book, currentChapterIndex, setCurrentChapterIndex, onBack, onAiSummary, license }) => {
-  if (!book || !Array.isArray(book.chapters) || book.chapters.length === 0) {
-    return (
-      <div className="p-6">
-        <button onClick={onBack} className="text-blue-600 hover:underline mb-4">&larr; Back to Library</button>
-        <div className="text-red-600">Unable to display book — invalid or empty chapters data.</div>
-      </div>
-    );
-  }
-
-  const chapter = book.chapters[currentChapterIndex];
-  const rawParagraphs = Array.isArray(chapter?.content)
-    ? chapter.content
-    : (typeof chapter?.content === 'string' ? chapter.content.split('\n\n') : []);
-
-  // Layout & pagination refs/state
-  const viewportRef = useRef(null);
-  const measurerRef = useRef(null);
-  const [pages, setPages] = useState([]);
-  const [pageIndex, setPageIndex] = useState(0);
-
-  // Dictionary states
-  const [selectedWord, setSelectedWord] = useState('');
-  const [showDefineButton, setShowDefineButton] = useState(false);
-  const [defineBtnPos, setDefineBtnPos] = useState({ x: 0, y: 0 });
-  const [dictLoading, setDictLoading] = useState(false);
-  const [dictError, setDictError] = useState('');
-  const [dictEntries, setDictEntries] = useState(null);
-  const [isDictOpen, setIsDictOpen] = useState(false);
-
-  // License modal
-  const [showLicense, setShowLicense] = useState(false);
-
-  // Offline state
-  const [isOffline, setIsOffline] = useState(!navigator.onLine);
-  useEffect(() => {
-    const go = () => setIsOffline(false);
-    const gone = () => setIsOffline(true);
-    window.addEventListener('online', go);
-    window.addEventListener('offline', gone);
-    return () => { window.removeEventListener('online', go); window.removeEventListener('offline', gone); };
-  }, []);
-
-  // Debounce/lock
-  const lookupLock = useRef(false);
-  const debounceTimer = useRef(null);
-  const debouncedLookup = (word, fn, delay = 250) => {
-    if (debounceTimer.current) clearTimeout(debounceTimer.current);
-    debounceTimer.current = setTimeout(async () => {
-      if (lookupLock.current) return;
-      lookupLock.current = true;
-      try { await fn(word); }
-      finally { lookupLock.current = false; }
-    }, delay);
-  };
-
-  // Sentence splitting
-  const splitIntoSentences = (text) => {
-    const matches = text.match(/[^.!?…]+[.!?…]"?'?\)?\s*/g);
-    return matches || [text];
-  };
-
-  // Pagination core
-  const paginate = () => {
-    const viewport = viewportRef.current;
-    const measurer = measurerRef.current;
-    if (!viewport || !measurer) return;
-
-    const pageComputed = getComputedStyle(viewport);
-    const paddingX = parseFloat(pageComputed.paddingLeft) + parseFloat(pageComputed.paddingRight);
-    const usableWidth = Math.max(0, viewport.clientWidth - paddingX);
-    measurer.style.width = `${usableWidth}px`;
-
-    const maxHeight = viewport.clientHeight;
-
-    const resetMeasurerWith = (paras) => {
-      measurer.innerHTML = '';
-      paras.forEach(t => {
-        const p = document.createElement('p');
-        p.className = 'mb-6 text-justify hyphens-auto break-words';
-        p.textContent = t;
-        measurer.appendChild(p);
-      });
-    };
-
-    const resultPages = [];
-    let currentPage = [];
-
-    const tryAddParagraph = (text) => {
-      resetMeasurerWith(currentPage);
-      const p = document.createElement('p');
-      p.className = 'mb-6 text-justify hyphens-auto break-words';
-      p.textContent = text;
-      measurer.appendChild(p);
-
-      if (measurer.scrollHeight <= maxHeight) {
-        currentPage.push(text);
-        return;
-      }
-
-      // fallback: build paragraph by sentences
-      p.remove();
-      const sentences = splitIntoSentences(text);
-      let paraBuffer = '';
-      const flushParaBufferInto = (arr) => {
-        if (paraBuffer.trim()) arr.push(paraBuffer);
-        paraBuffer = '';
-      };
-
-      for (const s of sentences) {
-        const candidate = paraBuffer ? (paraBuffer + s) : s;
-        resetMeasurerWith([...currentPage, candidate]);
-
-        if (measurer.scrollHeight <= maxHeight) {
-          paraBuffer = candidate;
-        } else {
-          if (currentPage.length || paraBuffer.trim()) {
-            flushParaBufferInto(currentPage);
-            resultPages.push(currentPage);
-          }
-          currentPage = [];
-          paraBuffer = s;
-          resetMeasurerWith([paraBuffer]);
-
-          if (measurer.scrollHeight > maxHeight) {
-            resultPages.push([paraBuffer]);
-            paraBuffer = '';
-            currentPage = [];
-          }
-        }
-      }
-      flushParaBufferInto(currentPage);
-    };
-
-    for (const para of rawParagraphs) tryAddParagraph(para);
-    if (currentPage.length) resultPages.push(currentPage);
-
-    setPages(resultPages);
-    setPageIndex(0);
-  };
-
-  // Re-paginate on chapter change or resize
-  useEffect(() => {
-    paginate();
-    const ro = new ResizeObserver(() => paginate());
-    if (viewportRef.current) ro.observe(viewportRef.current);
-    return () => ro.disconnect();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [currentChapterIndex, chapter]);
-
-  // Navigation
-  const goToNextChapter = () =>
-    setCurrentChapterIndex(Math.min(book.chapters.length - 1, currentChapterIndex + 1));
-  const goToPreviousChapter = () =>
-    setCurrentChapterIndex(Math.max(0, currentChapterIndex - 1));
-  const goToNextPage = () =>
-    setPageIndex(i => Math.min((pages.length || 1) - 1, i + 1));
-  const goToPreviousPage = () =>
-    setPageIndex(i => Math.max(0, i - 1));
-
-  const currentPageParas = pages[pageIndex] || [];
-
-  // Selection handling (desktop)
-  const handleMouseUp = () => {
-    const selection = window.getSelection();
-    const text = selection ? selection.toString() : '';
-    const normalized = normalizeWord(text);
-    if (normalized && selection.rangeCount > 0) {
-      const rect = selection.getRangeAt(0).getBoundingClientRect();
-      const offsetY = 8;
-      setSelectedWord(normalized);
-      setDefineBtnPos({ x: rect.left + rect.width / 2, y: rect.top + window.scrollY - offsetY });
-      setShowDefineButton(true);
-      setIsDictOpen(false);
-    } else {
-      setShowDefineButton(false);
-      setSelectedWord('');
-    }
-  };
-
-  // Helpers
-  const normalizeWord = (str) => {
-    if (!str) return '';
-    let w = str.trim();
-    w = w.replace(/[“”]/g, '"').replace(/[‘’]/g, "'").replace(/[—–]/g, '-');
-    w = w.replace(/^[^A-Za-z]+|[^A-Za-z]+$/g, '');
-    w = w.replace(/('s|’s)$/i, '');
-    if (w.includes("'")) w = w.split("'")[0];
-    if (w.includes("’")) w = w.split("’")[0];
-    w = w.toLowerCase();
-    const m = w.match(/^[a-z][a-z\-]*$/i);
-    return m ? m[0] : '';
-  };
-
-  const getWordFromPoint = (clientX, clientY) => {
-    const range = document.caretRangeFromPoint
-      ? document.caretRangeFromPoint(clientX, clientY)
-      : null;
-    if (!range || !range.startContainer || range.startContainer.nodeType !== Node.TEXT_NODE) return '';
-    const node = range.startContainer;
-    const text = node.textContent || '';
-    if (!text) return '';
-    let start = range.startOffset;
-    let end = range.startOffset;
-    const isWordChar = (ch) => /[A-Za-z\-]/.test(ch);
-    while (start > 0 && isWordChar(text[start - 1])) start--;
-    while (end < text.length && isWordChar(text[end])) end++;
-    return normalizeWord(text.slice(start, end));
-  };
-
-  // Mobile long-press handlers
-  const longPressTimer = useRef(null);
-  const longPressActive = useRef(false);
-  const lastTouchPoint = useRef({ x: 0, y: 0 });
-
-  const handleTouchStart = (e) => {
-    if (!e.touches || e.touches.length === 0) return;
-    const { clientX, clientY } = e.touches[0];
-    lastTouchPoint.current = { x: clientX, y: clientY };
-    longPressActive.current = true;
-
-    longPressTimer.current = window.setTimeout(() => {
-      if (!longPressActive.current) return;
-      const sel = window.getSelection();
-      let word = '';
-      if (sel && sel.toString().trim()) {
-        word = normalizeWord(sel.toString());
-      }
-      if (!word) {
-        word = getWordFromPoint(clientX, clientY);
-      }
-      if (word) {
-        setSelectedWord(word);
-        setDefineBtnPos({ x: clientX, y: window.scrollY + clientY - 8 });
-        setShowDefineButton(true);
-        setIsDictOpen(false);
-      }
-    }, 550);
-  };
-  const handleTouchMove = (e) => {
-    if (!e.touches || e.touches.length === 0) return;
-    const { clientX, clientY } = e.touches[0];
-    const dx = clientX - lastTouchPoint.current.x;
-    const dy = clientY - lastTouchPoint.current.y;
-    if (Math.hypot(dx, dy) > 10) {
-      longPressActive.current = false;
-      if (longPressTimer.current) window.clearTimeout(longPressTimer.current);
-    }
-  };
-  const handleTouchEnd = () => {
-    longPressActive.current = false;
-    if (longPressTimer.current) window.clearTimeout(longPressTimer.current);
-  };
-
-  /** Normalize DictionaryAPI.dev response (client fallback) */
-  const normalizeDictionaryApiClient = (arr) => {
-    if (!Array.isArray(arr)) return [];
-    return arr.map(entry => ({
-      word: entry.word,
-      phonetic: entry.phonetic || (Array.isArray(entry.phonetics) && entry.phonetics[0]?.text) || '',
-      meanings: Array.isArray(entry.meanings)
-        ? entry.meanings.map(m => ({
-            partOfSpeech: m.partOfSpeech || '',
-            definitions: (m.definitions || []).map(d => ({
-              definition: d.definition || '',
-              example: d.example || ''
-            })).filter(d => d.definition)
-          })).filter(m => m.definitions?.length)
-        : []
-    })).filter(e => e.meanings?.length);
-  };
-
-  /**
-   * Dictionary lookup (with cache, offline, backoff, fallback)
-   */
-  const fetchDefinition = async (word) => {
-    if (!word) return;
-    setDictLoading(true);
-    setDictError('');
-    setDictEntries(null);
-    setIsDictOpen(true);
-
-    // Offline? Try cache first.
-    if (isOffline) {
-      const hit = getCachedWord(word);
-      if (hit) {
-        setDictEntries(hit);
-        logMetric('cache');
-        logMetric('ok');
-      } else {
-        setDictError('You appear to be offline. No cached definition available.');
-        setDictEntries([]);
-        logMetric('fail');
-      }
-      setDictLoading(false);
-      return;
-    }
-
-    // Cache check
-    const startMs = performance.now();
-    const cached = getCachedWord(word);
-    if (cached) {
-      setDictEntries(cached);
-      setDictLoading(false);
-      logMetric('cache');
-      logMetric('ok', Math.max(1, Math.round(performance.now() - startMs)));
-      return;
-    }
-
-    try {
-      // Primary: Netlify function (with backoff)
-      const data = await withBackoff(async () => {
-        const resp = await fetch(`/.netlify/functions/define?word=${encodeURIComponent(word)}`, {
-          cache: 'no-cache',
-          headers: { Accept: 'application/json' },
-        });
-        const txt = await resp.text();
-        let json = null;
-        try { json = txt ? JSON.parse(txt) : null; }
-        catch (e) {
-          throw new Error(`Malformed JSON from function. ${e?.message || 'Parse error.'}`);
-        }
-        if (!resp.ok) {
-          throw new Error(`Lookup failed (${resp.status}). ${txt?.slice(0, 200) || 'No body.'}`);
-        }
-        if (!json || !Array.isArray(json.entries)) {
-          throw new Error('Malformed response from function (missing "entries").');
-        }
-        return json;
-      }, { retries: 3, base: 300 });
-
-      const entries = data.entries || [];
-      if (entries.length) {
-        setDictEntries(entries);
-        putCachedWord(word, entries);
-        logMetric('net');
-        logMetric('ok', Math.max(1, Math.round(performance.now() - startMs)));
-        setDictLoading(false);
-        return;
-      }
-
-      const serverError = data.error ? ` Server: ${data.error}` : '';
-
-      // Fallback: direct to DictionaryAPI.dev (CORS OK)
-      try {
-        const r2 = await withBackoff(() => fetch(`https://api.dictionaryapi.dev/api/v2/entries/en/${encodeURIComponent(word)}`, {
-          headers: { 'Accept': 'application/json' }
-        }).then(x => x.json()), { retries: 2, base: 400 });
-
-        const entries2 = normalizeDictionaryApiClient(r2);
-        if (entries2.length) {
-          setDictEntries(entries2);
-          putCachedWord(word, entries2);
-          setDictError(serverError ? `Using fallback.${serverError}` : '');
-          logMetric('net');
-          logMetric('ok', Math.max(1, Math.round(performance.now() - startMs)));
-          setDictLoading(false);
-          return;
-        }
-      } catch {
-        // ignore; we’ll fall through to error below
-      }
-
-      setDictError(serverError || 'No results from providers.');
-      setDictEntries([]);
-      logMetric('fail');
-    } catch (err) {
-      setDictError(err?.message || 'Failed to fetch definition.');
-      setDictEntries([]);
-      logMetric('fail');
-    } finally {
-      setDictLoading(false);
-    }
-  };
-
-  const openDefinition = () => {
-    setShowDefineButton(false);
-    // Debounced + locked
-    debouncedLookup(selectedWord, fetchDefinition);
-  };
-
-  const closeDictionary = () => {
-    setIsDictOpen(false);
-    setDictEntries(null);
-    setDictError('');
-    setDictLoading(false);
-    setSelectedWord('');
-  };
-
   return (
-    <div className="flex flex-col h-[calc(100vh-150px)] bg-gray-50">
-      {/* Offline banner */}
-      {isOffline && (
-        <div className="bg-yellow-100 text-yellow-800 text-sm px-4 py-2 text-center">
-          You appear to be offline. Cached definitions will be used when available.
-        </div>
-      )}
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-20" onClick={onClose}>
+      <div className="absolute top-0 right-0 h-full w-80 bg-white dark:bg-gray-800 shadow-xl p-6 overflow-auto" onClick={(e) => e.stopPropagation()}>
+        <h3 className="text-xl font-bold mb-6">Settings</h3>
 
-      {/* Top bar */}
-      <div className="p-4 border-b border-gray-200 dark:border-gray-700 flex-shrink-0 bg-white">
-        <button onClick={onBack} className="text-blue-600 hover:underline mb-4">&larr; Back to Library</button>
-        <div className="flex justify-between items-center flex-wrap gap-y-2">
-          <div>
-            <h2 className="text-2xl font-bold font-serif">{book.title}</h2>
-            <h3 className="text-lg text-gray-600 dark:text-gray-400">{chapter.title}</h3>
-          </div>
-          <div className="flex items-center gap-3">
-            <button
-              onClick={()=>setShowLicense(true)}
-              className="px-3 py-2 rounded-lg border bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700"
-              title="About & License"
-            >
-              License
-            </button>
-            <button onClick={goToPreviousChapter} disabled={currentChapterIndex === 0} className="px-4 py-2 bg-gray-200 dark:bg-gray-700 rounded disabled:opacity-50">Prev Chapter</button>
-            <span className="flex-shrink-0">Chapter {currentChapterIndex + 1} of {book.chapters.length}</span>
-            <button onClick={goToNextChapter} disabled={currentChapterIndex === book.chapters.length - 1} className="px-4 py-2 bg-gray-200 dark:bg-gray-700 rounded disabled:opacity-50">Next Chapter</button>
-          </div>
+        <h4 className="font-semibold mb-2">Theme</h4>
+        <div className="flex flex-wrap gap-2 mb-5">
+          {Object.entries(READER_THEMES).map(([key, label]) => (
+            <button key={key} onClick={() => onPrefsChange({ theme: key })} className={choice(prefs.theme === key)} aria-pressed={prefs.theme === key}>{label}</button>
+          ))}
         </div>
-      </div>
 
-      {/* Centered page */}
-      <div className="flex-grow overflow-hidden flex items-stretch">
-        <div className="flex-1 flex items-center justify-center">
-          <div
-            ref={viewportRef}
-            className="w-full max-w-3xl mx-auto bg-white rounded-xl shadow-md px-6 sm:px-10 py-6 sm:py-8 overflow-hidden"
-            style={{ height: '100%' }}
-            onMouseUp={handleMouseUp}
-            onTouchStart={handleTouchStart}
-            onTouchMove={handleTouchMove}
-            onTouchEnd={handleTouchEnd}
-          >
-            <article className="prose prose-lg dark:prose-invert max-w-none">
-              {currentPageParas.map((p, i) => (
-                <p key={i} className="text-justify hyphens-auto break-words">{p}</p>
-              ))}
-            </article>
-          </div>
+        <h4 className="font-semibold mb-2">Font</h4>
+        <div className="flex flex-wrap gap-2 mb-5">
+          {Object.entries(READER_FONTS).map(([key, f]) => (
+            <button key={key} onClick={() => onPrefsChange({ font: key })} className={choice(prefs.font === key)} style={{ fontFamily: f.stack }} aria-pressed={prefs.font === key}>{f.label}</button>
+          ))}
         </div>
-      </div>
 
-      {/* Bottom controls */}
-      <div className="p-4 border-t border-gray-200 dark:border-gray-700 flex-shrink-0 bg-white flex justify-between items-center">
-        <button onClick={onAiSummary} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition">
-          Chapter Summary
-        </button>
-        <div className="flex items-center gap-4">
-          <button onClick={goToPreviousPage} disabled={pageIndex === 0} className="px-4 py-2 bg-gray-200 dark:bg-gray-700 rounded disabled:opacity-50">Prev Page</button>
-          <span className="flex-shrink-0">Page {Math.min(pageIndex + 1, pages.length || 1)} of {pages.length || 1}</span>
-          <button onClick={goToNextPage} disabled={pageIndex >= (pages.length || 1) - 1} className="px-4 py-2 bg-gray-200 dark:bg-gray-700 rounded disabled:opacity-50">Next Page</button>
+        <div className="space-y-4 mb-5">
+          {slider('Font size', 'fontSize', FONT_SIZE_RANGE, v => `${v}px`)}
+          {slider('Line height', 'lineHeight', LINE_HEIGHT_RANGE, v => v.toFixed(1))}
+          {slider('Paragraph spacing', 'paragraphSpacing', PARAGRAPH_SPACING_RANGE, v => `${v}em`)}
         </div>
-      </div>
-
-      {/* Floating "Define" button */}
-      {showDefineButton && selectedWord && (
-        <button
-          onClick={openDefinition}
-          className="fixed z-40 px-3 py-1 rounded-full bg-blue-600 text-white shadow hover:bg-blue-700 transition"
-          style={{ left: defineBtnPos.x, top: defineBtnPos.y, transform: 'translate(-50%, -100%)' }}
-        >
-          Define
-        </button>
-      )}
 
-      {/* Off-screen measurer */}
-      <div
-        ref={measurerRef}
-        aria-hidden
-        className="fixed -left-[99999px] -top-[99999px] prose prose-lg max-w-none text-justify hyphens-auto break-words px-6 sm:px-10 py-6 sm:py-8"
-        style={{ visibility: 'hidden', pointerEvents: 'none' }}
-      />
-
-      {/* Dictionary modal */}
-      <DictionaryModal
-        isOpen={isDictOpen}
-        word={selectedWord}
-        loading={dictLoading}
-        error={dictError}
-        entries={dictEntries}
-        onClose={closeDictionary}
-      />
+        <h4 className="font-semibold mb-2">Margins</h4>
+        <div className="flex flex-wrap gap-2 mb-5">
+          {Object.entries(READER_MARGINS).map(([key, m]) => (
+            <button key={key} onClick={() => onPrefsChange({ margin: key })} className={choice(prefs.margin === key)} aria-pressed={prefs.margin === key}>{m.label}</button>
+          ))}
+        </div>
 
-      {/* License modal */}
-      <LicenseModal open={showLicense} onClose={()=>setShowLicense(false)} license={license} />
-    </div>
-  );
-};
+        <label className="flex items-center justify-between mb-5">
+          <span className="font-semibold">Justify text</span>
+          <input type="checkbox" checked={prefs.justify} onChange={() => onPrefsChange({ justify: !prefs.justify })} />
+        </label>
 
-/* ----------------------
-   Settings & AI panels
-   ---------------------- */
-const SettingsPanel = ({ isOpen, onClose, isDarkMode, setIsDarkMode }) => {
-  if (!isOpen) return null;
-  return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 z-20" onClick={onClose}>
-      <div className="absolute top-0 right-0 h-full w-80 bg-white dark:bg-gray-800 shadow-xl p-6" onClick={(e) => e.stopPropagation()}>
-        <h3 className="text-xl font-bold mb-6">Settings</h3>
-        <div className="flex items-center justify-between">
-          <label htmlFor="darkModeToggle" className="font-semibold">Dark Mode</label>
-          <div className="relative inline-block w-10 mr-2 align-middle select-none transition duration-200 ease-in">
-            <input type="checkbox" name="darkModeToggle" id="darkModeToggle" checked={isDarkMode} onChange={() => setIsDarkMode(!isDarkMode)} className="toggle-checkbox absolute block w-6 h-6 rounded-full bg-white border-4 appearance-none cursor-pointer"/>
-            <label htmlFor="darkModeToggle" className="toggle-label block overflow-hidden h-6 rounded-full bg-gray-300 cursor-pointer"></label>
+        {/* Preview */}
+        <div className="reader-surface reader-page rounded-lg border border-gray-200 dark:border-gray-700 py-3 mb-3" style={{ ...readerStyle(prefs), '--reader-margin': '12px' }}>
+          <div className="reader-text">
+            <p>“I don’t know what it is, Jeeves, but there’s something about the country that seems to bring out all that is worst in me.”</p>
           </div>
         </div>
+        <button onClick={() => onPrefsChange({ ...DEFAULT_PREFS, mode: prefs.mode })} className="text-sm text-blue-600 hover:underline">
+          Reset to defaults
+        </button>
+
+        <div className="mt-8 pt-4 border-t border-gray-200 dark:border-gray-700">
+          <SyncPanel />
+        </div>
+        <div className="mt-6 pt-4 border-t border-gray-200 dark:border-gray-700">
+          <OfflineStoragePanel />
+        </div>
+        <div className="mt-6 pt-4 border-t border-gray-200 dark:border-gray-700">
+          <ProfilePanel />
+        </div>
       </div>
-       <style jsx="true">{`.toggle-checkbox:checked { right: 0; border-color: #48bb78; } .toggle-checkbox:checked + .toggle-label { background-color: #48bb78; }`}</style>
     </div>
   );
 };
@@ -760,13 +209,35 @@ const AiPanel = ({ isOpen, onClose, isLoading, response }) => {
   if (!isOpen) return null;
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 z-30 flex items-center justify-center p-4" onClick={onClose}>
-      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-2xl" onClick={(e) => e.stopPropagation()}>
-        <h3 className="text-xl font-bold font-serif">AI Summary</h3>
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-2xl max-h-[85vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <h3 className="text-xl font-bold font-serif">{response?.sections ? 'The Story So Far' : 'Chapter Summary'}</h3>
         {isLoading ? (
           <div className="flex items-center justify-center h-40"><div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div></div>
-        ) : (
-          <p className="text-base leading-relaxed whitespace-pre-line">{response}</p>
-        )}
+        ) : response?.error ? (
+          <p className="mt-3 text-red-600">{response.error}</p>
+        ) : response?.sections ? (
+          response.sections.length ? (
+            response.sections.map(s => (
+              <section key={`${s.chapterIndex}:${s.partial}`} className="mt-4">
+                <h4 className="font-semibold font-serif">{s.title}{s.partial ? ' (so far)' : ''}</h4>
+                <p className="mt-1 text-base leading-relaxed">{s.summary}</p>
+              </section>
+            ))
+          ) : (
+            <p className="mt-3 text-base">Nothing to recap yet — you're near the start of the book.</p>
+          )
+        ) : response ? (
+          <>
+            <h4 className="mt-1 text-sm text-gray-500">{response.title}</h4>
+            <p className="mt-3 text-base leading-relaxed whitespace-pre-line">{response.summary || 'This chapter is too short to summarize.'}</p>
+            {response.keywords?.length > 0 && (
+              <p className="mt-3 text-xs text-gray-500">Key words: {response.keywords.join(', ')}</p>
+            )}
+            {response.provider === 'extractive' && (
+              <p className="mt-3 text-xs text-gray-500 italic">Sentences picked from the chapter itself, not written by a model.</p>
+            )}
+          </>
+        ) : null}
         <button onClick={onClose} className="mt-6 px-4 py-2 bg-gray-200 dark:bg-gray-700 rounded hover:bg-gray-300 dark:hover:bg-gray-600">Close</button>
       </div>
     </div>
@@ -799,12 +270,24 @@ export default function App() {
   const [currentChapterIndex, setCurrentChapterIndex] = useState(0);
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
   const [isAiPanelOpen, setIsAiPanelOpen] = useState(false);
-  const [aiResponse, setAiResponse] = useState('');
+  const [aiResponse, setAiResponse] = useState(null);
   const [isAiLoading, setIsAiLoading] = useState(false);
-  const [isDarkMode, setIsDarkMode] = useState(false);
-
-  // NEW: App-level view switch
-  const [activeView, setActiveView] = useState("library"); // "library" | "games"
+  const [readerPrefs, setReaderPrefs] = useState(loadReaderPrefs);
+  const updateReaderPrefs = (patch) => setReaderPrefs(p => {
+    const next = { ...p, ...patch };
+    saveReaderPrefs(next);
+    return next;
+  });
+
+  // Routing: /library, /book/:id/:chapter?p=&at=, /games/:game?/:date?, /universe/:name?
+  const location = useLocation();
+  const navigate = useNavigate();
+  const activeView = location.pathname.startsWith('/games') ? 'games'
+    : location.pathname.startsWith('/universe') ? 'universe'
+    : 'library';
+  const bookMatch = matchPath('/book/:id/:chapter?', location.pathname);
+  const routeBookId = bookMatch ? decodeURIComponent(bookMatch.params.id) : null;
+  const { chapterIndex: routeChapter, position: routePosition } = parseBookLocation(bookMatch?.params.chapter, location.search);
 
   // Disclaimer: show-once behavior
   const [disclaimerOpen, setDisclaimerOpen] = useState(true);
@@ -819,11 +302,13 @@ export default function App() {
   }, []);
   const toggleDisclaimer = () => setDisclaimerOpen(o => !o);
 
-  // dark mode toggle
+  // Cross-device sync (no-op until turned on in Settings)
+  useEffect(() => startAutoSync(), []);
+
+  // theme (light / sepia / dark / high contrast)
   useEffect(() => {
-    if (isDarkMode) document.documentElement.classList.add('dark');
-    else document.documentElement.classList.remove('dark');
-  }, [isDarkMode]);
+    applyTheme(readerPrefs.theme);
+  }, [readerPrefs.theme]);
 
   // load library.json from public/content/
   useEffect(() => {
@@ -864,14 +349,14 @@ export default function App() {
 
   // Decide how to load a selected book:
   // 1) Old path: contentFile JSON in /public/content (works exactly as before)
-  // 2) New path: Gutenberg ID present -> call Netlify function to fetch & sanitize
-  const handleSelectBook = async (book) => {
+  // 2) New path: Gutenberg ID present -> static public/books bundle, else Netlify function
+  const handleSelectBook = async (book, { chapterIndex = 0 } = {}) => {
     setSelectedBook(book);
     setBookContent(null);
     setBookLicense(null);
     setBookError(null);
     setIsBookLoading(true);
-    setCurrentChapterIndex(0);
+    setCurrentChapterIndex(chapterIndex);
 
     const isLegacyJson = !!book.contentFile;
     const hasPG = !!book.gutenbergId;
@@ -880,7 +365,6 @@ export default function App() {
       if (isLegacyJson) {
         // Legacy JSON file behavior (unchanged)
         const basePath = import.meta.env.BASE_URL ?? '/';
-        const origin = (typeof location !== 'undefined' && location?.origin) ? location.origin : (typeof window !== 'undefined' ? window.location.origin : '');
         let path = String(book.contentFile).trim();
         let urlString = '';
 
@@ -890,7 +374,7 @@ export default function App() {
           path = path.replace(/^\/+/, '');
           if (!path.startsWith('content/')) path = `content/${path}`;
           const normalizedBase = basePath.endsWith('/') ? basePath : basePath + '/';
-          const baseForURL = origin + normalizedBase;
+          const baseForURL = window.location.origin + normalizedBase;
           urlString = new URL(path, baseForURL).toString();
         }
 
@@ -906,29 +390,21 @@ export default function App() {
           throw new Error('Book JSON has unexpected format (missing chapters array).');
         }
 
-        // Normalize minimal fields ReadingView expects
+        // Normalize minimal fields BookReader expects
         setBookContent({ title: book.title, chapters: data.chapters });
         setBookLicense(null);
       } else if (hasPG) {
-        // New PG path via Netlify function
-        const resp = await fetch(`/.netlify/functions/fetchBook?id=${encodeURIComponent(book.gutenbergId)}&title=${encodeURIComponent(book.title || '')}`, {
-          headers: { 'Accept': 'application/json' },
-          cache: 'no-cache'
-        });
-        const txt = await resp.text();
-        let json = null;
-        try { json = txt ? JSON.parse(txt) : null; }
-        catch (e) { throw new Error(`Malformed JSON from fetchBook. ${e?.message || 'Parse error.'}`); }
-
-        if (!resp.ok) {
-          throw new Error(`fetchBook failed (${resp.status}). ${txt?.slice(0, 240) || 'No body.'}`);
-        }
-        if (!json || !Array.isArray(json.chapters)) {
-          throw new Error('fetchBook: missing chapters array.');
+        // PG path: static bundle under public/books when ingested, else the Netlify function
+        const loaded = await loadBook({ gutenbergId: book.gutenbergId, title: book.title });
+        if (loaded.source === 'static') {
+          const start = Math.min(chapterIndex, loaded.chapters.length - 1);
+          const first = await loadChapter(loaded, start);
+          setCurrentChapterIndex(start);
+          setBookContent(withChapterContent(loaded, start, first));
+        } else {
+          setBookContent(loaded);
         }
-
-        setBookContent({ title: book.title || json.title || 'Untitled', chapters: json.chapters });
-        setBookLicense(json.license || null);
+        setBookLicense(loaded.license || null);
       } else {
         throw new Error('Selected book is missing both contentFile and gutenbergId.');
       }
@@ -940,84 +416,158 @@ export default function App() {
     }
   };
 
-  const handleBackToLibrary = () => {
-    setSelectedBook(null);
-    setBookContent(null);
-    setBookLicense(null);
-    setBookError(null);
-    setCurrentChapterIndex(0);
-  };
+  // Static bundles arrive without chapter text: pull in the current chapter
+  // on demand and warm the next one so "Next Chapter" is instant.
+  useEffect(() => {
+    if (!bookContent || bookContent.source !== 'static') return;
+    const bookId = bookContent.id;
+    const want = [currentChapterIndex, currentChapterIndex + 1]
+      .filter(i => i < bookContent.chapters.length && !isChapterLoaded(bookContent, i));
+    want.forEach(i => {
+      loadChapter(bookContent, i)
+        .then(content => setBookContent(b => (b && b.id === bookId ? withChapterContent(b, i, content) : b)))
+        .catch(err => { if (i === currentChapterIndex) setBookError(err?.message || 'Failed to load chapter'); });
+    });
+  }, [bookContent, currentChapterIndex]);
+
+  // The URL decides which book and chapter are open; load or switch to match it.
+  // Ids that aren't in library.json but look like Gutenberg numbers are tried as-is.
+  useEffect(() => {
+    if (!routeBookId || routeChapter == null || isLoading) return;
+    if (selectedBook && bookRouteId(selectedBook) === routeBookId) {
+      const wanted = bookContent ? Math.min(routeChapter, bookContent.chapters.length - 1) : currentChapterIndex;
+      if (wanted !== currentChapterIndex) setCurrentChapterIndex(wanted);
+      return;
+    }
+    const book = library.find(b => bookRouteId(b) === routeBookId || b.id === routeBookId)
+      || (/^\d+$/.test(routeBookId) ? { id: `pg-${routeBookId}`, gutenbergId: Number(routeBookId), title: `PG #${routeBookId}` } : null);
+    if (book) {
+      handleSelectBook(book, { chapterIndex: routeChapter });
+    } else {
+      setSelectedBook({ id: routeBookId, title: routeBookId });
+      setBookContent(null);
+      setBookError('This book is not in the library.');
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [routeBookId, routeChapter, isLoading, library, bookContent]);
+
+  // /book/:id with no chapter picks up where the reader left off
+  useEffect(() => {
+    if (!routeBookId || routeChapter != null) return;
+    let live = true;
+    loadProgress(routeBookId)
+      .catch(() => ({ chapterIndex: 0, paragraphIndex: 0, offset: 0 }))
+      .then(p => {
+        if (!live) return;
+        const position = p.paragraphIndex || p.offset ? { paragraphIndex: p.paragraphIndex, offset: p.offset } : null;
+        navigate(bookPath(routeBookId, p.chapterIndex || 0, position), { replace: true });
+      });
+    return () => { live = false; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [routeBookId, routeChapter]);
+
+  const openBook = (book, { chapterIndex = null, position = null } = {}) =>
+    navigate(bookPath(bookRouteId(book), chapterIndex, position));
+
+  const handleBackToLibrary = () => navigate(libraryPath());
 
   const retryLoadBook = () => {
-    if (selectedBook) handleSelectBook(selectedBook);
+    if (selectedBook) handleSelectBook(selectedBook, { chapterIndex: currentChapterIndex });
   };
 
-  /**
-   * 🔧 TESTING MODE (enabled): Chapter Summary disabled for now.
-   */
   const handleAiSummary = async () => {
+    if (!bookContent) return;
     setIsAiPanelOpen(true);
-    setIsAiLoading(false);
-    setAiResponse(
-      "Chapter summaries are temporarily disabled. We'll enable this after completing the Games section."
-    );
+    setIsAiLoading(true);
+    setAiResponse(null);
+    try {
+      setAiResponse(await summarizeChapter(bookContent, Math.min(currentChapterIndex, bookContent.chapters.length - 1)));
+    } catch (e) {
+      setAiResponse({ error: e?.message || 'Could not summarize this chapter.' });
+    } finally {
+      setIsAiLoading(false);
+    }
+  };
+
+  const handleRecap = async () => {
+    if (!bookContent || !selectedBook) return;
+    setIsAiPanelOpen(true);
+    setIsAiLoading(true);
+    setAiResponse(null);
+    try {
+      setAiResponse(await buildRecap(bookContent, String(selectedBook.gutenbergId || selectedBook.id)));
+    } catch (e) {
+      setAiResponse({ error: e?.message || 'Could not build a recap.' });
+    } finally {
+      setIsAiLoading(false);
+    }
   };
 
-  // Main render (Library/Reader)
-  const renderContent = () => {
+  // Reader route (/book/:id/:chapter)
+  const renderBook = () => {
     if (isLoading) return <LoadingScreen message="Loading Library..." />;
+    if (routeChapter == null || !selectedBook || bookRouteId(selectedBook) !== routeBookId) return <LoadingScreen message="Loading book..." />;
 
-    if (selectedBook) {
-      if (isBookLoading) return <LoadingScreen message={`Loading ${selectedBook.title}...`} />;
+    if (isBookLoading) return <LoadingScreen message={`Loading ${selectedBook.title}...`} />;
 
-      if (bookError) {
-        return (
-          <div className="container mx-auto p-6">
-            <button onClick={handleBackToLibrary} className="text-blue-600 hover:underline mb-4">&larr; Back to Library</button>
-            <div className="mt-6 text-red-600">
-              <h2 className="text-xl font-semibold">Failed to load "{selectedBook.title}"</h2>
-              <p className="mt-2 whitespace-pre-wrap">Error: {bookError}</p>
-              <div className="mt-4 flex gap-3">
-                <button onClick={retryLoadBook} className="px-4 py-2 bg-blue-600 text-white rounded">Retry</button>
-                <button onClick={handleBackToLibrary} className="px-4 py-2 bg-gray-200 rounded">Back to Library</button>
-              </div>
+    if (bookError) {
+      return (
+        <div className="container mx-auto p-6">
+          <button onClick={handleBackToLibrary} className="text-blue-600 hover:underline mb-4">&larr; Back to Library</button>
+          <div className="mt-6 text-red-600">
+            <h2 className="text-xl font-semibold">Failed to load "{selectedBook.title}"</h2>
+            <p className="mt-2 whitespace-pre-wrap">Error: {bookError}</p>
+            <div className="mt-4 flex gap-3">
+              <button onClick={retryLoadBook} className="px-4 py-2 bg-blue-600 text-white rounded">Retry</button>
+              <button onClick={handleBackToLibrary} className="px-4 py-2 bg-gray-200 rounded">Back to Library</button>
             </div>
           </div>
-        );
-      }
+        </div>
+      );
+    }
 
-      if (!bookContent) {
-        return (
-          <div className="container mx-auto p-6">
-            <button onClick={handleBackToLibrary} className="text-blue-600 hover:underline mb-4">&larr; Back to Library</button>
-            <div className="mt-6">
-              <h2 className="text-xl font-semibold">No content available</h2>
-              <p className="mt-2">The book could not be loaded. You can retry or return to the library.</p>
-              <div className="mt-4 flex gap-3">
-                <button onClick={retryLoadBook} className="px-4 py-2 bg-blue-600 text-white rounded">Retry</button>
-                <button onClick={handleBackToLibrary} className="px-4 py-2 bg-gray-200 rounded">Back to Library</button>
-              </div>
+    if (!bookContent) {
+      return (
+        <div className="container mx-auto p-6">
+          <button onClick={handleBackToLibrary} className="text-blue-600 hover:underline mb-4">&larr; Back to Library</button>
+          <div className="mt-6">
+            <h2 className="text-xl font-semibold">No content available</h2>
+            <p className="mt-2">The book could not be loaded. You can retry or return to the library.</p>
+            <div className="mt-4 flex gap-3">
+              <button onClick={retryLoadBook} className="px-4 py-2 bg-blue-600 text-white rounded">Retry</button>
+              <button onClick={handleBackToLibrary} className="px-4 py-2 bg-gray-200 rounded">Back to Library</button>
             </div>
           </div>
-        );
-      }
-
-      return (
-        <ReadingView
-          book={bookContent}
-          currentChapterIndex={currentChapterIndex}
-          setCurrentChapterIndex={setCurrentChapterIndex}
-          onBack={handleBackToLibrary}
-          onAiSummary={handleAiSummary}
-          license={bookLicense}
-        />
+        </div>
       );
     }
 
+    return (
+      <BookReader
+        key={routeBookId}
+        book={bookContent}
+        bookId={String(selectedBook.gutenbergId || selectedBook.id)}
+        currentChapterIndex={Math.min(routeChapter, bookContent.chapters.length - 1)}
+        setCurrentChapterIndex={(i) => navigate(bookPath(routeBookId, i))}
+        position={routePosition}
+        positionKey={location.key}
+        onPositionChange={(ci, pos) => navigate(bookPath(routeBookId, ci, pos), { replace: true })}
+        onBack={handleBackToLibrary}
+        onAiSummary={handleAiSummary}
+        onRecap={handleRecap}
+        license={bookLicense}
+        prefs={readerPrefs}
+        onPrefsChange={updateReaderPrefs}
+      />
+    );
+  };
+
+  const renderLibrary = () => {
+    if (isLoading) return <LoadingScreen message="Loading Library..." />;
     return (
       <LibraryView
         library={library}
-        onSelectBook={handleSelectBook}
+        onSelectBook={openBook}
         disclaimerOpen={disclaimerOpen}
         onToggleDisclaimer={toggleDisclaimer}
       />
@@ -1032,34 +582,44 @@ export default function App() {
       <div className="container mx-auto px-4 mt-3">
         <div className="flex gap-2">
           <button
-            onClick={() => setActiveView("library")}
+            onClick={() => navigate(libraryPath())}
             className={`px-3 py-2 rounded-lg border transition ${activeView==="library" ? "bg-blue-600 text-white border-blue-600" : "bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700"}`}
             aria-pressed={activeView==="library"}
           >
             📚 Library
           </button>
           <button
-            onClick={() => setActiveView("games")}
+            onClick={() => navigate(gamesPath())}
             className={`px-3 py-2 rounded-lg border transition ${activeView==="games" ? "bg-blue-600 text-white border-blue-600" : "bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700"}`}
             aria-pressed={activeView==="games"}
           >
             🎮 Games &amp; Stats
           </button>
+          <button
+            onClick={() => navigate(universePath())}
+            className={`px-3 py-2 rounded-lg border transition ${activeView==="universe" ? "bg-blue-600 text-white border-blue-600" : "bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700"}`}
+            aria-pressed={activeView==="universe"}
+          >
+            🗺️ Universe
+          </button>
         </div>
       </div>
 
       <main className="flex-1 container mx-auto p-4 md:p-8">
-        {activeView === "games" ? (
-          <Games />
-        ) : (
-          renderContent()
-        )}
+        <Routes>
+          <Route path="/" element={<Navigate to={libraryPath()} replace />} />
+          <Route path="/library" element={renderLibrary()} />
+          <Route path="/book/:id/:chapter?" element={renderBook()} />
+          <Route path="/games/:game?/:date?" element={<Games />} />
+          <Route path="/universe/:name?" element={<Universe />} />
+          <Route path="*" element={<Navigate to={libraryPath()} replace />} />
+        </Routes>
       </main>
 
       {/* Footer appears on every page */}
       <Footer />
 
-      <SettingsPanel isOpen={isSettingsOpen} onClose={() => setIsSettingsOpen(false)} isDarkMode={isDarkMode} setIsDarkMode={setIsDarkMode} />
+      <SettingsPanel isOpen={isSettingsOpen} onClose={() => setIsSettingsOpen(false)} prefs={readerPrefs} onPrefsChange={updateReaderPrefs} />
       <AiPanel isOpen={isAiPanelOpen} onClose={() => setIsAiPanelOpen(false)} isLoading={isAiLoading} response={aiResponse} />
     </div>
   );
@@ -0,0 +1,161 @@
+// src/components/AnnotationsPanel.jsx
+import React, { useRef, useState } from 'react';
+import { HIGHLIGHT_COLORS } from '../utils/annotations';
+import { exportAnnotations, importJsonBackup } from '../utils/exportAnnotations';
+
+function ExportImport({ bookId, bookTitle, onImported }) {
+  const [scope, setScope] = useState('book'); // 'book' | 'all'
+  const [status, setStatus] = useState('');
+  const fileRef = useRef(null);
+
+  const run = async (format) => {
+    setStatus('');
+    try {
+      await exportAnnotations(format, {
+        bookId: scope === 'book' ? bookId : null,
+        titles: bookTitle ? { [bookId]: bookTitle } : {}
+      });
+    } catch (e) {
+      setStatus(e?.message || 'Export failed.');
+    }
+  };
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const counts = await importJsonBackup(await file.text());
+      setStatus(`Restored ${counts.annotations} highlights, ${counts.bookmarks} bookmarks, ${counts.lookups} lookups.`);
+      onImported?.();
+    } catch (err) {
+      setStatus(err?.message || 'Import failed.');
+    }
+  };
+
+  const btn = 'px-2 py-1 text-xs rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600';
+  return (
+    <section className="mt-6 pt-4 border-t border-gray-200 dark:border-gray-700">
+      <h4 className="font-semibold mb-2">Export &amp; backup</h4>
+      <div className="flex items-center gap-3 text-sm mb-2">
+        <label className="flex items-center gap-1">
+          <input type="radio" checked={scope === 'book'} onChange={() => setScope('book')} /> This book
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="radio" checked={scope === 'all'} onChange={() => setScope('all')} /> All books
+        </label>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <button onClick={() => run('markdown')} className={btn}>Markdown</button>
+        <button onClick={() => run('json')} className={btn}>JSON backup</button>
+        <button onClick={() => run('anki')} className={btn}>Anki CSV</button>
+        <button onClick={() => fileRef.current?.click()} className={btn}>Restore from JSON…</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={onFile} />
+      </div>
+      {status && <p className="mt-2 text-xs text-gray-600 dark:text-gray-300">{status}</p>}
+    </section>
+  );
+}
+
+function NoteEditor({ initial, onSave, onCancel }) {
+  const [text, setText] = useState(initial || '');
+  return (
+    <div className="mt-2">
+      <textarea
+        className="w-full border rounded p-2 text-sm bg-white dark:bg-gray-900"
+        rows={3}
+        value={text}
+        onChange={e => setText(e.target.value)}
+        autoFocus
+      />
+      <div className="mt-1 flex gap-2">
+        <button onClick={() => onSave(text.trim())} className="px-2 py-1 text-xs rounded bg-blue-600 text-white">Save</button>
+        <button onClick={onCancel} className="px-2 py-1 text-xs rounded bg-gray-100 dark:bg-gray-700">Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Per-book list of bookmarks and highlights/notes.
+ * onJump({ chapterIndex, paragraphIndex, offset }) navigates the reader.
+ */
+export default function AnnotationsPanel({ open, onClose, bookId, bookTitle, chapters, annotations, bookmarks, onJump, onUpdateAnnotation, onDeleteAnnotation, onDeleteBookmark, onImported }) {
+  const [editing, setEditing] = useState(null);
+  if (!open) return null;
+
+  const chapterTitle = (i) => chapters?.[i]?.title || `Chapter ${i + 1}`;
+  const byChapter = new Map();
+  annotations.forEach(a => {
+    if (!byChapter.has(a.chapterIndex)) byChapter.set(a.chapterIndex, []);
+    byChapter.get(a.chapterIndex).push(a);
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-40" onClick={onClose}>
+      <div className="absolute top-0 right-0 h-full w-full sm:w-96 bg-white dark:bg-gray-800 shadow-xl p-5 overflow-auto" onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold">Notes &amp; Bookmarks</h3>
+          <button onClick={onClose} className="px-2 py-1 rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">Close</button>
+        </div>
+
+        <h4 className="font-semibold mb-2">Bookmarks</h4>
+        {!bookmarks.length && <p className="text-sm text-gray-500 mb-4">No bookmarks yet.</p>}
+        <ul className="space-y-2 mb-6">
+          {bookmarks.map(b => (
+            <li key={b.id} className="flex items-start justify-between gap-2 text-sm">
+              <button className="text-left hover:underline" onClick={() => onJump({ chapterIndex: b.chapterIndex, paragraphIndex: b.paragraphIndex, offset: b.offset })}>
+                <span className="block text-xs text-gray-500">{chapterTitle(b.chapterIndex)}</span>
+                {b.label || 'Bookmark'}
+              </button>
+              <button onClick={() => onDeleteBookmark(b.id)} className="text-xs text-red-600 hover:underline flex-shrink-0">Remove</button>
+            </li>
+          ))}
+        </ul>
+
+        <h4 className="font-semibold mb-2">Highlights</h4>
+        {!annotations.length && <p className="text-sm text-gray-500">Select text in the book to highlight it or add a note.</p>}
+        {[...byChapter.entries()].map(([ci, list]) => (
+          <section key={ci} className="mb-4">
+            <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">{chapterTitle(ci)}</div>
+            <ul className="space-y-3">
+              {list.map(a => (
+                <li key={a.id} className="text-sm">
+                  <button
+                    className={`text-left rounded px-1 ${HIGHLIGHT_COLORS[a.color] || HIGHLIGHT_COLORS.yellow}`}
+                    onClick={() => onJump({ chapterIndex: a.chapterIndex, paragraphIndex: a.paragraphIndex, offset: a.start })}
+                  >
+                    “{a.text}”
+                  </button>
+                  {a.note && editing !== a.id && <p className="mt-1 text-gray-700 dark:text-gray-300 whitespace-pre-wrap">{a.note}</p>}
+                  {editing === a.id ? (
+                    <NoteEditor
+                      initial={a.note}
+                      onSave={(note) => { onUpdateAnnotation({ ...a, note }); setEditing(null); }}
+                      onCancel={() => setEditing(null)}
+                    />
+                  ) : (
+                    <div className="mt-1 flex items-center gap-2">
+                      {Object.keys(HIGHLIGHT_COLORS).map(c => (
+                        <button
+                          key={c}
+                          onClick={() => onUpdateAnnotation({ ...a, color: c })}
+                          className={`w-4 h-4 rounded-full border ${HIGHLIGHT_COLORS[c]} ${a.color === c ? 'ring-2 ring-blue-500' : ''}`}
+                          aria-label={`Colour ${c}`}
+                        />
+                      ))}
+                      <button onClick={() => setEditing(a.id)} className="text-xs hover:underline">{a.note ? 'Edit note' : 'Add note'}</button>
+                      <button onClick={() => onDeleteAnnotation(a.id)} className="text-xs text-red-600 hover:underline">Delete</button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))}
+
+        <ExportImport bookId={bookId} bookTitle={bookTitle} onImported={onImported} />
+      </div>
+    </div>
+  );
+}
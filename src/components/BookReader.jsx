@@ -0,0 +1,693 @@
+// src/components/BookReader.jsx
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import PagedChapter from './PagedChapter.jsx';
+import ScrollChapter from './ScrollChapter.jsx';
+import ReaderSidebar from './ReaderSidebar.jsx';
+import DictionaryModal from './DictionaryModal.jsx';
+import LicenseModal from './LicenseModal.jsx';
+import AnnotationsPanel from './AnnotationsPanel.jsx';
+import EntityCard from './EntityCard.jsx';
+import { chapterBlocks, loadEntityIndex } from '../utils/bookLoader';
+import { downloadBook, isBookDownloaded, offlineSupported } from '../utils/offlineBooks';
+import { listAnnotations, putAnnotation, deleteAnnotation, listBookmarks, putBookmark, deleteBookmark, saveProgress } from '../utils/indexedDb';
+import { HIGHLIGHT_COLORS, newId, anchorFromRange, anchorFromPoint, excerptAt } from '../utils/annotations';
+import { lookupDefinition, normalizeWord, wordFromPoint } from '../utils/dictionary';
+import { recordLookup, sentenceAt } from '../utils/vocabulary';
+import { emit, startReadingTimer } from '../utils/readingMetrics';
+import { queryRegExp, matchSpans, searchBook } from '../utils/bookSearch';
+import { SYNC_EVENT } from '../utils/sync';
+import { READER_MODES, readerStyle, typographyKey } from '../utils/readerPrefs';
+import { findEntities } from '../utils/entityIndex';
+
+const before = (a, b) => a.paragraphIndex < b.paragraphIndex || (a.paragraphIndex === b.paragraphIndex && (a.offset || 0) <= (b.offset || 0));
+
+/**
+ * The reader, in "paged" or "continuous scroll" mode (a per-device setting).
+ * Everything except layout lives here, so both modes share the TOC, search,
+ * progress, dictionary, highlights/bookmarks, metrics and license modal.
+ *
+ * Typography and mode come from the per-device reader prefs (`prefs`,
+ * changed through `onPrefsChange`).
+ *
+ * Positions are { paragraphIndex, offset } into the chapter's raw paragraphs.
+ * `position`/`positionKey` come from the URL; `onPositionChange` is told where
+ * the reader is so the URL (and back/forward) can follow.
+ */
+export default function BookReader(props) {
+  const { book, onBack } = props;
+  if (!book || !Array.isArray(book.chapters) || book.chapters.length === 0) {
+    return (
+      <div className="p-6">
+        <button onClick={onBack} className="text-blue-600 hover:underline mb-4">&larr; Back to Library</button>
+        <div className="text-red-600">Unable to display book — invalid or empty chapters data.</div>
+      </div>
+    );
+  }
+  return <Reader {...props} />;
+}
+
+function Reader({ book, bookId, currentChapterIndex, setCurrentChapterIndex, position, positionKey, onPositionChange, onBack, onAiSummary, onRecap, license, prefs, onPrefsChange }) {
+  const chapter = book.chapters[currentChapterIndex];
+  const chapterPending = chapter?.content == null;
+  // Plain text per paragraph (what anchors index into) plus how to show it
+  const blocks = useMemo(() => chapterBlocks(chapter), [chapter]);
+  const rawParagraphs = useMemo(() => blocks.map(b => b.text), [blocks]);
+
+  const mode = prefs.mode;
+
+  // Where we are ({ chapterIndex, top, bottom, anchor?, page?, pageCount?, atEnd }) as reported by the layout,
+  // and where we want to be: a { chapterIndex, paragraphIndex, offset } | { chapterIndex, page } the
+  // layout moves to once that chapter is on screen. Seeded from the URL so a cold deep link lands on its paragraph.
+  const [visible, setVisible] = useState(null);
+  const [target, setTarget] = useState(() => (position ? { chapterIndex: currentChapterIndex, ...position } : null));
+  const [pageIndex, setPageIndex] = useState(0);
+
+  const setMode = (next) => {
+    if (next === mode) return;
+    if (visible?.chapterIndex === currentChapterIndex) setTarget({ chapterIndex: currentChapterIndex, ...(visible.anchor || visible.top) });
+    onPrefsChange({ mode: next });
+  };
+
+  // Panels & modals
+  const [showLicense, setShowLicense] = useState(false);
+  const [isSidebarOpen, setIsSidebarOpen] = useState(false);
+  const [isNotesOpen, setIsNotesOpen] = useState(false);
+
+  // Dictionary states
+  const [selectedWord, setSelectedWord] = useState('');
+  const [showDefineButton, setShowDefineButton] = useState(false);
+  const [defineBtnPos, setDefineBtnPos] = useState({ x: 0, y: 0 });
+  const [dictLoading, setDictLoading] = useState(false);
+  const [dictError, setDictError] = useState('');
+  const [dictEntries, setDictEntries] = useState(null);
+  const [isDictOpen, setIsDictOpen] = useState(false);
+
+  // Offline state
+  const [isOffline, setIsOffline] = useState(!navigator.onLine);
+  useEffect(() => {
+    const go = () => setIsOffline(false);
+    const gone = () => setIsOffline(true);
+    window.addEventListener('online', go);
+    window.addEventListener('offline', gone);
+    return () => { window.removeEventListener('online', go); window.removeEventListener('offline', gone); };
+  }, []);
+
+  // Offline download (static bundles only)
+  const canDownload = book.source === 'static' && offlineSupported();
+  const [downloadState, setDownloadState] = useState({ status: 'idle', done: 0, total: 0 });
+  useEffect(() => {
+    if (!canDownload) return;
+    let live = true;
+    isBookDownloaded(book.id).then(yes => { if (live && yes) setDownloadState({ status: 'done', done: 0, total: 0 }); });
+    return () => { live = false; };
+  }, [book.id, canDownload]);
+
+  const handleDownload = async () => {
+    setDownloadState({ status: 'busy', done: 0, total: 0 });
+    try {
+      await downloadBook(book.id, { onProgress: (done, total) => setDownloadState({ status: 'busy', done, total }) });
+      setDownloadState({ status: 'done', done: 0, total: 0 });
+    } catch (err) {
+      console.error(err);
+      setDownloadState({ status: 'error', done: 0, total: 0 });
+    }
+  };
+
+  // Character and place index ("Who is this?"), static bundles only
+  const [entityIndex, setEntityIndex] = useState(null);
+  const [entityMatches, setEntityMatches] = useState(null);
+  useEffect(() => {
+    let live = true;
+    setEntityIndex(null);
+    loadEntityIndex(book).then(idx => { if (live) setEntityIndex(idx); }).catch(() => {});
+    return () => { live = false; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [book.id, book.entities]);
+
+  // Annotations & bookmarks (anchored to raw paragraphs, not pages)
+  const [annotations, setAnnotations] = useState([]);
+  const [bookmarks, setBookmarks] = useState([]);
+  const [selectionAnchor, setSelectionAnchor] = useState(null); // { paragraphIndex, start, end, text }
+  const [annotationsVersion, setAnnotationsVersion] = useState(0); // bump to reload (e.g. after import)
+  useEffect(() => {
+    if (!bookId) return;
+    let live = true;
+    Promise.all([listAnnotations(bookId), listBookmarks(bookId)])
+      .then(([a, b]) => { if (live) { setAnnotations(a); setBookmarks(b); } })
+      .catch(err => console.error(err));
+    return () => { live = false; };
+  }, [bookId, annotationsVersion]);
+
+  // Names first seen in a later chapter would be spoilers, even as partial matches
+  const selectedEntities = useMemo(
+    () => findEntities(entityIndex, selectionAnchor?.text || selectedWord).filter(e => e.first[0] <= currentChapterIndex),
+    [entityIndex, selectionAnchor, selectedWord, currentChapterIndex]
+  );
+
+  const openEntityCard = () => {
+    setShowDefineButton(false);
+    setEntityMatches(selectedEntities);
+  };
+
+  // Another device's edits arrived
+  useEffect(() => {
+    const onSynced = (e) => { if (e.detail?.bookIds?.includes(String(bookId))) setAnnotationsVersion(v => v + 1); };
+    window.addEventListener(SYNC_EVENT, onSynced);
+    return () => window.removeEventListener(SYNC_EVENT, onSynced);
+  }, [bookId]);
+
+  const chapterAnnotations = useMemo(
+    () => annotations.filter(a => a.chapterIndex === currentChapterIndex),
+    [annotations, currentChapterIndex]
+  );
+
+  // Search in book
+  const [query, setQuery] = useState('');
+  const [hits, setHits] = useState([]); // [{ chapterIndex, paragraphIndex, offset, ctx }]
+  const [hitIndex, setHitIndex] = useState(-1);
+  const [searching, setSearching] = useState(false);
+  const searchRe = useMemo(() => queryRegExp(query), [query]);
+
+  useEffect(() => {
+    let live = true;
+    if (!searchRe) { setHits([]); setHitIndex(-1); setSearching(false); return undefined; }
+    setSearching(true);
+    const t = setTimeout(() => {
+      searchBook(book, bookId, searchRe)
+        .then(found => { if (live) { setHits(found); setHitIndex(-1); } })
+        .catch(err => { console.error(err); if (live) setHits([]); })
+        .finally(() => { if (live) setSearching(false); });
+    }, 250);
+    return () => { live = false; clearTimeout(t); };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [bookId, searchRe]);
+
+  const searchSpans = useMemo(
+    () => (searchRe ? rawParagraphs.map(text => matchSpans(text, searchRe)) : null),
+    [rawParagraphs, searchRe]
+  );
+  const currentHit = hitIndex >= 0 ? hits[hitIndex] : null;
+
+  // Navigation
+  const goToChapter = (i, event) => {
+    if (i < 0 || i >= book.chapters.length || i === currentChapterIndex) return;
+    if (event) emit(event, { id: bookId, chapterIndex: i });
+    setCurrentChapterIndex(i);
+  };
+  const goToNextChapter = () => goToChapter(currentChapterIndex + 1, 'chapter_next');
+  const goToPreviousChapter = () => goToChapter(currentChapterIndex - 1, 'chapter_prev');
+  const pageCount = mode === 'paged' && visible?.chapterIndex === currentChapterIndex ? visible.pageCount : 1;
+  const goToNextPage = () => setPageIndex(i => Math.min((pageCount || 1) - 1, i + 1));
+  const goToPreviousPage = () => setPageIndex(i => Math.max(0, i - 1));
+
+  // Jump to an anchor ({ chapterIndex, paragraphIndex, offset }) in this or another chapter
+  const jumpTo = (anchor) => {
+    setTarget({ ...anchor });
+    goToChapter(anchor.chapterIndex);
+  };
+
+  const goToHit = (i) => {
+    if (!hits.length) return;
+    const next = (i + hits.length) % hits.length;
+    const hit = hits[next];
+    setHitIndex(next);
+    jumpTo({ chapterIndex: hit.chapterIndex, paragraphIndex: hit.paragraphIndex, offset: hit.offset, hit: true });
+  };
+
+  // URL -> reader: a position we didn't report ourselves (back/forward, pasted link)
+  const positionString = (ci, pos) => `${ci}:${pos.page ?? ''}:${pos.paragraphIndex ?? ''}:${pos.offset ?? ''}`;
+  const reportedPosition = useRef('');
+  useEffect(() => {
+    if (!position || positionString(currentChapterIndex, position) === reportedPosition.current) return;
+    setTarget({ chapterIndex: currentChapterIndex, ...position });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [positionKey]);
+
+  // Reader -> URL, saved progress, and chapter completion
+  const saveTimer = useRef(null);
+  const unsavedProgress = useRef(null);
+  const flushProgress = () => {
+    clearTimeout(saveTimer.current);
+    if (unsavedProgress.current) saveProgress(bookId, unsavedProgress.current).catch(() => {});
+    unsavedProgress.current = null;
+  };
+  const completedChapter = useRef(null);
+  const handleVisibleChange = (v) => {
+    setVisible(v);
+    // `anchor` (paged mode) is the passage the reader is on, which stays put across reflows
+    const at = v.anchor || v.top;
+    const pos = { page: v.page ?? null, paragraphIndex: at.paragraphIndex, offset: at.offset };
+    const key = positionString(v.chapterIndex, pos);
+    if (key !== reportedPosition.current) {
+      reportedPosition.current = key;
+      onPositionChange?.(v.chapterIndex, pos);
+    }
+    if (bookId) {
+      unsavedProgress.current = { chapterIndex: v.chapterIndex, paragraphIndex: at.paragraphIndex, offset: at.offset };
+      clearTimeout(saveTimer.current);
+      saveTimer.current = setTimeout(flushProgress, 1000);
+      const done = `${bookId}:${v.chapterIndex}`;
+      if (v.atEnd && completedChapter.current !== done) {
+        completedChapter.current = done;
+        emit('chapter_complete', { id: bookId, chapterIndex: v.chapterIndex });
+      }
+    }
+  };
+  // Leaving the book (back to library, another route) saves straight away
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect(() => flushProgress, []);
+
+  // Reading metrics: active time per chapter
+  useEffect(() => {
+    if (!bookId) return undefined;
+    emit('chapter_open', { id: bookId, chapterIndex: currentChapterIndex });
+    return startReadingTimer(bookId, currentChapterIndex);
+  }, [bookId, currentChapterIndex]);
+
+  // Highlights, notes, bookmarks
+  const addHighlight = async (color, note = '') => {
+    if (!selectionAnchor || !bookId) return;
+    const rec = await putAnnotation({
+      id: newId('hl'),
+      bookId,
+      chapterIndex: currentChapterIndex,
+      paragraphIndex: selectionAnchor.paragraphIndex,
+      start: selectionAnchor.start,
+      end: selectionAnchor.end,
+      text: selectionAnchor.text,
+      color,
+      note,
+      createdAt: Date.now()
+    });
+    setAnnotations(list => [...list, rec]);
+    setSelectionAnchor(null);
+    setShowDefineButton(false);
+    window.getSelection()?.removeAllRanges();
+    return rec;
+  };
+
+  const addNote = async () => {
+    const note = window.prompt('Note for this passage:');
+    if (note === null) return;
+    await addHighlight('yellow', note.trim());
+  };
+
+  const updateAnnotation = async (a) => {
+    const rec = await putAnnotation(a);
+    setAnnotations(list => list.map(x => (x.id === rec.id ? rec : x)));
+  };
+
+  const removeAnnotation = async (id) => {
+    await deleteAnnotation(id);
+    setAnnotations(list => list.filter(x => x.id !== id));
+  };
+
+  // A bookmark is "on screen" when it falls between the first and last visible characters
+  const onScreen = visible?.chapterIndex === currentChapterIndex ? visible : null;
+  const visibleBookmarks = onScreen
+    ? bookmarks.filter(b => b.chapterIndex === currentChapterIndex && before(onScreen.top, b) && before(b, onScreen.bottom))
+    : [];
+
+  const toggleBookmark = async () => {
+    if (!onScreen || !bookId) return;
+    if (visibleBookmarks.length) {
+      await Promise.all(visibleBookmarks.map(b => deleteBookmark(b.id)));
+      const gone = new Set(visibleBookmarks.map(b => b.id));
+      setBookmarks(list => list.filter(b => !gone.has(b.id)));
+      return;
+    }
+    const top = onScreen.top;
+    const rec = await putBookmark({
+      id: newId('bm'),
+      bookId,
+      chapterIndex: currentChapterIndex,
+      paragraphIndex: top.paragraphIndex,
+      offset: top.offset,
+      label: excerptAt(rawParagraphs[top.paragraphIndex], top.offset, 60),
+      createdAt: Date.now()
+    });
+    setBookmarks(list => [...list, rec]);
+  };
+
+  const removeBookmark = async (id) => {
+    await deleteBookmark(id);
+    setBookmarks(list => list.filter(b => b.id !== id));
+  };
+
+  // Where the word being looked up sits, so the vocabulary list can keep its sentence
+  const lookupAnchor = useRef(null);
+  const rememberLookup = (word, entries) => {
+    const at = lookupAnchor.current;
+    const sentence = at ? sentenceAt(rawParagraphs[at.paragraphIndex] || '', at.offset) : '';
+    recordLookup(word, entries, {
+      sentence,
+      bookId,
+      bookTitle: book.title,
+      chapterIndex: currentChapterIndex,
+      chapterTitle: chapter.title
+    }).catch(() => {});
+  };
+
+  // Selection handling (desktop)
+  const handleMouseUp = () => {
+    const selection = window.getSelection();
+    const text = selection ? selection.toString() : '';
+    const normalized = normalizeWord(text);
+    const range = selection && selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+    const anchor = text.trim() ? anchorFromRange(range) : null;
+    if ((normalized || anchor) && range) {
+      const rect = range.getBoundingClientRect();
+      const offsetY = 8;
+      setSelectedWord(normalized);
+      setSelectionAnchor(anchor ? { ...anchor, text: rawParagraphs[anchor.paragraphIndex]?.slice(anchor.start, anchor.end) || text } : null);
+      lookupAnchor.current = anchor ? { paragraphIndex: anchor.paragraphIndex, offset: anchor.start } : null;
+      setDefineBtnPos({ x: rect.left + rect.width / 2, y: rect.top + window.scrollY - offsetY });
+      setShowDefineButton(true);
+      setIsDictOpen(false);
+    } else {
+      setShowDefineButton(false);
+      setSelectedWord('');
+      setSelectionAnchor(null);
+    }
+  };
+
+  // Mobile long-press handlers
+  const longPressTimer = useRef(null);
+  const longPressActive = useRef(false);
+  const lastTouchPoint = useRef({ x: 0, y: 0 });
+
+  const handleTouchStart = (e) => {
+    if (!e.touches || e.touches.length === 0) return;
+    const { clientX, clientY } = e.touches[0];
+    lastTouchPoint.current = { x: clientX, y: clientY };
+    longPressActive.current = true;
+
+    longPressTimer.current = window.setTimeout(() => {
+      if (!longPressActive.current) return;
+      const sel = window.getSelection();
+      let word = '';
+      if (sel && sel.toString().trim()) {
+        word = normalizeWord(sel.toString());
+      }
+      if (!word) {
+        word = wordFromPoint(clientX, clientY);
+      }
+      if (word) {
+        setSelectedWord(word);
+        const range = sel && sel.rangeCount > 0 ? sel.getRangeAt(0) : null;
+        const anchor = sel && sel.toString().trim() ? anchorFromRange(range) : null;
+        setSelectionAnchor(anchor ? { ...anchor, text: rawParagraphs[anchor.paragraphIndex]?.slice(anchor.start, anchor.end) || '' } : null);
+        lookupAnchor.current = anchor ? { paragraphIndex: anchor.paragraphIndex, offset: anchor.start } : anchorFromPoint(clientX, clientY);
+        setDefineBtnPos({ x: clientX, y: window.scrollY + clientY - 8 });
+        setShowDefineButton(true);
+        setIsDictOpen(false);
+      }
+    }, 550);
+  };
+  const handleTouchMove = (e) => {
+    if (!e.touches || e.touches.length === 0) return;
+    const { clientX, clientY } = e.touches[0];
+    const dx = clientX - lastTouchPoint.current.x;
+    const dy = clientY - lastTouchPoint.current.y;
+    if (Math.hypot(dx, dy) > 10) {
+      longPressActive.current = false;
+      if (longPressTimer.current) window.clearTimeout(longPressTimer.current);
+    }
+  };
+  const handleTouchEnd = () => {
+    longPressActive.current = false;
+    if (longPressTimer.current) window.clearTimeout(longPressTimer.current);
+  };
+
+  // Debounce/lock
+  const lookupLock = useRef(false);
+  const debounceTimer = useRef(null);
+  const debouncedLookup = (word, fn, delay = 250) => {
+    if (debounceTimer.current) clearTimeout(debounceTimer.current);
+    debounceTimer.current = setTimeout(async () => {
+      if (lookupLock.current) return;
+      lookupLock.current = true;
+      try { await fn(word); }
+      finally { lookupLock.current = false; }
+    }, delay);
+  };
+
+  const fetchDefinition = async (word) => {
+    if (!word) return;
+    setDictLoading(true);
+    setDictError('');
+    setDictEntries(null);
+    setIsDictOpen(true);
+    try {
+      const { entries, error } = await lookupDefinition(word, { offline: isOffline });
+      setDictEntries(entries);
+      setDictError(error);
+      if (entries.length) rememberLookup(word, entries);
+    } finally {
+      setDictLoading(false);
+    }
+  };
+
+  const openDefinition = () => {
+    setShowDefineButton(false);
+    // Debounced + locked
+    debouncedLookup(selectedWord, fetchDefinition);
+  };
+
+  const closeDictionary = () => {
+    setIsDictOpen(false);
+    setDictEntries(null);
+    setDictError('');
+    setDictLoading(false);
+    setSelectedWord('');
+  };
+
+  const layoutProps = {
+    paragraphs: rawParagraphs,
+    blocks,
+    layoutKey: typographyKey(prefs),
+    cacheKey: `${bookId}:${book.fingerprint || '-'}:${currentChapterIndex}`,
+    chapterIndex: currentChapterIndex,
+    pending: chapterPending,
+    annotations: chapterAnnotations,
+    searchSpans,
+    currentHit,
+    target,
+    onTargetReached: () => setTarget(null),
+    onVisibleChange: handleVisibleChange,
+    handlers: {
+      onMouseUp: handleMouseUp,
+      onTouchStart: handleTouchStart,
+      onTouchMove: handleTouchMove,
+      onTouchEnd: handleTouchEnd
+    }
+  };
+
+  const barButton = 'px-3 py-2 rounded-lg border bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700';
+
+  return (
+    <div className="flex flex-col h-[calc(100vh-150px)] bg-gray-50" style={readerStyle(prefs)}>
+      {/* Offline banner */}
+      {isOffline && (
+        <div className="bg-yellow-100 text-yellow-800 text-sm px-4 py-2 text-center">
+          You appear to be offline. Downloaded books and cached definitions will be used when available.
+        </div>
+      )}
+
+      {/* Top bar */}
+      <div className="p-4 border-b border-gray-200 dark:border-gray-700 flex-shrink-0 bg-white">
+        <button onClick={onBack} className="text-blue-600 hover:underline mb-4">&larr; Back to Library</button>
+        <div className="flex justify-between items-center flex-wrap gap-y-2">
+          <div>
+            <h2 className="text-2xl font-bold font-serif">{book.title}</h2>
+            <h3 className="text-lg text-gray-600 dark:text-gray-400">{chapter.title}</h3>
+          </div>
+          <div className="flex items-center gap-3 flex-wrap">
+            <button onClick={() => setIsSidebarOpen(true)} className={barButton} title="Contents & search">
+              Contents{hits.length ? ` · ${hits.length} hits` : ''}
+            </button>
+            <div className="flex rounded-lg border overflow-hidden" role="group" aria-label="Reading mode">
+              {Object.entries(READER_MODES).map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setMode(key)}
+                  className={`px-3 py-2 text-sm ${mode === key ? 'bg-blue-600 text-white' : 'bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                  aria-pressed={mode === key}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <button onClick={() => setShowLicense(true)} className={barButton} title="About & License">
+              License
+            </button>
+            {bookId && (
+              <button onClick={() => setIsNotesOpen(true)} className={barButton} title="Notes & Bookmarks">
+                Notes{annotations.length ? ` (${annotations.length})` : ''}
+              </button>
+            )}
+            {canDownload && (
+              <button
+                onClick={handleDownload}
+                disabled={downloadState.status === 'busy' || downloadState.status === 'done'}
+                className={`${barButton} disabled:opacity-70`}
+                title="Download for offline"
+              >
+                {downloadState.status === 'done' && 'Available offline ✓'}
+                {downloadState.status === 'busy' && `Downloading… ${downloadState.total ? `${downloadState.done}/${downloadState.total}` : ''}`}
+                {downloadState.status === 'error' && 'Download failed — retry'}
+                {downloadState.status === 'idle' && 'Download for offline'}
+              </button>
+            )}
+            <button onClick={goToPreviousChapter} disabled={currentChapterIndex === 0} className="px-4 py-2 bg-gray-200 dark:bg-gray-700 rounded disabled:opacity-50">Prev Chapter</button>
+            <span className="flex-shrink-0">Chapter {currentChapterIndex + 1} of {book.chapters.length}</span>
+            <button onClick={goToNextChapter} disabled={currentChapterIndex === book.chapters.length - 1} className="px-4 py-2 bg-gray-200 dark:bg-gray-700 rounded disabled:opacity-50">Next Chapter</button>
+          </div>
+        </div>
+      </div>
+
+      {/* Chapter text */}
+      {mode === 'paged' ? (
+        <PagedChapter {...layoutProps} pageIndex={pageIndex} setPageIndex={setPageIndex} />
+      ) : (
+        <ScrollChapter
+          {...layoutProps}
+          onNextChapter={goToNextChapter}
+          hasNextChapter={currentChapterIndex < book.chapters.length - 1}
+        />
+      )}
+
+      {/* Bottom controls */}
+      <div className="p-4 border-t border-gray-200 dark:border-gray-700 flex-shrink-0 bg-white flex justify-between items-center">
+        <div className="flex items-center gap-2">
+          <button onClick={onAiSummary} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition">
+            Chapter Summary
+          </button>
+          {onRecap && (
+            <button onClick={onRecap} className="px-4 py-2 bg-gray-200 dark:bg-gray-700 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition" title="Recap the chapters before where you left off">
+              Story So Far
+            </button>
+          )}
+        </div>
+        <div className="flex items-center gap-4">
+          {bookId && (
+            <button
+              onClick={toggleBookmark}
+              className={`px-3 py-2 rounded ${visibleBookmarks.length ? 'bg-amber-200 dark:bg-amber-700' : 'bg-gray-200 dark:bg-gray-700'}`}
+              title={visibleBookmarks.length ? 'Remove bookmark' : 'Bookmark this place'}
+              aria-pressed={visibleBookmarks.length > 0}
+            >
+              {visibleBookmarks.length ? '★' : '☆'}
+            </button>
+          )}
+          {mode === 'paged' && (
+            <>
+              <button onClick={goToPreviousPage} disabled={pageIndex === 0} className="px-4 py-2 bg-gray-200 dark:bg-gray-700 rounded disabled:opacity-50">Prev Page</button>
+              <span className="flex-shrink-0">Page {Math.min(pageIndex + 1, pageCount || 1)} of {pageCount || 1}</span>
+              <button onClick={goToNextPage} disabled={pageIndex >= (pageCount || 1) - 1} className="px-4 py-2 bg-gray-200 dark:bg-gray-700 rounded disabled:opacity-50">Next Page</button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Floating selection toolbar: Define + highlight colours + note */}
+      {showDefineButton && (selectedWord || selectionAnchor) && (
+        <div
+          className="fixed z-40 flex items-center gap-1 px-2 py-1 rounded-full bg-white dark:bg-gray-800 shadow-lg border border-gray-200 dark:border-gray-700"
+          style={{ left: defineBtnPos.x, top: defineBtnPos.y, transform: 'translate(-50%, -100%)' }}
+          onMouseUp={(e) => e.stopPropagation()}
+        >
+          {selectedWord && (
+            <button
+              onClick={openDefinition}
+              className="px-3 py-1 rounded-full bg-blue-600 text-white shadow hover:bg-blue-700 transition"
+            >
+              Define
+            </button>
+          )}
+          {selectedEntities.length > 0 && (
+            <button
+              onClick={openEntityCard}
+              className="px-3 py-1 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition"
+              title={`Who is ${selectedEntities[0].name}?`}
+            >
+              Who?
+            </button>
+          )}
+          {selectionAnchor && bookId && (
+            <>
+              {Object.keys(HIGHLIGHT_COLORS).map(c => (
+                <button
+                  key={c}
+                  onClick={() => addHighlight(c)}
+                  className={`w-5 h-5 rounded-full border border-gray-300 ${HIGHLIGHT_COLORS[c]}`}
+                  title={`Highlight (${c})`}
+                  aria-label={`Highlight ${c}`}
+                />
+              ))}
+              <button onClick={addNote} className="px-2 py-1 text-sm rounded-full hover:bg-gray-100 dark:hover:bg-gray-700" title="Highlight with a note">
+                Note
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Contents & search */}
+      <ReaderSidebar
+        open={isSidebarOpen}
+        onClose={() => setIsSidebarOpen(false)}
+        title={book.title}
+        chapters={book.chapters}
+        toc={book.toc}
+        currentChapterIndex={currentChapterIndex}
+        onSelectChapter={(i) => { setIsSidebarOpen(false); goToChapter(i); }}
+        query={query}
+        setQuery={setQuery}
+        searching={searching}
+        hits={hits}
+        hitIndex={hitIndex}
+        onGoToHit={goToHit}
+      />
+
+      {/* Dictionary modal */}
+      <DictionaryModal
+        isOpen={isDictOpen}
+        word={selectedWord}
+        loading={dictLoading}
+        error={dictError}
+        entries={dictEntries}
+        onClose={closeDictionary}
+      />
+
+      {/* Character / place card */}
+      <EntityCard
+        open={!!entityMatches}
+        onClose={() => setEntityMatches(null)}
+        matches={entityMatches}
+        chapters={book.chapters}
+        currentChapterIndex={currentChapterIndex}
+        onJump={(anchor) => { setEntityMatches(null); jumpTo(anchor); }}
+      />
+
+      {/* License modal */}
+      <LicenseModal open={showLicense} onClose={() => setShowLicense(false)} license={license} />
+
+      {/* Annotations panel */}
+      <AnnotationsPanel
+        open={isNotesOpen}
+        onClose={() => setIsNotesOpen(false)}
+        bookId={bookId}
+        bookTitle={book.title}
+        chapters={book.chapters}
+        annotations={annotations}
+        bookmarks={bookmarks}
+        onJump={(anchor) => { setIsNotesOpen(false); jumpTo(anchor); }}
+        onUpdateAnnotation={updateAnnotation}
+        onDeleteAnnotation={removeAnnotation}
+        onDeleteBookmark={removeBookmark}
+        onImported={() => setAnnotationsVersion(v => v + 1)}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+// src/components/DictionaryModal.jsx
+import React from 'react';
+
+export default function DictionaryModal({ isOpen, word, loading, error, entries, onClose }) {
+  if (!isOpen) return null;
+
+  const hasEntries = Array.isArray(entries) && entries.length > 0;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end sm:items-center justify-center bg-black/40 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-2xl p-5" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-xl font-semibold">Definition: <span className="italic">{word}</span></h3>
+          <button onClick={onClose} className="px-2 py-1 rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">Close</button>
+        </div>
+
+        {loading && (
+          <div className="flex items-center justify-center h-24">
+            <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500"></div>
+          </div>
+        )}
+
+        {!loading && error && <p className="text-red-600">{error}</p>}
+
+        {!loading && !error && !hasEntries && (
+          <p className="text-gray-700 dark:text-gray-300">No definition found.</p>
+        )}
+
+        {!loading && !error && hasEntries && (
+          <div className="prose prose-sm dark:prose-invert max-w-none">
+            {entries.map((entry, idx) => (
+              <div key={idx} className="mb-4">
+                {entry.word && <div className="text-gray-700 dark:text-gray-300 font-semibold">{entry.word}{entry.phonetic ? ` · ${entry.phonetic}` : ''}</div>}
+                {entry.meanings?.map((m, i) => (
+                  <div key={i} className="mt-2">
+                    <div className="font-semibold">{m.partOfSpeech || 'definition'}</div>
+                    <ol className="list-decimal pl-5">
+                      {m.definitions?.slice(0, 3).map((d, j) => (
+                        <li key={j} className="mt-1">
+                          <div>{d.definition}</div>
+                          {d.example && <div className="text-gray-600 italic">“{d.example}”</div>}
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+// src/components/EntityCard.jsx
+import React, { useEffect, useState } from 'react';
+import { mentionsSoFar } from '../utils/entityIndex';
+
+// "Who is this?" card for a character or place. Only mentions up to the
+// current chapter are shown, so the card never gives away what comes later.
+export default function EntityCard({ open, onClose, matches, chapters, currentChapterIndex, onJump }) {
+  const [selected, setSelected] = useState(0);
+  useEffect(() => { setSelected(0); }, [matches]);
+  if (!open || !matches?.length) return null;
+
+  const entity = matches[Math.min(selected, matches.length - 1)];
+  const { count, chapters: seen } = mentionsSoFar(entity, currentChapterIndex);
+  const [firstChapter, firstParagraph] = entity.first;
+  const titleOf = (i) => chapters[i]?.title || `Chapter ${i + 1}`;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end sm:items-center justify-center bg-black/40 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-md p-5 max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-xl font-semibold font-serif">{entity.name}</h3>
+          <button onClick={onClose} className="px-2 py-1 rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">Close</button>
+        </div>
+        <p className="text-xs uppercase tracking-wide text-gray-500 mb-3">{entity.kind === 'place' ? 'Place' : 'Character'}</p>
+
+        {matches.length > 1 && (
+          <div className="flex flex-wrap gap-1 mb-3">
+            {matches.map((m, i) => (
+              <button
+                key={m.name}
+                onClick={() => setSelected(i)}
+                className={`px-2 py-0.5 text-xs rounded-full border ${i === selected ? 'bg-blue-600 text-white border-blue-600' : 'border-gray-300 dark:border-gray-600'}`}
+              >
+                {m.name}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <p className="text-sm mb-3">
+          First appears in{' '}
+          <button className="text-blue-600 hover:underline" onClick={() => onJump({ chapterIndex: firstChapter, paragraphIndex: firstParagraph, offset: 0 })}>
+            {titleOf(firstChapter)}
+          </button>
+          {firstChapter === currentChapterIndex ? ' (this chapter)' : ''}.
+        </p>
+
+        <h4 className="text-sm font-semibold mb-1">
+          Mentioned in {count} {count === 1 ? 'passage' : 'passages'} so far
+        </h4>
+        <ul className="text-sm space-y-1">
+          {seen.map(([ch, paras]) => (
+            <li key={ch} className="flex items-baseline justify-between gap-2">
+              <button className="text-left text-blue-600 hover:underline truncate" onClick={() => onJump({ chapterIndex: ch, paragraphIndex: paras[0], offset: 0 })}>
+                {titleOf(ch)}
+              </button>
+              <span className="text-xs text-gray-500 flex-shrink-0">{paras.length}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
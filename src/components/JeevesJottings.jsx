@@ -122,8 +122,8 @@ function buildHintList(primaryAnswer) {
   return hints.slice(0, 3);
 }
 
-export default function JeevesJottings() {
-  const [seed] = useState(centralDateStr());
+export default function JeevesJottings({ date = null }) {
+  const [seed] = useState(date || centralDateStr());
   const [loading, setLoading] = useState(true);
   const [questions, setQuestions] = useState([]); // picked 10 for the day
   const [answers, setAnswers] = useState({});     // id -> string
@@ -1,12 +1,13 @@
 // src/components/LibraryGrid.jsx
 import React from 'react';
 import { Link } from 'react-router-dom';
+import { bookPath } from '../utils/routes';
 
 export default function LibraryGrid({ books }) {
   return (
     <div className="grid gap-4 grid-cols-[repeat(auto-fill,minmax(140px,1fr))]">
       {books.map(b => (
-        <Link key={b.id} to={`/reader/${b.gutenbergId}`} state={{ title: b.title }}>
+        <Link key={b.id} to={bookPath(b.gutenbergId)} state={{ title: b.title }}>
           <div className="rounded-2xl overflow-hidden shadow hover:shadow-lg transition">
             <img
               src={b.coverUrl}
@@ -0,0 +1,101 @@
+// src/components/LibrarySearch.jsx
+import React, { useEffect, useState } from 'react';
+import { searchLibrary, loadSnippet } from '../utils/librarySearch';
+
+const PAGE = 20;
+
+function Snippet({ result }) {
+  const [segments, setSegments] = useState(null);
+  useEffect(() => {
+    let live = true;
+    loadSnippet(result)
+      .then(s => { if (live) setSegments(s); })
+      .catch(() => { if (live) setSegments([]); });
+    return () => { live = false; };
+  }, [result]);
+
+  if (!segments) return <div className="text-xs text-gray-400">Loading excerpt…</div>;
+  return (
+    <div className="text-sm text-gray-700 dark:text-gray-300">
+      {segments.map((s, i) => (s.hit
+        ? <mark key={i} className="bg-yellow-200 dark:bg-yellow-700 rounded px-0.5">{s.text}</mark>
+        : <span key={i}>{s.text}</span>))}
+    </div>
+  );
+}
+
+/**
+ * Search box + results for the whole library.
+ * onOpenResult(result) is called with { bookId, chapterIndex, paragraphIndex, ... }.
+ */
+export default function LibrarySearch({ onOpenResult }) {
+  const [query, setQuery] = useState('');
+  const [state, setState] = useState({ loading: false, error: '', total: 0, results: [] });
+  const [shown, setShown] = useState(PAGE);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) { setState({ loading: false, error: '', total: 0, results: [] }); return; }
+    let live = true;
+    const t = setTimeout(async () => {
+      setState(s => ({ ...s, loading: true, error: '' }));
+      try {
+        const { total, results } = await searchLibrary(q);
+        if (live) { setState({ loading: false, error: '', total, results }); setShown(PAGE); }
+      } catch (e) {
+        if (live) setState({ loading: false, error: e?.message || 'Search failed.', total: 0, results: [] });
+      }
+    }, 300);
+    return () => { live = false; clearTimeout(t); };
+  }, [query]);
+
+  return (
+    <section className="mb-6">
+      <input
+        type="search"
+        className="w-full border border-gray-300 dark:border-gray-700 rounded-lg px-3 py-2 bg-white dark:bg-gray-800"
+        placeholder='Search every book — words or "an exact phrase"'
+        value={query}
+        onChange={e => setQuery(e.target.value)}
+        aria-label="Search the library"
+      />
+
+      {state.loading && <p className="mt-2 text-sm text-gray-500">Searching…</p>}
+      {state.error && <p className="mt-2 text-sm text-red-600">{state.error}</p>}
+      {!state.loading && !state.error && query.trim() && (
+        <p className="mt-2 text-sm text-gray-500">
+          {state.total === 0 ? 'No matches.' : `${state.total} matching paragraph${state.total === 1 ? '' : 's'}`}
+          {state.total > state.results.length ? ` (showing the top ${state.results.length})` : ''}
+        </p>
+      )}
+
+      {!!state.results.length && (
+        <ul className="mt-3 space-y-3">
+          {state.results.slice(0, shown).map(r => (
+            <li key={r.doc}>
+              <button
+                onClick={() => onOpenResult?.(r)}
+                className="w-full text-left p-3 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:shadow"
+              >
+                <div className="text-xs text-gray-500 mb-1">
+                  <span className="font-semibold text-gray-800 dark:text-gray-100">{r.bookTitle}</span>
+                  {' · '}{r.chapterTitle || `Chapter ${r.chapterIndex + 1}`}
+                  {' · '}¶ {r.paragraphIndex + 1}
+                </div>
+                <Snippet result={r} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {state.results.length > shown && (
+        <button
+          onClick={() => setShown(n => n + PAGE)}
+          className="mt-3 px-3 py-1.5 text-sm rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+        >
+          Show more
+        </button>
+      )}
+    </section>
+  );
+}
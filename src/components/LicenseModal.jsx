@@ -4,9 +4,9 @@ import React from 'react';
 export default function LicenseModal({ open, onClose, license }) {
   if (!open) return null;
   return (
-    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center">
-      <div className="bg-white dark:bg-neutral-900 rounded-2xl shadow-xl max-w-2xl w-full p-6">
-        <h2 className="text-xl font-semibold mb-3">About & License</h2>
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-neutral-900 rounded-2xl shadow-xl max-w-2xl w-full p-6" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-xl font-semibold mb-3">About &amp; License</h2>
         <p className="text-sm opacity-80 mb-4">
           {license?.sentence || 'Project Gutenberg eBook license applies.'}
         </p>
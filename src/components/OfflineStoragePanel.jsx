@@ -0,0 +1,72 @@
+// src/components/OfflineStoragePanel.jsx
+import React, { useEffect, useState } from 'react';
+import { listDownloadedBooks, evictBook, formatBytes, offlineSupported } from '../utils/offlineBooks';
+
+export default function OfflineStoragePanel() {
+  const [books, setBooks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [quota, setQuota] = useState(null);
+
+  const refresh = async () => {
+    setLoading(true);
+    try {
+      setBooks(await listDownloadedBooks());
+      if (navigator.storage?.estimate) setQuota(await navigator.storage.estimate());
+    } catch (e) {
+      console.error(e);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { refresh(); }, []);
+
+  const remove = async (id) => {
+    await evictBook(id);
+    refresh();
+  };
+
+  if (!offlineSupported()) {
+    return <p className="text-sm text-gray-500">Offline storage is not available in this browser.</p>;
+  }
+
+  const total = books.reduce((n, b) => n + b.bytes, 0);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-semibold">Offline books</h4>
+        <span className="text-xs text-gray-500">{formatBytes(total)}</span>
+      </div>
+      {loading && <p className="text-sm text-gray-500">Checking storage…</p>}
+      {!loading && !books.length && (
+        <p className="text-sm text-gray-500">No books downloaded. Use “Download for offline” in the reader.</p>
+      )}
+      {!loading && !!books.length && (
+        <ul className="space-y-2 max-h-64 overflow-auto">
+          {books.map(b => (
+            <li key={b.gutenbergId} className="flex items-center justify-between gap-2 text-sm">
+              <div className="min-w-0">
+                <div className="truncate">{b.title || `PG #${b.gutenbergId}`}</div>
+                <div className="text-xs text-gray-500">
+                  {b.chapters} chapters · {formatBytes(b.bytes)}{b.complete ? '' : ' · incomplete'}
+                </div>
+              </div>
+              <button
+                onClick={() => remove(b.gutenbergId)}
+                className="px-2 py-1 text-xs rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {quota?.quota && (
+        <p className="mt-2 text-xs text-gray-500">
+          Using {formatBytes(quota.usage || 0)} of {formatBytes(quota.quota)} available to this site.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+// src/components/PagedChapter.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import SegmentText from './SegmentText.jsx';
+import { findPageForAnchor, findPageForPosition } from '../utils/annotations';
+import { paginate } from '../utils/paginator';
+
+const PARA_CLASS = 'hyphens-auto break-words';
+const NO_PAGES = [];
+
+/**
+ * Paged layout for one chapter. Text is measured off-screen into pages of
+ * segments { p, start, end, text } (a slice of raw paragraph p); long
+ * paragraphs break between sentences. Page breaks are cached under
+ * `cacheKey` (book, its fingerprint and chapter) plus the shape of the text,
+ * the viewport size and typography. The page index is owned by the reader
+ * (it drives the pager and the URL); this component lays out, shows the page
+ * and reports what is visible via onVisibleChange. `layoutKey` changes
+ * whenever typography does, which re-runs the measurer; the reader stays on
+ * the page holding the same text anchor rather than going back to page 0.
+ */
+export default function PagedChapter({
+  paragraphs, blocks, chapterIndex, pending, annotations, searchSpans, currentHit,
+  target, onTargetReached, pageIndex, setPageIndex, onVisibleChange, handlers, layoutKey, cacheKey
+}) {
+  const viewportRef = useRef(null);
+  const measurerRef = useRef(null);
+  const [layout, setLayout] = useState({ chapterIndex: null, pages: [] });
+  const pages = layout.chapterIndex === chapterIndex ? layout.pages : NO_PAGES;
+  const targetRef = useRef(target);
+  targetRef.current = target;
+  // { chapterIndex, paragraphIndex, offset } of the passage being read. It survives
+  // re-pagination (resize, rotation, typography) and only moves when the reader
+  // turns to a page that doesn't contain it, so repeated reflows don't drift.
+  const anchorRef = useRef(null);
+
+  const targetHere = (t) => t && t.chapterIndex === chapterIndex;
+
+  // Pagination (see utils/paginator.js). Each run bumps `run`, which cancels
+  // any layout still in progress so only the newest one touches the measurer.
+  const run = useRef(0);
+  const lastViewport = useRef(''); // clientWidth x clientHeight of the last layout
+  const layOut = async () => {
+    const viewport = viewportRef.current;
+    const measurer = measurerRef.current;
+    if (!viewport || !measurer) return;
+
+    const pageComputed = getComputedStyle(viewport);
+    const paddingX = parseFloat(pageComputed.paddingLeft) + parseFloat(pageComputed.paddingRight);
+    const usableWidth = Math.max(0, viewport.clientWidth - paddingX);
+    measurer.style.width = `${usableWidth}px`;
+
+    const maxHeight = viewport.clientHeight;
+    const size = `${Math.round(usableWidth)}x${maxHeight}`;
+    lastViewport.current = `${viewport.clientWidth}x${viewport.clientHeight}`;
+
+    // Breaks are offsets into the text: never reuse them for different text
+    const shape = `${paragraphs.length}.${paragraphs.reduce((n, p) => n + p.length, 0)}`;
+    const id = ++run.current;
+    const result = await paginate({
+      paragraphs,
+      blocks,
+      measurer,
+      maxHeight,
+      paraClass: PARA_CLASS,
+      cacheKey: cacheKey && paragraphs.length ? `${cacheKey}:${shape}:${size}:${layoutKey}` : null,
+      isCancelled: () => id !== run.current
+    });
+    if (!result || id !== run.current) return;
+
+    setLayout({ chapterIndex, pages: result });
+    const pendingTarget = targetRef.current;
+    const anchor = anchorRef.current;
+    if (targetHere(pendingTarget) && paragraphs.length) {
+      goToTarget(result, pendingTarget);
+    } else if (anchor && anchor.chapterIndex === chapterIndex) {
+      setPageIndex(findPageForAnchor(result, anchor));
+    } else {
+      setPageIndex(0);
+    }
+  };
+
+  const goToTarget = (laidOut, t) => {
+    anchorRef.current = t.paragraphIndex != null
+      ? { chapterIndex, paragraphIndex: t.paragraphIndex, offset: t.offset || 0 }
+      : null;
+    setPageIndex(findPageForPosition(laidOut, t));
+    onTargetReached();
+  };
+
+  // Re-paginate on chapter or typography change, and (debounced) when the viewport resizes
+  useEffect(() => {
+    layOut();
+    let timer = null;
+    const ro = new ResizeObserver(() => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const viewport = viewportRef.current;
+        if (viewport && `${viewport.clientWidth}x${viewport.clientHeight}` !== lastViewport.current) layOut();
+      }, 120);
+    });
+    if (viewportRef.current) ro.observe(viewportRef.current);
+    return () => { clearTimeout(timer); ro.disconnect(); run.current++; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [chapterIndex, paragraphs, layoutKey]);
+
+  // A target in the chapter that's already laid out: just turn to its page
+  useEffect(() => {
+    if (!targetHere(target) || !pages.length) return;
+    goToTarget(pages, target);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [target]);
+
+  useEffect(() => {
+    if (pending || !pages.length || targetHere(targetRef.current)) return;
+    const page = pages[pageIndex];
+    if (!page?.length) return;
+    const last = page[page.length - 1];
+    const top = { paragraphIndex: page[0].p, offset: page[0].start };
+    const anchor = anchorRef.current;
+    if (!anchor || anchor.chapterIndex !== chapterIndex || findPageForAnchor(pages, anchor) !== pageIndex) {
+      anchorRef.current = { chapterIndex, ...top };
+    }
+    onVisibleChange({
+      chapterIndex,
+      page: pageIndex,
+      pageCount: pages.length,
+      anchor: { paragraphIndex: anchorRef.current.paragraphIndex, offset: anchorRef.current.offset },
+      top,
+      bottom: { paragraphIndex: last.p, offset: last.end },
+      atEnd: pageIndex === pages.length - 1
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [pages, pageIndex, pending]);
+
+  const currentPageParas = pages[pageIndex] || [];
+
+  return (
+    <div className="flex-grow overflow-hidden flex items-stretch">
+      <div className="flex-1 flex items-center justify-center">
+        <div
+          ref={viewportRef}
+          className="w-full max-w-3xl mx-auto reader-surface reader-page rounded-xl shadow-md py-6 sm:py-8 overflow-hidden"
+          style={{ height: '100%' }}
+          {...handlers}
+        >
+          <article className="reader-text">
+            {pending && <p className="text-gray-500">Loading chapter…</p>}
+            {!pending && !pages.length && paragraphs.length > 0 && <p className="text-gray-500">Laying out pages…</p>}
+            {currentPageParas.map(seg => (
+              <SegmentText
+                key={`${seg.p}:${seg.start}`}
+                seg={seg}
+                block={blocks?.[seg.p]}
+                annotations={annotations}
+                searchSpans={searchSpans?.[seg.p]}
+                currentHitOffset={currentHit && currentHit.chapterIndex === chapterIndex && currentHit.paragraphIndex === seg.p ? currentHit.offset : -1}
+                className={PARA_CLASS}
+              />
+            ))}
+          </article>
+        </div>
+      </div>
+
+      {/* Off-screen measurer */}
+      <div
+        ref={measurerRef}
+        aria-hidden
+        className="fixed -left-[99999px] -top-[99999px] reader-text reader-page py-6 sm:py-8"
+        style={{ visibility: 'hidden', pointerEvents: 'none' }}
+      />
+    </div>
+  );
+}
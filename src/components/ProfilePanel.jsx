@@ -0,0 +1,65 @@
+// src/components/ProfilePanel.jsx
+import React, { useRef, useState } from 'react';
+import { exportProfile, importProfile, resetEverything } from '../utils/profile';
+import { downloadText } from '../utils/exportAnnotations';
+
+export default function ProfilePanel() {
+  const fileRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const run = async (task) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      await task();
+    } catch (e) {
+      setMessage(e?.message || 'Something went wrong.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onExport = () => run(async () => {
+    const bundle = await exportProfile();
+    downloadText(`wodehouse-reader-profile-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(bundle), 'application/json');
+  });
+
+  const onFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!window.confirm('Replace everything in this browser with this profile? Sync will be turned off.')) return;
+    run(async () => {
+      const { records } = await importProfile(await file.text());
+      setMessage(`Imported ${records} records. Reloading…`);
+      window.location.reload();
+    });
+  };
+
+  const onReset = () => {
+    if (!window.confirm('Delete all progress, notes, bookmarks, vocabulary, stats, settings and downloaded books from this browser? This cannot be undone.')) return;
+    run(async () => {
+      await resetEverything();
+      window.location.reload();
+    });
+  };
+
+  const btn = 'px-3 py-1 text-sm rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50';
+
+  return (
+    <div>
+      <h4 className="font-semibold mb-2">Your data</h4>
+      <p className="text-sm text-gray-500 mb-2">Move everything to another browser, or start afresh.</p>
+      <div className="flex flex-wrap gap-2">
+        <button onClick={onExport} disabled={busy} className={btn}>Export profile</button>
+        <button onClick={() => fileRef.current?.click()} disabled={busy} className={btn}>Import profile…</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={onFile} />
+        <button onClick={onReset} disabled={busy} className="px-3 py-1 text-sm rounded bg-red-600 text-white hover:bg-red-700 disabled:opacity-50">
+          Reset everything
+        </button>
+      </div>
+      {message && <p className="mt-2 text-xs text-gray-600 dark:text-gray-300">{message}</p>}
+    </div>
+  );
+}
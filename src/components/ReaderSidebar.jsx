@@ -0,0 +1,103 @@
+// src/components/ReaderSidebar.jsx
+import React from 'react';
+import { titleForChapter } from '../utils/chapterizer';
+import { MAX_HITS } from '../utils/bookSearch';
+
+/**
+ * Table of contents + search-in-book drawer for the reader.
+ * Hits are { chapterIndex, paragraphIndex, offset, ctx }; onGoToHit(i) moves the reader.
+ * `toc` (optional) groups chapters under parts or stories.
+ */
+export default function ReaderSidebar({
+  open, onClose, title, chapters, toc, currentChapterIndex, onSelectChapter,
+  query, setQuery, searching, hits, hitIndex, onGoToHit
+}) {
+  if (!open) return null;
+  const active = query.trim().length > 0;
+  const entries = toc?.some(e => e.children) ? toc : chapters.map((ch, i) => ({ chapter: i }));
+
+  const chapterButton = (i) => (
+    <button
+      onClick={() => onSelectChapter(i)}
+      className={`w-full text-left text-sm px-2 py-1 rounded ${i === currentChapterIndex ? 'bg-gray-200 dark:bg-gray-700' : 'hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+      aria-current={i === currentChapterIndex ? 'true' : undefined}
+    >
+      {titleForChapter(chapters[i], i)}
+    </button>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-40" onClick={onClose}>
+      <aside className="absolute top-0 left-0 h-full w-full sm:w-80 bg-white dark:bg-gray-800 shadow-xl p-4 overflow-auto" onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="font-semibold pr-2 line-clamp-2">{title || 'Book'}</h3>
+          <button onClick={onClose} className="px-2 py-1 rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">Close</button>
+        </div>
+
+        {/* Search */}
+        <input
+          type="search"
+          className="w-full border rounded px-2 py-1 text-sm bg-white dark:bg-gray-900"
+          placeholder="Search in book…"
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+          aria-label="Search in book"
+        />
+        {active && (
+          <div className="mt-2 flex items-center justify-between text-xs">
+            <button
+              disabled={!hits.length}
+              onClick={() => onGoToHit(hitIndex - 1)}
+              className="px-2 py-0.5 rounded bg-gray-200 dark:bg-gray-700 disabled:opacity-50"
+              aria-label="Previous hit"
+            >
+              ◀
+            </button>
+            <span className="opacity-70">
+              {searching ? 'Searching…' : hits.length ? `${hitIndex >= 0 ? hitIndex + 1 : 0} of ${hits.length}${hits.length >= MAX_HITS ? '+' : ''}` : 'No hits'}
+            </span>
+            <button
+              disabled={!hits.length}
+              onClick={() => onGoToHit(hitIndex + 1)}
+              className="px-2 py-0.5 rounded bg-gray-200 dark:bg-gray-700 disabled:opacity-50"
+              aria-label="Next hit"
+            >
+              ▶
+            </button>
+          </div>
+        )}
+        {active && !!hits.length && (
+          <div className="mt-2 max-h-64 overflow-auto text-xs space-y-2">
+            {hits.map((h, i) => (
+              <button
+                key={i}
+                onClick={() => onGoToHit(i)}
+                className={`block w-full text-left p-2 rounded ${i === hitIndex ? 'bg-yellow-100 dark:bg-yellow-900' : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600'}`}
+              >
+                <span className="block opacity-60 mb-0.5">{titleForChapter(chapters[h.chapterIndex], h.chapterIndex)} · ¶ {h.paragraphIndex + 1}</span>
+                …{h.ctx}…
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* TOC */}
+        <h4 className="font-semibold mt-6 mb-2">Contents</h4>
+        <ol className="space-y-1">
+          {entries.map((e, k) => (
+            <li key={k}>
+              {e.children ? (
+                <>
+                  <span className="block text-xs uppercase tracking-wide text-gray-500 px-2 pt-2">{e.title}</span>
+                  <ol className="space-y-1 pl-2">
+                    {e.children.map(c => <li key={c.chapter}>{chapterButton(c.chapter)}</li>)}
+                  </ol>
+                </>
+              ) : chapterButton(e.chapter)}
+            </li>
+          ))}
+        </ol>
+      </aside>
+    </div>
+  );
+}
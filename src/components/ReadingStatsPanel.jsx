@@ -0,0 +1,125 @@
+// src/components/ReadingStatsPanel.jsx
+import React, { useEffect, useState } from "react";
+import { computeReadingStats, dayKey, formatDuration } from "../utils/readingStats";
+import { clearMetrics } from "../utils/readingMetrics";
+
+const WEEKS = 16;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function heat(ms) {
+  if (!ms) return "bg-gray-100 dark:bg-gray-700";
+  const min = ms / 60000;
+  if (min < 10) return "bg-green-200 dark:bg-green-900";
+  if (min < 30) return "bg-green-400 dark:bg-green-700";
+  return "bg-green-600 dark:bg-green-500";
+}
+
+/** GitHub-style grid of the last WEEKS weeks, one column per week (Sun–Sat). */
+function StreakCalendar({ days }) {
+  const today = new Date();
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay() - (WEEKS - 1) * 7);
+  const weeks = [];
+  for (let w = 0; w < WEEKS; w++) {
+    const col = [];
+    for (let d = 0; d < 7; d++) {
+      const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + w * 7 + d);
+      col.push(date > today ? null : dayKey(date));
+    }
+    weeks.push(col);
+  }
+  return (
+    <div className="flex gap-1 overflow-x-auto">
+      {weeks.map((col, i) => (
+        <div key={i} className="flex flex-col gap-1">
+          {col.map((k, j) => k
+            ? <div key={j} className={`w-3 h-3 rounded-sm ${heat(days[k]?.ms)}`} title={`${k}: ${formatDuration(days[k]?.ms || 0)}${days[k]?.words ? `, ${days[k].words.toLocaleString()} words` : ""}`} />
+            : <div key={j} className="w-3 h-3" />)}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function RecentDays({ days }) {
+  const keys = Array.from({ length: 14 }, (_, i) => dayKey(Date.now() - (13 - i) * DAY_MS));
+  const max = Math.max(1, ...keys.map(k => days[k]?.ms || 0));
+  return (
+    <div className="flex items-end gap-1 h-24">
+      {keys.map(k => (
+        <div key={k} className="flex-1 flex flex-col items-center justify-end h-full" title={`${k}: ${formatDuration(days[k]?.ms || 0)}`}>
+          <div className="w-full bg-blue-500 rounded-t" style={{ height: `${((days[k]?.ms || 0) / max) * 100}%` }} />
+          <div className="text-[10px] text-gray-500 mt-1">{k.slice(8)}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function ReadingStatsPanel() {
+  const [stats, setStats] = useState(null);
+
+  const refresh = () => computeReadingStats().then(setStats).catch(() => setStats(null));
+  useEffect(() => { refresh(); }, []);
+
+  if (!stats) return <p className="text-sm text-gray-500">Loading…</p>;
+
+  const todayMs = stats.days[dayKey(Date.now())]?.ms || 0;
+  return (
+    <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl shadow-sm p-6 space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4 text-sm">
+        {[
+          { label: "Read Today", value: formatDuration(todayMs) },
+          { label: "Total Time", value: formatDuration(stats.totalMs) },
+          { label: "Words Read", value: stats.totalWords.toLocaleString() },
+          { label: "Avg Speed", value: stats.wpm ? `${stats.wpm} wpm` : "—" },
+          { label: "Current Streak", value: `${stats.streak.current} day${stats.streak.current === 1 ? "" : "s"}` },
+          { label: "Longest Streak", value: `${stats.streak.longest} day${stats.streak.longest === 1 ? "" : "s"}` }
+        ].map((item) => (
+          <div key={item.label} className="p-3 rounded-lg bg-gray-50 dark:bg-gray-900 border dark:border-gray-700">
+            <div className="text-gray-500">{item.label}</div>
+            <div className="text-xl font-semibold">{item.value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div>
+        <h3 className="font-semibold mb-2">Last 14 days</h3>
+        <RecentDays days={stats.days} />
+      </div>
+
+      <div>
+        <h3 className="font-semibold mb-2">Reading calendar</h3>
+        <StreakCalendar days={stats.days} />
+      </div>
+
+      <div>
+        <h3 className="font-semibold mb-2">Books</h3>
+        {!stats.books.length && <p className="text-sm text-gray-500">Open a book to start tracking your reading.</p>}
+        <ul className="space-y-3">
+          {stats.books.map(b => (
+            <li key={b.id} className="text-sm">
+              <div className="flex justify-between gap-2">
+                <span className="font-medium truncate">{b.title}</span>
+                <span className="text-gray-500 flex-shrink-0">{b.percent}% · {formatDuration(b.ms)}</span>
+              </div>
+              <div className="h-2 mt-1 rounded bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                <div className="h-full bg-green-500" style={{ width: `${b.percent}%` }} />
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <button
+        className="px-4 py-2 rounded-lg bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition"
+        onClick={async () => {
+          if (!window.confirm("Clear all reading history?")) return;
+          await clearMetrics();
+          refresh();
+        }}
+      >
+        Reset Reading Stats
+      </button>
+    </section>
+  );
+}
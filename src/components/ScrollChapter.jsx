@@ -0,0 +1,160 @@
+// src/components/ScrollChapter.jsx
+import React, { useEffect, useRef } from 'react';
+import { useVirtualizer } from '@tanstack/react-virtual';
+import SegmentText from './SegmentText.jsx';
+import { anchorFromPoint } from '../utils/annotations';
+
+/** Vertical position of character `offset` inside a rendered paragraph, relative to the viewport. */
+function offsetTop(paraEl, offset) {
+  const walker = document.createTreeWalker(paraEl, NodeFilter.SHOW_TEXT);
+  let left = offset;
+  let node;
+  while ((node = walker.nextNode())) {
+    const len = node.textContent.length;
+    if (left <= len) {
+      const r = document.createRange();
+      r.setStart(node, Math.min(left, len));
+      r.setEnd(node, Math.min(left + 1, len));
+      return r.getBoundingClientRect().top;
+    }
+    left -= len;
+  }
+  return paraEl.getBoundingClientRect().top;
+}
+
+/**
+ * Continuous-scroll layout for one chapter: virtualized paragraphs, so very
+ * long chapters stay cheap. Reports the first and last visible characters
+ * via onVisibleChange and scrolls to `target` once its chapter is rendered.
+ */
+export default function ScrollChapter({
+  paragraphs, blocks, chapterIndex, pending, annotations, searchSpans, currentHit,
+  target, onTargetReached, onVisibleChange, onNextChapter, hasNextChapter, handlers
+}) {
+  const parentRef = useRef(null);
+  const targetRef = useRef(target);
+  targetRef.current = target;
+
+  const rowVirtualizer = useVirtualizer({
+    count: paragraphs.length,
+    getScrollElement: () => parentRef.current,
+    // Rough guess from text length; rows are measured once rendered
+    estimateSize: (i) => Math.max(32, Math.round((paragraphs[i]?.length || 0) * 0.4)),
+    overscan: 3
+  });
+
+  const targetHere = (t) => t && t.chapterIndex === chapterIndex;
+
+  const anchorAt = (y, fallback) => {
+    const el = parentRef.current;
+    const rect = el.getBoundingClientRect();
+    for (const dy of [0, 12, 24, 36]) {
+      const a = anchorFromPoint(rect.left + rect.width / 2, y + (y < rect.top + rect.height / 2 ? dy : -dy));
+      if (a) return a;
+    }
+    return fallback;
+  };
+
+  const report = () => {
+    const el = parentRef.current;
+    if (!el || pending || !paragraphs.length || targetHere(targetRef.current)) return;
+    const items = rowVirtualizer.getVirtualItems();
+    const visible = items.filter(it => it.end > el.scrollTop && it.start < el.scrollTop + el.clientHeight);
+    if (!visible.length) return;
+    const rect = el.getBoundingClientRect();
+    const first = visible[0];
+    const last = visible[visible.length - 1];
+    const top = anchorAt(rect.top + 16, { paragraphIndex: first.index, offset: 0 });
+    const bottom = anchorAt(rect.bottom - 16, { paragraphIndex: last.index, offset: paragraphs[last.index].length });
+    onVisibleChange({
+      chapterIndex,
+      top: { paragraphIndex: top.paragraphIndex, offset: top.offset },
+      bottom: { paragraphIndex: bottom.paragraphIndex, offset: bottom.offset },
+      atEnd: el.scrollTop + el.clientHeight >= el.scrollHeight - 8
+    });
+  };
+
+  // Scroll events, coalesced to one report per frame
+  const frame = useRef(0);
+  const onScroll = () => {
+    if (frame.current) return;
+    frame.current = requestAnimationFrame(() => { frame.current = 0; report(); });
+  };
+  useEffect(() => () => cancelAnimationFrame(frame.current), []);
+
+  // New chapter: go to the target if it points here, else to the top
+  useEffect(() => {
+    const el = parentRef.current;
+    if (!el || pending) return;
+    if (!targetHere(targetRef.current)) {
+      el.scrollTop = 0;
+      requestAnimationFrame(report);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [chapterIndex, pending]);
+
+  // Scroll the target paragraph in, then line its character up with the top edge
+  useEffect(() => {
+    const el = parentRef.current;
+    if (!el || pending || !targetHere(target) || !paragraphs.length) return;
+    const index = Math.min(target.paragraphIndex ?? 0, paragraphs.length - 1);
+    rowVirtualizer.scrollToIndex(index, { align: 'start' });
+    let raf = requestAnimationFrame(() => {
+      rowVirtualizer.scrollToIndex(index, { align: 'start' });
+      raf = requestAnimationFrame(() => {
+        const para = el.querySelector(`[data-index="${index}"] [data-para]`);
+        if (para) {
+          el.scrollTop += offsetTop(para, target.offset || 0) - el.getBoundingClientRect().top - 16;
+        }
+        const mark = el.querySelector('[data-current-hit]');
+        if (mark && target.hit) mark.scrollIntoView({ block: 'center' });
+        onTargetReached();
+        requestAnimationFrame(report);
+      });
+    });
+    return () => cancelAnimationFrame(raf);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [target, pending, paragraphs]);
+
+  return (
+    <div className="flex-grow overflow-hidden flex items-stretch">
+      <div
+        ref={parentRef}
+        onScroll={onScroll}
+        className="flex-1 overflow-auto"
+        {...handlers}
+      >
+        <div className="w-full max-w-3xl mx-auto reader-surface reader-page rounded-xl shadow-md py-6 sm:py-8 my-2">
+          <article className="reader-text">
+            {pending && <p className="text-gray-500">Loading chapter…</p>}
+            <div style={{ height: `${rowVirtualizer.getTotalSize()}px`, position: 'relative' }}>
+              {rowVirtualizer.getVirtualItems().map(virt => (
+                <div
+                  key={virt.key}
+                  data-index={virt.index}
+                  ref={rowVirtualizer.measureElement}
+                  className="flow-root"
+                  style={{ position: 'absolute', top: 0, left: 0, width: '100%', transform: `translateY(${virt.start}px)` }}
+                >
+                  <SegmentText
+                    seg={{ p: virt.index, start: 0, end: paragraphs[virt.index].length, text: paragraphs[virt.index] }}
+                    block={blocks?.[virt.index]}
+                    annotations={annotations}
+                    searchSpans={searchSpans?.[virt.index]}
+                    currentHitOffset={currentHit && currentHit.chapterIndex === chapterIndex && currentHit.paragraphIndex === virt.index ? currentHit.offset : -1}
+                    className="hyphens-auto break-words"
+                  />
+                </div>
+              ))}
+            </div>
+          </article>
+          {!pending && hasNextChapter && (
+            <div className="pt-6 text-center">
+              <button onClick={onNextChapter} className="px-4 py-2 bg-gray-200 dark:bg-gray-700 rounded">Next Chapter →</button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+// src/components/SegmentText.jsx
+import React from 'react';
+import { HIGHLIGHT_COLORS, highlightPieces } from '../utils/annotations';
+import { BLOCK_CLASSES, markedPieces } from '../utils/richText';
+
+const MARK_TAGS = { i: 'em', b: 'strong' };
+
+// Italic and bold runs of text[start, start + text.length)
+function withEmphasis(block, text, start) {
+  if (!block?.marks?.length) return text;
+  return markedPieces(block, start, start + text.length).map((piece, i) => {
+    const slice = text.slice(piece.start - start, piece.end - start);
+    const Tag = MARK_TAGS[piece.mark];
+    return Tag ? <Tag key={i}>{slice}</Tag> : <React.Fragment key={i}>{slice}</React.Fragment>;
+  });
+}
+
+/**
+ * One paragraph slice as rendered by both reader modes:
+ * <p data-para data-start> (what anchorFromRange/anchorFromPoint read back),
+ * with highlights and in-book search matches marked. The current search hit
+ * gets data-current-hit so the reader can scroll it into view. `block` is the
+ * paragraph's { type, marks } (see utils/richText.js): quotations, verse and
+ * scene breaks get their own class, emphasis its <em>/<strong>, and the text
+ * itself is unchanged so offsets still line up.
+ */
+export default function SegmentText({ seg, block, annotations, searchSpans, currentHitOffset = -1, className = '' }) {
+  const classes = [className, BLOCK_CLASSES[block?.type]].filter(Boolean).join(' ');
+  return (
+    <p data-para={seg.p} data-start={seg.start} className={classes}>
+      {highlightPieces(seg, annotations, searchSpans).map((piece, i) => {
+        let node = withEmphasis(block, piece.text, piece.start);
+        if (piece.hit != null) {
+          const current = piece.hit === currentHitOffset;
+          node = (
+            <mark
+              data-current-hit={current || undefined}
+              className={current ? 'bg-orange-300 dark:bg-orange-600 text-inherit rounded' : 'bg-yellow-200 dark:bg-yellow-700 text-inherit rounded'}
+            >
+              {node}
+            </mark>
+          );
+        }
+        if (piece.annotation) {
+          return (
+            <mark
+              key={i}
+              className={`${HIGHLIGHT_COLORS[piece.annotation.color] || HIGHLIGHT_COLORS.yellow} text-inherit rounded-sm`}
+              title={piece.annotation.note || undefined}
+            >
+              {node}
+            </mark>
+          );
+        }
+        return <React.Fragment key={i}>{node}</React.Fragment>;
+      })}
+    </p>
+  );
+}
@@ -0,0 +1,88 @@
+// src/components/SyncPanel.jsx
+import React, { useState } from 'react';
+import { getSyncSettings, newSyncCode, enableSync, disableSync, syncNow } from '../utils/sync';
+
+const formatCode = (code) => (code || '').match(/.{1,5}/g)?.join('-') || '';
+
+export default function SyncPanel() {
+  const [settings, setSettings] = useState(getSyncSettings);
+  const [codeInput, setCodeInput] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const run = async (task) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      await task();
+    } catch (e) {
+      setMessage(e?.message || 'Sync failed.');
+    } finally {
+      setSettings(getSyncSettings());
+      setBusy(false);
+    }
+  };
+
+  const sync = () => run(async () => {
+    const { pushed, changed } = await syncNow();
+    setMessage(`Synced: sent ${pushed}, updated ${changed} here.`);
+  });
+
+  const start = (code) => run(async () => {
+    await enableSync(code);
+    setCodeInput('');
+    const { pushed, changed } = await syncNow();
+    setMessage(`Synced: sent ${pushed}, updated ${changed} here.`);
+  });
+
+  const stop = () => run(async () => {
+    if (!window.confirm('Stop syncing this device? Your data stays on this device.')) return;
+    await disableSync();
+  });
+
+  return (
+    <div>
+      <h4 className="font-semibold mb-2">Sync</h4>
+      {settings.code ? (
+        <>
+          <p className="text-sm mb-2">
+            Progress, bookmarks and notes sync with other devices using this code:
+          </p>
+          <code className="block text-sm p-2 rounded bg-gray-100 dark:bg-gray-900 mb-2 select-all break-all">{formatCode(settings.code)}</code>
+          <p className="text-xs text-gray-500 mb-2">
+            {settings.lastSyncAt ? `Last synced ${new Date(settings.lastSyncAt).toLocaleString()}` : 'Not synced yet'}
+            {settings.lastError ? ` · ${settings.lastError}` : ''}
+          </p>
+          <div className="flex gap-2">
+            <button onClick={sync} disabled={busy} className="px-3 py-1 text-sm rounded bg-blue-600 text-white disabled:opacity-50">
+              {busy ? 'Syncing…' : 'Sync now'}
+            </button>
+            <button onClick={stop} disabled={busy} className="px-3 py-1 text-sm rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">
+              Turn off
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <p className="text-sm text-gray-500 mb-2">Keep your place, bookmarks and notes in step across devices.</p>
+          <button onClick={() => start(newSyncCode())} disabled={busy} className="px-3 py-1 text-sm rounded bg-blue-600 text-white disabled:opacity-50 mb-3">
+            Turn on sync
+          </button>
+          <div className="flex gap-2">
+            <input
+              value={codeInput}
+              onChange={e => setCodeInput(e.target.value)}
+              placeholder="Code from another device"
+              className="flex-1 min-w-0 border rounded px-2 py-1 text-sm bg-white dark:bg-gray-900"
+              aria-label="Sync code from another device"
+            />
+            <button onClick={() => start(codeInput)} disabled={busy || !codeInput.trim()} className="px-3 py-1 text-sm rounded bg-gray-100 dark:bg-gray-700 disabled:opacity-50">
+              Join
+            </button>
+          </div>
+        </>
+      )}
+      {message && <p className="mt-2 text-xs text-gray-600 dark:text-gray-300">{message}</p>}
+    </div>
+  );
+}
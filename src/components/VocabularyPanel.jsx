@@ -0,0 +1,149 @@
+// src/components/VocabularyPanel.jsx
+import React, { useEffect, useState } from "react";
+import { vocabularyList, dueForReview, gradeEntry, removeEntry } from "../utils/vocabulary";
+
+const GRADES = [
+  { label: "Again", quality: 1, cls: "bg-red-600 text-white" },
+  { label: "Hard", quality: 3, cls: "bg-orange-500 text-white" },
+  { label: "Good", quality: 4, cls: "bg-blue-600 text-white" },
+  { label: "Easy", quality: 5, cls: "bg-green-600 text-white" }
+];
+
+function contextLine(c) {
+  return [c.bookTitle, c.chapterTitle].filter(Boolean).join(" · ");
+}
+
+function dueLabel(due) {
+  const days = Math.ceil((due - Date.now()) / (24 * 60 * 60 * 1000));
+  if (days <= 0) return "due now";
+  return days === 1 ? "due tomorrow" : `due in ${days} days`;
+}
+
+function Review({ onDone }) {
+  const [queue, setQueue] = useState(null);
+  const [revealed, setRevealed] = useState(false);
+
+  useEffect(() => {
+    dueForReview().then(setQueue).catch(() => setQueue([]));
+  }, []);
+
+  if (!queue) return <p className="text-sm text-gray-500">Loading…</p>;
+  const card = queue[0];
+  if (!card) {
+    return (
+      <div className="text-center py-6">
+        <p className="mb-3">Nothing left to review. Well played!</p>
+        <button className="px-4 py-2 rounded-lg bg-gray-200 dark:bg-gray-700" onClick={onDone}>Back to list</button>
+      </div>
+    );
+  }
+
+  const grade = async (quality) => {
+    await gradeEntry(card.lemma, quality);
+    // Lapsed cards come round again in this session
+    setQueue(q => (quality < 3 ? [...q.slice(1), card] : q.slice(1)));
+    setRevealed(false);
+  };
+
+  const ctx = card.contexts?.[0];
+  return (
+    <div className="max-w-xl mx-auto">
+      <div className="text-xs text-gray-500 mb-2">{queue.length} to go</div>
+      <div className="p-5 rounded-xl border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900">
+        <div className="text-2xl font-serif font-bold mb-2">{card.lemma}</div>
+        {ctx && (
+          <blockquote className="text-sm italic text-gray-700 dark:text-gray-300 border-l-4 border-gray-300 dark:border-gray-600 pl-3">
+            {ctx.sentence}
+            <div className="not-italic text-xs text-gray-500 mt-1">{contextLine(ctx)}</div>
+          </blockquote>
+        )}
+        {revealed ? (
+          <div className="mt-4">
+            {card.definition ? (
+              <p>
+                {card.definition.partOfSpeech && <span className="italic text-gray-500 mr-2">{card.definition.partOfSpeech}</span>}
+                {card.definition.definition}
+              </p>
+            ) : (
+              <p className="text-gray-500">No definition saved.</p>
+            )}
+            <div className="mt-4 grid grid-cols-4 gap-2">
+              {GRADES.map(g => (
+                <button key={g.label} onClick={() => grade(g.quality)} className={`px-2 py-2 rounded-lg text-sm ${g.cls}`}>{g.label}</button>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <button onClick={() => setRevealed(true)} className="mt-4 w-full px-4 py-2 rounded-lg bg-blue-600 text-white">Show definition</button>
+        )}
+      </div>
+      <button className="mt-3 text-sm text-blue-600 hover:underline" onClick={onDone}>Stop reviewing</button>
+    </div>
+  );
+}
+
+/** Words looked up in the reader, grouped by lemma, with an SM-2 flashcard review mode. */
+export default function VocabularyPanel() {
+  const [words, setWords] = useState(null);
+  const [reviewing, setReviewing] = useState(false);
+
+  const refresh = () => vocabularyList().then(setWords).catch(() => setWords([]));
+  useEffect(() => { if (!reviewing) refresh(); }, [reviewing]);
+
+  if (reviewing) return <Review onDone={() => setReviewing(false)} />;
+  if (!words) return <p className="text-sm text-gray-500">Loading…</p>;
+
+  const due = words.filter(w => (w.srs?.due ?? 0) <= Date.now()).length;
+  const remove = async (lemma) => { await removeEntry(lemma); refresh(); };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-2 mb-4">
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          {words.length} word{words.length === 1 ? "" : "s"} · {due} due for review
+        </p>
+        <button
+          disabled={!due}
+          onClick={() => setReviewing(true)}
+          className="px-4 py-2 rounded-lg bg-blue-600 text-white disabled:opacity-50"
+        >
+          Review
+        </button>
+      </div>
+
+      {!words.length && (
+        <p className="text-sm text-gray-500">Words you look up while reading will appear here, with the sentence you found them in.</p>
+      )}
+
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+        {words.map(w => (
+          <li key={w.lemma} className="py-3">
+            <div className="flex items-baseline justify-between gap-2">
+              <div>
+                <span className="font-semibold">{w.lemma}</span>
+                {w.forms.filter(f => f !== w.lemma).length > 0 && (
+                  <span className="ml-2 text-xs text-gray-500">also {w.forms.filter(f => f !== w.lemma).join(", ")}</span>
+                )}
+              </div>
+              <div className="flex items-center gap-3 text-xs text-gray-500 flex-shrink-0">
+                <span>{dueLabel(w.srs?.due ?? 0)}</span>
+                <button onClick={() => remove(w.lemma)} className="text-red-600 hover:underline">Remove</button>
+              </div>
+            </div>
+            {w.definition && (
+              <p className="text-sm mt-1">
+                {w.definition.partOfSpeech && <span className="italic text-gray-500 mr-1">{w.definition.partOfSpeech}</span>}
+                {w.definition.definition}
+              </p>
+            )}
+            {w.contexts.map((c, i) => (
+              <p key={i} className="text-xs text-gray-600 dark:text-gray-400 mt-1">
+                “{c.sentence}” <span className="text-gray-400">— {contextLine(c)}</span>
+              </p>
+            ))}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -20,6 +20,7 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
  *     2) /content/games/wordweb/daily/YYYY-MM-DD.json
  *     3) /content/games/wordweb/latest.json
  *   and falls back to DEFAULT_PUZZLE if all fail.
+ * - Optional prop `date` (YYYY-MM-DD, from /games/word-web/:date) replays that day's puzzle.
  */
 
 const DEFAULT_PUZZLE = {
@@ -98,8 +99,8 @@ function findWordPaths(grid, word) {
   return paths;
 }
 
-export default function WoostersWordWeb({ className = "", puzzle }) {
-  const seed = centralDateStr();
+export default function WoostersWordWeb({ className = "", puzzle, date = null }) {
+  const seed = date || centralDateStr();
 
   // Main data
   const [grid, setGrid] = useState(() => {
@@ -1,17 +1,23 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import { BrowserRouter } from 'react-router-dom';
 import App from './App.jsx';
 import './index.css'; // This is the crucial line that connects our styling.
+import { registerServiceWorker } from './utils/offlineBooks';
 
 const rootElement = document.getElementById('root');
 
 if (rootElement) {
   ReactDOM.createRoot(rootElement).render(
     <React.StrictMode>
-      <App />
+      <BrowserRouter>
+        <App />
+      </BrowserRouter>
     </React.StrictMode>,
   );
 } else {
   console.error("Fatal Error: The root element with id 'root' was not found in the DOM.");
 }
 
+registerServiceWorker();
+
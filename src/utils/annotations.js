@@ -0,0 +1,139 @@
+// src/utils/annotations.js
+// Anchoring helpers for highlights, notes and bookmarks.
+// Every anchor points into the chapter's raw paragraph array
+// ({ chapterIndex, paragraphIndex, start/end | offset }), never at a page,
+// so annotations survive re-pagination (font size, viewport, rotation).
+
+export const HIGHLIGHT_COLORS = {
+  yellow: 'bg-yellow-200 dark:bg-yellow-700',
+  green: 'bg-green-200 dark:bg-green-800',
+  blue: 'bg-blue-200 dark:bg-blue-800',
+  pink: 'bg-pink-200 dark:bg-pink-800'
+};
+
+export function newId(prefix = 'a') {
+  const rnd = Math.random().toString(36).slice(2, 8);
+  return `${prefix}_${Date.now().toString(36)}${rnd}`;
+}
+
+/** Sentence [start, end) spans that cover all of `text` (trailing text without punctuation included). */
+export function sentenceSpans(text) {
+  const spans = [];
+  const re = /[^.!?…]+[.!?…]+"?'?”?’?\)?\s*/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    spans.push([m.index, m.index + m[0].length]);
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) spans.push([last, text.length]);
+  return spans.length ? spans : [[0, text.length]];
+}
+
+function closestPara(node) {
+  const el = node?.nodeType === 3 ? node.parentElement : node;
+  return el?.closest ? el.closest('[data-para]') : null;
+}
+
+function offsetWithin(el, node, offset) {
+  const r = document.createRange();
+  r.selectNodeContents(el);
+  r.setEnd(node, offset);
+  return r.toString().length;
+}
+
+/**
+ * Convert a DOM Range inside rendered page segments
+ * (<p data-para={paragraphIndex} data-start={charOffset}>) into a paragraph anchor.
+ * Selections that run past their first paragraph are clipped to it.
+ */
+export function anchorFromRange(range) {
+  if (!range || range.collapsed) return null;
+  const startEl = closestPara(range.startContainer);
+  const endEl = closestPara(range.endContainer);
+  if (!startEl || !endEl) return null;
+
+  const paragraphIndex = Number(startEl.dataset.para);
+  const segStart = Number(startEl.dataset.start || 0);
+  const start = segStart + offsetWithin(startEl, range.startContainer, range.startOffset);
+  let end;
+  if (Number(endEl.dataset.para) === paragraphIndex) {
+    end = Number(endEl.dataset.start || 0) + offsetWithin(endEl, range.endContainer, range.endOffset);
+  } else {
+    end = segStart + (startEl.textContent || '').length;
+  }
+  if (end <= start) return null;
+  return { paragraphIndex, start, end };
+}
+
+/** Paragraph anchor ({ paragraphIndex, offset }) of the character under a screen point, or null. */
+export function anchorFromPoint(clientX, clientY) {
+  const range = document.caretRangeFromPoint ? document.caretRangeFromPoint(clientX, clientY) : null;
+  const el = closestPara(range?.startContainer);
+  if (!el) return null;
+  return {
+    paragraphIndex: Number(el.dataset.para),
+    offset: Number(el.dataset.start || 0) + offsetWithin(el, range.startContainer, range.startOffset)
+  };
+}
+
+/**
+ * Split one rendered segment ({ p, start, end, text }) into pieces with the
+ * annotation (if any) that covers each piece: [{ text, start, annotation, hit }].
+ * `searchSpans` are [start, end) paragraph offsets of search matches; a piece
+ * inside one carries that match's start offset as `hit`.
+ */
+export function highlightPieces(seg, annotations, searchSpans = []) {
+  const hits = (annotations || []).filter(a =>
+    a.paragraphIndex === seg.p && a.end > seg.start && a.start < seg.end);
+  const spans = searchSpans.filter(([a, b]) => b > seg.start && a < seg.end);
+  if (!hits.length && !spans.length) return [{ text: seg.text, start: seg.start, annotation: null, hit: null }];
+
+  const cuts = new Set([seg.start, seg.end]);
+  hits.forEach(a => { cuts.add(Math.max(seg.start, a.start)); cuts.add(Math.min(seg.end, a.end)); });
+  spans.forEach(([a, b]) => { cuts.add(Math.max(seg.start, a)); cuts.add(Math.min(seg.end, b)); });
+  const points = [...cuts].sort((x, y) => x - y);
+
+  const pieces = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i], b = points[i + 1];
+    if (b <= a) continue;
+    // Latest annotation wins where highlights overlap
+    const cover = hits.filter(h => h.start <= a && h.end >= b).sort((x, y) => (y.createdAt || 0) - (x.createdAt || 0))[0] || null;
+    const span = spans.find(([x, y]) => x <= a && y >= b);
+    pieces.push({ text: seg.text.slice(a - seg.start, b - seg.start), start: a, annotation: cover, hit: span ? span[0] : null });
+  }
+  return pieces;
+}
+
+/** Anchor of the first character on a page of segments. */
+export function pageTopAnchor(page) {
+  const first = page?.[0];
+  return first ? { paragraphIndex: first.p, offset: first.start } : null;
+}
+
+/** Index of the page that contains `anchor` ({ paragraphIndex, offset }), or 0. */
+export function findPageForAnchor(pages, anchor) {
+  if (!anchor || !pages?.length) return 0;
+  const key = (p, o) => p * 1e9 + o;
+  const target = key(anchor.paragraphIndex, anchor.offset || 0);
+  let found = 0;
+  pages.forEach((page, i) => {
+    const top = page[0];
+    if (top && key(top.p, top.start) <= target) found = i;
+  });
+  return found;
+}
+
+/** Page for a URL position ({ paragraphIndex, offset } preferred, else a 0-based `page`). */
+export function findPageForPosition(pages, position) {
+  if (!position || !pages?.length) return 0;
+  if (position.paragraphIndex != null) return findPageForAnchor(pages, position);
+  return Math.max(0, Math.min(pages.length - 1, position.page || 0));
+}
+
+/** Short excerpt of a paragraph around an offset, for panel labels. */
+export function excerptAt(text, offset = 0, len = 80) {
+  const s = (text || '').slice(offset, offset + len).replace(/\s+/g, ' ').trim();
+  return s.length < (text || '').length - offset ? `${s}…` : s;
+}
@@ -0,0 +1,21 @@
+// src/utils/backoff.js
+// Retry with exponential backoff, shared by the browser (dictionary lookups)
+// and Node scripts (ingest downloads). Plain ESM — Node imports it directly.
+
+/**
+ * Run `task` until it resolves, retrying up to `retries` times when it
+ * throws, waiting about base, 2×base, 4×base… ms (plus jitter) in between.
+ */
+export async function withBackoff(task, { retries = 3, base = 300 } = {}) {
+  let attempt = 0;
+  while (true) {
+    try { return await task(); }
+    catch (e) {
+      if (attempt >= retries) throw e;
+      const jitter = Math.random() * 100;
+      const wait = base * Math.pow(2, attempt) + jitter; // 300, ~700, ~1500ms
+      await new Promise(r => setTimeout(r, wait));
+      attempt++;
+    }
+  }
+}
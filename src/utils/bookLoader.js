@@ -0,0 +1,202 @@
+// src/utils/bookLoader.js
+// Book loading layer: prefer the pre-ingested static bundle under
+// public/books/pg-<id>/ (manifest.json + ch-NN.json), pulling chapter files
+// in lazily. Falls back to the fetchBook Netlify function only for titles
+// that have no static bundle.
+import { paragraphText, toBlock } from './richText.js';
+
+const PG_LICENSE_SENTENCE =
+  'This eBook is for the use of anyone anywhere in the United States and most other parts of the world…';
+
+// In-memory caches for this session (the browser HTTP cache covers the rest)
+const manifestCache = new Map(); // gutenbergId -> manifest | null
+const chapterCache = new Map();  // `${gutenbergId}/${file}` -> Promise<paragraphs[]>
+const entityCache = new Map();   // `${gutenbergId}/${file}` -> Promise<entity index | null>
+
+function baseUrl() {
+  const base = import.meta.env.BASE_URL || '/';
+  return base.endsWith('/') ? base : base + '/';
+}
+
+export function bookDir(gutenbergId) {
+  return `${baseUrl()}books/pg-${gutenbergId}/`;
+}
+
+// Network first; when offline, books saved via "Download for offline"
+// (utils/offlineBooks.js) are still in Cache Storage.
+async function fetchOrCached(url) {
+  try {
+    return await fetch(url, { headers: { Accept: 'application/json' } });
+  } catch (err) {
+    const hit = typeof caches !== 'undefined' ? await caches.match(url) : null;
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+// The SPA fallback answers unknown paths with index.html (HTTP 200),
+// so a missing bundle has to be detected by content type, not status.
+async function fetchJsonOrNull(url) {
+  const resp = await fetchOrCached(url);
+  if (resp.status === 404) return null;
+  if (!resp.ok) throw new Error(`HTTP error! status: ${resp.status} ${resp.statusText}`);
+  const contentType = (resp.headers.get('content-type') || '').toLowerCase();
+  if (!contentType.includes('json')) return null;
+  return resp.json();
+}
+
+/** Manifest for a pre-ingested book, or null when no static bundle exists. */
+export async function loadManifest(gutenbergId) {
+  const key = String(gutenbergId);
+  if (manifestCache.has(key)) return manifestCache.get(key);
+  const manifest = await fetchJsonOrNull(`${bookDir(key)}manifest.json`);
+  const valid = manifest && Array.isArray(manifest.chapters) && manifest.chapters.length ? manifest : null;
+  manifestCache.set(key, valid);
+  return valid;
+}
+
+/**
+ * Identifies the text a book was built from: the source hash plus the
+ * chapterizer and normalizer versions (older bundles have only their word
+ * and chapter counts). Anything stored against chapter and paragraph
+ * positions (search text, page breaks) is rebuilt when it changes.
+ */
+export function bookFingerprint({ source, chapterizer, normalizer, wordCount, chapters } = {}) {
+  return [source?.hash || '-', chapterizer || 1, normalizer || 0, wordCount || 0, chapters?.length || 0].join(':');
+}
+
+/** Paragraph array for one chapter file of a static bundle. */
+export function loadChapterFile(gutenbergId, file) {
+  const key = `${gutenbergId}/${file}`;
+  // Cache the promise so concurrent requests for one chapter share a fetch
+  if (chapterCache.has(key)) return chapterCache.get(key);
+  const pending = fetchJsonOrNull(`${bookDir(gutenbergId)}${file}`).then(data => {
+    if (!data || !Array.isArray(data.paragraphs)) {
+      throw new Error(`Chapter file ${file} is missing or malformed.`);
+    }
+    return data.paragraphs;
+  });
+  chapterCache.set(key, pending);
+  pending.catch(() => chapterCache.delete(key));
+  return pending;
+}
+
+async function fetchFromFunction(gutenbergId, title) {
+  const resp = await fetch(`/.netlify/functions/fetchBook?id=${encodeURIComponent(gutenbergId)}&title=${encodeURIComponent(title || '')}`, {
+    headers: { 'Accept': 'application/json' },
+    cache: 'no-cache'
+  });
+  const txt = await resp.text();
+  let json = null;
+  try { json = txt ? JSON.parse(txt) : null; }
+  catch (e) { throw new Error(`Malformed JSON from fetchBook. ${e?.message || 'Parse error.'}`); }
+
+  if (!resp.ok) {
+    throw new Error(`fetchBook failed (${resp.status}). ${txt?.slice(0, 240) || 'No body.'}`);
+  }
+  if (!json || !Array.isArray(json.chapters)) {
+    throw new Error('fetchBook: missing chapters array.');
+  }
+  return json;
+}
+
+/**
+ * Open a Gutenberg book.
+ * Returns { id, title, source, fingerprint, license, toc, chapters: [{ title, file, words, content }] }.
+ * `toc` nests chapters under parts (see utils/chapterizer.js), null for older bundles.
+ * For static books `content` is null until loadChapter() fills it in;
+ * for function-backed books every chapter arrives with its content.
+ */
+export async function loadBook({ gutenbergId, title }) {
+  if (!gutenbergId) throw new Error('Missing Gutenberg ID.');
+
+  const manifest = await loadManifest(gutenbergId).catch(() => null);
+  if (manifest) {
+    return {
+      id: String(gutenbergId),
+      title: title || manifest.title || 'Untitled',
+      source: 'static',
+      wordCount: manifest.wordCount || 0,
+      fingerprint: bookFingerprint(manifest),
+      entities: manifest.entities || null,
+      toc: Array.isArray(manifest.toc) ? manifest.toc : null,
+      license: { sentence: PG_LICENSE_SENTENCE, ...(manifest.license || {}) },
+      chapters: manifest.chapters.map((c, i) => ({
+        title: c.title || `Chapter ${i + 1}`,
+        file: c.file,
+        words: c.words || 0,
+        content: null
+      }))
+    };
+  }
+
+  const json = await fetchFromFunction(gutenbergId, title);
+  return {
+    id: String(gutenbergId),
+    title: title || json.title || 'Untitled',
+    source: 'function',
+    wordCount: json.wordCount || 0,
+    fingerprint: bookFingerprint(json),
+    entities: null,
+    toc: Array.isArray(json.toc) ? json.toc : null,
+    license: json.license || null,
+    chapters: json.chapters.map(c => ({ title: c.title, file: null, words: 0, content: c.content }))
+  };
+}
+
+/**
+ * Character and place index of a static book (see utils/entityIndex.js),
+ * or null when the book has none.
+ */
+export async function loadEntityIndex(book) {
+  if (!book?.entities) return null;
+  const key = `${book.id}/${book.entities}`;
+  if (!entityCache.has(key)) {
+    const pending = fetchJsonOrNull(`${bookDir(book.id)}${book.entities}`)
+      .then(data => (Array.isArray(data?.entities) ? data : null));
+    entityCache.set(key, pending);
+    pending.catch(() => entityCache.delete(key));
+  }
+  return entityCache.get(key);
+}
+
+export function isChapterLoaded(book, index) {
+  const ch = book?.chapters?.[index];
+  return !!ch && ch.content != null;
+}
+
+/** Resolve the content of chapter `index` (paragraph array or legacy string). */
+export async function loadChapter(book, index) {
+  const ch = book?.chapters?.[index];
+  if (!ch) throw new Error(`No chapter ${index + 1} in this book.`);
+  if (ch.content != null) return ch.content;
+  return loadChapterFile(book.id, ch.file);
+}
+
+/** Return a copy of `book` with chapter `index` filled in. */
+export function withChapterContent(book, index, content) {
+  if (!book) return book;
+  return {
+    ...book,
+    chapters: book.chapters.map((c, i) => (i === index ? { ...c, content } : c))
+  };
+}
+
+function contentParagraphs(chapter) {
+  if (Array.isArray(chapter?.content)) return chapter.content;
+  if (typeof chapter?.content === 'string') return chapter.content.split(/\n{2,}/);
+  return [];
+}
+
+/**
+ * Normalize chapter content (paragraph array or "\n\n"-joined string) to the
+ * plain text of each paragraph, which is what anchors count offsets into.
+ */
+export function chapterParagraphs(chapter) {
+  return contentParagraphs(chapter).map(paragraphText);
+}
+
+/** Chapter content as the readers render it: { type, text, marks } per paragraph (see utils/richText.js). */
+export function chapterBlocks(chapter) {
+  return contentParagraphs(chapter).map(toBlock);
+}
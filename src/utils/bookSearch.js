@@ -0,0 +1,61 @@
+// src/utils/bookSearch.js
+// In-book search. Chapter text is kept per paragraph in IndexedDB ('search'
+// store) so every hit maps back to { chapterIndex, paragraphIndex, offset }.
+import { getSearchChapters, putSearchChapters } from './indexedDb';
+import { loadChapter, chapterParagraphs } from './bookLoader';
+
+export const MAX_HITS = 1000;
+
+export function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Case-insensitive literal matcher for a query, or null for an empty one. */
+export function queryRegExp(query) {
+  const q = (query || '').trim();
+  return q ? new RegExp(escapeRegExp(q), 'gi') : null;
+}
+
+/** [start, end) spans of every match of `re` in `text`. */
+export function matchSpans(text, re) {
+  if (!re || !text) return [];
+  const spans = [];
+  const rx = new RegExp(re.source, re.flags.includes('g') ? re.flags : `${re.flags}g`);
+  let m;
+  while ((m = rx.exec(text)) !== null) {
+    if (!m[0]) { rx.lastIndex++; continue; }
+    spans.push([m.index, m.index + m[0].length]);
+  }
+  return spans;
+}
+
+// Per-chapter paragraph text for search; static books load every chapter once
+// here, and again only when the book's fingerprint changes
+async function searchChapters(book, bookId) {
+  const cached = await getSearchChapters(bookId, book.fingerprint);
+  if (cached) return cached;
+  const contents = await Promise.all(book.chapters.map((_, i) => loadChapter(book, i)));
+  const chapters = contents.map(c =>
+    chapterParagraphs({ content: c }).map(p => p.replace(/<[^>]+>/g, ''))
+  );
+  await putSearchChapters(bookId, chapters, book.fingerprint);
+  return chapters;
+}
+
+/** Every hit of `re` in the book, capped at MAX_HITS: [{ chapterIndex, paragraphIndex, offset, ctx }]. */
+export async function searchBook(book, bookId, re) {
+  if (!re) return [];
+  const chapters = await searchChapters(book, bookId);
+  const matches = [];
+  chapters.forEach((paras, chapterIndex) => {
+    paras.forEach((text, paragraphIndex) => {
+      for (const [s, e] of matchSpans(text, re)) {
+        if (matches.length >= MAX_HITS) return;
+        const start = Math.max(0, s - 50);
+        const end = Math.min(text.length, e + 50);
+        matches.push({ chapterIndex, paragraphIndex, offset: s, ctx: text.slice(start, end) });
+      }
+    });
+  });
+  return matches;
+}
@@ -0,0 +1,47 @@
+// src/utils/catalogue.js
+// Which Gutenberg books belong in this library. Gutendex's search=Wodehouse
+// also finds books by other Wodehouses and letters addressed to them, so
+// every way a book gets in applies the one policy in ./catalogue.json:
+// scripts/buildLibrary.mjs (library.json), scripts/ingestBooks.mjs
+// (public/books), the fetchBook function, and scripts/validateBooks.mjs,
+// which fails while a denied book is still under public/books.
+// Plain ESM — Node imports it directly.
+//
+// Order: `deny` always wins, then `allow`, then the author rules. A book
+// passes the author rules when one of its authors is one of `authors`,
+// written either way round ("P. G. Wodehouse", "Wodehouse, P. G. (Pelham
+// Grenville)"); a book whose authors aren't known (an ID on its own) is
+// judged by the lists alone.
+import policy from './catalogue.json' with { type: 'json' };
+
+export const CATALOGUE_POLICY = policy;
+
+// Gutendex gives [{ name }], library.json and manifests a joined string
+function authorNames(authors) {
+  if (!authors) return [];
+  if (typeof authors === 'string') return [authors];
+  return authors.map(a => (typeof a === 'string' ? a : a?.name || '')).filter(Boolean);
+}
+
+// The words of a name, whatever their order: "Wodehouse, P. G." and
+// "P.G. Wodehouse" are both { p, g, wodehouse }
+const nameWords = (name) => new Set(name.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[a-z]+/g) || []);
+
+/**
+ * { allowed, reason } for a book: `id` is its Gutenberg ID, `authors` its
+ * Gutendex `authors` array or an author string, if known.
+ */
+export function catalogueVerdict({ id, authors } = {}, rules = CATALOGUE_POLICY) {
+  const key = String(id ?? '').replace(/^pg-/, '');
+  if (Object.hasOwn(rules.deny, key)) return { allowed: false, reason: `denied: ${rules.deny[key]}` };
+  if (Object.hasOwn(rules.allow, key)) return { allowed: true, reason: 'allowed by ID' };
+  const names = authorNames(authors);
+  if (!names.length) return { allowed: true, reason: 'author unknown' };
+  const wanted = rules.authors.map(nameWords);
+  const matches = names.some(n => {
+    const words = nameWords(n);
+    return wanted.some(w => [...w].every(x => words.has(x)));
+  });
+  if (matches) return { allowed: true, reason: 'author matches' };
+  return { allowed: false, reason: `not by ${rules.authors.join(' or ')} (${names.join('; ')})` };
+}
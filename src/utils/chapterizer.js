@@ -1,9 +1,459 @@
 // src/utils/chapterizer.js
-// Client-side helpers (mirror server logic) for defensive rendering & titles.
+// Splits a Gutenberg text into chapters. Shared by the fetchBook function and
+// scripts/ingestBooks.mjs (plain ESM — Node imports it directly), plus the
+// client-side helpers for defensive rendering & titles.
+//
+// chapterize(text) -> { chapters: [{ title, part, paragraphs, illustrations, words }],
+//                       parts: [{ title }], toc }
+// `part` indexes `parts` (null outside any part). `illustrations` are
+// [{ at, caption }], `at` being the paragraph the picture sits before.
+// toc nests chapters under their part:
+//   [{ title, chapter } | { title, children: [{ title, chapter }, ...] }]
+// Paragraphs are in the format of ./richText.js: plain strings, or objects
+// for quotations, verse, scene breaks and prose with emphasis.
+import createDOMPurify from 'dompurify';
+import { paragraphText, parseParagraph } from './richText.js';
+
+// Bump when the output for the same source text changes
+export const CHAPTERIZER_VERSION = 4;
+
+const START_RE = /^[^\S\n]*[*]{3}[^\S\n]*START OF (?:THIS|THE) PROJECT GUTENBERG E-?BOOK[^\n]*$/mi;
+const END_RE = /^[^\S\n]*(?:[*]{3}[^\S\n]*END OF (?:THIS|THE) PROJECT GUTENBERG E-?BOOK|End of (?:the )?Project Gutenberg'?s?\b)[^\n]*$/mi;
+
+const ROMAN_RE = /^(?=[MDCLXVI])M{0,3}(?:CM|CD|D?C{0,3})(?:XC|XL|L?X{0,3})(?:IX|IV|V?I{0,3})$/;
+const NUMBER_WORDS = `one two three four five six seven eight nine ten eleven twelve thirteen fourteen fifteen
+sixteen seventeen eighteen nineteen twenty`.split(/\s+/);
+const ORDINAL_WORDS = `first second third fourth fifth sixth seventh eighth ninth tenth eleventh twelfth
+thirteenth fourteenth fifteenth sixteenth seventeenth eighteenth nineteenth twentieth`.split(/\s+/);
+const TENS_WORDS = 'twenty thirty forty fifty sixty seventy eighty ninety'.split(' ');
+const TENS_ORDINALS = 'twentieth thirtieth fortieth fiftieth sixtieth seventieth eightieth ninetieth'.split(' ');
+
+const CHAPTER_RE = /^chapter\s+([a-z0-9]+(?:-[a-z]+)?)\b\.?(.*)$/i;
+const PART_RE = /^(part|book)\s+(?:the\s+)?([a-z0-9]+)\b\.?(.*)$/i;
+// "IV", "12.", "1. Mr Bickersdyke Walks...", "I      MAINLY ABOUT FENN" — but not "I went"
+const NUMBERED_RE = /^([IVXLCDM]+|\d{1,3})(?:\.|(?=\s{2})|$)(.*)$/;
+const ILLUSTRATION_RE = /^\[(?:illustration|frontispiece)\b[:.]?\s*([\s\S]*?)\]?$/i;
+const SCENE_BREAK_RE = /^[\s*.·•~-]*[*·•~][\s*.·•~-]*$/;
+const FRONT_MATTER_RE = /^(contents|table of contents|list of illustrations|illustrations|transcriber'?s notes?)\.?$/i;
+const END_MARK_RE = /^(the end|finis)\.?$/i;
+// Unnumbered sections that open a chapter of their own even in a numbered book
+const SECTION_TITLES = new Set(['preface', 'foreword', 'introduction', 'prologue', 'epilogue', 'afterword', 'postscript', 'envoi']);
+const SMALL_WORDS = new Set(['a', 'an', 'the', 'and', 'but', 'or', 'of', 'in', 'on', 'at', 'to', 'for', 'with', 'by', 'as', 'from']);
+
+const MIN_CHAPTER_WORDS = 40;  // prose a heading needs after it (tables of contents have none)
+const MIN_STORY_WORDS = 500;   // ...and a bare capitalised title, so shouted lines stay prose
+const FALLBACK_PARAGRAPHS = 60;
+
+const countWords = (s) => String(s).split(/\s+/).filter(Boolean).length;
+
+/** Text between the "*** START OF..." and "*** END OF..." lines (either may be missing). */
+export function sliceBetweenMarkers(str) {
+  let s = String(str || '');
+  const start = s.match(START_RE);
+  if (start) s = s.slice(start.index + start[0].length);
+  const end = s.search(END_RE);
+  if (end !== -1) s = s.slice(0, end);
+  return s.trim();
+}
+
+// Gutenberg HTML: what survives sanitizing. Everything else is dropped, its
+// text kept (scripts and styles go entirely)
+const ALLOWED_TAGS = ['p', 'div', 'span', 'br', 'hr', 'blockquote', 'i', 'em', 'cite', 'b', 'strong', 'img', 'pre',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'table', 'tbody', 'tr', 'td', 'th', 'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'section'];
+const BLOCK_TAGS = new Set(['p', 'div', 'blockquote', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'table', 'tbody', 'tr',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'section']);
+const POEM_CLASS_RE = /\b(?:poem|poetry|verse|stanza)\b/i;
+const DROP_CLASS_RE = /\b(?:pagenum|pageno|x-ebookmaker-drop)\b/i;
+
+/**
+ * Plain text of an HTML edition in Gutenberg's own plain-text conventions, so
+ * chapterize() reads both alike: blank lines between paragraphs, _italic_ and
+ * =bold=, block quotations and verse indented (verse one line per line),
+ * "* * * * *" for a scene break. The markup is sanitized with DOMPurify
+ * first; Node callers pass a jsdom `window`.
+ */
+export function htmlToText(html, { window = globalThis.window } = {}) {
+  const body = createDOMPurify(window).sanitize(String(html || ''), {
+    ALLOWED_TAGS, ALLOWED_ATTR: ['class', 'alt'], RETURN_DOM: true
+  });
+  const blocks = [];
+  let lines = [''];
+  let indent = 0;    // inside a blockquote or poem
+  let poem = 0;
+  let heading = 0;   // no emphasis markers in headings, where chapterize() reads labels
+
+  const flush = () => {
+    const text = lines.map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    if (text.length) blocks.push(text.map(l => (indent ? '    ' : '') + l).join('\n'));
+    lines = [''];
+  };
+  const emphasise = (node, marker) => {
+    const line = lines.length;
+    const from = lines[line - 1].length;
+    walk(node);
+    // Only a run within one line, with its spaces outside the markers
+    const inner = lines.length === line ? lines[line - 1].slice(from).match(/^(\s*)(.*?)(\s*)$/s) : null;
+    if (inner?.[2]) lines[line - 1] = lines[line - 1].slice(0, from) + inner[1] + marker + inner[2] + marker + inner[3];
+  };
+  const walk = (node) => {
+    for (const n of node.childNodes) {
+      if (n.nodeType === 3) { lines[lines.length - 1] += n.nodeValue; continue; }
+      if (n.nodeType !== 1) continue;
+      const tag = n.nodeName.toLowerCase();
+      const cls = n.getAttribute('class') || '';
+      if (DROP_CLASS_RE.test(cls)) continue;
+      if (tag === 'br') { lines.push(''); continue; }
+      if (tag === 'hr') {
+        flush();
+        // Gutenberg's rule between chapters is no scene break
+        if (!/\bchap/i.test(cls)) blocks.push('* * * * *');
+        continue;
+      }
+      if (tag === 'img') {
+        const alt = (n.getAttribute('alt') || '').trim();
+        if (alt) { flush(); blocks.push(`[Illustration: ${alt}]`); }
+        continue;
+      }
+      if (!heading && (tag === 'i' || tag === 'em' || tag === 'cite')) { emphasise(n, '_'); continue; }
+      if (!heading && (tag === 'b' || tag === 'strong')) { emphasise(n, '='); continue; }
+
+      const isPoem = POEM_CLASS_RE.test(cls);
+      if (poem && (isPoem || BLOCK_TAGS.has(tag)) && tag !== 'p' && !/\bstanza\b/i.test(cls)) {
+        // A line of a poem set as its own <div>
+        lines.push('');
+        walk(n);
+        lines.push('');
+        continue;
+      }
+      if (!BLOCK_TAGS.has(tag) && !isPoem) { walk(n); continue; }
+      const quoted = tag === 'blockquote' || isPoem;
+      const isHeading = /^h[1-6]$/.test(tag);
+      flush();
+      if (quoted) indent++;
+      if (isPoem) poem++;
+      if (isHeading) heading++;
+      walk(n);
+      flush();
+      if (quoted) indent--;
+      if (isPoem) poem--;
+      if (isHeading) heading--;
+    }
+  };
+  walk(body);
+  flush();
+  return blocks.join('\n\n');
+}
+
+// "four", "fourth", "thirty" -> 4, 4, 30
+function numberWord(w) {
+  for (const list of [NUMBER_WORDS, ORDINAL_WORDS]) if (list.includes(w)) return list.indexOf(w) + 1;
+  for (const list of [TENS_WORDS, TENS_ORDINALS]) if (list.includes(w)) return (list.indexOf(w) + 2) * 10;
+  return null;
+}
+
+/** 4, "IV", "four", "fourth" or "twenty-four" -> the number; null for anything else. */
+export function parseNumber(raw) {
+  const s = String(raw || '').trim();
+  if (/^\d+$/.test(s)) return Number(s);
+  if (ROMAN_RE.test(s)) {
+    const val = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+    let n = 0;
+    for (let i = 0; i < s.length; i++) {
+      const v = val[s[i]];
+      n += v < (val[s[i + 1]] || 0) ? -v : v;
+    }
+    return n;
+  }
+  const [tens, unit, ...rest] = s.toLowerCase().split('-');
+  if (unit == null) return numberWord(tens);
+  const n = numberWord(unit);
+  return TENS_WORDS.includes(tens) && !rest.length && n >= 1 && n <= 9 ? numberWord(tens) + n : null;
+}
+
+/** "THE FINAL HOUSE-MATCH" -> "The Final House-Match"; mixed-case titles are left alone. */
+export function titleCase(s) {
+  const t = String(s || '').trim();
+  const letters = t.replace(/\b(?:Mc|Mac)(?=[A-Z])/g, '').replace(/[^A-Za-z]/g, '');
+  if (!letters || letters.replace(/[^a-z]/g, '').length > letters.length / 4) return t;
+  return t.toLowerCase().replace(/[A-Za-z][A-Za-z'’]*/g, (w, offset) => {
+    if (/^(?:x{0,3})(?:ix|iv|v?i{0,3})$/.test(w) && w !== '' && (w.length > 1 || w === 'i')) return w.toUpperCase();
+    if (offset > 0 && SMALL_WORDS.has(w) && !/[:.—–-]\s*$/.test(t.slice(0, offset))) return w;
+    // O'Brien, McEachern
+    const cap = w[0].toUpperCase() + w.slice(1).replace(/^(['’])([a-z])/, (m, q, c) => q + c.toUpperCase());
+    return /^mc[a-z]/.test(w) ? 'Mc' + w[2].toUpperCase() + w.slice(3) : cap;
+  });
+}
+
+// Heading text with Gutenberg's italics (_..._) and leading "--" or "." stripped
+function cleanTitle(s) {
+  return String(s || '').replace(/\s+/g, ' ').replace(/_/g, '').replace(/^[\s.:—–-]+|[\s.:—–-]+$/g, '').trim();
+}
+
+// Title-like: short, capitalised, not a sentence
+function isHeadingText(s) {
+  if (s.length > 100 || !/^["“‘'_A-Z]/.test(s) || /[,;]$/.test(s) || /\.{3}|…/.test(s)) return false;
+  const lowerWords = s.split(' ').filter(w => /^[a-z]/.test(w) && !SMALL_WORDS.has(w));
+  return lowerWords.length <= 2;
+}
+
+function isCapsTitle(line, raw) {
+  if (line.length > 100 || countWords(line) > 14 || raw.split('\n').length > 3) return false;
+  if (/^["“‘'(]/.test(line) || /[,;]$/.test(line)) return false;
+  // "HAVE SOLVED GUNNER MYSTERY. RETURNING.... OAKES" is a telegram, not a title
+  if (/[A-Za-z]{4}[.!?]\s+\S/.test(line) || /\.{3}|…/.test(line)) return false;
+  const bare = line.replace(/_/g, '');
+  if (!/[A-Z]{2}/.test(bare)) return false;
+  // Wholly italic lines count whatever their case: "_A LETTER with a POSTSCRIPT_"
+  if (/^_[^_]+_$/.test(line)) return true;
+  return !/[a-z]/.test(bare.replace(/\b(?:Mc|Mac)(?=[A-Z])/g, ''));
+}
+
+// One blank-line-separated block -> token
+function classify(raw) {
+  const line = raw.replace(/\s+/g, ' ').trim();
+  const words = countWords(line);
+  const ill = raw.match(ILLUSTRATION_RE);
+  if (ill && /^\[/.test(line)) return { type: 'illustration', caption: cleanTitle(ill[1]) };
+  if (SCENE_BREAK_RE.test(line)) return { type: 'break' };
+  if (line.length > 120) return { type: 'prose', text: raw, words };
+
+  if (END_MARK_RE.test(line)) return { type: 'end' };
+  if (FRONT_MATTER_RE.test(line)) return { type: 'matter' };
+
+  // Headings span at most a few lines: "CHAPTER I" over its subtitle
+  const [first, ...rest] = raw.split('\n').map(l => l.trim()).filter(Boolean);
+  if (rest.length <= 2) {
+    const chapter = first.match(CHAPTER_RE);
+    if (chapter && parseNumber(chapter[1]) != null) {
+      return { type: 'chapter', keyword: true, label: chapter[1], num: parseNumber(chapter[1]), subtitle: cleanTitle([chapter[2], ...rest].join(' ')) };
+    }
+    const part = first.match(PART_RE);
+    if (part && parseNumber(part[2]) != null && /^[A-Z]/.test(first)) {
+      return { type: 'part', label: `${titleCase(part[1])} ${/^[a-z]/i.test(part[2]) && !ROMAN_RE.test(part[2]) ? titleCase(part[2]) : part[2]}`, subtitle: cleanTitle([part[3], ...rest].join(' ')) };
+    }
+    const numbered = first.match(NUMBERED_RE);
+    if (numbered) {
+      const subtitle = cleanTitle([numbered[2], ...rest].join(' '));
+      // The subtitle of a heading, not a sentence that happens to start "I."
+      // or "M. Bredin", nor a programme line "7. A Little Imitation......"
+      if (/^(?:\d+|I|V|X|[IVXLCDM]{2,})$/.test(numbered[1]) && (!subtitle || isHeadingText(subtitle))) {
+        return { type: 'chapter', keyword: false, label: numbered[1], num: parseNumber(numbered[1]), subtitle };
+      }
+    }
+  }
+  if (isCapsTitle(line, raw)) return { type: 'title', title: cleanTitle(line) };
+  return { type: 'prose', text: raw, words };
+}
+
+function blocksOf(text) {
+  const blocks = text.split(/\n[^\S\n]*\n/)
+    .map(b => b.replace(/^\s*\n/, '').replace(/\s+$/, ''))
+    .filter(b => b.trim());
+  // An illustration caption may run over a blank line until its closing "]"
+  const out = [];
+  for (let i = 0; i < blocks.length; i++) {
+    let b = blocks[i];
+    if (/^\s*\[illustration\b/i.test(b) && !b.includes(']')) {
+      let j = i;
+      while (j + 1 < blocks.length && j - i < 3 && !b.includes(']')) b += '\n' + blocks[++j];
+      if (b.includes(']')) i = j; else b = blocks[i];
+    }
+    out.push(b);
+  }
+  return out;
+}
+
+/**
+ * Group tokens into clusters: a run of headings with nothing but pictures and
+ * breaks between them, followed by the body up to the next run.
+ */
+function clustersOf(tokens) {
+  const isHead = (t) => t.type === 'chapter' || t.type === 'part' || t.type === 'title' || t.type === 'matter';
+  const clusters = [{ heads: [], body: [] }];
+  for (const t of tokens) {
+    const cur = clusters[clusters.length - 1];
+    if (isHead(t)) {
+      if (cur.body.some(b => b.type === 'prose')) clusters.push({ heads: [t], body: [] });
+      else cur.heads.push(t);
+    } else {
+      cur.body.push(t);
+    }
+  }
+  for (const c of clusters) {
+    c.words = c.body.reduce((n, t) => n + (t.type === 'prose' ? t.words : 0), 0);
+    // Only what follows the last "Contents"/"List of Illustrations" can be a heading
+    const matter = c.heads.map(h => h.type).lastIndexOf('matter');
+    c.live = c.heads.slice(matter + 1);
+    const chapters = c.live.filter(h => h.type === 'chapter');
+    const last = chapters[chapters.length - 1];
+    // A contents list runs straight into the first real heading, which repeats
+    // its first entry; a list with no repeat is no heading at all
+    c.list = chapters.length >= 3 && !chapters.slice(0, -1).some(h => h.num === last.num);
+    c.chapter = c.list ? null : last || null;
+  }
+  // The prose up to the next chapter or part: letters and notices set in
+  // capitals part-way through a chapter still count towards it
+  for (let i = clusters.length - 1; i >= 0; i--) {
+    const next = clusters[i + 1];
+    const runsOn = next && !next.chapter && !next.list && !next.heads.some(h => h.type === 'part' || h.type === 'matter');
+    clusters[i].reach = clusters[i].words + (runsOn ? next.reach : 0);
+  }
+  return clusters;
+}
+
+function chapterTitle(head, { inStory }) {
+  const label = /^[A-Z][A-Z-]+$/.test(head.label) && !ROMAN_RE.test(head.label) ? titleCase(head.label) : head.label;
+  const num = head.keyword || !inStory ? `Chapter ${label}` : label;
+  const sub = head.subtitle ? titleCase(head.subtitle) : '';
+  if (!sub) return num;
+  return inStory && !head.keyword ? `${num}. ${sub}` : `${num}: ${sub}`;
+}
+
+/**
+ * Split a book's text into chapters (see the top of this file for the shape).
+ * Understands "CHAPTER IV", bare "IV" / "4" headings with the subtitle on the
+ * same line, the next block or the block before; story titles in
+ * collections; PART/BOOK divisions and stories split into numbered sections
+ * (both become parts); [Illustration: ...] captions; and drops front matter
+ * and tables of contents.
+ */
+export function chapterize(input) {
+  const text = sliceBetweenMarkers(String(input || '').replace(/\r\n?/g, '\n'));
+  let tokens = blocksOf(text).map(classify);
+  const end = tokens.map(t => t.type).lastIndexOf('end');
+  if (end > 0) tokens = tokens.slice(0, end);
+  tokens = tokens.filter(t => t.type !== 'end');
+  // "CHAPTER ONE" over sections "1", "2"...: the bare numbers are only breaks
+  if (tokens.filter(t => t.type === 'chapter' && t.keyword).length >= 2) {
+    tokens = tokens.map(t => (t.type === 'chapter' && !t.keyword ? { type: 'break', label: t.label } : t));
+  }
+
+  const clusters = clustersOf(tokens);
+  const numbered = clusters.filter(c => c.chapter && c.reach >= MIN_CHAPTER_WORDS);
+  const storyTitles = clusters.filter(c => !c.chapter && !c.list && c.live.at(-1)?.type === 'title' && c.words >= MIN_STORY_WORDS);
+  // A collection is mostly titled stories; a novel mostly numbered chapters
+  const wordsUnder = (list) => list.reduce((n, c) => n + c.words, 0);
+  const collection = wordsUnder(storyTitles) > wordsUnder(numbered);
+  if (numbered.length < 2 && storyTitles.length < 2) return fallback(tokens);
+
+  // "_A LETTER with a POSTSCRIPT_" above "I": titles that precede the number
+  const titleFirst = numbered.filter(c => {
+    const i = c.live.indexOf(c.chapter);
+    return !c.chapter.subtitle && i > 0 && c.live[i - 1].type === 'title' && i === c.live.length - 1;
+  }).length >= numbered.length / 2;
+  // Titles heading a run of chapters that restarts at 1 are stories (parts)
+  const restarts = numbered.filter(c => c.chapter.num === 1).length;
+
+  const toParagraph = paragraphMaker(tokens);
+  const parts = [];
+  const chapters = [];
+  let part = null;
+  let current = null;
+  let inStory = false;
+  const open = (title) => {
+    current = { title, part, paragraphs: [], illustrations: [], words: 0 };
+    chapters.push(current);
+  };
+  const openPart = (title) => { parts.push({ title }); part = parts.length - 1; };
+
+  for (const c of clusters) {
+    const head = c.chapter;
+    const last = c.live.at(-1);
+    if (head && c.reach >= MIN_CHAPTER_WORDS) {
+      const i = c.live.indexOf(head);
+      const before = c.live.slice(0, i);
+      const after = c.live.slice(i + 1).filter(h => h.type === 'title');
+      const explicit = before.filter(h => h.type === 'part').at(-1);
+      const runStart = before.length - [...before].reverse().findIndex(h => h.type !== 'title');
+      const prevTitles = before.slice(runStart > before.length ? 0 : runStart).map(h => h.title);
+      const prevTitle = prevTitles.at(-1) || '';
+      let subtitle = head.subtitle || after.map(h => h.title).join(' ');
+      if (!subtitle && titleFirst && prevTitle) subtitle = prevTitles.join(' ');
+      // "CHAPTER I" over "A Pawn of Fate" in mixed case reads as prose
+      const next = c.body[0];
+      if (!subtitle && !after.length && next?.type === 'prose' && !next.text.includes('\n') &&
+          next.text.length <= 80 && isHeadingText(next.text.trim()) && !/[.,;:!?"'”’]$/.test(next.text)) {
+        subtitle = cleanTitle(next.text);
+        c.body = c.body.slice(1);
+      }
+
+      if (explicit) {
+        const partTitle = explicit.subtitle || before.slice(before.indexOf(explicit) + 1).filter(h => h.type === 'title').map(h => h.title).join(' ');
+        openPart(partTitle ? `${explicit.label}: ${titleCase(partTitle)}` : explicit.label);
+        inStory = false;
+      } else if (prevTitle && !titleFirst && head.num === 1 && (collection || restarts >= 2)) {
+        openPart(titleCase(prevTitle));
+        inStory = true;
+      }
+      open(chapterTitle({ ...head, subtitle }, { inStory }));
+    } else if (!head && !c.list && last?.type === 'title' &&
+               (SECTION_TITLES.has(last.title.toLowerCase()) ||
+                (collection && c.words >= MIN_STORY_WORDS))) {
+      // A story (or preface, epilogue...) of its own, outside any part
+      part = null;
+      inStory = false;
+      open(titleCase(last.title));
+    } else if (current) {
+      // Not a heading after all: "R. JONES" on a sign, a shouted line
+      for (const h of c.live) if (h.type === 'title') current.paragraphs.push(h.title);
+    }
+    if (!current) continue; // front matter
+    for (const t of c.body) {
+      if (t.type === 'illustration') current.illustrations.push({ at: current.paragraphs.length, caption: t.caption });
+      else current.paragraphs.push(toParagraph(t));
+    }
+  }
+  return finish(chapters, parts);
+}
+
+// Prose indented as a rule is how the book sets paragraphs, not quotations
+function paragraphMaker(tokens) {
+  const prose = tokens.filter(t => t.type === 'prose');
+  const indentsProse = prose.filter(t => /^[^\S\n]{2,}\S/.test(t.text)).length > prose.length / 2;
+  return (t) => (t.type === 'break'
+    ? { type: 'break', ...(t.label ? { runs: [t.label] } : {}) }
+    : parseParagraph(t.text, { indentsProse }));
+}
+
+// No headings found: drop the title page and chunk what is left
+function fallback(tokens) {
+  const body = tokens.filter(t => t.type === 'prose' || t.type === 'break');
+  const start = body.findIndex(t => t.type === 'prose' && t.words >= MIN_CHAPTER_WORDS);
+  const paras = body.slice(Math.max(0, start)).map(paragraphMaker(tokens));
+  const chapters = [];
+  for (let i = 0; i < paras.length; i += FALLBACK_PARAGRAPHS) {
+    chapters.push({ title: `Part ${1 + (i / FALLBACK_PARAGRAPHS | 0)}`, part: null, paragraphs: paras.slice(i, i + FALLBACK_PARAGRAPHS), illustrations: [] });
+  }
+  return finish(chapters, []);
+}
+
+function finish(chapters, parts) {
+  const kept = chapters.filter(c => c.paragraphs.length);
+  for (const c of kept) c.words = c.paragraphs.reduce((n, p) => n + countWords(paragraphText(p)), 0);
+  return { chapters: kept, parts, toc: buildToc(kept, parts) };
+}
+
+/** Nested table of contents for chapters [{ title, part }] and parts [{ title }]. */
+export function buildToc(chapters, parts = []) {
+  const toc = [];
+  let group = null;
+  chapters.forEach((ch, i) => {
+    const entry = { title: ch.title, chapter: i };
+    if (ch.part == null || !parts[ch.part]) { group = null; toc.push(entry); return; }
+    if (!group || group.part !== ch.part) {
+      group = { part: ch.part, entry: { title: parts[ch.part].title, children: [] } };
+      toc.push(group.entry);
+    }
+    group.entry.children.push(entry);
+  });
+  return toc;
+}
+
 export function safeHTML(html) {
   // Minimal wrapper to ensure empty or malformed content doesn't crash the UI
   if (typeof html !== 'string') return '<p></p>';
-  return html || '<p></p>';
+  const clean = globalThis.window ? createDOMPurify(globalThis.window).sanitize(html) : html;
+  return clean || '<p></p>';
 }
 
 export function titleForChapter(ch, i) {
@@ -0,0 +1,174 @@
+// src/utils/dictionary.js
+// Dictionary lookups for the reader: 30-day localStorage cache, lookup
+// counters for Dictionary Stats, retry with backoff, and a direct
+// DictionaryAPI.dev fallback when the define function comes back empty.
+import { withBackoff } from './backoff.js';
+
+// Dictionary cache (30-day TTL)
+export const DICT_CACHE_KEY = 'wair_dict_v1';
+const DICT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+export function readDictCache() {
+  try { return JSON.parse(localStorage.getItem(DICT_CACHE_KEY) || '{}'); }
+  catch { return {}; }
+}
+function writeDictCache(obj) {
+  localStorage.setItem(DICT_CACHE_KEY, JSON.stringify(obj));
+}
+export function getCachedWord(word) {
+  const c = readDictCache()[word];
+  if (!c) return null;
+  if ((Date.now() - c.t) > DICT_TTL_MS) return null;
+  return c.v; // entries
+}
+export function putCachedWord(word, entries) {
+  const c = readDictCache();
+  c[word] = { t: Date.now(), v: entries };
+  writeDictCache(c);
+}
+
+// Simple metrics (local only; shown in Games → Dictionary Stats)
+export const METRICS_KEY = 'wair_metrics_v1';
+export function logMetric(kind, ms = 0) {
+  const m = JSON.parse(localStorage.getItem(METRICS_KEY) || '{"ok":0,"fail":0,"cache":0,"net":0,"ms":0,"n":0}');
+  if (kind === 'ok') m.ok++;
+  if (kind === 'fail') m.fail++;
+  if (kind === 'cache') m.cache++;
+  if (kind === 'net') m.net++;
+  if (ms) { m.ms += ms; m.n += 1; }
+  localStorage.setItem(METRICS_KEY, JSON.stringify(m));
+}
+
+/** Normalize a selection or tapped word to a lookup key ("Jeeves's" -> "jeeves"). */
+export function normalizeWord(str) {
+  if (!str) return '';
+  let w = str.trim();
+  w = w.replace(/[“”]/g, '"').replace(/[‘’]/g, "'").replace(/[—–]/g, '-');
+  w = w.replace(/^[^A-Za-z]+|[^A-Za-z]+$/g, '');
+  w = w.replace(/('s|’s)$/i, '');
+  if (w.includes("'")) w = w.split("'")[0];
+  if (w.includes("’")) w = w.split("’")[0];
+  w = w.toLowerCase();
+  const m = w.match(/^[a-z][a-z\-]*$/i);
+  return m ? m[0] : '';
+}
+
+/** The word under a screen point (long-press without a selection). */
+export function wordFromPoint(clientX, clientY) {
+  const range = document.caretRangeFromPoint
+    ? document.caretRangeFromPoint(clientX, clientY)
+    : null;
+  if (!range || !range.startContainer || range.startContainer.nodeType !== Node.TEXT_NODE) return '';
+  const node = range.startContainer;
+  const text = node.textContent || '';
+  if (!text) return '';
+  let start = range.startOffset;
+  let end = range.startOffset;
+  const isWordChar = (ch) => /[A-Za-z\-]/.test(ch);
+  while (start > 0 && isWordChar(text[start - 1])) start--;
+  while (end < text.length && isWordChar(text[end])) end++;
+  return normalizeWord(text.slice(start, end));
+}
+
+/** Normalize DictionaryAPI.dev response (client fallback) */
+function normalizeDictionaryApiClient(arr) {
+  if (!Array.isArray(arr)) return [];
+  return arr.map(entry => ({
+    word: entry.word,
+    phonetic: entry.phonetic || (Array.isArray(entry.phonetics) && entry.phonetics[0]?.text) || '',
+    meanings: Array.isArray(entry.meanings)
+      ? entry.meanings.map(m => ({
+          partOfSpeech: m.partOfSpeech || '',
+          definitions: (m.definitions || []).map(d => ({
+            definition: d.definition || '',
+            example: d.example || ''
+          })).filter(d => d.definition)
+        })).filter(m => m.definitions?.length)
+      : []
+  })).filter(e => e.meanings?.length);
+}
+
+/**
+ * Dictionary lookup (with cache, offline, backoff, fallback).
+ * Resolves to { entries, error }: entries is non-empty on success; error may
+ * still be set as a note when the fallback provider answered.
+ */
+export async function lookupDefinition(word, { offline = false } = {}) {
+  // Offline? Cache only.
+  if (offline) {
+    const hit = getCachedWord(word);
+    if (hit) {
+      logMetric('cache');
+      logMetric('ok');
+      return { entries: hit, error: '' };
+    }
+    logMetric('fail');
+    return { entries: [], error: 'You appear to be offline. No cached definition available.' };
+  }
+
+  // Cache check
+  const startMs = performance.now();
+  const elapsed = () => Math.max(1, Math.round(performance.now() - startMs));
+  const cached = getCachedWord(word);
+  if (cached) {
+    logMetric('cache');
+    logMetric('ok', elapsed());
+    return { entries: cached, error: '' };
+  }
+
+  try {
+    // Primary: Netlify function (with backoff)
+    const data = await withBackoff(async () => {
+      const resp = await fetch(`/.netlify/functions/define?word=${encodeURIComponent(word)}`, {
+        cache: 'no-cache',
+        headers: { Accept: 'application/json' },
+      });
+      const txt = await resp.text();
+      let json = null;
+      try { json = txt ? JSON.parse(txt) : null; }
+      catch (e) {
+        throw new Error(`Malformed JSON from function. ${e?.message || 'Parse error.'}`);
+      }
+      if (!resp.ok) {
+        throw new Error(`Lookup failed (${resp.status}). ${txt?.slice(0, 200) || 'No body.'}`);
+      }
+      if (!json || !Array.isArray(json.entries)) {
+        throw new Error('Malformed response from function (missing "entries").');
+      }
+      return json;
+    }, { retries: 3, base: 300 });
+
+    const entries = data.entries || [];
+    if (entries.length) {
+      putCachedWord(word, entries);
+      logMetric('net');
+      logMetric('ok', elapsed());
+      return { entries, error: '' };
+    }
+
+    const serverError = data.error ? ` Server: ${data.error}` : '';
+
+    // Fallback: direct to DictionaryAPI.dev (CORS OK)
+    try {
+      const r2 = await withBackoff(() => fetch(`https://api.dictionaryapi.dev/api/v2/entries/en/${encodeURIComponent(word)}`, {
+        headers: { 'Accept': 'application/json' }
+      }).then(x => x.json()), { retries: 2, base: 400 });
+
+      const entries2 = normalizeDictionaryApiClient(r2);
+      if (entries2.length) {
+        putCachedWord(word, entries2);
+        logMetric('net');
+        logMetric('ok', elapsed());
+        return { entries: entries2, error: serverError ? `Using fallback.${serverError}` : '' };
+      }
+    } catch {
+      // ignore; we’ll fall through to error below
+    }
+
+    logMetric('fail');
+    return { entries: [], error: serverError || 'No results from providers.' };
+  } catch (err) {
+    logMetric('fail');
+    return { entries: [], error: err?.message || 'Failed to fetch definition.' };
+  }
+}
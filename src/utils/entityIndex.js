@@ -0,0 +1,134 @@
+// src/utils/entityIndex.js
+// Character and place index for one book, built at ingest time
+// (scripts/ingestBooks.mjs, scripts/buildEntityIndex.mjs) and read by the
+// reader's "Who is this?" card. Plain ESM — Node imports it directly.
+//
+// entities.json: { v, entities: [{ name, kind, count, first: [chapterIndex, paragraphIndex],
+//                                   mentions: [[chapterIndex, [paragraphIndex, ...]], ...] }] }
+// Indices are 0-based. `count` is every mention in the book; the reader only
+// ever shows the part of `mentions` up to the current chapter.
+import { properNounPhrases, STOPWORDS } from './properNouns.js';
+import { paragraphText } from './richText.js';
+
+export const ENTITY_INDEX_VERSION = 1;
+export const ENTITY_FILE = 'entities.json';
+
+const HONORIFICS = new Set(['mr', 'mrs', 'miss', 'lord', 'lady', 'sir', 'aunt', 'uncle', 'dr', 'captain', 'colonel',
+  'major', 'general', 'rev', 'reverend', 'professor', 'duke', 'duchess', 'earl', 'bishop', 'cousin', 'dame', 'young', 'old']);
+const PLACE_WORDS = new Set(['castle', 'club', 'hall', 'street', 'square', 'court', 'house', 'park', 'road', 'abbey',
+  'manor', 'towers', 'hotel', 'inn', 'lane', 'gardens', 'place', 'hill', 'bridge', 'station', 'terrace', 'avenue',
+  'row', 'cottage', 'farm', 'church', 'college', 'school', 'theatre', 'island', 'river', 'grange', 'lodge', 'arms',
+  'priory', 'rectory', 'vicarage', 'mansions', 'village', 'city', 'county', 'restaurant', 'common']);
+// "in London", "from Blandings" versus "said Jimmy", "George asked"
+const PLACE_PREPOSITIONS = new Set(['in', 'at', 'from', 'into', 'near', 'towards', 'toward', 'across', 'through', 'along', 'outside', 'reach', 'reached', 'visit']);
+const SPEECH_VERBS = new Set(['said', 'asked', 'replied', 'cried', 'remarked', 'observed', 'exclaimed', 'answered', 'says']);
+// Capitalized, but never the name of anyone or anywhere
+const NOT_NAMES = new Set(`monday tuesday wednesday thursday friday saturday sunday january february march april may
+june july august september october november december god heaven english england's american french german christmas
+chapter part book volume act scene jove greek british christian roman latin irish scotch scottish messrs st oh ah eh er hello hullo why well yes what nature fate spring summer autumn winter`.split(/\s+/));
+
+const MIN_MENTIONS = 3;
+const MAX_ENTITIES = 400;
+
+const SENTENCE_START_RE = /(^|[.!?:;—]["“‘'(\s]*|["“‘(]\s*)$/;
+const CONTRACTION_RE = /['’](m|ll|ve|re|d|t)$/i;
+
+const isAllCaps = (w) => w.length > 1 && w === w.toUpperCase();
+const stripPossessive = (w) => w.replace(/['’]s$/, '').replace(/['’]$/, '');
+
+/**
+ * chapters: array of paragraph arrays (see ./richText.js), in reading order.
+ * Returns the entities.json object (see above).
+ */
+export function buildEntityIndex(chapters) {
+  // How often each word is written in lower case versus capitalized mid-
+  // sentence: "Well", "Still" or "Presently" opening a sentence are common
+  // words, not names
+  const lower = new Map();
+  const capital = new Map();
+  for (const paras of chapters) {
+    for (const p of paras) {
+      for (const m of paragraphText(p).matchAll(/[A-Za-z][a-z'’-]*/g)) {
+        const w = stripPossessive(m[0]);
+        const key = w.toLowerCase();
+        if (w[0] === key[0]) lower.set(key, (lower.get(key) || 0) + 1);
+        else if (!SENTENCE_START_RE.test(m.input.slice(Math.max(0, m.index - 4), m.index))) capital.set(key, (capital.get(key) || 0) + 1);
+      }
+    }
+  }
+  const isCommonWord = (w) => {
+    const key = w.toLowerCase();
+    return STOPWORDS.has(key) || NOT_NAMES.has(key) || (lower.get(key) || 0) >= (capital.get(key) || 0);
+  };
+
+  const found = new Map(); // lowercased name -> { spellings, mentions: Map<ch, Set<para>>, count, afterPreposition, speaking }
+  chapters.forEach((paras, chapterIndex) => {
+    paras.forEach((p, paragraphIndex) => {
+      const text = paragraphText(p);
+      for (const { txt, a, b } of properNounPhrases(text, { inOrder: true, stopAtPunctuation: true })) {
+        let words = txt.split(' ');
+        if (words.every(isAllCaps)) continue; // headings and shouting
+        words[words.length - 1] = stripPossessive(words[words.length - 1]);
+        while (words.length && !HONORIFICS.has(words[0].toLowerCase()) && isCommonWord(words[0])) words = words.slice(1);
+        while (words.length && (words[words.length - 1].length < 2 || STOPWORDS.has(words[words.length - 1].toLowerCase()))) words = words.slice(0, -1);
+        if (!words.length || words.every(w => HONORIFICS.has(w.toLowerCase()))) continue;
+        if (words.some(w => NOT_NAMES.has(w.toLowerCase()) || CONTRACTION_RE.test(w))) continue;
+
+        const name = words.join(' ');
+        const key = name.toLowerCase();
+        if (!found.has(key)) found.set(key, { spellings: new Map(), mentions: new Map(), count: 0, afterPreposition: 0, speaking: 0 });
+        const e = found.get(key);
+        e.spellings.set(name, (e.spellings.get(name) || 0) + 1);
+        if (!e.mentions.has(chapterIndex)) e.mentions.set(chapterIndex, new Set());
+        e.mentions.get(chapterIndex).add(paragraphIndex);
+        e.count++;
+        const before = (text.slice(Math.max(0, a - 16), a).match(/([A-Za-z]+)\W*$/)?.[1] || '').toLowerCase();
+        const after = (text.slice(b, b + 16).match(/^\W*([A-Za-z]+)/)?.[1] || '').toLowerCase();
+        if (PLACE_PREPOSITIONS.has(before)) e.afterPreposition++;
+        if (SPEECH_VERBS.has(before) || SPEECH_VERBS.has(after)) e.speaking++;
+      }
+    });
+  });
+
+  const entities = [];
+  for (const e of found.values()) {
+    const name = [...e.spellings.entries()].sort((x, y) => y[1] - x[1])[0][0];
+    const words = name.split(' ');
+    if (e.count < (words.length > 1 ? MIN_MENTIONS - 1 : MIN_MENTIONS)) continue;
+    const mentions = [...e.mentions.entries()].map(([ch, paras]) => [ch, [...paras].sort((x, y) => x - y)]);
+    entities.push({
+      name,
+      kind: entityKind(words, e.afterPreposition / e.count, e.speaking / e.count),
+      count: e.count,
+      first: [mentions[0][0], mentions[0][1][0]],
+      mentions
+    });
+  }
+  entities.sort((x, y) => y.count - x.count || x.name.localeCompare(y.name));
+  return { v: ENTITY_INDEX_VERSION, entities: entities.slice(0, MAX_ENTITIES) };
+}
+
+function entityKind(words, prepositionShare, speakingShare) {
+  if (HONORIFICS.has(words[0].toLowerCase())) return 'character';
+  if (PLACE_WORDS.has(words[words.length - 1].toLowerCase())) return 'place';
+  // Places are where things happen; people are the ones talking
+  return prepositionShare >= 0.2 && speakingShare < 0.05 ? 'place' : 'character';
+}
+
+/**
+ * Entities matching a tapped word or selected phrase: the exact name first,
+ * then longer names that contain it ("Emsworth" -> "Lord Emsworth").
+ */
+export function findEntities(index, text) {
+  const q = stripPossessive(String(text || '').replace(/\s+/g, ' ').replace(/^[^A-Za-z]+|[^A-Za-z'’]+$/g, '')).toLowerCase();
+  if (!q || !index?.entities) return [];
+  const exact = index.entities.filter(e => e.name.toLowerCase() === q);
+  const partial = index.entities.filter(e => e.name.toLowerCase() !== q && e.name.toLowerCase().split(' ').includes(q));
+  return [...exact, ...partial];
+}
+
+/** Mentions of `entity` in chapters up to and including `chapterIndex`: { count, chapters: [[chapterIndex, [paragraphIndex...]]] } */
+export function mentionsSoFar(entity, chapterIndex) {
+  const chapters = (entity?.mentions || []).filter(([ch]) => ch <= chapterIndex);
+  return { count: chapters.reduce((n, [, paras]) => n + paras.length, 0), chapters };
+}
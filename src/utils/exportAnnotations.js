@@ -0,0 +1,221 @@
+// src/utils/exportAnnotations.js
+// Get a reader's highlights, notes, bookmarks and dictionary lookups out of
+// the browser: Markdown (grouped by chapter, with citations), a JSON backup,
+// and a CSV that Anki can import. importJsonBackup() restores the JSON.
+import {
+  listAnnotations, listAllAnnotations, listBookmarks, listAllBookmarks,
+  getAnnotation, putAnnotation, getBookmark, putBookmark
+} from './indexedDb';
+import { loadManifest } from './bookLoader';
+import { readDictCache } from './dictionary';
+
+export const BACKUP_FORMAT = 'wair-annotations';
+export const BACKUP_VERSION = 1;
+
+/** Cached dictionary lookups as [{ word, lookedUpAt, entries }]. */
+function dictionaryLookups() {
+  return Object.entries(readDictCache())
+    .map(([word, rec]) => ({ word, lookedUpAt: rec?.t || 0, entries: rec?.v || [] }))
+    .sort((a, b) => a.word.localeCompare(b.word));
+}
+
+async function bookInfo(bookId, titles) {
+  const manifest = await loadManifest(bookId).catch(() => null);
+  return {
+    id: String(bookId),
+    title: titles?.[bookId] || manifest?.title || `PG #${bookId}`,
+    chapters: (manifest?.chapters || []).map(c => c.title)
+  };
+}
+
+/**
+ * Gather everything to export. With `bookId` only that book's annotations
+ * are included; without it, every book's. `titles` maps bookId -> display title.
+ */
+export async function collectExportData({ bookId = null, titles = {} } = {}) {
+  const [annotations, bookmarks] = bookId
+    ? await Promise.all([listAnnotations(bookId), listBookmarks(bookId)])
+    : await Promise.all([listAllAnnotations(), listAllBookmarks()]);
+
+  const ids = [...new Set([...annotations, ...bookmarks].map(a => a.bookId).concat(bookId ? [String(bookId)] : []))];
+  const books = {};
+  for (const id of ids) books[id] = await bookInfo(id, titles);
+
+  return { books, annotations, bookmarks, lookups: dictionaryLookups() };
+}
+
+function chapterLabel(book, i) {
+  return book?.chapters?.[i] || `Chapter ${i + 1}`;
+}
+
+function citation(book, a) {
+  return `${book?.title || a.bookId}, ${chapterLabel(book, a.chapterIndex)}, ¶ ${a.paragraphIndex + 1}`;
+}
+
+function firstDefinition(entries) {
+  for (const e of entries || []) {
+    for (const m of e.meanings || []) {
+      const d = m.definitions?.[0]?.definition;
+      if (d) return { partOfSpeech: m.partOfSpeech || '', definition: d };
+    }
+  }
+  return null;
+}
+
+/* ---------------- Markdown ---------------- */
+
+export function toMarkdown(data) {
+  const out = [];
+  const byBook = new Map();
+  data.annotations.forEach(a => {
+    if (!byBook.has(a.bookId)) byBook.set(a.bookId, []);
+    byBook.get(a.bookId).push(a);
+  });
+
+  for (const [bookId, list] of byBook) {
+    const book = data.books[bookId];
+    out.push(`# ${book?.title || bookId}`, '');
+    let chapter = -1;
+    for (const a of list) {
+      if (a.chapterIndex !== chapter) {
+        chapter = a.chapterIndex;
+        out.push(`## ${chapterLabel(book, chapter)}`, '');
+      }
+      out.push(...a.text.split(/\n+/).map(l => `> ${l}`));
+      out.push(`>`, `> — *${citation(book, a)}*`, '');
+      if (a.note) out.push(`**Note:** ${a.note}`, '');
+    }
+  }
+
+  if (data.bookmarks.length) {
+    out.push('# Bookmarks', '');
+    data.bookmarks.forEach(b => {
+      const book = data.books[b.bookId];
+      out.push(`- ${b.label || 'Bookmark'} — *${citation(book, b)}*`);
+    });
+    out.push('');
+  }
+
+  if (data.lookups.length) {
+    out.push('# Dictionary lookups', '');
+    data.lookups.forEach(l => {
+      const d = firstDefinition(l.entries);
+      out.push(`- **${l.word}**${d ? ` (${d.partOfSpeech || 'definition'}): ${d.definition}` : ''}`);
+    });
+    out.push('');
+  }
+  return out.join('\n');
+}
+
+/* ---------------- JSON backup ---------------- */
+
+export function toJsonBackup(data) {
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    books: data.books,
+    annotations: data.annotations,
+    bookmarks: data.bookmarks,
+    lookups: data.lookups
+  }, null, 2);
+}
+
+/* ---------------- Anki CSV ---------------- */
+
+function csvField(v) {
+  const s = String(v ?? '');
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function escapeHtml(s) {
+  return String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Three columns (Front, Back, Tags) with "#" header directives so Anki's
+ * importer picks up the separator, HTML and tag column without extra setup.
+ */
+export function toAnkiCsv(data) {
+  const rows = [
+    '#separator:Comma',
+    '#html:true',
+    '#tags column:3'
+  ];
+  for (const a of data.annotations) {
+    const book = data.books[a.bookId];
+    const back = [a.note ? escapeHtml(a.note) : '', `<i>${escapeHtml(citation(book, a))}</i>`].filter(Boolean).join('<br><br>');
+    rows.push([escapeHtml(a.text), back, `wodehouse highlight pg-${a.bookId}`].map(csvField).join(','));
+  }
+  for (const l of data.lookups) {
+    const d = firstDefinition(l.entries);
+    if (!d) continue;
+    const back = `${d.partOfSpeech ? `<i>${escapeHtml(d.partOfSpeech)}</i> ` : ''}${escapeHtml(d.definition)}`;
+    rows.push([escapeHtml(l.word), back, 'wodehouse vocabulary'].map(csvField).join(','));
+  }
+  return rows.join('\n') + '\n';
+}
+
+/* ---------------- Import ---------------- */
+
+/**
+ * Restore a JSON backup. Records are merged by id; when both sides have a
+ * record the newer `updatedAt` wins. Cached dictionary lookups are only added
+ * for words not already in the cache. Returns counts of what changed.
+ */
+export async function importJsonBackup(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!data || data.format !== BACKUP_FORMAT) throw new Error('Not an annotations backup file.');
+  if (data.version > BACKUP_VERSION) throw new Error(`Backup version ${data.version} is newer than this app supports.`);
+
+  const counts = { annotations: 0, bookmarks: 0, lookups: 0 };
+
+  for (const a of data.annotations || []) {
+    if (!a?.id || a.bookId == null) continue;
+    const mine = await getAnnotation(a.id);
+    if (mine && (mine.updatedAt || 0) >= (a.updatedAt || 0)) continue;
+    await putAnnotation(a, { touch: false });
+    counts.annotations++;
+  }
+  for (const b of data.bookmarks || []) {
+    if (!b?.id || b.bookId == null) continue;
+    if (await getBookmark(b.id)) continue;
+    await putBookmark(b, { touch: false });
+    counts.bookmarks++;
+  }
+
+  const cache = readDictCache();
+  for (const l of data.lookups || []) {
+    if (!l?.word || cache[l.word] || !Array.isArray(l.entries)) continue;
+    cache[l.word] = { t: l.lookedUpAt || Date.now(), v: l.entries };
+    counts.lookups++;
+  }
+  if (counts.lookups) localStorage.setItem(DICT_CACHE_KEY, JSON.stringify(cache));
+
+  return counts;
+}
+
+/* ---------------- Download helper ---------------- */
+
+export function downloadText(filename, text, mime = 'text/plain') {
+  const blob = new Blob([text], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** Export in one of 'markdown' | 'json' | 'anki' and trigger a download. */
+export async function exportAnnotations(format, { bookId = null, titles = {} } = {}) {
+  const data = await collectExportData({ bookId, titles });
+  const stem = bookId ? `wair-pg-${bookId}` : 'wair-all-books';
+  const date = new Date().toISOString().slice(0, 10);
+  if (format === 'markdown') downloadText(`${stem}-${date}.md`, toMarkdown(data), 'text/markdown');
+  else if (format === 'json') downloadText(`${stem}-${date}.json`, toJsonBackup(data), 'application/json');
+  else if (format === 'anki') downloadText(`${stem}-anki-${date}.csv`, toAnkiCsv(data), 'text/csv');
+  else throw new Error(`Unknown export format: ${format}`);
+}
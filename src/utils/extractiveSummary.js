@@ -0,0 +1,125 @@
+// src/utils/extractiveSummary.js
+// Extractive chapter summary with no network: TextRank over TF-IDF sentence
+// vectors. Shared by netlify/functions/summarize.js (the "extractive"
+// provider) and the reader, which falls back to it offline.
+import { sentenceSpans } from './annotations.js';
+
+const STOPWORDS = new Set(`a about above after again against all am an and any are as at be because been before
+being below between both but by can could did do does doing down during each few for from further had has have
+having he her here hers herself him himself his how i if in into is it its itself just me more most my myself no
+nor not now of off on once only or other our ours ourselves out over own same she should so some such than that
+the their theirs them themselves then there these they this those through to too under until up very was we were
+what when where which while who whom why will with would you your yours yourself yourselves said says say one two
+upon shall may might must us oh well yes mr mrs miss sir don't i'm it's that's he's she's i'll i've you're`.split(/\s+/));
+
+const DAMPING = 0.85;
+const ITERATIONS = 30;
+const MAX_SENTENCES = 1500; // keeps the similarity graph affordable on huge chapters
+
+function stem(w) {
+  if (w.length > 5 && w.endsWith('ing')) return w.slice(0, -3);
+  if (w.length > 4 && w.endsWith('ed')) return w.slice(0, -2);
+  if (w.length > 4 && w.endsWith('ies')) return `${w.slice(0, -3)}y`;
+  if (w.length > 3 && w.endsWith('s') && !w.endsWith('ss')) return w.slice(0, -1);
+  return w;
+}
+
+function terms(sentence) {
+  return (sentence.toLowerCase().replace(/[’‘]/g, "'").match(/[a-z][a-z']+/g) || [])
+    .filter(w => !STOPWORDS.has(w) && w.length > 2)
+    .map(stem);
+}
+
+// Mostly-dialogue sentences make poor summary lines out of context
+function dialogueShare(s) {
+  const quoted = (s.match(/[“"][^”"]*[”"]/g) || []).join('').length;
+  return s.length ? quoted / s.length : 0;
+}
+
+/**
+ * paragraphs: string[]. Returns { summary, sentences: [{ text, paragraphIndex, score }], keywords }
+ * with sentences in chapter order. `maxSentences` caps the length (default
+ * scales with the chapter, 3 to 8 sentences).
+ */
+export function summarizeParagraphs(paragraphs, { maxSentences } = {}) {
+  let sentences = [];
+  (paragraphs || []).forEach((para, paragraphIndex) => {
+    for (const [s, e] of sentenceSpans(para || '')) {
+      const text = para.slice(s, e).replace(/\s+/g, ' ').trim();
+      const words = text.split(' ').length;
+      if (words >= 6 && words <= 60) sentences.push({ text, paragraphIndex, terms: terms(text) });
+    }
+  });
+  sentences = sentences.filter(s => s.terms.length >= 3);
+  if (!sentences.length) return { summary: '', sentences: [], keywords: [] };
+  if (sentences.length > MAX_SENTENCES) {
+    const step = sentences.length / MAX_SENTENCES;
+    sentences = Array.from({ length: MAX_SENTENCES }, (_, i) => sentences[Math.floor(i * step)]);
+  }
+
+  // TF-IDF vectors (term -> weight), L2-normalized
+  const n = sentences.length;
+  const df = new Map();
+  sentences.forEach(s => new Set(s.terms).forEach(t => df.set(t, (df.get(t) || 0) + 1)));
+  const vectors = sentences.map(s => {
+    const tf = new Map();
+    s.terms.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+    const v = new Map();
+    let norm = 0;
+    for (const [t, f] of tf) {
+      const w = (1 + Math.log(f)) * Math.log(1 + n / df.get(t));
+      v.set(t, w);
+      norm += w * w;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [t, w] of v) v.set(t, w / norm);
+    return v;
+  });
+
+  // Sentence graph: edges weighted by cosine similarity, via an inverted index
+  const postings = new Map();
+  vectors.forEach((v, i) => v.forEach((w, t) => {
+    if (!postings.has(t)) postings.set(t, []);
+    postings.get(t).push([i, w]);
+  }));
+  const edges = Array.from({ length: n }, () => new Map());
+  for (const list of postings.values()) {
+    if (list.length > Math.max(30, n / 8)) continue; // very common terms (character names) link everything and cost the most
+    for (let a = 0; a < list.length; a++) {
+      for (let b = a + 1; b < list.length; b++) {
+        const [i, wi] = list[a];
+        const [j, wj] = list[b];
+        const w = wi * wj;
+        edges[i].set(j, (edges[i].get(j) || 0) + w);
+        edges[j].set(i, (edges[j].get(i) || 0) + w);
+      }
+    }
+  }
+  const outWeight = edges.map(e => [...e.values()].reduce((x, y) => x + y, 0));
+
+  // PageRank
+  let rank = new Array(n).fill(1 / n);
+  for (let it = 0; it < ITERATIONS; it++) {
+    const next = new Array(n).fill((1 - DAMPING) / n);
+    edges.forEach((e, i) => {
+      if (!outWeight[i]) return;
+      for (const [j, w] of e) next[j] += DAMPING * rank[i] * (w / outWeight[i]);
+    });
+    rank = next;
+  }
+
+  const limit = maxSentences || Math.max(3, Math.min(8, Math.round(n / 40)));
+  const scored = sentences.map((s, i) => ({ ...s, index: i, score: rank[i] * (1 - 0.5 * dialogueShare(s.text)) }));
+  const picked = [...scored].sort((a, b) => b.score - a.score).slice(0, limit).sort((a, b) => a.index - b.index);
+
+  // Keywords: highest summed TF-IDF weight across the chapter
+  const weight = new Map();
+  vectors.forEach(v => v.forEach((w, t) => weight.set(t, (weight.get(t) || 0) + w)));
+  const keywords = [...weight.entries()].sort((a, b) => b[1] - a[1]).slice(0, 8).map(([t]) => t);
+
+  return {
+    summary: picked.map(s => s.text).join(' '),
+    sentences: picked.map(({ text, paragraphIndex, score }) => ({ text, paragraphIndex, score })),
+    keywords
+  };
+}
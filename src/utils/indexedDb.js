@@ -2,39 +2,259 @@
 import { openDB } from 'idb';
 
 const DB_NAME = 'pgwaireader';
-const DB_VERSION = 1;
+const DB_VERSION = 5;
 
 export async function getDB() {
   return openDB(DB_NAME, DB_VERSION, {
     upgrade(db) {
+      // v1
       if (!db.objectStoreNames.contains('search')) {
-        db.createObjectStore('search'); // key: bookId, value: { text }
+        db.createObjectStore('search'); // key: bookId, value: { chapters: [[paragraph, ...], ...], fingerprint }
       }
       if (!db.objectStoreNames.contains('progress')) {
-        db.createObjectStore('progress'); // key: bookId, value: { chapterIndex, offset }
+        db.createObjectStore('progress'); // key: bookId, value: { chapterIndex, paragraphIndex, offset, updatedAt }
+      }
+      // v2: highlights/notes and bookmarks, anchored to chapter/paragraph/character offsets
+      if (!db.objectStoreNames.contains('annotations')) {
+        // value: { id, bookId, chapterIndex, paragraphIndex, start, end, text, color, note, createdAt, updatedAt }
+        const store = db.createObjectStore('annotations', { keyPath: 'id' });
+        store.createIndex('bookId', 'bookId');
+      }
+      if (!db.objectStoreNames.contains('bookmarks')) {
+        // value: { id, bookId, chapterIndex, paragraphIndex, offset, label, createdAt }
+        const store = db.createObjectStore('bookmarks', { keyPath: 'id' });
+        store.createIndex('bookId', 'bookId');
+      }
+      // v3: personal vocabulary fed by dictionary lookups
+      if (!db.objectStoreNames.contains('vocabulary')) {
+        // value: { lemma, forms, definition, contexts: [...], addedAt, srs: { ease, interval, reps, lapses, due } }
+        const store = db.createObjectStore('vocabulary', { keyPath: 'lemma' });
+        store.createIndex('due', 'srs.due');
+      }
+      // v4: reading metrics log (was localStorage 'pgwai_metrics'), trimmed oldest-first
+      if (!db.objectStoreNames.contains('metrics')) {
+        db.createObjectStore('metrics', { keyPath: 'seq', autoIncrement: true }); // value: { event, payload, stamp }
+      }
+      // v5: what was last synced for each progress/bookmark/annotation record (see utils/sync.js)
+      if (!db.objectStoreNames.contains('syncMeta')) {
+        db.createObjectStore('syncMeta', { keyPath: 'key' }); // value: { key, clock, updatedAt, device, fingerprint, deleted }
       }
     }
   });
 }
 
-export async function putSearchText(bookId, text) {
+// Search text is kept per chapter and paragraph so a hit maps back to a location,
+// stamped with the book's fingerprint (bookLoader.js) since a re-ingest moves them
+export async function putSearchChapters(bookId, chapters, fingerprint) {
   const db = await getDB();
-  await db.put('search', { text }, String(bookId));
+  await db.put('search', { chapters, fingerprint }, String(bookId));
 }
 
-export async function getSearchText(bookId) {
+export async function getSearchChapters(bookId, fingerprint) {
   const db = await getDB();
   const rec = await db.get('search', String(bookId));
-  return rec?.text || '';
+  // Older records hold one flat { text } string, which can't be located; treat as missing,
+  // as are records from another version of the book
+  if (!Array.isArray(rec?.chapters) || rec.fingerprint !== fingerprint) return null;
+  return rec.chapters;
+}
+
+// Progress is a { chapterIndex, paragraphIndex, offset } anchor into the chapter's paragraphs
+export async function saveProgress(bookId, { chapterIndex, paragraphIndex = 0, offset = 0 }) {
+  const db = await getDB();
+  await db.put('progress', { chapterIndex, paragraphIndex, offset, updatedAt: Date.now() }, String(bookId));
+}
+
+/** Every book's progress as [{ bookId, ...record }]. */
+export async function listProgress() {
+  const db = await getDB();
+  const tx = db.transaction('progress');
+  const [keys, values] = await Promise.all([tx.store.getAllKeys(), tx.store.getAll(), tx.done]);
+  return keys.map((bookId, i) => ({ ...values[i], bookId: String(bookId) }));
 }
 
-export async function saveProgress(bookId, chapterIndex, offset) {
+// Stores a progress record as-is (sync)
+export async function putProgress(bookId, rec) {
   const db = await getDB();
-  await db.put('progress', { chapterIndex, offset }, String(bookId));
+  const { bookId: _drop, ...value } = rec;
+  await db.put('progress', value, String(bookId));
+}
+
+export async function deleteProgress(bookId) {
+  const db = await getDB();
+  await db.delete('progress', String(bookId));
 }
 
 export async function loadProgress(bookId) {
   const db = await getDB();
   const rec = await db.get('progress', String(bookId));
-  return rec || { chapterIndex: 0, offset: 0 };
+  if (!rec) return { chapterIndex: 0, paragraphIndex: 0, offset: 0 };
+  // Older records hold a scroll offset in pixels, which no longer means anything
+  if (rec.paragraphIndex == null) return { chapterIndex: rec.chapterIndex || 0, paragraphIndex: 0, offset: 0 };
+  return rec;
+}
+
+function byPosition(a, b) {
+  return (a.chapterIndex - b.chapterIndex)
+    || (a.paragraphIndex - b.paragraphIndex)
+    || ((a.start ?? a.offset ?? 0) - (b.start ?? b.offset ?? 0));
+}
+
+export async function listAnnotations(bookId) {
+  const db = await getDB();
+  const rows = await db.getAllFromIndex('annotations', 'bookId', String(bookId));
+  return rows.sort(byPosition);
+}
+
+export async function listAllAnnotations() {
+  const db = await getDB();
+  const rows = await db.getAll('annotations');
+  return rows.sort((a, b) => a.bookId.localeCompare(b.bookId) || byPosition(a, b));
+}
+
+// touch=false keeps the record's own updatedAt (restores, sync)
+export async function putAnnotation(annotation, { touch = true } = {}) {
+  const db = await getDB();
+  const rec = { ...annotation, bookId: String(annotation.bookId), updatedAt: touch ? Date.now() : (annotation.updatedAt || Date.now()) };
+  await db.put('annotations', rec);
+  return rec;
+}
+
+export async function getAnnotation(id) {
+  const db = await getDB();
+  return db.get('annotations', id);
+}
+
+export async function deleteAnnotation(id) {
+  const db = await getDB();
+  await db.delete('annotations', id);
+}
+
+export async function listBookmarks(bookId) {
+  const db = await getDB();
+  const rows = await db.getAllFromIndex('bookmarks', 'bookId', String(bookId));
+  return rows.sort(byPosition);
+}
+
+export async function listAllBookmarks() {
+  const db = await getDB();
+  const rows = await db.getAll('bookmarks');
+  return rows.sort((a, b) => a.bookId.localeCompare(b.bookId) || byPosition(a, b));
+}
+
+// touch=false keeps the record's own updatedAt (restores, sync)
+export async function putBookmark(bookmark, { touch = true } = {}) {
+  const db = await getDB();
+  const rec = { ...bookmark, bookId: String(bookmark.bookId), updatedAt: touch ? Date.now() : (bookmark.updatedAt || bookmark.createdAt || Date.now()) };
+  await db.put('bookmarks', rec);
+  return rec;
+}
+
+export async function getBookmark(id) {
+  const db = await getDB();
+  return db.get('bookmarks', id);
+}
+
+export async function deleteBookmark(id) {
+  const db = await getDB();
+  await db.delete('bookmarks', id);
+}
+
+export async function listSyncMeta() {
+  const db = await getDB();
+  return db.getAll('syncMeta');
+}
+
+export async function putSyncMeta(records) {
+  const db = await getDB();
+  const tx = db.transaction('syncMeta', 'readwrite');
+  await Promise.all([...records.map(r => tx.store.put(r)), tx.done]);
+}
+
+export async function clearSyncMeta() {
+  const db = await getDB();
+  await db.clear('syncMeta');
+}
+
+export async function listVocabulary() {
+  const db = await getDB();
+  return db.getAll('vocabulary');
+}
+
+export async function getVocabularyEntry(lemma) {
+  const db = await getDB();
+  return db.get('vocabulary', lemma);
+}
+
+export async function putVocabularyEntry(entry) {
+  const db = await getDB();
+  await db.put('vocabulary', entry);
+  return entry;
+}
+
+export async function deleteVocabularyEntry(lemma) {
+  const db = await getDB();
+  await db.delete('vocabulary', lemma);
+}
+
+export async function appendMetrics(records) {
+  const db = await getDB();
+  const tx = db.transaction('metrics', 'readwrite');
+  await Promise.all([...records.map(r => tx.store.add(r)), tx.done]);
+}
+
+export async function listMetrics() {
+  const db = await getDB();
+  return db.getAll('metrics');
+}
+
+/** Delete the oldest records so at most `max` remain. Returns how many were removed. */
+export async function trimMetrics(max) {
+  const db = await getDB();
+  const tx = db.transaction('metrics', 'readwrite');
+  let excess = (await tx.store.count()) - max;
+  let removed = 0;
+  let cursor = excess > 0 ? await tx.store.openCursor() : null;
+  while (cursor && excess > 0) {
+    await cursor.delete();
+    removed++;
+    excess--;
+    cursor = await cursor.continue();
+  }
+  await tx.done;
+  return removed;
+}
+
+export async function clearMetricsStore() {
+  const db = await getDB();
+  await db.clear('metrics');
+}
+
+/* ---------- whole-store access (profile export/import/reset) ---------- */
+
+export async function listStoreNames() {
+  const db = await getDB();
+  return Array.from(db.objectStoreNames);
+}
+
+/** Every row of a store as [key, value] pairs. */
+export async function dumpStore(name) {
+  const db = await getDB();
+  const tx = db.transaction(name);
+  const [keys, values] = await Promise.all([tx.store.getAllKeys(), tx.store.getAll(), tx.done]);
+  return keys.map((key, i) => [key, values[i]]);
+}
+
+/** Replace a store's contents with [key, value] rows from dumpStore(). */
+export async function restoreStore(name, rows) {
+  const db = await getDB();
+  const tx = db.transaction(name, 'readwrite');
+  const inline = tx.store.keyPath != null;
+  await tx.store.clear();
+  await Promise.all([...rows.map(([key, value]) => (inline ? tx.store.put(value) : tx.store.put(value, key))), tx.done]);
+}
+
+export async function clearStore(name) {
+  const db = await getDB();
+  await db.clear(name);
 }
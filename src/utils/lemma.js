@@ -0,0 +1,34 @@
+// src/utils/lemma.js
+// Suffix-stripping lemma rules shared by netlify/functions/define.js (which
+// tries each candidate against the dictionaries) and the vocabulary list
+// (which uses the same rules to de-duplicate looked-up words).
+
+export function unique(arr) {
+  return [...new Set(arr.filter(Boolean))];
+}
+
+export function lemmaCandidates(word) {
+  const out = [];
+  if (word.endsWith('ies') && word.length > 3) out.push(word.slice(0, -3) + 'y');
+  if (word.endsWith('es') && word.length > 2) out.push(word.slice(0, -2));
+  if (word.endsWith('s') && !word.endsWith('ss')) out.push(word.slice(0, -1));
+  if (word.endsWith('ing') && word.length > 4) {
+    out.push(word.slice(0, -3));
+    out.push(word.slice(0, -3) + 'e');
+  }
+  if (word.endsWith('ed') && word.length > 3) {
+    out.push(word.slice(0, -2));
+    out.push(word.slice(0, -1));
+  }
+  return unique(out);
+}
+
+/** True when two words share a form under lemmaCandidates ("pies" ~ "pie", "runs" ~ "run"). */
+export function sameLemma(a, b) {
+  const x = String(a || '').toLowerCase();
+  const y = String(b || '').toLowerCase();
+  if (!x || !y) return false;
+  if (x === y) return true;
+  const fx = new Set([x, ...lemmaCandidates(x)]);
+  return [y, ...lemmaCandidates(y)].some(f => fx.has(f));
+}
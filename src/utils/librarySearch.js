@@ -0,0 +1,202 @@
+// src/utils/librarySearch.js
+// Cross-library full-text search over the sharded inverted index written by
+// scripts/buildSearchIndex.mjs (public/search/). Supports multi-word queries
+// (every word must appear in the paragraph) and "quoted phrases".
+import { INDEX_VERSION, tokenize, isIndexed, shardKey } from './searchTokens';
+import { loadChapterFile } from './bookLoader';
+import { paragraphText } from './richText';
+
+let metaPromise = null;
+const shardCache = new Map(); // key -> Promise<Map<term, [{ doc, positions }]>>
+
+function searchBase() {
+  const base = import.meta.env.BASE_URL || '/';
+  return `${base.endsWith('/') ? base : base + '/'}search/`;
+}
+
+async function fetchIndexJson(url) {
+  const resp = await fetch(url);
+  const contentType = (resp.headers.get('content-type') || '').toLowerCase();
+  if (!resp.ok || !contentType.includes('json')) return null;
+  return resp.json();
+}
+
+/** Index metadata plus a flat doc -> (book, chapter, paragraph) table. */
+export function loadSearchMeta() {
+  if (!metaPromise) {
+    metaPromise = fetchIndexJson(`${searchBase()}meta.json`).then(meta => {
+      if (!meta || meta.v !== INDEX_VERSION) {
+        throw new Error('Search index not found. Run "npm run build:search" to generate it.');
+      }
+      // Chapter start offsets in doc-id space, for binary search in locateDoc()
+      const starts = [];
+      let doc = 0;
+      meta.books.forEach((b, bi) => b.chapters.forEach((c, ci) => {
+        starts.push({ doc, bookIndex: bi, chapterIndex: ci });
+        doc += c.paragraphs;
+      }));
+      return { ...meta, starts, shardSet: new Set(meta.shardKeys) };
+    });
+    metaPromise.catch(() => { metaPromise = null; });
+  }
+  return metaPromise;
+}
+
+function locateDoc(meta, doc) {
+  let lo = 0, hi = meta.starts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (meta.starts[mid].doc <= doc) lo = mid; else hi = mid - 1;
+  }
+  const s = meta.starts[lo];
+  const book = meta.books[s.bookIndex];
+  return {
+    book,
+    chapterIndex: s.chapterIndex,
+    chapter: book.chapters[s.chapterIndex],
+    paragraphIndex: doc - s.doc
+  };
+}
+
+function decodeShard(terms) {
+  const out = new Map();
+  for (const [term, enc] of Object.entries(terms)) {
+    const list = [];
+    let doc = 0;
+    for (let i = 0; i < enc.length; ) {
+      doc += enc[i];
+      const n = enc[i + 1];
+      const positions = new Array(n);
+      let pos = 0;
+      for (let k = 0; k < n; k++) { pos += enc[i + 2 + k]; positions[k] = pos; }
+      list.push({ doc, positions });
+      i += 2 + n;
+    }
+    out.set(term, list);
+  }
+  return out;
+}
+
+function loadShard(meta, key) {
+  if (!meta.shardSet.has(key)) return Promise.resolve(new Map());
+  if (!shardCache.has(key)) {
+    const pending = fetchIndexJson(`${searchBase()}shards/${key}.json`)
+      .then(json => decodeShard(json?.terms || {}));
+    shardCache.set(key, pending);
+    pending.catch(() => shardCache.delete(key));
+  }
+  return shardCache.get(key);
+}
+
+async function postingsFor(meta, term) {
+  const shard = await loadShard(meta, shardKey(term));
+  return shard.get(term) || [];
+}
+
+/**
+ * Parse a query into phrases. Bare words are one-word phrases; "quoted text"
+ * is kept together. Each phrase is { words: [{ term, offset }], span } over
+ * indexed words only, with offsets counted across stopwords so adjacency is
+ * still exact; leading/trailing stopwords are not part of the match.
+ */
+export function parseQuery(query) {
+  const phrases = [];
+  const re = /"([^"]+)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(query || '')) !== null) {
+    const toks = tokenize(m[1] ?? m[2]);
+    const indexed = toks.filter(t => isIndexed(t.term));
+    if (!indexed.length) continue;
+    const lead = indexed[0].pos;
+    const words = indexed.map(t => ({ term: t.term, offset: t.pos - lead }));
+    phrases.push({ words, span: words[words.length - 1].offset });
+  }
+  return phrases;
+}
+
+// Docs where the phrase occurs -> Map<doc, [start positions of each occurrence]>
+async function matchPhrase(meta, phrase) {
+  const lists = await Promise.all(phrase.words.map(w => postingsFor(meta, w.term)));
+  const byDoc = lists.map(list => new Map(list.map(p => [p.doc, p.positions])));
+  const [first, ...rest] = byDoc;
+  const out = new Map();
+  for (const [doc, positions] of first) {
+    if (!rest.every(m => m.has(doc))) continue;
+    const sets = rest.map(m => new Set(m.get(doc)));
+    const starts = positions.filter(p => phrase.words.slice(1).every((w, k) => sets[k].has(p + w.offset)));
+    if (starts.length) out.set(doc, starts);
+  }
+  return out;
+}
+
+/**
+ * Search every book. Returns { total, results } where each result is
+ * { bookId, bookTitle, chapterIndex, chapterTitle, file, paragraphIndex, score, spans }
+ * and `spans` are [startPos, endPos] word ranges of each match in the paragraph.
+ */
+export async function searchLibrary(query, { limit = 200 } = {}) {
+  const phrases = parseQuery(query);
+  if (!phrases.length) return { total: 0, results: [] };
+  const meta = await loadSearchMeta();
+
+  const matches = await Promise.all(phrases.map(p => matchPhrase(meta, p)));
+  // Smallest candidate set first
+  const order = matches.map((m, i) => i).sort((a, b) => matches[a].size - matches[b].size);
+  const docs = [...matches[order[0]].keys()].filter(doc => order.every(i => matches[i].has(doc)));
+
+  const results = docs.map(doc => {
+    const spans = [];
+    phrases.forEach((p, i) => matches[i].get(doc).forEach(start => spans.push([start, start + p.span])));
+    spans.sort((a, b) => a[0] - b[0]);
+    const loc = locateDoc(meta, doc);
+    return {
+      doc,
+      bookId: loc.book.id,
+      bookTitle: loc.book.title,
+      chapterIndex: loc.chapterIndex,
+      chapterTitle: loc.chapter.title,
+      file: loc.chapter.file,
+      paragraphIndex: loc.paragraphIndex,
+      score: spans.length,
+      spans
+    };
+  });
+  results.sort((a, b) => (b.score - a.score) || (a.doc - b.doc));
+  return { total: results.length, results: results.slice(0, limit) };
+}
+
+/**
+ * Snippet around the first match of a result, as segments for rendering:
+ * [{ text, hit }]. `radius` is the number of words kept on each side.
+ */
+export async function loadSnippet(result, { radius = 18 } = {}) {
+  const paragraphs = await loadChapterFile(result.bookId, result.file);
+  const text = paragraphText(paragraphs[result.paragraphIndex]);
+  const toks = tokenize(text);
+  if (!toks.length) return [{ text: text.slice(0, 200), hit: false }];
+
+  const byPos = new Map(toks.map((t, i) => [t.pos, i]));
+  const [firstStart] = result.spans[0] || [0];
+  const anchor = byPos.get(firstStart) ?? 0;
+  const from = Math.max(0, anchor - radius);
+  const to = Math.min(toks.length - 1, anchor + radius);
+
+  const hitPos = new Set();
+  result.spans.forEach(([a, b]) => { for (let p = a; p <= b; p++) hitPos.add(p); });
+
+  const segments = [];
+  let cursor = toks[from].start;
+  for (let i = from; i <= to; i++) {
+    const t = toks[i];
+    if (!hitPos.has(t.pos)) continue;
+    if (t.start > cursor) segments.push({ text: text.slice(cursor, t.start), hit: false });
+    segments.push({ text: text.slice(t.start, t.end), hit: true });
+    cursor = t.end;
+  }
+  segments.push({ text: text.slice(cursor, toks[to].end), hit: false });
+
+  const out = segments.map(seg => ({ ...seg, text: seg.text.replace(/\s+/g, ' ') }));
+  if (from > 0) out.unshift({ text: '…', hit: false });
+  if (to < toks.length - 1) out.push({ text: '…', hit: false });
+  return out;
+}
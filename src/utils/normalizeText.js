@@ -0,0 +1,116 @@
+// src/utils/normalizeText.js
+// Normalization stage of ingest, shared by the fetchBook function and
+// scripts/ingestBooks.mjs (plain ESM — Node imports it directly). Two steps
+// around chapterize():
+//
+//   normalizeSource(text, report)  before: CRLF, every HTML5 named and numeric
+//                                  entity, no-break and zero-width spaces
+//   normalizeBook(result, report)  after: hard-wrapped lines unwrapped into
+//                                  flowing paragraphs (verse keeps its lines),
+//                                  curly quotes and em dashes throughout
+//
+// `report` (from newReport()) counts what each step changed, per book.
+import { decodeHTMLStrict } from 'entities';
+import { buildToc } from './chapterizer.js';
+import { paragraphText } from './richText.js';
+
+// Bump when the output for the same source text changes
+export const NORMALIZER_VERSION = 1;
+
+export function newReport() {
+  return { lineEndings: 0, entities: 0, spaces: 0, unwrapped: 0, quotes: 0, dashes: 0 };
+}
+
+const ENTITY_RE = /&(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/gi;
+const ODD_SPACE_RE = /[\u00a0\u2007\u202f]|[\u200b\u200c\u200d\ufeff]/g;
+
+/** Text as fetched -> text for chapterize(). */
+export function normalizeSource(text, report = newReport()) {
+  let s = String(text || '');
+  s = s.replace(/\r\n?/g, () => { report.lineEndings++; return '\n'; });
+  s = s.replace(ENTITY_RE, (m) => {
+    const decoded = decodeHTMLStrict(m);
+    if (decoded !== m) report.entities++;
+    return decoded;
+  });
+  return s.replace(ODD_SPACE_RE, (m) => { report.spaces++; return /\s/.test(m) ? ' ' : ''; });
+}
+
+// Where a quote mark opens rather than closes: after nothing, a space, an
+// opening bracket or quote, or a dash
+const OPENS_AFTER_RE = /^$|[\s([{“‘—–-]/;
+// Words Wodehouse's characters clip at the front: 'em, 'tis, 'ullo, '90s
+const ELISIONS_RE = /^(?:\d|(?:em|tis|twas|twere|twill|cause|cos|varsity|bus|phone|un|n|im|e|ow|ome|ave|alf|appen|ullo|allo|orse|ouse|ead|eart|ope|arf|ere)\b)/i;
+const DASH_RE = /(?<!-)---?(?!-)/g;
+
+// Straight quotes in `s` -> curly, `before` and `after` being the text on
+// either side (the neighbouring runs of a paragraph)
+function curlQuotes(s, before, after, report) {
+  let out = '';
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (c !== '"' && c !== "'") { out += c; continue; }
+    const prev = i ? out[out.length - 1] : before.slice(-1);
+    const rest = s.slice(i + 1) || after;
+    const opens = OPENS_AFTER_RE.test(prev || '') && /^\S/.test(rest);
+    if (c === '"') out += opens ? '“' : '”';
+    else out += opens && !ELISIONS_RE.test(rest) ? '‘' : '’';
+    report.quotes++;
+  }
+  return out;
+}
+
+// Gutenberg's "--" (and "---") -> em dash
+function emDashes(s, report) {
+  return s.replace(DASH_RE, () => { report.dashes++; return '—'; });
+}
+
+// Hard-wrapped lines -> one flowing line. A line ending in a dash or a
+// hyphenated compound joins the next without a space.
+function unwrap(s, report) {
+  if (!s.includes('\n')) return s;
+  report.unwrapped++;
+  return s.replace(/[^\S\n]*\n\s*/g, (m, at) => (/[A-Za-z]-$|--$|—$/.test(s.slice(Math.max(0, at - 2), at)) ? '' : ' '));
+}
+
+function normalizeRunText(s, { flow, before, after }, report) {
+  let t = flow ? unwrap(s, report) : s.split('\n').map(l => l.replace(/[^\S\n]+/g, ' ').trim()).join('\n');
+  if (flow) t = t.replace(/[^\S\n]{2,}/g, ' ');
+  return curlQuotes(emDashes(t, report), before, after, report);
+}
+
+/** One paragraph (a string or a ./richText.js object), normalized. */
+export function normalizeParagraph(p, report = newReport()) {
+  if (typeof p === 'string') return normalizeRunText(p, { flow: true, before: '', after: '' }, report).trim();
+  if (!p || !Array.isArray(p.runs)) return p;
+  const flow = p.type !== 'verse';
+  const texts = p.runs.map(r => (typeof r === 'string' ? r : r.i ?? r.b ?? ''));
+  let before = '';
+  const runs = p.runs.map((run, i) => {
+    const text = normalizeRunText(texts[i], { flow, before, after: texts[i + 1] || '' }, report);
+    let out = i === 0 ? text.replace(/^\s+/, '') : text;
+    if (i === p.runs.length - 1) out = out.replace(/\s+$/, '');
+    before = out || before;
+    return typeof run === 'string' ? out : { [run.i != null ? 'i' : 'b']: out };
+  });
+  return { ...p, runs };
+}
+
+/** Headings and part titles: quotes and dashes only. */
+export function normalizeTitle(title, report = newReport()) {
+  return curlQuotes(emDashes(String(title || ''), report), '', '', report);
+}
+
+/**
+ * chapterize() output with every paragraph and title normalized, word
+ * counts redone and the table of contents rebuilt from the new titles.
+ */
+export function normalizeBook({ chapters, parts = [] }, report = newReport()) {
+  const normalParts = parts.map(p => ({ ...p, title: normalizeTitle(p.title, report) }));
+  const normalChapters = chapters.map(c => {
+    const paragraphs = c.paragraphs.map(p => normalizeParagraph(p, report));
+    const words = paragraphs.reduce((n, p) => n + paragraphText(p).split(/\s+/).filter(Boolean).length, 0);
+    return { ...c, title: normalizeTitle(c.title, report), paragraphs, words };
+  });
+  return { chapters: normalChapters, parts: normalParts, toc: buildToc(normalChapters, normalParts) };
+}
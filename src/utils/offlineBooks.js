@@ -0,0 +1,103 @@
+// src/utils/offlineBooks.js
+// "Download for offline": copy a book's static bundle (manifest, chapter JSON and the entity index
+// from public/books/pg-<id>/) into Cache Storage. public/sw.js serves /books/*
+// from this cache, and bookLoader falls back to it when fetch fails.
+import { bookDir } from './bookLoader.js';
+
+export const BOOKS_CACHE = 'wair-books-v1'; // keep in sync with public/sw.js
+
+export function offlineSupported() {
+  return typeof caches !== 'undefined';
+}
+
+function manifestUrl(gutenbergId) {
+  return `${bookDir(gutenbergId)}manifest.json`;
+}
+
+/** Register the service worker (production builds only; dev has no stable asset names). */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+  const base = import.meta.env.BASE_URL || '/';
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${base}sw.js`, { scope: base }).catch(err => console.error('Service worker registration failed:', err));
+  });
+}
+
+export async function isBookDownloaded(gutenbergId) {
+  if (!offlineSupported()) return false;
+  const cache = await caches.open(BOOKS_CACHE);
+  return !!(await cache.match(manifestUrl(gutenbergId)));
+}
+
+/**
+ * Store the manifest and every chapter file of a book.
+ * onProgress(done, total) is called after each file.
+ */
+export async function downloadBook(gutenbergId, { onProgress } = {}) {
+  if (!offlineSupported()) throw new Error('Offline storage is not supported in this browser.');
+  const cache = await caches.open(BOOKS_CACHE);
+
+  const mUrl = manifestUrl(gutenbergId);
+  const mResp = await fetch(mUrl, { cache: 'no-cache' });
+  const contentType = (mResp.headers.get('content-type') || '').toLowerCase();
+  if (!mResp.ok || !contentType.includes('json')) {
+    throw new Error('This title has no pre-ingested bundle to download.');
+  }
+  const manifest = await mResp.clone().json();
+  const files = [...(manifest.chapters || []).map(c => c.file), manifest.entities].filter(Boolean);
+  const total = files.length + 1;
+  let done = 0;
+
+  // Chapters first; the manifest goes in last so a half-finished download never looks complete
+  for (const file of files) {
+    const url = `${bookDir(gutenbergId)}${file}`;
+    const resp = await fetch(url, { cache: 'no-cache' });
+    if (!resp.ok) throw new Error(`Download failed (${resp.status}) for ${file}`);
+    await cache.put(url, resp);
+    onProgress?.(++done, total);
+  }
+  await cache.put(mUrl, mResp);
+  onProgress?.(++done, total);
+  return { title: manifest.title, chapters: (manifest.chapters || []).length };
+}
+
+/** Remove every cached file for one book. */
+export async function evictBook(gutenbergId) {
+  if (!offlineSupported()) return;
+  const cache = await caches.open(BOOKS_CACHE);
+  const prefix = new URL(bookDir(gutenbergId), location.origin).pathname;
+  const keys = await cache.keys();
+  await Promise.all(keys.filter(r => new URL(r.url).pathname.startsWith(prefix)).map(r => cache.delete(r)));
+}
+
+/** Downloaded books with their on-disk size: [{ gutenbergId, title, chapters, bytes }] */
+export async function listDownloadedBooks() {
+  if (!offlineSupported()) return [];
+  const cache = await caches.open(BOOKS_CACHE);
+  const keys = await cache.keys();
+  const byBook = new Map();
+
+  for (const req of keys) {
+    const m = new URL(req.url).pathname.match(/\/books\/pg-(\d+)\/(.+)$/);
+    if (!m) continue;
+    const [, id, file] = m;
+    const resp = await cache.match(req);
+    const blob = resp ? await resp.blob() : null;
+    const entry = byBook.get(id) || { gutenbergId: Number(id), title: '', chapters: 0, bytes: 0, complete: false };
+    entry.bytes += blob ? blob.size : 0;
+    if (file === 'manifest.json') {
+      entry.complete = true;
+      try { entry.title = JSON.parse(await blob.text()).title || ''; } catch {}
+    } else {
+      entry.chapters++;
+    }
+    byBook.set(id, entry);
+  }
+  return [...byBook.values()].sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+}
+
+export function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(0)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
@@ -0,0 +1,146 @@
+// src/utils/paginator.js
+// Splits a chapter's paragraphs into pages that fit the reader's viewport.
+//
+// Pages are lists of segments { p, start, end, text }: a slice of raw
+// paragraph p. The measurer is an off-screen element styled exactly like the
+// page (same classes and CSS variables); text is appended to it one paragraph
+// at a time and it is only cleared when a page fills, so each paragraph is laid
+// out about once. A paragraph that overflows is split between sentences, with
+// the break found by binary search over a single trial element. Quotations,
+// verse and emphasis (utils/richText.js) are measured as they will be shown.
+//
+// Line breaking needs the browser's layout engine (fonts, hyphenation,
+// justification), which workers don't have, so this runs on the main thread
+// but yields every few milliseconds to keep scrolling and input responsive.
+import { sentenceSpans } from './annotations';
+import { BLOCK_CLASSES, markedPieces } from './richText';
+
+const SLICE_MS = 12;
+const CACHE_MAX = 64;
+
+// Page-break maps ([[{ p, start, end }]]) per chapter + viewport + typography, most recent last
+const breakCache = new Map();
+
+function cacheGet(key) {
+  const hit = breakCache.get(key);
+  if (hit) {
+    breakCache.delete(key);
+    breakCache.set(key, hit);
+  }
+  return hit;
+}
+
+function cachePut(key, breaks) {
+  breakCache.set(key, breaks);
+  while (breakCache.size > CACHE_MAX) breakCache.delete(breakCache.keys().next().value);
+}
+
+const withText = (paragraphs, breaks) =>
+  breaks.map(page => page.map(s => ({ ...s, text: paragraphs[s.p].slice(s.start, s.end) })));
+
+const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const MARK_TAGS = { i: 'em', b: 'strong' };
+
+// text[start, end) of `block` into `el`, emphasis and all
+function fillSlice(el, text, block, start, end) {
+  if (!block?.marks?.length) { el.textContent = text.slice(start, end); return; }
+  el.textContent = '';
+  for (const piece of markedPieces(block, start, end)) {
+    const slice = text.slice(piece.start, piece.end);
+    if (!piece.mark) { el.appendChild(document.createTextNode(slice)); continue; }
+    const tag = document.createElement(MARK_TAGS[piece.mark]);
+    tag.textContent = slice;
+    el.appendChild(tag);
+  }
+}
+
+/**
+ * Lay out `paragraphs` into pages no taller than `maxHeight` inside `measurer`.
+ * `blocks` (optional, one per paragraph) carries each one's type and emphasis.
+ * `cacheKey` (book fingerprint, chapter, text shape, viewport size,
+ * typography) makes a repeat visit free; it must change whenever the text does.
+ * `paraClass` is the class list the page gives its <p> elements.
+ * Resolves to the pages, or null if `isCancelled()` turned true meanwhile
+ * (a newer layout has taken over the measurer).
+ */
+export async function paginate({ paragraphs, blocks = [], measurer, maxHeight, paraClass = '', cacheKey = null, isCancelled = () => false }) {
+  const cached = cacheKey && cacheGet(cacheKey);
+  if (cached) return withText(paragraphs, cached);
+
+  const pages = [];
+  let page = [];
+  let sliceStart = performance.now();
+
+  const fits = () => measurer.scrollHeight <= maxHeight;
+  const addP = (pi, text) => {
+    const el = document.createElement('p');
+    el.className = [paraClass, BLOCK_CLASSES[blocks[pi]?.type]].filter(Boolean).join(' ');
+    fillSlice(el, text, blocks[pi], 0, text.length);
+    measurer.appendChild(el);
+    return el;
+  };
+  const closePage = () => {
+    if (page.length) pages.push(page);
+    page = [];
+    measurer.textContent = '';
+  };
+
+  measurer.textContent = '';
+  for (let pi = 0; pi < paragraphs.length; pi++) {
+    if (performance.now() - sliceStart > SLICE_MS) {
+      await yieldToBrowser();
+      if (isCancelled()) return null;
+      sliceStart = performance.now();
+    }
+
+    const text = paragraphs[pi];
+    let el = addP(pi, text);
+    if (fits()) {
+      page.push({ p: pi, start: 0, end: text.length });
+      continue;
+    }
+
+    // Doesn't fit whole: fill the rest of this page sentence by sentence
+    const spans = sentenceSpans(text);
+    let from = 0;
+    while (from < spans.length) {
+      const start = spans[from][0];
+      // Largest k such that sentences [from, k) fit on what's left of the page
+      let lo = from;
+      let hi = spans.length;
+      while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        fillSlice(el, text, blocks[pi], start, spans[mid - 1][1]);
+        if (fits()) lo = mid;
+        else hi = mid - 1;
+      }
+      if (lo > from) {
+        const end = spans[lo - 1][1];
+        if (text.slice(start, end).trim()) page.push({ p: pi, start, end });
+        fillSlice(el, text, blocks[pi], start, end);
+        from = lo;
+        if (from < spans.length) {
+          closePage();
+          el = addP(pi, '');
+        }
+      } else if (page.length) {
+        // Not even one sentence fits under what's already here: start a fresh page
+        closePage();
+        el = addP(pi, '');
+      } else {
+        // A single sentence taller than a page gets a page to itself
+        page.push({ p: pi, start, end: spans[from][1] });
+        from += 1;
+        closePage();
+        el = addP(pi, '');
+      }
+    }
+    if (!el.textContent) el.remove();
+  }
+  closePage();
+
+  if (isCancelled()) return null;
+  if (cacheKey && pages.length) cachePut(cacheKey, pages);
+  return withText(paragraphs, pages);
+}
@@ -0,0 +1,149 @@
+// src/utils/profile.js
+// Everything this browser knows about its reader, as one JSON bundle:
+// export it, import it elsewhere (older bundles are migrated forward),
+// or wipe it all.
+//
+// Bundle: { format, version, exportedAt, localStorage: { key: rawString },
+//           stores: { storeName: [[key, value], ...] } }
+import { listStoreNames, dumpStore, restoreStore, clearStore } from './indexedDb.js';
+import { BOOKS_CACHE } from './offlineBooks.js';
+
+export const PROFILE_FORMAT = 'wair-profile';
+export const PROFILE_VERSION = 1;
+
+// localStorage keys, and key prefixes, that belong to the app
+const LOCAL_KEYS = [
+  'wair_dict_v1',          // dictionary cache
+  'wair_metrics_v1',       // dictionary lookup counters
+  'pgwai_metrics',         // legacy reading-metrics log (moved to IndexedDB on next start)
+  'wair_disclaimer_seen',
+  'wair_reader_prefs_v1'   // reader mode, typography, theme
+];
+const LOCAL_PREFIXES = ['jj_daily_'];
+// Device-specific, so reset but never exported: sync identity (a copied device
+// id would corrupt vector clocks) and its bookkeeping
+const DEVICE_KEYS = ['wair_sync_v1'];
+const DEVICE_STORES = ['syncMeta'];
+// Regenerated from the books on demand
+const CACHE_STORES = ['search'];
+
+const isAppKey = (key) => LOCAL_KEYS.includes(key) || LOCAL_PREFIXES.some(p => key.startsWith(p));
+
+function appLocalKeys() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (isAppKey(key)) keys.push(key);
+  }
+  return keys;
+}
+
+async function profileStores() {
+  const skip = new Set([...DEVICE_STORES, ...CACHE_STORES]);
+  return (await listStoreNames()).filter(name => !skip.has(name));
+}
+
+export async function exportProfile() {
+  const local = {};
+  for (const key of appLocalKeys()) local[key] = localStorage.getItem(key);
+  const stores = {};
+  for (const name of await profileStores()) stores[name] = await dumpStore(name);
+  return {
+    format: PROFILE_FORMAT,
+    version: PROFILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    localStorage: local,
+    stores
+  };
+}
+
+/* ---------- migration ---------- */
+
+// MIGRATIONS[n] turns a version-n bundle into version n+1
+const MIGRATIONS = {
+  // Version 0: bundles without a version, written before the format settled.
+  // Stores could be { key: value } objects and localStorage values parsed JSON;
+  // version 1 has [[key, value], ...] rows and raw strings throughout.
+  0: (bundle) => ({
+    ...bundle,
+    localStorage: Object.fromEntries(Object.entries(bundle.localStorage || {})
+      .filter(([, v]) => v != null)
+      .map(([k, v]) => [k, typeof v === 'string' ? v : JSON.stringify(v)])),
+    stores: Object.fromEntries(Object.entries(bundle.stores || {})
+      .map(([name, rows]) => [name, Array.isArray(rows) ? rows : Object.entries(rows || {})]))
+  })
+};
+
+// Record shapes written by older builds, brought up to the current IndexedDB schema
+function upgradeRecords(stores) {
+  const out = { ...stores };
+  if (out.progress) {
+    // Before paragraph anchors, progress held a pixel scroll offset
+    out.progress = out.progress.map(([key, v]) => [String(key), v?.paragraphIndex == null
+      ? { chapterIndex: v?.chapterIndex || 0, paragraphIndex: 0, offset: 0, updatedAt: v?.updatedAt || 0 }
+      : v]);
+  }
+  for (const name of ['annotations', 'bookmarks']) {
+    if (out[name]) out[name] = out[name].map(([key, v]) => [key, { ...v, bookId: String(v.bookId), updatedAt: v.updatedAt || v.createdAt || 0 }]);
+  }
+  return out;
+}
+
+export function migrateProfile(bundle) {
+  if (!bundle || bundle.format !== PROFILE_FORMAT) throw new Error('Not a profile file.');
+  // No version means version 0
+  let version = bundle.version == null ? 0 : Number(bundle.version);
+  if (!Number.isInteger(version) || version < 0) throw new Error(`Can't read profile version ${bundle.version}.`);
+  if (version > PROFILE_VERSION) throw new Error(`Profile version ${version} is newer than this app supports.`);
+  let out = bundle;
+  while (version < PROFILE_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new Error(`Can't read profile version ${version}.`);
+    out = step(out);
+    version += 1;
+  }
+  return {
+    ...out,
+    version,
+    localStorage: out.localStorage || {},
+    stores: upgradeRecords(out.stores || {})
+  };
+}
+
+/**
+ * Replace this browser's data with a profile bundle (object or JSON text).
+ * Stores and keys the bundle doesn't mention are cleared too, so the result
+ * matches the exporting browser. Sync is switched off. Returns { keys, records }.
+ */
+export async function importProfile(input) {
+  const bundle = migrateProfile(typeof input === 'string' ? JSON.parse(input) : input);
+  const names = await profileStores();
+
+  appLocalKeys().forEach(key => localStorage.removeItem(key));
+  let keys = 0;
+  for (const [key, value] of Object.entries(bundle.localStorage)) {
+    if (!isAppKey(key) || typeof value !== 'string') continue;
+    localStorage.setItem(key, value);
+    keys++;
+  }
+
+  let records = 0;
+  for (const name of names) {
+    const rows = Array.isArray(bundle.stores[name]) ? bundle.stores[name] : [];
+    await restoreStore(name, rows);
+    records += rows.length;
+  }
+  // The imported data has no sync history here: sync starts over as a new
+  // device once the reader turns it back on
+  DEVICE_KEYS.forEach(key => localStorage.removeItem(key));
+  for (const name of DEVICE_STORES) await clearStore(name).catch(() => {});
+  return { keys, records };
+}
+
+/** Delete every trace of the reader's data from this browser, downloaded books included. */
+export async function resetEverything() {
+  appLocalKeys().forEach(key => localStorage.removeItem(key));
+  DEVICE_KEYS.forEach(key => localStorage.removeItem(key));
+  for (const name of await listStoreNames()) await clearStore(name);
+  if (typeof caches !== 'undefined') await caches.delete(BOOKS_CACHE);
+}
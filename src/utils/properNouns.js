@@ -0,0 +1,57 @@
+// src/utils/properNouns.js
+// Proper-noun phrase extraction shared by scripts/quiz-augment.mjs (quiz
+// variants) and src/utils/entityIndex.js (character and place index).
+// Plain ESM with no browser/Vite globals — Node imports it directly.
+
+export const STOPWORDS = new Set(`a an the and or but so yet for nor
+of to in on at by from as with without into onto over under about after before between through during within across behind beyond near since until upon
+is am are was were be been being do does did doing have has had having will would shall should can could may might must
+that this these those there here it its it's he him his she her hers they them their theirs we us our ours you your yours i me my mine
+not no yes if than then too very just only also ever never once again`.split(/\s+/));
+
+const WORD_RE = /[A-Za-z][A-Za-z'’-]*/g;
+const CAPITALIZED_RE = /^[A-Z][A-Za-z’'-]*$/;
+
+export function norm(s) { return s.replace(/\s+/g, " ").trim().toLowerCase(); }
+
+export function tokensWithSpans(s) {
+  const out = [];
+  let m;
+  WORD_RE.lastIndex = 0;
+  while ((m = WORD_RE.exec(s)) !== null) out.push({ w: m[0], a: m.index, b: m.index + m[0].length });
+  return out;
+}
+
+/**
+ * Runs of Capitalized Words in `s` (hyphens and ’s allowed), as
+ * [{ txt, a, b }] with character spans. Runs made only of stopwords are
+ * dropped, as is anything in `deny` (lowercased phrases). Sorted longest
+ * first, then by position, unless `{ inOrder: true }`. A run carries on
+ * past punctuation unless `{ stopAtPunctuation: true }`, which keeps
+ * "Jeeves, Bertie" two names.
+ */
+export function properNounPhrases(s, { deny, inOrder = false, stopAtPunctuation = false } = {}) {
+  const toks = tokensWithSpans(s);
+  const phrases = [];
+  for (let i = 0; i < toks.length; ) {
+    const { w, a } = toks[i];
+    if (CAPITALIZED_RE.test(w)) {
+      let j = i + 1;
+      let end = toks[i].b;
+      const words = [w];
+      while (j < toks.length && CAPITALIZED_RE.test(toks[j].w) && (!stopAtPunctuation || /^\s+$/.test(s.slice(end, toks[j].a)))) {
+        words.push(toks[j].w);
+        end = toks[j].b;
+        j++;
+      }
+      const txt = words.join(" ");
+      if (!deny?.has(norm(txt)) && !words.every(z => STOPWORDS.has(z.toLowerCase()))) {
+        phrases.push({ txt, a, b: end });
+      }
+      i = j;
+    } else i++;
+  }
+  // prefer 2+ words
+  if (!inOrder) phrases.sort((p, q) => (q.txt.split(" ").length - p.txt.split(" ").length) || (p.a - q.a));
+  return phrases;
+}
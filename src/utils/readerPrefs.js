@@ -0,0 +1,98 @@
+// src/utils/readerPrefs.js
+// Reader preferences (layout mode, typography, theme), stored per device in localStorage.
+const PREFS_KEY = 'wair_reader_prefs_v1';
+
+export const READER_MODES = {
+  paged: 'Paged',
+  scroll: 'Continuous scroll'
+};
+
+export const READER_FONTS = {
+  serif: { label: 'Serif', stack: "Georgia, 'Times New Roman', serif" },
+  sans: { label: 'Sans', stack: "system-ui, -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif" },
+  // Uses OpenDyslexic/Atkinson Hyperlegible when installed, else the rounder system faces
+  dyslexia: { label: 'Dyslexia-friendly', stack: "OpenDyslexic, 'Atkinson Hyperlegible', 'Comic Sans MS', Verdana, sans-serif" }
+};
+
+export const READER_THEMES = {
+  light: 'Light',
+  sepia: 'Sepia',
+  dark: 'Dark',
+  contrast: 'High contrast'
+};
+
+// Horizontal page padding, in px
+export const READER_MARGINS = {
+  narrow: { label: 'Narrow', px: 16 },
+  normal: { label: 'Normal', px: 40 },
+  wide: { label: 'Wide', px: 80 }
+};
+
+// Slider bounds: [min, max, step]
+export const FONT_SIZE_RANGE = [14, 28, 1]; // px
+export const LINE_HEIGHT_RANGE = [1.2, 2.2, 0.1];
+export const PARAGRAPH_SPACING_RANGE = [0, 2, 0.25]; // em
+
+export const DEFAULT_PREFS = {
+  mode: 'paged',
+  font: 'serif',
+  fontSize: 18,
+  lineHeight: 1.6,
+  paragraphSpacing: 1,
+  justify: true,
+  margin: 'normal',
+  theme: 'light'
+};
+
+const clamp = (n, [min, max], fallback) => (Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback);
+
+export function loadReaderPrefs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PREFS_KEY) || '{}');
+    const prefs = { ...DEFAULT_PREFS, ...saved };
+    if (!READER_MODES[prefs.mode]) prefs.mode = DEFAULT_PREFS.mode;
+    if (!READER_FONTS[prefs.font]) prefs.font = DEFAULT_PREFS.font;
+    if (!READER_THEMES[prefs.theme]) prefs.theme = DEFAULT_PREFS.theme;
+    if (!READER_MARGINS[prefs.margin]) prefs.margin = DEFAULT_PREFS.margin;
+    prefs.fontSize = clamp(Number(prefs.fontSize), FONT_SIZE_RANGE, DEFAULT_PREFS.fontSize);
+    prefs.lineHeight = clamp(Number(prefs.lineHeight), LINE_HEIGHT_RANGE, DEFAULT_PREFS.lineHeight);
+    prefs.paragraphSpacing = clamp(Number(prefs.paragraphSpacing), PARAGRAPH_SPACING_RANGE, DEFAULT_PREFS.paragraphSpacing);
+    prefs.justify = prefs.justify !== false;
+    return prefs;
+  } catch {
+    return { ...DEFAULT_PREFS };
+  }
+}
+
+export function saveReaderPrefs(prefs) {
+  localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+}
+
+/**
+ * CSS custom properties for the reader. Set them on an element that wraps
+ * both the visible page and the pagination measurer so the two always agree
+ * (see .reader-text / .reader-page in index.css).
+ */
+export function readerStyle(prefs) {
+  return {
+    '--reader-font': READER_FONTS[prefs.font]?.stack || READER_FONTS.serif.stack,
+    '--reader-size': `${prefs.fontSize}px`,
+    '--reader-leading': String(prefs.lineHeight),
+    '--reader-gap': `${prefs.paragraphSpacing}em`,
+    '--reader-align': prefs.justify ? 'justify' : 'left',
+    '--reader-margin': `${READER_MARGINS[prefs.margin]?.px ?? READER_MARGINS.normal.px}px`
+  };
+}
+
+/** Everything that changes where page breaks fall; re-paginate when it changes. */
+export function typographyKey(prefs) {
+  return [prefs.font, prefs.fontSize, prefs.lineHeight, prefs.paragraphSpacing, prefs.justify, prefs.margin].join('|');
+}
+
+/** Theme classes on <html>: dark and high contrast use Tailwind's `dark` variants. */
+export function applyTheme(theme) {
+  const root = document.documentElement;
+  root.classList.toggle('dark', theme === 'dark' || theme === 'contrast');
+  root.classList.toggle('theme-sepia', theme === 'sepia');
+  root.classList.toggle('theme-contrast', theme === 'contrast');
+}
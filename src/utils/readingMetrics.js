@@ -1,22 +1,106 @@
 // src/utils/readingMetrics.js
-// Minimal client-side metrics you can later roll into GameStats
-export function emit(event, payload) {
+// Client-side reading events, kept in IndexedDB ('metrics' store) and read
+// back by utils/readingStats.js for the reading dashboard.
+//
+// Events: chapter_open / chapter_next / chapter_prev / chapter_complete
+// ({ id, chapterIndex }) and reading_time ({ id, chapterIndex, ms }).
+import { appendMetrics, listMetrics, trimMetrics, clearMetricsStore } from './indexedDb';
+
+const LEGACY_KEY = 'pgwai_metrics';
+export const MAX_EVENTS = 20000;   // ~2 MB; oldest events are dropped beyond this
+const TRIM_EVERY = 100;            // writes between rotation passes
+
+let queue = [];
+let flushTimer = null;
+let writes = 0;
+let migrated = null;
+
+/** One-off move of the old localStorage log into IndexedDB. */
+function migrateLegacy() {
+  if (!migrated) {
+    migrated = (async () => {
+      let old = [];
+      try { old = JSON.parse(localStorage.getItem(LEGACY_KEY) || '[]'); } catch {}
+      if (Array.isArray(old) && old.length) {
+        await appendMetrics(old.filter(r => r && r.event).slice(-MAX_EVENTS));
+        await trimMetrics(MAX_EVENTS);
+      }
+      localStorage.removeItem(LEGACY_KEY);
+    })().catch(() => {});
+  }
+  return migrated;
+}
+
+async function flush() {
+  flushTimer = null;
+  const batch = queue;
+  queue = [];
+  if (!batch.length) return;
   try {
-    const stamp = new Date().toISOString();
-    const rec = { event, payload, stamp };
-    const key = 'pgwai_metrics';
-    const arr = JSON.parse(localStorage.getItem(key) || '[]');
-    arr.push(rec);
-    localStorage.setItem(key, JSON.stringify(arr));
+    await migrateLegacy();
+    await appendMetrics(batch);
+    writes += batch.length;
+    if (writes >= TRIM_EVERY) {
+      writes = 0;
+      await trimMetrics(MAX_EVENTS);
+    }
   } catch {}
 }
 
-export function getAllMetrics() {
-  try {
-    return JSON.parse(localStorage.getItem('pgwai_metrics') || '[]');
-  } catch { return []; }
+export function emit(event, payload) {
+  queue.push({ event, payload, stamp: new Date().toISOString() });
+  if (!flushTimer) flushTimer = setTimeout(flush, 250);
 }
 
-export function clearMetrics() {
-  localStorage.removeItem('pgwai_metrics');
+export async function getAllMetrics() {
+  await migrateLegacy();
+  if (flushTimer) { clearTimeout(flushTimer); await flush(); }
+  try { return await listMetrics(); } catch { return []; }
+}
+
+export async function clearMetrics() {
+  queue = [];
+  localStorage.removeItem(LEGACY_KEY);
+  await clearMetricsStore();
+}
+
+const IDLE_MS = 2 * 60 * 1000;
+const TICK_MS = 60 * 1000;
+
+/**
+ * Track active reading time for one chapter. Time only counts while the tab
+ * is visible and the reader has interacted within IDLE_MS. Emits reading_time
+ * roughly once a minute and when stopped. Returns a stop function.
+ */
+export function startReadingTimer(id, chapterIndex) {
+  let lastActive = Date.now();
+  let lastTick = Date.now();
+  let pending = 0;
+
+  const tick = () => {
+    const now = Date.now();
+    if (document.visibilityState === 'visible' && now - lastActive < IDLE_MS) {
+      pending += now - lastTick;
+    }
+    lastTick = now;
+  };
+  const report = () => {
+    tick();
+    if (pending >= 1000) emit('reading_time', { id, chapterIndex, ms: Math.round(pending) });
+    pending = 0;
+  };
+  const active = () => { tick(); lastActive = Date.now(); };
+  const onVisibility = () => { if (document.visibilityState === 'hidden') report(); else lastTick = Date.now(); };
+
+  const events = ['pointerdown', 'keydown', 'wheel', 'touchstart', 'scroll'];
+  events.forEach(e => window.addEventListener(e, active, { passive: true, capture: true }));
+  document.addEventListener('visibilitychange', onVisibility);
+  const interval = setInterval(report, TICK_MS);
+
+  return () => {
+    clearInterval(interval);
+    events.forEach(e => window.removeEventListener(e, active, { capture: true }));
+    document.removeEventListener('visibilitychange', onVisibility);
+    report();
+  };
 }
@@ -0,0 +1,129 @@
+// src/utils/readingStats.js
+// Turns the readingMetrics event log into dashboard numbers: time and words
+// per day, reading streaks, per-book completion and average speed.
+// Words come from manifest chapter `words` counts, credited once per chapter
+// on the day it was first finished.
+import { getAllMetrics } from './readingMetrics';
+import { loadManifest } from './bookLoader';
+
+export function dayKey(date) {
+  const d = new Date(date);
+  const p = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}`;
+}
+
+function addDays(key, n) {
+  const [y, m, d] = key.split('-').map(Number);
+  return dayKey(new Date(y, m - 1, d + n));
+}
+
+/** Chapters finished, as Map("id:chapter" -> first stamp). chapter_next from N implies N-1 was read. */
+function finishedChapters(events) {
+  const done = new Map();
+  for (const e of events) {
+    const p = e.payload || {};
+    if (p.id == null) continue;
+    let ci = null;
+    if (e.event === 'chapter_complete') ci = p.chapterIndex;
+    else if (e.event === 'chapter_next') ci = p.chapterIndex - 1;
+    if (ci == null || ci < 0) continue;
+    const key = `${p.id}:${ci}`;
+    if (!done.has(key)) done.set(key, e.stamp);
+  }
+  return done;
+}
+
+/** Current streak (ending today or yesterday) and longest run of reading days. */
+export function streaks(dayKeys, today = dayKey(Date.now())) {
+  const set = new Set(dayKeys);
+  let current = 0;
+  let cursor = set.has(today) ? today : addDays(today, -1);
+  while (set.has(cursor)) { current++; cursor = addDays(cursor, -1); }
+
+  let longest = 0;
+  for (const k of set) {
+    if (set.has(addDays(k, -1))) continue;
+    let run = 0;
+    let c = k;
+    while (set.has(c)) { run++; c = addDays(c, 1); }
+    longest = Math.max(longest, run);
+  }
+  return { current, longest };
+}
+
+/**
+ * Summarise the event log.
+ * Returns { days: { [YYYY-MM-DD]: { ms, words } }, totalMs, totalWords, wpm,
+ *           streak: { current, longest }, books: [{ id, title, percent, wordsRead, totalWords, ms }] }
+ */
+export async function computeReadingStats(events) {
+  const log = events || await getAllMetrics();
+  const days = {};
+  const day = k => (days[k] ||= { ms: 0, words: 0 });
+  const msByChapter = new Map();
+  const msByBook = new Map();
+  const bookIds = new Set();
+
+  for (const e of log) {
+    const p = e.payload || {};
+    if (p.id == null) continue;
+    bookIds.add(String(p.id));
+    if (e.event === 'reading_time' && p.ms > 0) {
+      day(dayKey(e.stamp)).ms += p.ms;
+      const key = `${p.id}:${p.chapterIndex}`;
+      msByChapter.set(key, (msByChapter.get(key) || 0) + p.ms);
+      msByBook.set(String(p.id), (msByBook.get(String(p.id)) || 0) + p.ms);
+    }
+  }
+
+  const manifests = {};
+  await Promise.all([...bookIds].map(async id => {
+    manifests[id] = await loadManifest(id).catch(() => null);
+  }));
+
+  const finished = finishedChapters(log);
+  const wordsByBook = new Map();
+  let timedWords = 0;
+  let timedMs = 0;
+  for (const [key, stamp] of finished) {
+    const cut = key.lastIndexOf(':');
+    const id = key.slice(0, cut);
+    const ci = Number(key.slice(cut + 1));
+    const words = manifests[id]?.chapters?.[ci]?.words || 0;
+    if (!words) continue;
+    day(dayKey(stamp)).words += words;
+    wordsByBook.set(id, (wordsByBook.get(id) || 0) + words);
+    const ms = msByChapter.get(key) || 0;
+    if (ms > 0) { timedWords += words; timedMs += ms; }
+  }
+
+  const books = [...bookIds].map(id => {
+    const m = manifests[id];
+    const totalWords = m?.wordCount || (m?.chapters || []).reduce((n, c) => n + (c.words || 0), 0);
+    const wordsRead = wordsByBook.get(id) || 0;
+    return {
+      id,
+      title: m?.title || `PG #${id}`,
+      wordsRead,
+      totalWords,
+      percent: totalWords ? Math.min(100, Math.round((wordsRead / totalWords) * 100)) : 0,
+      ms: msByBook.get(id) || 0
+    };
+  }).sort((a, b) => b.percent - a.percent || b.ms - a.ms);
+
+  const readingDays = Object.keys(days).filter(k => days[k].ms > 0 || days[k].words > 0);
+  return {
+    days,
+    totalMs: Object.values(days).reduce((n, d) => n + d.ms, 0),
+    totalWords: Object.values(days).reduce((n, d) => n + d.words, 0),
+    wpm: timedMs ? Math.round(timedWords / (timedMs / 60000)) : 0,
+    streak: streaks(readingDays),
+    books
+  };
+}
+
+export function formatDuration(ms) {
+  const min = Math.round(ms / 60000);
+  if (min < 60) return `${min} min`;
+  return `${Math.floor(min / 60)} h ${min % 60} min`;
+}
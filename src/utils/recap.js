@@ -0,0 +1,55 @@
+// src/utils/recap.js
+// "The story so far": chapter summaries for everything before the reader's
+// saved position, for picking a book back up after a break. Nothing past
+// that position is ever summarized — earlier chapters come whole from
+// summaries.js, and the current chapter only up to the saved paragraph.
+import { loadProgress } from './indexedDb';
+import { loadChapter, chapterParagraphs } from './bookLoader';
+import { summarizeChapter } from './summaries';
+import { summarizeParagraphs } from './extractiveSummary';
+
+const CONCURRENCY = 3;
+const MIN_PARAGRAPHS_READ = 5; // below this, the current chapter has nothing worth recapping
+
+async function mapLimited(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+/**
+ * Recap of `book` (from bookLoader.loadBook) up to the position saved for
+ * `bookId`. Resolves to { chapterIndex, paragraphIndex, sections: [{ chapterIndex, title, summary, partial }] }
+ * in reading order; `partial` marks the current chapter's read-so-far section.
+ */
+export async function buildRecap(book, bookId) {
+  const saved = await loadProgress(bookId);
+  const last = book.chapters.length - 1;
+  const chapterIndex = Math.max(0, Math.min(saved.chapterIndex || 0, last));
+  const paragraphIndex = Math.max(0, saved.paragraphIndex || 0);
+
+  const before = Array.from({ length: chapterIndex }, (_, i) => i);
+  const sections = await mapLimited(before, CONCURRENCY, async (i) => {
+    const s = await summarizeChapter(book, i).catch(() => null);
+    return { chapterIndex: i, title: book.chapters[i].title || `Chapter ${i + 1}`, summary: s?.summary || '', partial: false };
+  });
+
+  // The paragraph at the saved position may be only half read, so stop short of it
+  if (paragraphIndex >= MIN_PARAGRAPHS_READ) {
+    const content = await loadChapter(book, chapterIndex).catch(() => null);
+    const read = chapterParagraphs({ content }).slice(0, paragraphIndex);
+    const { summary } = summarizeParagraphs(read, { maxSentences: 3 });
+    if (summary) {
+      sections.push({ chapterIndex, title: book.chapters[chapterIndex].title || `Chapter ${chapterIndex + 1}`, summary, partial: true });
+    }
+  }
+
+  return { chapterIndex, paragraphIndex, sections: sections.filter(s => s.summary) };
+}
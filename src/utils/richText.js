@@ -0,0 +1,105 @@
+// src/utils/richText.js
+// The paragraph format of chapter files. A paragraph is either a plain string
+// (ordinary prose, and every chapter ingested before this format existed) or
+// an object:
+//
+//   { type: 'p' | 'quote' | 'verse' | 'break', runs: [run, ...] }
+//   run: "text" | { i: "text" } (italic) | { b: "text" } (bold)
+//
+// `quote` is a letter, telegram or other block quotation; `verse` keeps its
+// line breaks as "\n"; `break` is a scene break (no runs) or a section number
+// that is not a chapter of its own (runs: ["2"]).
+//
+// The text of a paragraph is its runs joined, and that is what annotations,
+// search and reading progress count offsets into, so formatting never moves
+// an anchor. Plain ESM — Node imports it directly.
+
+export const BREAK_TEXT = '* * *';
+
+// Reader class for each paragraph type, styled in index.css (the page and the
+// pagination measurer both use it)
+export const BLOCK_CLASSES = { p: '', quote: 'reader-quote', verse: 'reader-verse', break: 'reader-break' };
+
+const RUN_MARKS = ['i', 'b'];
+
+function runText(run) {
+  if (typeof run === 'string') return run;
+  for (const m of RUN_MARKS) if (typeof run?.[m] === 'string') return run[m];
+  return '';
+}
+
+/** Plain text of a paragraph in either form. */
+export function paragraphText(p) {
+  if (typeof p === 'string') return p;
+  if (!p || typeof p !== 'object') return '';
+  if (!Array.isArray(p.runs) || !p.runs.length) return p.type === 'break' ? BREAK_TEXT : '';
+  return p.runs.map(runText).join('');
+}
+
+/**
+ * A paragraph as the readers render it: { type, text, marks }, marks being
+ * [start, end, 'i' | 'b'] ranges of `text`.
+ */
+export function toBlock(p) {
+  if (typeof p === 'string' || !p || typeof p !== 'object') return { type: 'p', text: paragraphText(p), marks: [] };
+  const type = ['quote', 'verse', 'break'].includes(p.type) ? p.type : 'p';
+  const marks = [];
+  let at = 0;
+  for (const run of Array.isArray(p.runs) ? p.runs : []) {
+    const text = runText(run);
+    const mark = typeof run === 'object' && RUN_MARKS.find(m => typeof run[m] === 'string');
+    if (mark && text) marks.push([at, at + text.length, mark]);
+    at += text.length;
+  }
+  return { type, text: paragraphText(p), marks };
+}
+
+/** Pieces of text[start, end) with the mark (or null) that covers each. */
+export function markedPieces(block, start, end) {
+  const pieces = [];
+  let at = start;
+  for (const [a, b, mark] of block?.marks || []) {
+    if (b <= at || a >= end) continue;
+    if (a > at) pieces.push({ start: at, end: a, mark: null });
+    pieces.push({ start: Math.max(a, at), end: Math.min(b, end), mark });
+    at = Math.min(b, end);
+  }
+  if (at < end || !pieces.length) pieces.push({ start: at, end, mark: null });
+  return pieces;
+}
+
+// Gutenberg's plain-text conventions for emphasis: _italic_ and =bold=
+const EMPHASIS_RE = /(^|[^\w_=])([_=])(?=\S)([^_=]*?\S)\2(?![\w])/g;
+
+function runsOf(text) {
+  const runs = [];
+  let at = 0;
+  for (const m of text.matchAll(EMPHASIS_RE)) {
+    const from = m.index + m[1].length;
+    if (from > at) runs.push(text.slice(at, from));
+    runs.push({ [m[2] === '_' ? 'i' : 'b']: m[3] });
+    at = from + m[2].length * 2 + m[3].length;
+  }
+  if (at < text.length) runs.push(text.slice(at));
+  return runs;
+}
+
+// Indented lines short enough to be a poem's rather than a wrapped letter's
+const MAX_VERSE_LINE = 55;
+
+/**
+ * Paragraph for one block of Gutenberg text: indented blocks are quotations
+ * (or verse, when every line is short), unless `indentsProse` says the book
+ * indents its ordinary paragraphs too. Returns a plain string when there is
+ * nothing to format.
+ */
+export function parseParagraph(raw, { indentsProse = false } = {}) {
+  const lines = String(raw).split('\n').filter(l => l.trim());
+  const indented = !indentsProse && lines.length > 0 && lines.every(l => /^\s{2,}\S/.test(l));
+  let type = 'p';
+  if (indented) type = lines.length > 1 && lines.every(l => l.trim().length <= MAX_VERSE_LINE) ? 'verse' : 'quote';
+  const text = type === 'p' ? String(raw) : lines.map(l => l.trim()).join('\n');
+  const runs = runsOf(text);
+  if (type === 'p' && runs.every(r => typeof r === 'string')) return text;
+  return { type, runs };
+}
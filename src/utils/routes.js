@@ -0,0 +1,72 @@
+// src/utils/routes.js
+// URL shapes for the app. Chapters and pages are 1-based in URLs;
+// `at=<paragraph>:<offset>` pins the exact reading position so a shared
+// link lands on the same paragraph whatever the reader's screen size.
+
+export const GAME_SLUGS = {
+  'word-web': 'Wooster’s Word Web',
+  'jottings': 'Jeeves’ Jottings',
+  'reading-stats': 'Reading Stats',
+  'dictionary-stats': 'Dictionary Stats',
+  'vocabulary': 'Vocabulary',
+  'legal': 'Legal'
+};
+
+export function gameSlugForTab(tab) {
+  return Object.keys(GAME_SLUGS).find(slug => GAME_SLUGS[slug] === tab) || 'word-web';
+}
+
+export function libraryPath() {
+  return '/library';
+}
+
+/** Route id for a library entry: its Gutenberg number, else its own id. */
+export function bookRouteId(book) {
+  return String(book?.gutenbergId || book?.id || '');
+}
+
+/**
+ * /book/:id/:chapter?p=<page>&at=<paragraph>:<offset>
+ * position: { page (0-based), paragraphIndex, offset }
+ * A null chapterIndex gives /book/:id, which resumes from saved progress.
+ */
+export function bookPath(id, chapterIndex = null, position = null) {
+  if (chapterIndex == null) return `/book/${encodeURIComponent(id)}`;
+  const query = [
+    position?.page != null ? `p=${position.page + 1}` : '',
+    position?.paragraphIndex != null ? `at=${position.paragraphIndex}:${position.offset || 0}` : ''
+  ].filter(Boolean).join('&');
+  return `/book/${encodeURIComponent(id)}/${chapterIndex + 1}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Parse route params + search string back into { chapterIndex, position }.
+ * chapterIndex is null when the URL names no chapter.
+ */
+export function parseBookLocation(chapterParam, search) {
+  const n = parseInt(chapterParam, 10);
+  const chapterIndex = chapterParam == null ? null : (Number.isFinite(n) && n > 0 ? n - 1 : 0);
+  const params = new URLSearchParams(search || '');
+  const page = parseInt(params.get('p'), 10);
+  const at = /^(\d+):(\d+)$/.exec(params.get('at') || '');
+  const position = {
+    page: Number.isFinite(page) && page > 0 ? page - 1 : null,
+    paragraphIndex: at ? Number(at[1]) : null,
+    offset: at ? Number(at[2]) : 0
+  };
+  return { chapterIndex, position: position.page == null && position.paragraphIndex == null ? null : position };
+}
+
+export function gamesPath(slug = 'word-web', date = null) {
+  return `/games/${slug}${date ? `/${date}` : ''}`;
+}
+
+/** /universe, or /universe/<name> with one recurring character or place selected. */
+export function universePath(name = null) {
+  return name ? `/universe/${encodeURIComponent(name)}` : '/universe';
+}
+
+/** A YYYY-MM-DD route date, or null when missing or malformed. */
+export function parseGameDate(date) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(date || '') && !Number.isNaN(Date.parse(date)) ? date : null;
+}
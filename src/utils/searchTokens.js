@@ -0,0 +1,51 @@
+// src/utils/searchTokens.js
+// Tokenizer shared by scripts/buildSearchIndex.mjs (build time) and
+// utils/librarySearch.js (browser), so query terms and index terms agree.
+// Plain ESM with no browser/Vite globals — Node imports it directly.
+
+export const INDEX_VERSION = 1;
+
+// Very common words are not indexed, but they still advance the position
+// counter, so phrase offsets stay exact.
+export const STOPWORDS = new Set(`a an the and or but of to in on at by for with as is was be been
+it its he she his her him they them their i me my we us our you your that this which who
+not no so if then than there had has have were are do did`.split(/\s+/));
+
+const WORD_RE = /[A-Za-z0-9\u00C0-\u024F’']+/g;
+
+/** Fold one raw word to its index form ("Bertie’s" -> "bertie", "Café" -> "cafe"). */
+export function normalizeTerm(raw) {
+  return String(raw)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/’/g, "'")
+    .replace(/'s$/, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Tokens of a paragraph with word positions and character spans:
+ * [{ term, pos, start, end }]. Empty terms are dropped but keep their position.
+ */
+export function tokenize(text) {
+  const out = [];
+  let pos = 0;
+  let m;
+  WORD_RE.lastIndex = 0;
+  while ((m = WORD_RE.exec(text)) !== null) {
+    const term = normalizeTerm(m[0]);
+    if (term) out.push({ term, pos, start: m.index, end: m.index + m[0].length });
+    pos++;
+  }
+  return out;
+}
+
+export function isIndexed(term) {
+  return !!term && !STOPWORDS.has(term);
+}
+
+/** Shard file key for a term: its first two characters ("j" -> "j_"). */
+export function shardKey(term) {
+  return (term + '_').slice(0, 2);
+}
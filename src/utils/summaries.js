@@ -0,0 +1,55 @@
+// src/utils/summaries.js
+// Chapter summaries for the reader. Static books ask the summarize function
+// (which picks the provider); anything it can't serve — books fetched through
+// fetchBook, offline, outside the US — is summarized here with the same
+// extractive provider. Results are kept per chapter for the session.
+import { loadChapter, chapterParagraphs } from './bookLoader';
+import { summarizeParagraphs } from './extractiveSummary';
+
+const cache = new Map(); // `${bookId}:${chapterIndex}` -> Promise<summary>
+
+async function fromFunction(bookId, chapterIndex) {
+  const resp = await fetch('/.netlify/functions/summarize', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    body: JSON.stringify({ bookId, chapterIndex })
+  });
+  const data = await resp.json().catch(() => null);
+  if (!resp.ok || !data?.summary) throw new Error(data?.error || `summarize failed (${resp.status})`);
+  return data;
+}
+
+async function locally(book, chapterIndex) {
+  const content = await loadChapter(book, chapterIndex);
+  const { summary, keywords } = summarizeParagraphs(chapterParagraphs({ content }));
+  return { summary, keywords, provider: 'extractive' };
+}
+
+/**
+ * Summary of chapter `chapterIndex` (0-based) of a book from bookLoader.loadBook.
+ * Resolves to { chapterIndex, title, summary, keywords, provider }.
+ */
+export function summarizeChapter(book, chapterIndex) {
+  const key = `${book.id}:${chapterIndex}`;
+  if (cache.has(key)) return cache.get(key);
+  const pending = (async () => {
+    let result = null;
+    if (book.source === 'static') {
+      result = await fromFunction(book.id, chapterIndex).catch(err => {
+        console.warn('[summaries] falling back to local summary:', err?.message || err);
+        return null;
+      });
+    }
+    if (!result) result = await locally(book, chapterIndex);
+    return {
+      chapterIndex,
+      title: book.chapters[chapterIndex]?.title || `Chapter ${chapterIndex + 1}`,
+      summary: result.summary || '',
+      keywords: result.keywords || [],
+      provider: result.provider || 'extractive'
+    };
+  })();
+  cache.set(key, pending);
+  pending.catch(() => cache.delete(key));
+  return pending;
+}
@@ -0,0 +1,237 @@
+// src/utils/sync.js
+// Cross-device sync of reading progress, bookmarks and annotations.
+//
+// Devices that share a sync code share a "space" on the sync backend (an
+// adapter, see syncAdapters.js). Each local record is wrapped as a sync
+// record with a vector clock (syncMerge.js); the `syncMeta` store remembers
+// what was last synced, so edits and deletions are found by comparing
+// fingerprints rather than hooking every write. A sync pushes local changes
+// first, then pulls whatever the space has that this device hasn't seen.
+import {
+  listProgress, putProgress, deleteProgress,
+  listAllBookmarks, putBookmark, deleteBookmark,
+  listAllAnnotations, putAnnotation, deleteAnnotation,
+  listSyncMeta, putSyncMeta, clearSyncMeta
+} from './indexedDb.js';
+import { recordKey, compareClocks, tickClock, fingerprint } from './syncMerge.js';
+import { createNetlifyAdapter } from './syncAdapters.js';
+
+const SETTINGS_KEY = 'wair_sync_v1';
+const PUSH_BATCH = 500;
+const AUTO_SYNC_MS = 5 * 60 * 1000;
+
+/** Fired on window after a sync changed local records; detail: { changed, bookIds } */
+export const SYNC_EVENT = 'wair:synced';
+
+/* ---------- settings ---------- */
+
+function randomId(len, alphabet = 'abcdefghijkmnpqrstuvwxyz23456789') {
+  const bytes = crypto.getRandomValues(new Uint8Array(len));
+  return Array.from(bytes, b => alphabet[b % alphabet.length]).join('');
+}
+
+export function getSyncSettings() {
+  let s = {};
+  try { s = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}'); } catch { /* fresh */ }
+  if (!s.deviceId) {
+    s.deviceId = `d_${randomId(10)}`;
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(s));
+  }
+  return { code: null, cursor: 0, lastSyncAt: null, lastError: null, ...s };
+}
+
+function updateSyncSettings(patch) {
+  const next = { ...getSyncSettings(), ...patch };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+  return next;
+}
+
+/** A new code to type into the other device, e.g. "k3m9x-p2qrt-7vwzn-a4hce". */
+export function newSyncCode() {
+  return randomId(20).match(/.{5}/g).join('-');
+}
+
+export function normalizeSyncCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Join (or start) the space for `code`. Local records are pushed on the next
+ * sync; where the space already has a version of the same record the usual
+ * rules decide (concurrent, so the later edit wins).
+ */
+export async function enableSync(code) {
+  const clean = normalizeSyncCode(code);
+  if (clean.length < 16) throw new Error('Sync codes are at least 16 letters and digits.');
+  await clearSyncMeta();
+  return updateSyncSettings({ code: clean, cursor: 0, lastSyncAt: null, lastError: null });
+}
+
+export async function disableSync() {
+  await clearSyncMeta();
+  return updateSyncSettings({ code: null, cursor: 0, lastSyncAt: null, lastError: null });
+}
+
+async function spaceFor(code) {
+  const bytes = new TextEncoder().encode(`wair-sync:${code}`);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/* ---------- local records ---------- */
+
+async function localRecords() {
+  const [progress, bookmarks, annotations] = await Promise.all([listProgress(), listAllBookmarks(), listAllAnnotations()]);
+  const out = new Map();
+  const add = (kind, id, data) => out.set(recordKey(kind, id), { kind, id: String(id), data });
+  progress.forEach(p => add('progress', p.bookId, p));
+  bookmarks.forEach(b => add('bookmark', b.id, b));
+  annotations.forEach(a => add('annotation', a.id, a));
+  return out;
+}
+
+async function applyLocal(rec) {
+  if (rec.kind === 'progress') {
+    if (rec.deleted) await deleteProgress(rec.id);
+    else await putProgress(rec.id, rec.data);
+  } else if (rec.kind === 'bookmark') {
+    if (rec.deleted) await deleteBookmark(rec.id);
+    else await putBookmark(rec.data, { touch: false });
+  } else if (rec.kind === 'annotation') {
+    if (rec.deleted) await deleteAnnotation(rec.id);
+    else await putAnnotation(rec.data, { touch: false });
+  }
+}
+
+/* ---------- sync ---------- */
+
+let inFlight = null;
+
+/**
+ * Push local changes, then pull remote ones. Resolves to
+ * { pushed, pulled, changed }. Concurrent calls share one run.
+ */
+export function syncNow({ adapter = createNetlifyAdapter() } = {}) {
+  if (!inFlight) {
+    inFlight = runSync(adapter).finally(() => { inFlight = null; });
+  }
+  return inFlight;
+}
+
+async function runSync(adapter) {
+  const settings = getSyncSettings();
+  if (!settings.code) throw new Error('Sync is turned off.');
+  const space = await spaceFor(settings.code);
+  const store = { records: localRecords, meta: listSyncMeta, apply: applyLocal, saveMeta: putSyncMeta };
+
+  try {
+    const { pushed, pulled, changed, bookIds, cursor } = await syncSpace({
+      adapter, space, store, device: settings.deviceId, since: settings.cursor || 0
+    });
+    updateSyncSettings({ cursor, lastSyncAt: Date.now(), lastError: null });
+    if (changed && typeof window !== 'undefined') {
+      window.dispatchEvent(new CustomEvent(SYNC_EVENT, { detail: { changed, bookIds } }));
+    }
+    return { pushed, pulled, changed };
+  } catch (err) {
+    updateSyncSettings({ lastError: err?.message || 'Sync failed' });
+    throw err;
+  }
+}
+
+/**
+ * One sync of a device's records with `space`: the whole protocol, apart
+ * from where the device keeps things. `store` is
+ *   { records() -> Map key -> { kind, id, data }, meta() -> [syncMeta],
+ *     apply(record), saveMeta([syncMeta]) }
+ * and `since` the cursor the last sync ended on. Resolves to
+ * { pushed, pulled, changed, bookIds, cursor }, `cursor` being the one to
+ * save for next time.
+ */
+export async function syncSpace({ adapter, space, store, device, since = 0, now = Date.now() }) {
+  const [first, metaList] = await Promise.all([store.records(), store.meta()]);
+  let local = first;
+  const meta = new Map(metaList.map(m => [m.key, m]));
+
+  // Take in a version from the space unless this device has already seen it
+  const changedBooks = new Set();
+  const metaUpdates = new Map();
+  let changed = 0;
+  const absorb = async (r) => {
+    const m = meta.get(r.key);
+    if (m) {
+      const order = compareClocks(m.clock, r.clock);
+      if (order === 'after' || order === 'equal') return;
+    }
+    const fp = r.deleted ? null : fingerprint(r.data);
+    const mine = local.get(r.key);
+    if (fp !== (mine ? fingerprint(mine.data) : null)) {
+      await store.apply(r);
+      changed++;
+      changedBooks.add(r.kind === 'progress' ? r.id : String((r.data || mine?.data)?.bookId ?? ''));
+    }
+    const next = { key: r.key, kind: r.kind, id: r.id, clock: r.clock, updatedAt: r.updatedAt, device: r.device, fingerprint: fp, deleted: !!r.deleted };
+    meta.set(r.key, next);
+    metaUpdates.set(r.key, next);
+  };
+
+  // Local edits and deletions since the last sync (or, with `all`, every
+  // record and deletion this device knows), each with its clock ticked.
+  // The space merges them with its own copy; what comes back is the winner.
+  const push = async (all) => {
+    const outgoing = [];
+    for (const [key, { kind, id, data }] of local) {
+      const m = meta.get(key);
+      if (!all && m && !m.deleted && m.fingerprint === fingerprint(data)) continue;
+      outgoing.push({ key, kind, id, data, deleted: false, updatedAt: data.updatedAt || now, device, clock: tickClock(m?.clock, device) });
+    }
+    for (const m of meta.values()) {
+      if ((m.deleted && !all) || local.has(m.key)) continue;
+      outgoing.push({ key: m.key, kind: m.kind, id: m.id, deleted: true, updatedAt: m.deleted ? m.updatedAt : now, device, clock: tickClock(m.clock, device) });
+    }
+    for (let i = 0; i < outgoing.length; i += PUSH_BATCH) {
+      const { records } = await adapter.push(space, outgoing.slice(i, i + PUSH_BATCH));
+      for (const r of records || []) await absorb(r);
+    }
+    return outgoing.length;
+  };
+
+  let pushed = await push(false);
+  let { records: incoming, cursor } = await adapter.pull(space, since);
+  if (cursor < since) {
+    // The space has fewer changes than this device has already seen: its
+    // store was reset, or an instance without its history answered. Pulling
+    // from `since` would return nothing from now on, so start over: send
+    // everything (as it stands after the push above) and take everything.
+    local = await store.records();
+    pushed += await push(true);
+    ({ records: incoming, cursor } = await adapter.pull(space, 0));
+  }
+  for (const r of incoming || []) await absorb(r);
+
+  if (metaUpdates.size) await store.saveMeta([...metaUpdates.values()]);
+  changedBooks.delete('');
+  return { pushed, pulled: (incoming || []).length, changed, bookIds: [...changedBooks], cursor };
+}
+
+/**
+ * Sync now, every few minutes, when the browser comes back online and when
+ * the tab is hidden (so the other device sees this one's latest position).
+ * Does nothing while sync is off. Returns a stop function.
+ */
+export function startAutoSync(options) {
+  const run = () => {
+    if (!getSyncSettings().code || !navigator.onLine) return;
+    syncNow(options).catch(err => console.warn('[sync]', err?.message || err));
+  };
+  const onVisibility = () => { if (document.visibilityState === 'hidden') run(); };
+  run();
+  const timer = setInterval(run, AUTO_SYNC_MS);
+  window.addEventListener('online', run);
+  document.addEventListener('visibilitychange', onVisibility);
+  return () => {
+    clearInterval(timer);
+    window.removeEventListener('online', run);
+    document.removeEventListener('visibilitychange', onVisibility);
+  };
+}
@@ -0,0 +1,60 @@
+// src/utils/syncAdapters.js
+// Backends for src/utils/sync.js.
+//
+// A sync adapter is any object with:
+//
+//   name: string
+//   push(space, records) -> Promise<{ records }>
+//       Store `records` (see syncMerge.js for the shape) in `space`, merging
+//       each with the stored version via resolveRecord(). Resolves to the
+//       versions now stored for those keys.
+//   pull(space, since) -> Promise<{ records, cursor }>
+//       Records stored in `space` after cursor `since` (0 = everything),
+//       oldest first, and the cursor to pass next time.
+//
+// `space` identifies one reader's data across their devices (derived from the
+// sync code; see sync.js). Adapters don't interpret record data.
+import { applyPush, recordsSince, emptySyncState } from './syncMerge.js';
+
+/**
+ * Keeps every space in memory. Behaves like the server (same merge rules), so
+ * it stands in for it in development and tests; two clients sharing one
+ * instance see each other's changes.
+ */
+export function createMemoryAdapter() {
+  const spaces = new Map();
+  const state = (space) => {
+    if (!spaces.has(space)) spaces.set(space, emptySyncState());
+    return spaces.get(space);
+  };
+  const copy = (v) => JSON.parse(JSON.stringify(v));
+  return {
+    name: 'memory',
+    async push(space, records) {
+      return { records: copy(applyPush(state(space), copy(records))) };
+    },
+    async pull(space, since = 0) {
+      const s = state(space);
+      return { records: copy(recordsSince(s, since)), cursor: s.seq };
+    }
+  };
+}
+
+/** Talks to netlify/functions/sync.js (POST /api/sync). */
+export function createNetlifyAdapter({ endpoint = '/api/sync' } = {}) {
+  const call = async (body) => {
+    const resp = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const json = await resp.json().catch(() => null);
+    if (!resp.ok || !json) throw new Error(json?.error || `Sync failed (${resp.status})`);
+    return json;
+  };
+  return {
+    name: 'netlify',
+    push: (space, records) => call({ op: 'push', space, records }),
+    pull: (space, since = 0) => call({ op: 'pull', space, since })
+  };
+}
@@ -0,0 +1,118 @@
+// src/utils/syncMerge.js
+// Conflict resolution shared by the sync client, the in-memory adapter and
+// the sync function. No browser or Node APIs here.
+//
+// A sync record is
+//   { key, kind, id, data, deleted, updatedAt, device, clock, seq? }
+// key is `${kind}:${id}` (kind: 'progress' | 'bookmark' | 'annotation'),
+// data the local record (absent for a deletion), updatedAt the wall-clock
+// time of the edit, device the id of the device that made it, and clock a
+// vector timestamp { [deviceId]: count } bumped by each device on each edit.
+// seq is assigned by the server and only used for pull cursors.
+
+export const SYNC_KINDS = ['progress', 'bookmark', 'annotation'];
+
+export function recordKey(kind, id) {
+  return `${kind}:${id}`;
+}
+
+/** 'equal' | 'before' (a happened before b) | 'after' | 'concurrent' */
+export function compareClocks(a = {}, b = {}) {
+  let less = false;
+  let more = false;
+  for (const device of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const x = a[device] || 0;
+    const y = b[device] || 0;
+    if (x < y) less = true;
+    if (x > y) more = true;
+  }
+  if (less && more) return 'concurrent';
+  if (less) return 'before';
+  if (more) return 'after';
+  return 'equal';
+}
+
+export function mergeClocks(a = {}, b = {}) {
+  const out = { ...a };
+  for (const [device, n] of Object.entries(b)) out[device] = Math.max(out[device] || 0, n);
+  return out;
+}
+
+export function tickClock(clock = {}, device) {
+  return { ...clock, [device]: (clock[device] || 0) + 1 };
+}
+
+/**
+ * Pick the surviving version of one record. A version whose clock has seen
+ * the other's edits wins outright; concurrent edits (say a phone and a laptop
+ * both offline) fall back to last-writer-wins on updatedAt, then device id so
+ * every replica picks the same one. The result carries the merged clock, so
+ * it supersedes both inputs from then on.
+ */
+export function resolveRecord(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const order = compareClocks(a.clock, b.clock);
+  let winner;
+  if (order === 'after' || order === 'equal') winner = a;
+  else if (order === 'before') winner = b;
+  else if ((a.updatedAt || 0) !== (b.updatedAt || 0)) winner = (a.updatedAt || 0) > (b.updatedAt || 0) ? a : b;
+  else winner = String(a.device || '') >= String(b.device || '') ? a : b;
+  return { ...winner, clock: mergeClocks(a.clock, b.clock) };
+}
+
+/** Stable fingerprint of a record's data, to spot local edits between syncs. */
+export function fingerprint(data) {
+  const stable = (v) => {
+    if (Array.isArray(v)) return `[${v.map(stable).join(',')}]`;
+    if (v && typeof v === 'object') {
+      return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${stable(v[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(v ?? null);
+  };
+  // FNV-1a, 32-bit
+  let h = 0x811c9dc5;
+  const s = stable(data);
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16);
+}
+
+function isValidRecord(r) {
+  return r && typeof r.key === 'string' && SYNC_KINDS.includes(r.kind)
+    && r.key === recordKey(r.kind, r.id) && r.clock && typeof r.clock === 'object';
+}
+
+/**
+ * Server side of a push: merge `records` into `state` ({ seq, records: { key: record } }).
+ * Every record that changed gets the next seq. Returns the stored versions
+ * of the pushed keys. Invalid records are skipped.
+ */
+export function applyPush(state, records) {
+  const stored = [];
+  for (const incoming of records || []) {
+    if (!isValidRecord(incoming)) continue;
+    const current = state.records[incoming.key];
+    const { seq: _ignored, ...clean } = incoming;
+    const merged = resolveRecord(current, clean);
+    if (!current || compareClocks(current.clock, merged.clock) !== 'equal' || current.device !== merged.device) {
+      state.seq += 1;
+      state.records[incoming.key] = { ...merged, seq: state.seq };
+    }
+    stored.push(state.records[incoming.key]);
+  }
+  return stored;
+}
+
+/** Server side of a pull: records stored after cursor `since`, oldest first. */
+export function recordsSince(state, since = 0) {
+  return Object.values(state.records)
+    .filter(r => r.seq > since)
+    .sort((a, b) => a.seq - b.seq);
+}
+
+export function emptySyncState() {
+  return { seq: 0, records: {} };
+}
@@ -0,0 +1,109 @@
+// src/utils/vocabulary.js
+// Personal vocabulary list built from dictionary lookups in the reader,
+// with SM-2 spaced-repetition scheduling for flashcard review.
+import { listVocabulary, getVocabularyEntry, putVocabularyEntry, deleteVocabularyEntry } from './indexedDb.js';
+import { sameLemma } from './lemma.js';
+import { sentenceSpans } from './annotations.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CONTEXTS = 5;
+
+export function newSrs(now = Date.now()) {
+  return { ease: 2.5, interval: 0, reps: 0, lapses: 0, due: now };
+}
+
+/**
+ * SM-2 step. `quality` is 0–5 (the review UI maps Again/Hard/Good/Easy to 1/3/4/5).
+ * Returns the next srs state; intervals are in days.
+ */
+export function sm2(srs, quality, now = Date.now()) {
+  const q = Math.max(0, Math.min(5, quality));
+  let { ease = 2.5, interval = 0, reps = 0, lapses = 0 } = srs || {};
+
+  if (q < 3) {
+    reps = 0;
+    interval = 1;
+    lapses += 1;
+  } else {
+    reps += 1;
+    interval = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(interval * ease);
+  }
+  ease = Math.max(1.3, ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+  return { ease: Math.round(ease * 100) / 100, interval, reps, lapses, due: now + interval * DAY_MS, lastReviewed: now };
+}
+
+function firstDefinition(entries) {
+  for (const e of entries || []) {
+    for (const m of e.meanings || []) {
+      const d = m.definitions?.[0];
+      if (d?.definition) return { partOfSpeech: m.partOfSpeech || '', definition: d.definition, example: d.example || '' };
+    }
+  }
+  return null;
+}
+
+/** The sentence of `text` that contains character `offset`, whitespace collapsed. */
+export function sentenceAt(text, offset) {
+  if (!text) return '';
+  const span = sentenceSpans(text).find(([a, b]) => offset >= a && offset < b);
+  const [a, b] = span || [Math.max(0, offset - 100), offset + 100];
+  return text.slice(a, b).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Record a successful lookup. Words are de-duplicated by lemma: the headword
+ * the dictionary answered with when there is one, otherwise the
+ * lemmaCandidates() rules shared with the define function.
+ * context: { sentence, bookId, bookTitle, chapterIndex, chapterTitle }
+ */
+export async function recordLookup(word, entries, context = {}) {
+  const form = String(word || '').toLowerCase();
+  if (!form) return null;
+  const headword = String(entries?.[0]?.word || '').toLowerCase();
+  const lemmaGuess = headword && sameLemma(headword, form) ? headword : form;
+
+  let entry = await getVocabularyEntry(lemmaGuess);
+  if (!entry) {
+    const all = await listVocabulary();
+    entry = all.find(e => e.forms.some(f => sameLemma(f, form))) || null;
+  }
+
+  const now = Date.now();
+  if (!entry) {
+    entry = { lemma: lemmaGuess, forms: [], definition: null, contexts: [], addedAt: now, srs: newSrs(now) };
+  }
+  if (!entry.forms.includes(form)) entry.forms.push(form);
+  entry.definition = entry.definition || firstDefinition(entries);
+
+  const sentence = (context.sentence || '').trim();
+  if (sentence && !entry.contexts.some(c => c.sentence === sentence)) {
+    entry.contexts = [
+      { sentence, bookId: context.bookId ?? null, bookTitle: context.bookTitle || '', chapterIndex: context.chapterIndex ?? null, chapterTitle: context.chapterTitle || '', at: now },
+      ...entry.contexts
+    ].slice(0, MAX_CONTEXTS);
+  }
+  entry.lastLookedUp = now;
+  return putVocabularyEntry(entry);
+}
+
+export async function vocabularyList() {
+  const all = await listVocabulary();
+  return all.sort((a, b) => (b.lastLookedUp || b.addedAt) - (a.lastLookedUp || a.addedAt));
+}
+
+/** Entries due for review now, most overdue first. */
+export async function dueForReview(now = Date.now()) {
+  const all = await listVocabulary();
+  return all.filter(e => (e.srs?.due ?? 0) <= now).sort((a, b) => a.srs.due - b.srs.due);
+}
+
+export async function gradeEntry(lemma, quality) {
+  const entry = await getVocabularyEntry(lemma);
+  if (!entry) return null;
+  entry.srs = sm2(entry.srs, quality);
+  return putVocabularyEntry(entry);
+}
+
+export async function removeEntry(lemma) {
+  await deleteVocabularyEntry(lemma);
+}
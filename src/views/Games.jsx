@@ -1,7 +1,11 @@
 import React, { useState, useRef, useEffect } from "react";
+import { useNavigate, useParams } from "react-router-dom";
 import WoostersWordWeb from "../components/WoostersWordWeb.jsx";
 import JeevesJottings from "../components/JeevesJottings.jsx";
 import StatsPanel from "../components/StatsPanel.jsx";
+import VocabularyPanel from "../components/VocabularyPanel.jsx";
+import ReadingStatsPanel from "../components/ReadingStatsPanel.jsx";
+import { GAME_SLUGS, gameSlugForTab, gamesPath, parseGameDate } from "../utils/routes";
 
 /* Touch/Pan/Zoom guard: block page scroll outside, allow panning inside the puzzle scroller on mobile. */
 function PuzzleTouchGuard({ className = "", lockScroll = true, children }) {
@@ -87,8 +91,13 @@ const GamesLegal = () => (
 );
 
 export default function Games() {
-  const tabs = ["Wooster’s Word Web", "Jeeves’ Jottings", "Dictionary Stats", "Legal"];
-  const [tab, setTab] = useState(tabs[0]);
+  const tabs = Object.values(GAME_SLUGS);
+  // Tab and puzzle date live in the URL: /games/:game/:date?
+  const params = useParams();
+  const navigate = useNavigate();
+  const tab = GAME_SLUGS[params.game] || tabs[0];
+  const date = parseGameDate(params.date);
+  const setTab = (t) => navigate(gamesPath(gameSlugForTab(t), date));
 
   // Hide the global footer while on Games to reclaim space
   useEffect(() => {
@@ -194,7 +203,7 @@ export default function Games() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [tab, autoFit, isDesktop, zoom.level, scrollerHeight]);
 
-  const today = new Date().toLocaleDateString(undefined, { weekday: "short", year: "numeric", month: "short", day: "numeric" });
+  const today = (date ? new Date(`${date}T12:00:00`) : new Date()).toLocaleDateString(undefined, { weekday: "short", year: "numeric", month: "short", day: "numeric" });
 
   return (
     <div className="container mx-auto p-3 md:p-6 space-y-3">
@@ -300,7 +309,7 @@ export default function Games() {
                 {/* Zoom wrapper */}
                 <div className="puzzle-zoom" style={zoom.style}>
                   <div ref={contentRef}>
-                    <WoostersWordWeb className="puzzle-pointer-surface" />
+                    <WoostersWordWeb key={date || "today"} className="puzzle-pointer-surface" date={date} />
                   </div>
                 </div>
               </div>
@@ -317,7 +326,14 @@ export default function Games() {
       {tab === "Jeeves’ Jottings" && (
         <section className="bg-white dark:bg-gray-800 rounded-xl shadow p-4 sm:p-6">
           <h2 className="text-lg sm:text-xl font-semibold mb-3">Jeeves’ Jottings</h2>
-          <JeevesJottings />
+          <JeevesJottings key={date || "today"} date={date} />
+        </section>
+      )}
+
+      {tab === "Reading Stats" && (
+        <section className="bg-white dark:bg-gray-800 rounded-xl shadow p-4 sm:p-6">
+          <h2 className="text-lg sm:text-xl font-semibold mb-3">Reading Stats</h2>
+          <ReadingStatsPanel />
         </section>
       )}
 
@@ -328,6 +344,13 @@ export default function Games() {
         </section>
       )}
 
+      {tab === "Vocabulary" && (
+        <section className="bg-white dark:bg-gray-800 rounded-xl shadow p-4 sm:p-6">
+          <h2 className="text-lg sm:text-xl font-semibold mb-3">Vocabulary</h2>
+          <VocabularyPanel />
+        </section>
+      )}
+
       {tab === "Legal" && <GamesLegal />}
     </div>
   );
@@ -0,0 +1,174 @@
+// src/views/Universe.jsx
+// The Wodehouse universe: characters and places that recur across books
+// (public/content/universe.json, built by scripts/buildUniverse.mjs), each
+// with its appearances by book and a graph of who turns up alongside whom.
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { universePath, bookPath } from "../utils/routes";
+
+const SERIES_LABELS = { JEEVES: "Jeeves", BLANDINGS: "Blandings", PSMITH: "Psmith", UKRIDGE: "Ukridge", OTHER: "Other" };
+const KIND_COLORS = { character: "#2563eb", place: "#059669" };
+const GRAPH_NEIGHBOURS = 12;
+
+function useUniverse() {
+  const [state, setState] = useState({ data: null, error: "" });
+  useEffect(() => {
+    const base = import.meta.env.BASE_URL || "/";
+    fetch(`${base}content/universe.json`, { cache: "no-cache" })
+      .then(r => { if (!r.ok) throw new Error(`HTTP error! status: ${r.status}`); return r.json(); })
+      .then(data => setState({ data, error: "" }))
+      .catch(err => setState({ data: null, error: err?.message || "Could not load the universe." }));
+  }, []);
+  return state;
+}
+
+// Selected entity in the middle, its strongest links around it
+function CooccurrenceGraph({ data, index, onSelect }) {
+  const size = 360;
+  const c = size / 2;
+  const links = data.edges
+    .filter(([a, b]) => a === index || b === index)
+    .slice(0, GRAPH_NEIGHBOURS)
+    .map(([a, b, w]) => ({ other: a === index ? b : a, w }));
+  if (!links.length) return <p className="text-sm text-gray-500">No strong links to other recurring names.</p>;
+
+  const maxW = links[0].w;
+  const nodes = links.map((l, i) => {
+    const angle = (2 * Math.PI * i) / links.length - Math.PI / 2;
+    return { ...l, x: c + 140 * Math.cos(angle), y: c + 140 * Math.sin(angle) };
+  });
+  const at = new Map(nodes.map(n => [n.other, n]));
+  // Links among the neighbours too, drawn faintly
+  const between = data.edges.filter(([a, b]) => at.has(a) && at.has(b));
+
+  return (
+    <svg viewBox={`0 0 ${size} ${size}`} className="w-full max-w-md mx-auto" role="img" aria-label="Co-occurrence graph">
+      {between.map(([a, b, w]) => (
+        <line key={`${a}-${b}`} x1={at.get(a).x} y1={at.get(a).y} x2={at.get(b).x} y2={at.get(b).y}
+          stroke="#9ca3af" strokeOpacity="0.35" strokeWidth={0.5 + 2 * Math.min(1, w / maxW)} />
+      ))}
+      {nodes.map(n => (
+        <line key={`e-${n.other}`} x1={c} y1={c} x2={n.x} y2={n.y} stroke="#6b7280" strokeOpacity="0.7" strokeWidth={1 + 5 * (n.w / maxW)}>
+          <title>{`${data.entities[n.other].name}: ${n.w} shared paragraphs`}</title>
+        </line>
+      ))}
+      {nodes.map(n => {
+        const e = data.entities[n.other];
+        return (
+          <g key={`n-${n.other}`} onClick={() => onSelect(e.name)} className="cursor-pointer">
+            <circle cx={n.x} cy={n.y} r="7" fill={KIND_COLORS[e.kind]} />
+            <text x={n.x} y={n.y + (n.y < c ? -12 : 20)} textAnchor="middle" fontSize="11" className="fill-current">{e.name}</text>
+          </g>
+        );
+      })}
+      <circle cx={c} cy={c} r="11" fill={KIND_COLORS[data.entities[index].kind]} />
+      <text x={c} y={c - 17} textAnchor="middle" fontSize="13" fontWeight="bold" className="fill-current">{data.entities[index].name}</text>
+    </svg>
+  );
+}
+
+export default function Universe() {
+  const { data, error } = useUniverse();
+  const params = useParams();
+  const navigate = useNavigate();
+  const [query, setQuery] = useState("");
+  const [series, setSeries] = useState("ALL");
+  const [kind, setKind] = useState("ALL");
+
+  const bookById = useMemo(() => new Map((data?.books || []).map(b => [b.id, b])), [data]);
+  const selectedIndex = useMemo(() => {
+    if (!data) return -1;
+    const want = (params.name || "").toLowerCase();
+    const i = data.entities.findIndex(e => e.name.toLowerCase() === want);
+    return i === -1 ? 0 : i;
+  }, [data, params.name]);
+
+  const visible = useMemo(() => {
+    if (!data) return [];
+    const q = query.trim().toLowerCase();
+    return data.entities.filter(e =>
+      (!q || e.name.toLowerCase().includes(q)) &&
+      (series === "ALL" || e.series.includes(series)) &&
+      (kind === "ALL" || e.kind === kind));
+  }, [data, query, series, kind]);
+
+  if (error) return <div className="text-red-600">{error}</div>;
+  if (!data) return <div className="text-gray-500">Loading…</div>;
+  if (!data.entities.length) return <div className="text-gray-500">No recurring characters or places yet.</div>;
+
+  const entity = data.entities[selectedIndex];
+  const select = (name) => navigate(universePath(name));
+  const field = "border rounded px-2 py-1 text-sm bg-white dark:bg-gray-900 border-gray-300 dark:border-gray-700";
+
+  return (
+    <div className="grid gap-6 md:grid-cols-[18rem_1fr]">
+      <aside>
+        <h2 className="text-2xl font-bold font-serif mb-3">Wodehouse Universe</h2>
+        <input value={query} onChange={e => setQuery(e.target.value)} placeholder="Find a name" aria-label="Find a name" className={`${field} w-full mb-2`} />
+        <div className="flex gap-2 mb-3">
+          <select value={series} onChange={e => setSeries(e.target.value)} className={field} aria-label="Series">
+            <option value="ALL">All series</option>
+            {Object.entries(SERIES_LABELS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+          <select value={kind} onChange={e => setKind(e.target.value)} className={field} aria-label="Kind">
+            <option value="ALL">Everyone &amp; everywhere</option>
+            <option value="character">Characters</option>
+            <option value="place">Places</option>
+          </select>
+        </div>
+        <ul className="max-h-[60vh] overflow-y-auto border rounded border-gray-200 dark:border-gray-700 divide-y divide-gray-100 dark:divide-gray-700">
+          {visible.map(e => (
+            <li key={e.name}>
+              <button
+                onClick={() => select(e.name)}
+                className={`w-full text-left px-3 py-2 text-sm flex justify-between gap-2 ${e === entity ? "bg-blue-50 dark:bg-gray-700" : "hover:bg-gray-50 dark:hover:bg-gray-800"}`}
+              >
+                <span className="truncate">{e.name}</span>
+                <span className="text-xs text-gray-500 flex-shrink-0">{e.books.length} books</span>
+              </button>
+            </li>
+          ))}
+          {!visible.length && <li className="px-3 py-2 text-sm text-gray-500">No matches.</li>}
+        </ul>
+      </aside>
+
+      <section>
+        <h3 className="text-xl font-semibold font-serif">{entity.name}</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          {entity.kind === "place" ? "Place" : "Character"} · {entity.mentions} mentions in {entity.books.length} books
+          {" · "}{entity.series.map(s => SERIES_LABELS[s] || s).join(", ")}
+        </p>
+
+        <h4 className="font-semibold mb-2">Appears in</h4>
+        <table className="w-full text-sm mb-6">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="font-normal py-1">Book</th>
+              <th className="font-normal py-1">Series</th>
+              <th className="font-normal py-1 text-right">Mentions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entity.books.map(([id, count, firstChapter]) => {
+              const book = bookById.get(id);
+              return (
+                <tr key={id} className="border-t border-gray-100 dark:border-gray-700">
+                  <td className="py-1">
+                    <button className="text-left text-blue-600 hover:underline" onClick={() => navigate(bookPath(id, firstChapter))} title="Open at the first appearance">
+                      {book?.title || id}
+                    </button>
+                  </td>
+                  <td className="py-1">{SERIES_LABELS[book?.series] || book?.series || ""}</td>
+                  <td className="py-1 text-right">{count}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <h4 className="font-semibold mb-2">Often found with</h4>
+        <CooccurrenceGraph data={data} index={selectedIndex} onSelect={select} />
+      </section>
+    </div>
+  );
+}
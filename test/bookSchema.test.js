@@ -0,0 +1,40 @@
+// test/bookSchema.test.js
+// What ingest writes must pass scripts/validateBooks.mjs's schemas.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv';
+import { chapterize } from '../src/utils/chapterizer.js';
+import { normalizeBook } from '../src/utils/normalizeText.js';
+
+const SCHEMAS = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'scripts', 'schemas');
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const load = (name) => ajv.compile(JSON.parse(fs.readFileSync(path.join(SCHEMAS, name), 'utf8')));
+const validateManifest = load('manifest.schema.json');
+const validateChapter = load('chapter.schema.json');
+
+test('chapter files and manifest of an ingested book match the schemas', () => {
+  const prose = 'Lorem ipsum dolor sit amet, _consectetur_ adipiscing elit. '.repeat(10);
+  const text = ['PART ONE', 'CHAPTER I', prose, '    DEAR SIR,--Yours.', '* * *', '[Illustration: A dog]', prose, 'CHAPTER II', prose].join('\n\n');
+  const { chapters, toc } = normalizeBook(chapterize(text));
+  chapters.forEach((c, i) => {
+    const file = { index: i + 1, title: c.title, paragraphs: c.paragraphs, ...(c.illustrations.length ? { illustrations: c.illustrations } : {}) };
+    assert.ok(validateChapter(file), JSON.stringify(validateChapter.errors));
+  });
+  const manifest = {
+    id: 1, title: 'T', author: 'A', wordCount: 0, toc, chapterizer: 3,
+    source: { url: 'file:pg1.txt', etag: null, hash: 'a'.repeat(64) },
+    chapters: chapters.map((c, i) => ({ index: i + 1, title: c.title, file: `ch-${String(i + 1).padStart(2, '0')}.json`, words: c.words }))
+  };
+  assert.ok(validateManifest(manifest), JSON.stringify(validateManifest.errors));
+});
+
+test('the schemas catch malformed files', () => {
+  assert.equal(validateChapter({ index: 1, title: 'x', paragraphs: [{ type: 'aside', runs: [] }] }), false);
+  assert.equal(validateChapter({ index: 1, title: 'x', paragraphs: [{ type: 'p', runs: [{ u: 'x' }] }] }), false);
+  assert.equal(validateManifest({ id: 1, title: 'T', author: 'A', wordCount: 1, chapters: [] }), false);
+  assert.equal(validateManifest({ id: 1, title: 'T', author: 'A', wordCount: 1, chapters: [{ index: 1, title: 'x', file: 'one.json', words: 1 }] }), false);
+  assert.equal(validateManifest({ id: 1, title: 'T', author: 'A', wordCount: 1, chapters: [{ index: 1, title: 'x', file: 'ch-01.json', words: 1 }], source: { url: 'x', hash: 'md5' } }), false);
+});
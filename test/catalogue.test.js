@@ -0,0 +1,75 @@
+// test/catalogue.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv';
+import { catalogueVerdict, CATALOGUE_POLICY } from '../src/utils/catalogue.js';
+import { ingestOne } from '../scripts/ingestBooks.mjs';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PUBLIC = path.join(ROOT, 'public');
+
+test('the deny list wins, then the allow list, then the author rules', () => {
+  const pgw = [{ name: 'Wodehouse, P. G. (Pelham Grenville)', birth_year: 1881 }];
+  assert.equal(catalogueVerdict({ id: 8164, authors: pgw }).allowed, true);
+  assert.equal(catalogueVerdict({ id: 63735, authors: [{ name: 'Wodehouse, C. N. (Charles Nourse)' }] }).allowed, false);
+  assert.equal(catalogueVerdict({ id: 1, authors: [{ name: 'Newton, Thomas Wodehouse Legh, Baron' }] }).allowed, false);
+  assert.equal(catalogueVerdict({ id: 1, authors: [{ name: 'Molnár, Ferenc' }, ...pgw] }).allowed, true);
+  assert.equal(catalogueVerdict({ id: 'pg-43317', authors: pgw }).allowed, false);
+  assert.equal(catalogueVerdict({ id: 43317 }).allowed, false);
+  assert.equal(catalogueVerdict({ id: 2 }).allowed, true);
+
+  const policy = { ...CATALOGUE_POLICY, allow: { 1: 'introduction by Wodehouse' } };
+  assert.equal(catalogueVerdict({ id: 1, authors: 'Bolton, Guy' }, policy).allowed, true);
+  assert.match(catalogueVerdict({ id: 3, authors: 'Bolton, Guy' }).reason, /Bolton, Guy/);
+});
+
+test('author names match either way round', () => {
+  for (const name of ['P. G. Wodehouse', 'P.G. Wodehouse', 'Wodehouse, P. G. (Pelham Grenville)', 'Wodehouse, Pelham Grenville']) {
+    assert.equal(catalogueVerdict({ id: 999, authors: name }).allowed, true, name);
+  }
+  for (const name of ['Wodehouse, C. N. (Charles Nourse)', 'C. N. Wodehouse', 'Wodehouse']) {
+    assert.equal(catalogueVerdict({ id: 999, authors: name }).allowed, false, name);
+  }
+});
+
+test('ingest and validation judge a book on the same author', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'wair-catalogue-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const opts = { booksDir: path.join(root, 'books'), source: path.join(root, 'src'), retries: 0 };
+  fs.mkdirSync(opts.booksDir);
+  fs.mkdirSync(opts.source);
+  fs.copyFileSync(path.join(ROOT, 'test', 'fixtures', 'chapterizer', 'uneasy-money.txt'), path.join(opts.source, '999.txt'));
+
+  // An --id that isn't in library.json: ingest writes the default author, and validation accepts it
+  assert.equal((await ingestOne({ gutenbergId: 999, title: '(unknown)' }, opts)).status, 'added');
+  const { author } = JSON.parse(fs.readFileSync(path.join(opts.booksDir, 'pg-999', 'manifest.json'), 'utf8'));
+  assert.equal(catalogueVerdict({ id: 'pg-999', authors: author }).allowed, true);
+
+  const other = await ingestOne({ gutenbergId: 998, title: 'Sermons', author: 'Wodehouse, C. N. (Charles Nourse)' }, opts);
+  assert.equal(other.status, 'skipped');
+  assert.match(other.detail, /^not by/);
+  assert.equal((await ingestOne({ gutenbergId: 63735, title: 'Subscription' }, opts)).status, 'skipped');
+  assert.deepEqual(fs.readdirSync(opts.booksDir), ['pg-999']);
+});
+
+test('the policy file matches its schema', () => {
+  const schema = JSON.parse(fs.readFileSync(path.join(ROOT, 'scripts', 'schemas', 'catalogue.schema.json'), 'utf8'));
+  const validate = new Ajv({ allErrors: true }).compile(schema);
+  assert.ok(validate(CATALOGUE_POLICY), JSON.stringify(validate.errors));
+  assert.equal(validate({ ...CATALOGUE_POLICY, deny: { 'pg-1': 'x' } }), false);
+});
+
+test('no denied book is in the library or under public/books', () => {
+  const library = JSON.parse(fs.readFileSync(path.join(PUBLIC, 'content', 'library.json'), 'utf8'));
+  for (const b of library) {
+    assert.ok(catalogueVerdict({ id: b.gutenbergId, authors: b.author }).allowed, `library.json has ${b.id}`);
+  }
+  for (const dir of fs.readdirSync(path.join(PUBLIC, 'books')).filter(n => /^pg-\d+$/.test(n))) {
+    const { author } = JSON.parse(fs.readFileSync(path.join(PUBLIC, 'books', dir, 'manifest.json'), 'utf8'));
+    assert.ok(catalogueVerdict({ id: dir, authors: author }).allowed, `public/books has ${dir}`);
+  }
+});
@@ -0,0 +1,128 @@
+// test/chapterizer.test.js
+// Run with `npm test`. Each fixture under fixtures/chapterizer/ is an abridged
+// excerpt of a book in public/books (headings, contents pages and front matter
+// kept, most prose dropped) with the expected chapters alongside as JSON.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+import { chapterize, buildToc, htmlToText, parseNumber, sliceBetweenMarkers, titleCase } from '../src/utils/chapterizer.js';
+import { paragraphText } from '../src/utils/richText.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'chapterizer');
+
+for (const file of fs.readdirSync(FIXTURES).filter(f => f.endsWith('.txt'))) {
+  test(`fixture ${file}`, () => {
+    const text = fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+    const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES, file.replace(/\.txt$/, '.json')), 'utf8'));
+    const { chapters, toc } = chapterize(text);
+
+    assert.deepEqual(chapters.map(c => c.title), expected.chapters.map(c => c.title));
+    chapters.forEach((c, i) => {
+      const want = expected.chapters[i];
+      const texts = c.paragraphs.map(paragraphText);
+      assert.equal(c.paragraphs.length, want.paragraphs, `${c.title}: paragraph count`);
+      assert.ok(texts[0].startsWith(want.startsWith), `${c.title}: starts "${texts[0].slice(0, 40)}"`);
+      assert.deepEqual(c.illustrations.map(x => x.caption), want.illustrations || []);
+      assert.ok(texts.every(p => !/\[Illustration/i.test(p)), `${c.title}: caption left in the text`);
+    });
+    assert.deepEqual(toc, expected.toc);
+  });
+}
+
+test('a contents list is not taken for chapters', () => {
+  const prose = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(10);
+  const text = ['CONTENTS', 'I   THE START', 'II  THE MIDDLE', 'III THE END OF IT',
+    'I', 'THE START', prose, 'II', 'THE MIDDLE', prose, 'III', 'THE END OF IT', prose].join('\n\n');
+  const { chapters } = chapterize(text);
+  assert.deepEqual(chapters.map(c => c.title), ['Chapter I: The Start', 'Chapter II: The Middle', 'Chapter III: The End of It']);
+});
+
+test('sentences that start like headings stay prose', () => {
+  const prose = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(10);
+  const text = ['CHAPTER I', prose, 'M. Bredin chucked Jeanne under the chin and laughed.', '    7. A Little Imitation......S. Marlowe', prose, 'CHAPTER II', prose].join('\n\n');
+  const { chapters } = chapterize(text);
+  assert.deepEqual(chapters.map(c => c.title), ['Chapter I', 'Chapter II']);
+  assert.equal(chapters[0].paragraphs.length, 4);
+});
+
+test('a chapter that soon breaks into capitalised headings is still a chapter', () => {
+  const prose = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(10);
+  const text = ['CHAPTER TWENTY', prose, 'CHAPTER TWENTY-ONE', 'They had written to the papers.',
+    'THE STRAIN OF MODERN LIFE', '    TO THE EDITOR', prose, 'CHAPTER TWENTY-TWO', prose].join('\n\n');
+  const { chapters } = chapterize(text);
+  assert.deepEqual(chapters.map(c => c.title), ['Chapter Twenty', 'Chapter Twenty-One', 'Chapter Twenty-Two']);
+  assert.equal(chapters[1].paragraphs[0], 'They had written to the papers.');
+});
+
+test('no headings falls back to parts of a fixed size', () => {
+  const paras = Array.from({ length: 130 }, (_, i) => `Paragraph ${i} has a few words in it, and then a few more words to make it prose. `.repeat(3).trim());
+  const { chapters, toc } = chapterize(['Produced by someone', ...paras].join('\n\n'));
+  assert.deepEqual(chapters.map(c => c.title), ['Part 1', 'Part 2', 'Part 3']);
+  assert.equal(chapters[0].paragraphs[0], paras[0]);
+  assert.equal(toc.length, 3);
+});
+
+test('sliceBetweenMarkers', () => {
+  const text = 'Header\n*** START OF THE PROJECT GUTENBERG EBOOK X ***\nBody\n*** END OF THE PROJECT GUTENBERG EBOOK X ***\nLicence';
+  assert.equal(sliceBetweenMarkers(text), 'Body');
+  assert.equal(sliceBetweenMarkers('Body\n\nEnd of Project Gutenberg\'s X, by Y'), 'Body');
+});
+
+test('parseNumber', () => {
+  assert.equal(parseNumber('XIV'), 14);
+  assert.equal(parseNumber('42'), 42);
+  assert.equal(parseNumber('Seventh'), 7);
+  assert.equal(parseNumber('TWENTY-NINE'), 29);
+  assert.equal(parseNumber('thirty-first'), 31);
+  assert.equal(parseNumber('Forty'), 40);
+  assert.equal(parseNumber('nine-twenty'), null);
+  assert.equal(parseNumber('Bredin'), null);
+});
+
+test('titleCase', () => {
+  assert.equal(titleCase("KAY'S CHANGES ITS NAME"), "Kay's Changes Its Name");
+  assert.equal(titleCase('MR. McEACHERN INTERVENES'), 'Mr. McEachern Intervenes');
+  assert.equal(titleCase('THE MIXER--II'), 'The Mixer--II');
+  assert.equal(titleCase('Empty-handed'), 'Empty-handed');
+});
+
+test('buildToc nests chapters under their part', () => {
+  const toc = buildToc([{ title: 'Preface', part: null }, { title: 'I', part: 0 }, { title: 'II', part: 0 }, { title: 'I', part: 1 }],
+    [{ title: 'Book One' }, { title: 'Book Two' }]);
+  assert.deepEqual(toc, [
+    { title: 'Preface', chapter: 0 },
+    { title: 'Book One', children: [{ title: 'I', chapter: 1 }, { title: 'II', chapter: 2 }] },
+    { title: 'Book Two', children: [{ title: 'I', chapter: 3 }] }
+  ]);
+});
+
+test('htmlToText keeps emphasis, quotations, verse and breaks, and sanitizes', () => {
+  const { window } = new JSDOM('');
+  const html = `<h2>CHAPTER I<br><i>The Start</i></h2>
+    <p>He read <i>the</i> letter<span class="pagenum">[Pg 2]</span>.<img src="x.png" alt="A dog" onerror="alert(1)"></p>
+    <script>alert(1)</script>
+    <blockquote><p>DEAR SIR,--I am <em> very </em> much obliged.</p></blockquote>
+    <div class="poem"><div class="stanza"><span>There are moments of annoyance,<br></span><span>Void of every kind of joyance,</span></div></div>
+    <hr class="tb"><p>Later.</p><hr class="chap">`;
+  assert.equal(htmlToText(html, { window }), [
+    'CHAPTER I\nThe Start',
+    'He read _the_ letter.',
+    '[Illustration: A dog]',
+    '    DEAR SIR,--I am _very_ much obliged.',
+    '    There are moments of annoyance,\n    Void of every kind of joyance,',
+    '* * * * *',
+    'Later.'
+  ].join('\n\n'));
+});
+
+test('chapters carry structured paragraphs', () => {
+  const prose = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(10);
+  const text = ['CHAPTER I', prose, '    DEAR SIR,--I am _very_ much obliged.', '* * *', 'CHAPTER II', prose, '1', prose, 'CHAPTER III', prose].join('\n\n');
+  const { chapters } = chapterize(text);
+  assert.deepEqual(chapters[0].paragraphs.slice(1), [{ type: 'quote', runs: ['DEAR SIR,--I am ', { i: 'very' }, ' much obliged.'] }, { type: 'break' }]);
+  // "1" under "CHAPTER II" is a section number, not a chapter
+  assert.deepEqual(chapters[1].paragraphs[1], { type: 'break', runs: ['1'] });
+});
@@ -0,0 +1,75 @@
+// test/entityIndex.test.js
+// Each fixture under fixtures/entities/ is a short multi-chapter text, run
+// through chapterize() as ingest does, with the expected index alongside as
+// JSON (name, kind, count and mention positions of every entity, in order).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { chapterize } from '../src/utils/chapterizer.js';
+import { buildEntityIndex, findEntities, mentionsSoFar, ENTITY_INDEX_VERSION } from '../src/utils/entityIndex.js';
+import { properNounPhrases } from '../src/utils/properNouns.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'entities');
+
+const indexOf = (file) => {
+  const { chapters } = chapterize(fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+  return buildEntityIndex(chapters.map(c => c.paragraphs));
+};
+
+for (const file of fs.readdirSync(FIXTURES).filter(f => f.endsWith('.txt'))) {
+  test(`fixture ${file}`, () => {
+    const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES, file.replace(/\.txt$/, '.json')), 'utf8'));
+    const index = indexOf(file);
+    assert.equal(index.v, ENTITY_INDEX_VERSION);
+    assert.deepEqual(index.entities.map(({ name, kind, count, mentions }) => ({ name, kind, count, mentions })), expected.entities);
+    for (const e of index.entities) {
+      assert.deepEqual(e.first, [e.mentions[0][0], e.mentions[0][1][0]], `${e.name}: first mention`);
+    }
+  });
+}
+
+test('sentence openers, headings and possessives are not names of their own', () => {
+  const names = indexOf('blandings.txt').entities.map(e => e.name);
+  // "Well, it was raining. Still, ...", "Presently they walked", "Bother," said ...
+  for (const word of ['Well', 'Still', 'Presently', 'Bother', 'Back', 'Who', 'Yes']) assert.ok(!names.includes(word), word);
+  // "THE DRONES CLUB WELCOMES ITS MEMBERS" is shouting, and "Freddie's" is Freddie
+  assert.ok(!names.some(n => n === n.toUpperCase()));
+  assert.ok(!names.some(n => /['’]s?$/.test(n)));
+});
+
+test('findEntities: the exact name first, then longer names containing it', () => {
+  const index = indexOf('blandings.txt');
+  const names = (q) => findEntities(index, q).map(e => e.name);
+  assert.deepEqual(names('Freddie’s'), ['Freddie']);
+  assert.deepEqual(names('  Emsworth, '), ['Lord Emsworth']);
+  assert.deepEqual(names('Blandings'), ['Market Blandings', 'Blandings Castle']);
+  assert.deepEqual(names('the'), []);
+  assert.deepEqual(findEntities(null, 'Psmith'), []);
+});
+
+test('mentionsSoFar never reaches past the current chapter', () => {
+  const index = indexOf('blandings.txt');
+  const psmith = index.entities.find(e => e.name === 'Psmith');
+  assert.deepEqual(mentionsSoFar(psmith, 0), { count: 0, chapters: [] });
+  assert.deepEqual(mentionsSoFar(psmith, 1), { count: 4, chapters: [[1, [0, 1, 2, 3]]] });
+  for (const e of index.entities) {
+    for (let ch = 0; ch < 3; ch++) {
+      const { count, chapters } = mentionsSoFar(e, ch);
+      assert.ok(chapters.every(([c]) => c <= ch), `${e.name} in chapter ${ch}`);
+      assert.equal(count, chapters.reduce((n, [, paras]) => n + paras.length, 0));
+    }
+    assert.deepEqual(mentionsSoFar(e, 2).chapters, e.mentions);
+  }
+});
+
+test('properNounPhrases joins across punctuation unless told to stop there', () => {
+  const s = 'Jeeves, Bertie Wooster and Aunt Agatha met.';
+  const txts = (opts) => properNounPhrases(s, opts).map(p => p.txt);
+  // quiz-augment's runs: punctuation doesn't break them, longest first
+  assert.deepEqual(txts(), ['Jeeves Bertie Wooster', 'Aunt Agatha']);
+  // the entity index's
+  assert.deepEqual(txts({ inOrder: true, stopAtPunctuation: true }), ['Jeeves', 'Bertie Wooster', 'Aunt Agatha']);
+  assert.deepEqual(properNounPhrases(s, { stopAtPunctuation: true })[0], { txt: 'Bertie Wooster', a: 8, b: 22 });
+});
@@ -0,0 +1,160 @@
+// test/ingestBooks.test.js
+// The incremental side of scripts/ingestBooks.mjs, against a scratch
+// public/books in the temp dir and a local --source directory (or a stand-in
+// for fetch). Sources are the chapterizer fixtures.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ingestOne, fetchRemote, recoverInterrupted, reusableSource, runPool, skipReason, swapIn } from '../scripts/ingestBooks.mjs';
+import { CHAPTERIZER_VERSION } from '../src/utils/chapterizer.js';
+import { NORMALIZER_VERSION } from '../src/utils/normalizeText.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'chapterizer');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+const ID = 999001;
+const ENTRY = { gutenbergId: ID, title: 'Uneasy Money', author: 'Wodehouse, P. G. (Pelham Grenville)' };
+
+// A scratch books dir and source dir, with `text` as the book's source
+function scratch(t, text = fixture('uneasy-money.txt')) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'wair-ingest-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const dirs = { booksDir: path.join(root, 'books'), source: path.join(root, 'src') };
+  fs.mkdirSync(dirs.booksDir);
+  fs.mkdirSync(dirs.source);
+  fs.writeFileSync(path.join(dirs.source, `${ID}.txt`), text);
+  return dirs;
+}
+
+const bookDir = ({ booksDir }) => path.join(booksDir, `pg-${ID}`);
+const readManifest = (dirs) => JSON.parse(fs.readFileSync(path.join(bookDir(dirs), 'manifest.json'), 'utf8'));
+
+test('a book is added, skipped while its source is unchanged, and updated when it changes', async (t) => {
+  const dirs = scratch(t);
+  const opts = { ...dirs, retries: 0 };
+
+  assert.equal((await ingestOne(ENTRY, opts)).status, 'added');
+  const manifest = readManifest(dirs);
+  assert.equal(manifest.source.url, `file:${ID}.txt`);
+  assert.match(manifest.source.hash, /^[0-9a-f]{64}$/);
+  assert.deepEqual([manifest.chapterizer, manifest.normalizer], [CHAPTERIZER_VERSION, NORMALIZER_VERSION]);
+  assert.deepEqual(fs.readdirSync(dirs.booksDir), [`pg-${ID}`]); // no .partial or .old left over
+
+  assert.deepEqual(await ingestOne(ENTRY, opts), { status: 'skipped', detail: 'same content hash' });
+  assert.equal((await ingestOne(ENTRY, { ...opts, force: true })).status, 'updated');
+
+  fs.appendFileSync(path.join(dirs.source, `${ID}.txt`), '\n\nA last paragraph, added upstream.\n');
+  assert.equal((await ingestOne(ENTRY, opts)).status, 'updated');
+  assert.notEqual(readManifest(dirs).source.hash, manifest.source.hash);
+});
+
+test('a dry run reports what it would do and writes nothing', async (t) => {
+  const dirs = scratch(t);
+  const dry = await ingestOne(ENTRY, { ...dirs, dryRun: true });
+  assert.equal(dry.status, 'added');
+  assert.match(dry.detail, /chapters from file:/);
+  assert.deepEqual(fs.readdirSync(dirs.booksDir), []);
+
+  await ingestOne(ENTRY, dirs);
+  const before = fs.readFileSync(path.join(bookDir(dirs), 'manifest.json'), 'utf8');
+  fs.writeFileSync(path.join(dirs.source, `${ID}.txt`), fixture('head-of-kays.txt'));
+  assert.equal((await ingestOne(ENTRY, { ...dirs, dryRun: true })).status, 'updated');
+  assert.equal(fs.readFileSync(path.join(bookDir(dirs), 'manifest.json'), 'utf8'), before);
+  assert.deepEqual(fs.readdirSync(dirs.booksDir), [`pg-${ID}`]);
+});
+
+test('only a current chapterizer and normalizer let a book be skipped', () => {
+  const source = { url: 'x', etag: '"v1"', hash: 'a'.repeat(64) };
+  const manifest = { chapterizer: CHAPTERIZER_VERSION, normalizer: NORMALIZER_VERSION, source };
+  assert.equal(reusableSource(manifest), source);
+  assert.equal(reusableSource(manifest, { force: true }), null);
+  assert.equal(reusableSource({ ...manifest, chapterizer: CHAPTERIZER_VERSION - 1 }), null);
+  assert.equal(reusableSource({ ...manifest, normalizer: undefined }), null);
+  assert.equal(reusableSource({ id: 1, chapters: [] }), null); // bundles from before incremental ingest
+
+  assert.equal(skipReason(source, { notModified: true }, null), 'not modified (ETag)');
+  assert.equal(skipReason(source, { raw: '' }, source.hash), 'same content hash');
+  assert.equal(skipReason(source, { raw: '' }, 'b'.repeat(64)), null);
+  assert.equal(skipReason(null, { raw: '' }, source.hash), null);
+});
+
+test('downloads retry when busy, fall through missing URLs and honour the ETag', async (t) => {
+  const dirs = scratch(t);
+  const text = fixture('uneasy-money.txt');
+  const calls = [];
+  const statuses = new Map([['https://a.example/busy', [503, 200]], ['https://a.example/gone', [404]]]);
+  const fakeFetch = async (url, { headers }) => {
+    calls.push([url, headers['If-None-Match'] || null]);
+    if (url.endsWith('/book') && headers['If-None-Match'] === '"v1"') return new Response(null, { status: 304 });
+    const queue = statuses.get(url);
+    const status = queue ? (queue.length > 1 ? queue.shift() : queue[0]) : 200;
+    return new Response(status === 200 ? text : '', { status, headers: { 'content-type': 'text/plain; charset=utf-8', etag: '"v1"' } });
+  };
+
+  const busy = await fetchRemote(['https://a.example/busy'], { retries: 2, fetchImpl: fakeFetch, backoff: 1 });
+  assert.deepEqual([busy.url, busy.html, busy.etag, busy.raw.length], ['https://a.example/busy', false, '"v1"', text.length]);
+  assert.equal(calls.length, 2);
+  await assert.rejects(fetchRemote(['https://a.example/down'], { retries: 0, fetchImpl: async () => new Response('', { status: 500 }) }), /HTTP 500/);
+  const fellThrough = await fetchRemote(['https://a.example/gone', 'https://a.example/book'], { retries: 0, fetchImpl: fakeFetch });
+  assert.equal(fellThrough.url, 'https://a.example/book');
+  assert.deepEqual(await fetchRemote(['https://a.example/book'], { etag: '"v1"', fetchImpl: fakeFetch }), { notModified: true });
+
+  // Through ingestOne: the second run asks with the stored ETag and is told nothing changed
+  const remote = { booksDir: dirs.booksDir, retries: 0, fetchImpl: (url, init) => fakeFetch('https://a.example/book', init) };
+  assert.equal((await ingestOne(ENTRY, remote)).status, 'added');
+  assert.equal(readManifest(dirs).source.etag, '"v1"');
+  calls.length = 0;
+  assert.deepEqual(await ingestOne(ENTRY, remote), { status: 'skipped', detail: 'not modified (ETag)' });
+  assert.deepEqual(calls, [['https://a.example/book', '"v1"']]);
+});
+
+test('a swap cut short is put back, and the next run carries on', async (t) => {
+  const dirs = scratch(t);
+  const out = bookDir(dirs);
+  await ingestOne(ENTRY, dirs);
+
+  // Stopped between moving the old copy aside and moving the new one in
+  fs.renameSync(out, `${out}.old`);
+  fs.mkdirSync(`${out}.partial`);
+  fs.writeFileSync(path.join(`${out}.partial`, 'ch-01.json'), '{');
+  assert.equal((await ingestOne(ENTRY, { ...dirs, dryRun: true })).status, 'skipped'); // sees the old copy, touches nothing
+  assert.ok(fs.existsSync(`${out}.old`) && !fs.existsSync(out));
+
+  assert.deepEqual(await ingestOne(ENTRY, dirs), { status: 'skipped', detail: 'same content hash' });
+  assert.deepEqual(fs.readdirSync(dirs.booksDir), [`pg-${ID}`]);
+  assert.equal(readManifest(dirs).id, ID);
+
+  // Stopped after the new copy went in: the spare old one is dropped
+  fs.cpSync(out, `${out}.old`, { recursive: true });
+  assert.deepEqual(await recoverInterrupted(out), []);
+  assert.deepEqual(fs.readdirSync(dirs.booksDir), [`pg-${ID}`]);
+});
+
+test('swapIn replaces a book whole', async (t) => {
+  const { booksDir } = scratch(t);
+  const out = path.join(booksDir, 'pg-1');
+  for (const [dir, file] of [[out, 'old.json'], [`${out}.partial`, 'new.json']]) {
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, file), '{}');
+  }
+  await swapIn(`${out}.partial`, out);
+  assert.deepEqual(fs.readdirSync(out), ['new.json']);
+  assert.deepEqual(fs.readdirSync(booksDir), ['pg-1']);
+});
+
+test('runPool keeps input order and never runs more than its limit', async () => {
+  let running = 0;
+  let most = 0;
+  const delays = [30, 5, 20, 1, 10, 0, 15];
+  const results = await runPool(delays, 3, async (ms) => {
+    most = Math.max(most, ++running);
+    await new Promise(r => setTimeout(r, ms));
+    running--;
+    return ms * 2;
+  });
+  assert.deepEqual(results, delays.map(ms => ms * 2));
+  assert.equal(most, 3);
+  assert.deepEqual(await runPool([], 3, async () => 1), []);
+});
@@ -0,0 +1,48 @@
+// test/normalizeText.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chapterize } from '../src/utils/chapterizer.js';
+import { newReport, normalizeBook, normalizeParagraph, normalizeSource, normalizeTitle } from '../src/utils/normalizeText.js';
+
+test('normalizeSource decodes every entity and fixes line endings', () => {
+  const report = newReport();
+  const text = normalizeSource('Caf&eacute; &pound;5&#8212;&#x2014;AT&T &amp;c.\r\nNext&nbsp;line&zwnj;\r\n&bogus;', report);
+  assert.equal(text, 'Café £5——AT&T &c.\nNext line\n&bogus;');
+  assert.equal(report.entities, 7);
+  assert.equal(report.lineEndings, 2);
+  assert.equal(report.spaces, 2);
+});
+
+test('normalizeParagraph unwraps hard-wrapped prose', () => {
+  const report = newReport();
+  assert.equal(normalizeParagraph('It was a well-\nknown fact that  the\n  butler--who\nknew everything--knew.', report),
+    'It was a well-known fact that the butler—who knew everything—knew.');
+  assert.equal(report.unwrapped, 1);
+  assert.equal(report.dashes, 2);
+  // "----" stands for a name left out
+  assert.equal(normalizeParagraph('Mr. ---- of Bond Street'), 'Mr. ---- of Bond Street');
+});
+
+test('normalizeParagraph curls quotes', () => {
+  assert.equal(normalizeParagraph('"Well--" he said. "\'Tis the \'90s, and \'em fellows aren\'t in the \'Varsity."'),
+    '“Well—” he said. “’Tis the ’90s, and ’em fellows aren’t in the ’Varsity.”');
+  assert.equal(normalizeParagraph("'On the contrary,' said Psmith, 'the Smiths' house.'"),
+    '‘On the contrary,’ said Psmith, ‘the Smiths’ house.’');
+});
+
+test('normalizeParagraph keeps verse lines and sees quotes across runs', () => {
+  assert.deepEqual(normalizeParagraph({ type: 'verse', runs: ['  "God\'s in His Heaven:\n   All\'s right  with the world,"  '] }),
+    { type: 'verse', runs: ['“God’s in His Heaven:\nAll’s right with the world,”'] });
+  assert.deepEqual(normalizeParagraph({ type: 'p', runs: ['He said "', { i: 'not' }, '" and\nleft.'] }),
+    { type: 'p', runs: ['He said “', { i: 'not' }, '” and left.'] });
+});
+
+test('normalizeBook redoes titles, word counts and the contents', () => {
+  const prose = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(10);
+  const report = newReport();
+  const book = normalizeBook(chapterize(['CHAPTER I', "KAY'S CHANGES ITS NAME", `${prose}well-\nknown`, 'CHAPTER II', prose].join('\n\n')), report);
+  assert.equal(book.chapters[0].title, 'Chapter I: Kay’s Changes Its Name');
+  assert.equal(book.toc[0].title, 'Chapter I: Kay’s Changes Its Name');
+  assert.equal(book.chapters[0].words, 81);
+  assert.equal(normalizeTitle('The Mixer--II'), 'The Mixer—II');
+});
@@ -0,0 +1,46 @@
+// test/profile.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrateProfile, PROFILE_FORMAT, PROFILE_VERSION } from '../src/utils/profile.js';
+
+const current = {
+  format: PROFILE_FORMAT,
+  version: PROFILE_VERSION,
+  exportedAt: '2026-01-01T00:00:00.000Z',
+  localStorage: { wair_reader_prefs_v1: '{"mode":"paged"}', jj_daily_2026_01_01: '3' },
+  stores: {
+    progress: [['8164', { chapterIndex: 2, paragraphIndex: 14, offset: 3, updatedAt: 5 }]],
+    bookmarks: [['b1', { id: 'b1', bookId: '8164', chapterIndex: 2, updatedAt: 6 }]]
+  }
+};
+
+test('a current bundle survives export -> JSON -> import unchanged', () => {
+  const migrated = migrateProfile(JSON.parse(JSON.stringify(current)));
+  assert.deepEqual(migrated, current);
+  assert.deepEqual(migrateProfile(migrated), migrated);
+});
+
+test('a bundle without a version is read as version 0 and upgraded', () => {
+  const old = {
+    format: PROFILE_FORMAT,
+    localStorage: { wair_reader_prefs_v1: { mode: 'scroll' }, wair_disclaimer_seen: 'true', gone: null },
+    stores: {
+      progress: { 2042: { chapterIndex: 4, scrollTop: 900 } },
+      annotations: [['a1', { id: 'a1', bookId: 2042, createdAt: 7 }]]
+    }
+  };
+  const migrated = migrateProfile(old);
+  assert.equal(migrated.version, PROFILE_VERSION);
+  assert.deepEqual(migrated.localStorage, { wair_reader_prefs_v1: '{"mode":"scroll"}', wair_disclaimer_seen: 'true' });
+  assert.deepEqual(migrated.stores.progress, [['2042', { chapterIndex: 4, paragraphIndex: 0, offset: 0, updatedAt: 0 }]]);
+  assert.deepEqual(migrated.stores.annotations, [['a1', { id: 'a1', bookId: '2042', createdAt: 7, updatedAt: 7 }]]);
+  assert.deepEqual(migrateProfile({ ...old, version: 0 }), migrated);
+});
+
+test('unknown, newer and foreign bundles are refused', () => {
+  assert.throws(() => migrateProfile({ ...current, version: PROFILE_VERSION + 1 }), /newer than this app/);
+  assert.throws(() => migrateProfile({ ...current, version: 'beta' }), /Can't read profile version beta/);
+  assert.throws(() => migrateProfile({ ...current, version: -1 }), /Can't read profile version -1/);
+  assert.throws(() => migrateProfile({ ...current, format: 'something-else' }), /Not a profile file/);
+  assert.throws(() => migrateProfile(null), /Not a profile file/);
+});
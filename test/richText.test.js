@@ -0,0 +1,45 @@
+// test/richText.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BREAK_TEXT, markedPieces, paragraphText, parseParagraph, toBlock } from '../src/utils/richText.js';
+
+test('paragraphText reads both forms', () => {
+  assert.equal(paragraphText('Plain prose.'), 'Plain prose.');
+  assert.equal(paragraphText({ type: 'p', runs: ['He was ', { i: 'not' }, ' amused.'] }), 'He was not amused.');
+  assert.equal(paragraphText({ type: 'break' }), BREAK_TEXT);
+  assert.equal(paragraphText({ type: 'break', runs: ['2'] }), '2');
+  assert.equal(paragraphText(null), '');
+});
+
+test('toBlock turns runs into marks over the plain text', () => {
+  const block = toBlock({ type: 'quote', runs: ['Yours, ', { b: 'J.' }, ' and ', { i: 'P.S.' }] });
+  assert.deepEqual(block, { type: 'quote', text: 'Yours, J. and P.S.', marks: [[7, 9, 'b'], [14, 18, 'i']] });
+  assert.deepEqual(toBlock('Old chapters'), { type: 'p', text: 'Old chapters', marks: [] });
+  assert.equal(toBlock({ type: 'aside', runs: ['x'] }).type, 'p');
+});
+
+test('markedPieces cuts a slice at mark edges', () => {
+  const block = toBlock({ type: 'p', runs: ['The ', { i: 'Santa Barbara' }, ' sailed.'] });
+  assert.deepEqual(markedPieces(block, 2, 10), [
+    { start: 2, end: 4, mark: null },
+    { start: 4, end: 10, mark: 'i' }
+  ]);
+  assert.deepEqual(markedPieces(block, 17, 25), [{ start: 17, end: 25, mark: null }]);
+});
+
+test('parseParagraph reads Gutenberg plain-text conventions', () => {
+  assert.equal(parseParagraph('Nothing to format here.'), 'Nothing to format here.');
+  assert.deepEqual(parseParagraph('The steamship _Santa Barbara_, of the =line=.'),
+    { type: 'p', runs: ['The steamship ', { i: 'Santa Barbara' }, ', of the ', { b: 'line' }, '.'] });
+  // snake_case and a lone underscore are not emphasis
+  assert.equal(parseParagraph('see file_name_here and _ alone'), 'see file_name_here and _ alone');
+
+  const letter = parseParagraph('    DEAR SIR,--My Harry, Mr. Hawk, sas to me how it was him upseting\n    the boat and you, not because he is not steddy in a boat.');
+  assert.equal(letter.type, 'quote');
+  assert.equal(paragraphText(letter), 'DEAR SIR,--My Harry, Mr. Hawk, sas to me how it was him upseting\nthe boat and you, not because he is not steddy in a boat.');
+
+  const verse = parseParagraph('    God\'s in His Heaven:\n      All\'s right with the world,');
+  assert.deepEqual(verse, { type: 'verse', runs: ['God\'s in His Heaven:\nAll\'s right with the world,'] });
+
+  assert.equal(parseParagraph('    Indented prose.', { indentsProse: true }), '    Indented prose.');
+});
@@ -0,0 +1,147 @@
+// test/sync.test.js
+// Two devices syncing through one in-memory space, with the real client
+// protocol (syncSpace) and the server's merge rules.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareClocks, resolveRecord, applyPush, recordsSince, emptySyncState, recordKey } from '../src/utils/syncMerge.js';
+import { createMemoryAdapter } from '../src/utils/syncAdapters.js';
+import { syncSpace } from '../src/utils/sync.js';
+
+const SPACE = 'a'.repeat(64);
+
+// A device: its records, its sync metadata and its cursor, all in memory
+function device(name) {
+  const records = new Map();
+  const meta = new Map();
+  let cursor = 0;
+  const store = {
+    records: async () => new Map([...records].map(([k, v]) => [k, structuredClone(v)])),
+    meta: async () => [...meta.values()],
+    apply: async (r) => (r.deleted ? records.delete(r.key) : records.set(r.key, { kind: r.kind, id: r.id, data: r.data })),
+    saveMeta: async (list) => list.forEach(m => meta.set(m.key, m))
+  };
+  return {
+    name,
+    records,
+    put(kind, id, data) { records.set(recordKey(kind, id), { kind, id: String(id), data }); },
+    remove(kind, id) { records.delete(recordKey(kind, id)); },
+    get(kind, id) { return records.get(recordKey(kind, id))?.data; },
+    get cursor() { return cursor; },
+    async sync(adapter, now) {
+      const result = await syncSpace({ adapter, space: SPACE, store, device: name, since: cursor, now });
+      cursor = result.cursor;
+      return result;
+    }
+  };
+}
+
+test('compareClocks orders vector clocks', () => {
+  assert.equal(compareClocks({ a: 1 }, { a: 1 }), 'equal');
+  assert.equal(compareClocks({ a: 1 }, { a: 2 }), 'before');
+  assert.equal(compareClocks({ a: 2, b: 1 }, { a: 2 }), 'after');
+  assert.equal(compareClocks({ a: 2 }, { b: 1 }), 'concurrent');
+  assert.equal(compareClocks({}, undefined), 'equal');
+});
+
+test('resolveRecord: causality first, then the later edit, then the device id', () => {
+  const rec = (device, clock, updatedAt) => ({ key: 'progress:1', device, clock, updatedAt });
+  assert.equal(resolveRecord(rec('a', { a: 1 }, 900), rec('b', { a: 1, b: 1 }, 100)).device, 'b');
+  const late = resolveRecord(rec('a', { a: 1 }, 200), rec('b', { b: 1 }, 100));
+  assert.equal(late.device, 'a');
+  assert.deepEqual(late.clock, { a: 1, b: 1 });
+  assert.equal(resolveRecord(rec('a', { a: 1 }, 100), rec('b', { b: 1 }, 100)).device, 'b');
+  assert.equal(resolveRecord(rec('b', { b: 1 }, 100), rec('a', { a: 1 }, 100)).device, 'b');
+});
+
+test('applyPush numbers changes and keeps tombstones', () => {
+  const state = emptySyncState();
+  const base = { key: 'bookmark:x', kind: 'bookmark', id: 'x', updatedAt: 1, device: 'a' };
+  applyPush(state, [{ ...base, data: { bookId: 1 }, clock: { a: 1 } }, { key: 'bogus', kind: 'bookmark', id: 'y', clock: {} }]);
+  assert.equal(state.seq, 1);
+  applyPush(state, [{ ...base, data: { bookId: 1 }, clock: { a: 1 } }]); // nothing new
+  assert.equal(state.seq, 1);
+  const [stored] = applyPush(state, [{ ...base, deleted: true, updatedAt: 2, clock: { a: 2 } }]);
+  assert.equal(stored.deleted, true);
+  assert.equal(stored.seq, 2);
+  assert.deepEqual(recordsSince(state, 1).map(r => r.seq), [2]);
+  assert.deepEqual(recordsSince(state, 2), []);
+});
+
+test('a phone and a laptop converge through one space', async () => {
+  const space = createMemoryAdapter();
+  const phone = device('phone');
+  const laptop = device('laptop');
+
+  phone.put('bookmark', 'b1', { id: 'b1', bookId: '8164', updatedAt: 10 });
+  phone.put('progress', '8164', { bookId: '8164', chapterIndex: 2, updatedAt: 10 });
+  assert.equal((await phone.sync(space, 10)).pushed, 2);
+  const first = await laptop.sync(space, 11);
+  assert.equal(first.changed, 2);
+  assert.deepEqual(first.bookIds.sort(), ['8164']);
+  assert.deepEqual(laptop.get('bookmark', 'b1'), phone.get('bookmark', 'b1'));
+
+  // Both read on, offline: the laptop's later position wins on both
+  phone.put('progress', '8164', { bookId: '8164', chapterIndex: 3, updatedAt: 100 });
+  laptop.put('progress', '8164', { bookId: '8164', chapterIndex: 5, updatedAt: 200 });
+  await phone.sync(space, 300);
+  await laptop.sync(space, 301);
+  await phone.sync(space, 302);
+  assert.equal(phone.get('progress', '8164').chapterIndex, 5);
+  assert.equal(laptop.get('progress', '8164').chapterIndex, 5);
+
+  // Nothing left to do: no pushes, nothing changed
+  const idle = await phone.sync(space, 303);
+  assert.deepEqual([idle.pushed, idle.changed], [0, 0]);
+});
+
+test('a delete racing an edit: the later of the two wins everywhere', async () => {
+  const space = createMemoryAdapter();
+  const phone = device('phone');
+  const laptop = device('laptop');
+  phone.put('annotation', 'a1', { id: 'a1', bookId: '2042', note: 'first', updatedAt: 10 });
+  phone.put('annotation', 'a2', { id: 'a2', bookId: '2042', note: 'first', updatedAt: 10 });
+  await phone.sync(space, 10);
+  await laptop.sync(space, 11);
+
+  // a1: deleted on the phone at 300, edited on the laptop at 250 -> stays deleted
+  // a2: deleted on the phone at 300, edited on the laptop at 400 -> comes back
+  phone.remove('annotation', 'a1');
+  phone.remove('annotation', 'a2');
+  laptop.put('annotation', 'a1', { id: 'a1', bookId: '2042', note: 'edited', updatedAt: 250 });
+  laptop.put('annotation', 'a2', { id: 'a2', bookId: '2042', note: 'edited', updatedAt: 400 });
+  await phone.sync(space, 300);
+  await laptop.sync(space, 350);
+  await phone.sync(space, 360);
+
+  for (const d of [phone, laptop]) {
+    assert.equal(d.get('annotation', 'a1'), undefined, `${d.name} kept a1`);
+    assert.equal(d.get('annotation', 'a2')?.note, 'edited', `${d.name} lost a2`);
+  }
+});
+
+test('a space that went back (reset store, another instance) gets everything again', async () => {
+  const phone = device('phone');
+  const laptop = device('laptop');
+  const old = createMemoryAdapter();
+  phone.put('bookmark', 'b1', { id: 'b1', bookId: '8164', updatedAt: 10 });
+  for (let i = 1; i <= 5; i++) {
+    phone.put('progress', '8164', { bookId: '8164', chapterIndex: i, updatedAt: 10 + i });
+    await phone.sync(old, 20 + i);
+  }
+  await laptop.sync(old, 30);
+  assert.ok(laptop.cursor > 2);
+
+  // The store is wiped; the laptop adds a bookmark and finds the space behind it
+  const fresh = createMemoryAdapter();
+  laptop.put('bookmark', 'b2', { id: 'b2', bookId: '2042', updatedAt: 40 });
+  const resent = await laptop.sync(fresh, 41);
+  assert.equal(resent.pushed, 1 + 3); // the new bookmark, then all three records
+  assert.equal(resent.cursor, 4);
+
+  // The phone is behind too, and gets the laptop's bookmark once it has re-sent its own
+  const caught = await phone.sync(fresh, 42);
+  assert.ok(caught.pulled >= 3);
+  assert.equal(phone.get('bookmark', 'b2')?.bookId, '2042');
+  assert.equal(phone.get('progress', '8164').chapterIndex, 5);
+  assert.deepEqual([...phone.records.keys()].sort(), [...laptop.records.keys()].sort());
+});
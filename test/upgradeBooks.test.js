@@ -0,0 +1,65 @@
+// test/upgradeBooks.test.js
+// Putting first-ingest bundles back together (scripts/upgradeBooks.mjs): the
+// pieces are what that script's split left of each text.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { chapterize, CHAPTERIZER_VERSION } from '../src/utils/chapterizer.js';
+import { NORMALIZER_VERSION } from '../src/utils/normalizeText.js';
+import { legacyText, upgradeBook } from '../scripts/upgradeBooks.mjs';
+
+const prose = (word) => `${word} lorem ipsum dolor sit amet, consectetur adipiscing elit.\r\n`.repeat(8).trim();
+const titlesOf = (titles, texts) => chapterize(legacyText(titles, texts)).chapters.map(c => c.title);
+
+test('the CHAPTER lines the split dropped come back, numbered on', () => {
+  const texts = [`CHAPTER\r\n\r\n\r\n    I\r\n\r\n${prose('One')}`, prose('Two'), `THE THIRD\r\n\r\n${prose('Three')}`];
+  const text = legacyText(['Chapter 1', 'Chapter 1', 'Chapter 2'], texts);
+  assert.ok(text.startsWith('CHAPTER I\n'));
+  assert.ok(!text.includes('\r'));
+  assert.deepEqual(titlesOf(['Chapter 1', 'Chapter 1', 'Chapter 2'], texts), ['Chapter I', 'Chapter II', 'Chapter III: The Third']);
+  assert.deepEqual(titlesOf(['Chapter 1', 'Chapter 1'], [`Chapter 1\r\n\r\n${prose('One')}`, prose('Two')]), ['Chapter 1', 'Chapter 2']);
+});
+
+test('a contents list says where the numbering starts again', () => {
+  // Every other entry of the list survived; the first chapter follows a
+  // dedication, and Book Two starts again at I
+  const titles = ['Chapter 1', 'Chapter 1', 'Chapter 2', 'Chapter 3', 'Chapter 4', 'Chapter 5', 'Chapter 6'];
+  const texts = ['CHAPTER I. THE START', 'CHAPTER III. THE END OF IT', prose('To my mother'),
+    `THE START\r\n\r\n${prose('One')}`, `THE MIDDLE\r\n\r\n${prose('Two')}\r\n\r\nBOOK TWO`,
+    `THE SEQUEL\r\n\r\n${prose('Three')}`, `THE END OF IT\r\n\r\n${prose('Four')}`];
+  const text = legacyText(titles, texts);
+  assert.match(text, /CHAPTER I\n\nTHE START\n/);
+  assert.match(text, /CHAPTER I\n\nTHE SEQUEL\n/);
+  assert.match(text, /CHAPTER III\n\nTHE END OF IT\n/);
+});
+
+test('books chunked into parts are joined, anything else refused', () => {
+  assert.equal(legacyText(['Part 1', 'Part 2'], ['One\r\ntwo', 'Three']), 'One\ntwo\n\nThree');
+  assert.throws(() => legacyText(['Chapter I: The Start'], ['x']), /not a first-ingest bundle/);
+});
+
+test('a first-ingest bundle comes out chapterized and normalized', async (t) => {
+  const booksDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wair-upgrade-'));
+  t.after(() => fs.rmSync(booksDir, { recursive: true, force: true }));
+  const dir = path.join(booksDir, 'pg-1');
+  fs.mkdirSync(dir);
+  const texts = [`CHAPTER I\r\n\r\n${prose('"One--')}`, `THE SECOND\r\n\r\n${prose("It's")}`];
+  const chapters = texts.map((text, i) => ({ index: i + 1, title: `Chapter ${i || 1}`, file: `ch-0${i + 1}.json`, words: 1 }));
+  chapters.forEach((c, i) => fs.writeFileSync(path.join(dir, c.file), JSON.stringify({ ...c, paragraphs: [texts[i]] })));
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({ id: 1, title: 'T', author: 'A', wordCount: 2, chapters }));
+
+  assert.equal((await upgradeBook('pg-1', { booksDir, dryRun: true })).status, 'upgraded');
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8')).chapterizer, undefined);
+
+  assert.equal((await upgradeBook('pg-1', { booksDir })).status, 'upgraded');
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+  assert.deepEqual([manifest.chapterizer, manifest.normalizer], [CHAPTERIZER_VERSION, NORMALIZER_VERSION]);
+  assert.equal(manifest.source, undefined);
+  assert.deepEqual(manifest.toc, [{ title: 'Chapter I', chapter: 0 }, { title: 'Chapter II: The Second', chapter: 1 }]);
+  const [first] = JSON.parse(fs.readFileSync(path.join(dir, 'ch-01.json'), 'utf8')).paragraphs;
+  assert.ok(first.startsWith('“One— lorem ipsum dolor sit amet, consectetur adipiscing elit. “One— lorem'), first);
+  assert.deepEqual(fs.readdirSync(booksDir), ['pg-1']);
+  assert.equal((await upgradeBook('pg-1', { booksDir })).status, 'skipped');
+});
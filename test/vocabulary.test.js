@@ -0,0 +1,45 @@
+// test/vocabulary.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { newSrs, sm2 } from '../src/utils/vocabulary.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Review `srs` once per quality, each review on the day the last one fell due
+function reviewAll(srs, qualities) {
+  return qualities.reduce((s, q) => [...s, sm2(s[s.length - 1], q, s[s.length - 1].due)], [srs]).slice(1);
+}
+
+test('sm2 runs the standard sequence: 1 day, 6 days, then interval × ease', () => {
+  const steps = reviewAll(newSrs(0), [4, 4, 4, 4]);
+  assert.deepEqual(steps.map(s => s.interval), [1, 6, 15, 38]);
+  assert.deepEqual(steps.map(s => s.reps), [1, 2, 3, 4]);
+  assert.ok(steps.every(s => s.ease === 2.5));
+  assert.deepEqual(steps.map(s => s.due), [1, 7, 22, 60].map(d => d * DAY_MS));
+  assert.equal(steps[3].lastReviewed, 22 * DAY_MS);
+});
+
+test('sm2 moves the ease with the answer', () => {
+  assert.equal(sm2(newSrs(0), 5, 0).ease, 2.6);
+  assert.equal(sm2(newSrs(0), 3, 0).ease, 2.36);
+  assert.equal(sm2(newSrs(0), 9, 0).ease, 2.6); // quality is clamped to 0–5
+});
+
+test('a failed review resets reps, counts a lapse and comes back tomorrow', () => {
+  const [, , learnt, failed, again, next] = reviewAll(newSrs(0), [4, 4, 4, 1, 4, 4]);
+  assert.equal(learnt.interval, 15);
+  assert.deepEqual(
+    { reps: failed.reps, interval: failed.interval, lapses: failed.lapses, ease: failed.ease },
+    { reps: 0, interval: 1, lapses: 1, ease: 1.96 }
+  );
+  assert.equal(failed.due, learnt.due + DAY_MS);
+  assert.deepEqual([again.interval, next.interval], [1, 6]);
+  assert.equal(next.lapses, 1);
+});
+
+test('the ease never drops below 1.3', () => {
+  const steps = reviewAll(newSrs(0), [0, 0, 0, 0, 0]);
+  assert.equal(steps[steps.length - 1].ease, 1.3);
+  assert.equal(steps[steps.length - 1].lapses, 5);
+  assert.equal(sm2({ ease: 1.3, interval: 10, reps: 5 }, 4, 0).interval, 13);
+});